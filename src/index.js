@@ -23,11 +23,41 @@ import { query, queryAll } from "./sthelpers/domUtils.js";
 import {
   MODULE_NAME,
   getSettings,
+  saveSettings,
   loadSettings,
   resetRandomLumia,
+  setConfigVersionListener,
 } from "./lib/settingsManager.js";
 
-import { handleNewBook, fetchWorldBook, importPack } from "./lib/dataProcessor.js";
+import { fetchWorldBook, reviewAndImportPack, escapeHtml } from "./lib/dataProcessor.js";
+import { checkPackUpdates, setPackSubscription, startPackUpdateScheduler } from "./lib/packUpdater.js";
+import { isCharacterCard, importCharacterCardData, importCharacterCardFile } from "./lib/characterCard.js";
+import { importPngFile } from "./lib/packCard.js";
+import { importPackBundle, exportPackBundle, exportPresetFile, importPresetFile } from "./lib/packBundle.js";
+import { findDanglingReferences, removeDanglingReferences } from "./lib/itemIds.js";
+import { initPackStorage } from "./lib/packStorage.js";
+import { SCAFFOLD_TEMPLATES, getPackScaffoldTemplates } from "./lib/scaffoldTemplates.js";
+import { trackMacroRegistrations, inspectMacros } from "./lib/macroInspector.js";
+import { SUMMARY_SECTIONS, parseSummarySections, replaceSummarySection } from "./lib/summarySections.js";
+import {
+  applyMessageTruncation,
+  getTruncationReport,
+  getSummaryCoverage,
+  checkCompactionSummary,
+} from "./lib/contextTruncation.js";
+import {
+  compileFilterRules,
+  applyFilterRules,
+  getMessageRole,
+  validateFilterRule,
+  testFilterRules,
+} from "./lib/contextFilterRules.js";
+import {
+  listWorldInfoBooks,
+  importWorldInfoBook,
+  setWorldInfoSync,
+  startWorldInfoSync,
+} from "./lib/worldInfoImport.js";
 
 import {
   showSelectionModal,
@@ -58,6 +88,7 @@ import {
   setLastUserMessageContent,
   setCapturedUserMessageFlag,
 } from "./lib/loomSystem.js";
+import { registerLoomVariableMacros, getLoomVariables, saveLoomVariables } from "./lib/loomVariables.js";
 
 import {
   processLumiaOOCComments,
@@ -70,11 +101,14 @@ import {
   flushPendingUpdates,
   clearProcessedTexts,
   resetRAFState,
+  hasOOCTags,
 } from "./lib/oocComments.js";
+import { getOOCPromptConfig, renderOOCPrompt, OOC_PROMPT_VARIABLES, DEFAULT_OOC_PROMPTS } from "./lib/oocPrompts.js";
 
 import {
   showLumiaEditorModal,
   setEditorRefreshUICallback,
+  exportPackAsCard,
 } from "./lib/lumiaEditor.js";
 
 import {
@@ -174,6 +208,10 @@ function stripLoomTags(content) {
     "loom_record", "loomrecord", "loom_ledger", "loomledger",
   ];
 
+  // Custom OOC tag name from the OOC prompt settings
+  const oocTag = getOOCPromptConfig().tagName.toLowerCase();
+  if (!loomTags.includes(oocTag)) loomTags.push(oocTag);
+
   let result = content;
 
   for (const tag of loomTags) {
@@ -208,6 +246,10 @@ function trimEmptyMacroNewlines(content) {
 }
 
 // --- GENERATION INTERCEPTOR ---
+// loomIf errors already shown as a toast in the current chat; repeats only go to the console
+let loomIfWarnedChatId = null;
+const warnedLoomIfErrors = new Set();
+
 // CRITICAL: Must be exposed on globalThis for ST to find it via manifest.json
 globalThis.lumiverseHelperGenInterceptor = async function (chat, contextSize, abort, type) {
   console.log(`[${MODULE_NAME}] Generation interceptor called with type: ${type}`);
@@ -218,17 +260,10 @@ globalThis.lumiverseHelperGenInterceptor = async function (chat, contextSize, ab
   const settings = getSettings();
   const sovereignHandEnabled = settings.sovereignHand?.enabled || false;
   const contextFilters = settings.contextFilters || {};
-  const messageTruncation = settings.messageTruncation || {};
-
-  // Message Truncation: Keep only the last N messages
-  if (messageTruncation.enabled && messageTruncation.keepCount > 0) {
-    const keepCount = messageTruncation.keepCount;
-    if (chat.length > keepCount) {
-      const removedCount = chat.length - keepCount;
-      chat.splice(0, removedCount);
-      console.log(`[${MODULE_NAME}] Message Truncation: Removed ${removedCount} older messages, keeping last ${keepCount}`);
-    }
-  }
+
+  // Message Truncation: Keep the last N messages, as many as fit the token budget,
+  // or (compaction) only what the Loom summary doesn't cover yet
+  await applyMessageTruncation(chat, settings.messageTruncation);
 
   // Sovereign Hand: Capture and optionally exclude last user message
   const excludeLastMessage = settings.sovereignHand?.excludeLastMessage !== false;
@@ -272,11 +307,15 @@ globalThis.lumiverseHelperGenInterceptor = async function (chat, contextSize, ab
   const fontFilterEnabled = contextFilters.htmlTags?.stripFonts || false;
   const detailsFilterEnabled = contextFilters.detailsBlocks?.enabled || false;
   const loomFilterEnabled = contextFilters.loomItems?.enabled || false;
-  const anyFilterEnabled = htmlFilterEnabled || fontFilterEnabled || detailsFilterEnabled || loomFilterEnabled;
+  const customRules = compileFilterRules(contextFilters.customRules);
+  const anyFilterEnabled =
+    htmlFilterEnabled || fontFilterEnabled || detailsFilterEnabled || loomFilterEnabled || customRules.length > 0;
 
   // Process loomIf conditionals and apply content filters
+  const loomIfErrors = [];
   for (let i = 0; i < chat.length; i++) {
     const depthFromEnd = chat.length - 1 - i;
+    const role = getMessageRole(chat[i]);
 
     const filterContent = (content) => {
       if (!content || typeof content !== "string") return content;
@@ -294,12 +333,14 @@ globalThis.lumiverseHelperGenInterceptor = async function (chat, contextSize, ab
       if (loomFilterEnabled && depthFromEnd >= loomKeepDepth) {
         result = stripLoomTags(result);
       }
+      // User rules run last, in their configured order
+      result = applyFilterRules(result, customRules, { role, depth: depthFromEnd });
 
       return result;
     };
 
     if (chat[i] && typeof chat[i].content === "string") {
-      chat[i].content = processLoomConditionals(chat[i].content);
+      chat[i].content = processLoomConditionals(chat[i].content, loomIfErrors);
       if (anyFilterEnabled) {
         chat[i].content = filterContent(chat[i].content);
       }
@@ -308,7 +349,7 @@ globalThis.lumiverseHelperGenInterceptor = async function (chat, contextSize, ab
     }
 
     if (chat[i] && typeof chat[i].mes === "string") {
-      chat[i].mes = processLoomConditionals(chat[i].mes);
+      chat[i].mes = processLoomConditionals(chat[i].mes, loomIfErrors);
       if (anyFilterEnabled) {
         chat[i].mes = filterContent(chat[i].mes);
       }
@@ -317,20 +358,42 @@ globalThis.lumiverseHelperGenInterceptor = async function (chat, contextSize, ab
     }
   }
 
+  if (loomIfErrors.length > 0) {
+    const unique = [...new Set(loomIfErrors)];
+    console.warn(`[${MODULE_NAME}] loomIf errors:`, unique);
+
+    const chatId = getContext()?.getCurrentChatId?.() ?? null;
+    if (chatId !== loomIfWarnedChatId) {
+      loomIfWarnedChatId = chatId;
+      warnedLoomIfErrors.clear();
+    }
+    const fresh = unique.filter((error) => !warnedLoomIfErrors.has(error));
+    if (fresh.length > 0) {
+      fresh.forEach((error) => warnedLoomIfErrors.add(error));
+      const shown = fresh.slice(0, 3).map(escapeHtml).join("<br>");
+      const more = fresh.length > 3 ? `<br>...and ${fresh.length - 3} more` : "";
+      toastr.warning(shown + more, "Malformed loomIf");
+    }
+  }
+
   return { chat, contextSize, abort };
 };
 
 // --- MACRO REGISTRATION ---
 // Register macros when MacrosParser is available (Macros 2.0 format)
 function registerAllMacros() {
-  const MacrosParser = getMacrosParser();
-  if (!MacrosParser) {
+  const parser = getMacrosParser();
+  if (!parser) {
     console.warn(`[${MODULE_NAME}] MacrosParser not available - macros will not be registered`);
     return;
   }
 
+  // Record registrations for the Macro Inspector
+  const MacrosParser = trackMacroRegistrations(parser);
+
   registerLumiaMacros(MacrosParser);
   registerLoomMacros(MacrosParser);
+  registerLoomVariableMacros(MacrosParser);
 
   // Message count macro
   MacrosParser.registerMacro("lumiaMessageCount", {
@@ -376,6 +439,15 @@ jQuery(async () => {
   // Load settings
   loadSettings();
 
+  // Pack content lives in IndexedDB - load what the current selections need
+  // now, the rest of the library follows in the background
+  await initPackStorage({
+    onLibraryLoaded: () => {
+      refreshUIDisplay();
+      notifyReactOfSettingsChange();
+    },
+  });
+
   // Register macros
   registerAllMacros();
 
@@ -391,6 +463,9 @@ jQuery(async () => {
   // Set up editor refresh callback
   setEditorRefreshUICallback(refreshUIDisplay);
 
+  // Push Lumia config version bumps to React (the Macro Inspector re-expands on them)
+  setConfigVersionListener(() => notifyReactOfSettingsChange());
+
   // --- REACT UI INITIALIZATION ---
   // Register callbacks that React components can trigger
   registerReactCallback("showSelectionModal", showSelectionModal);
@@ -407,12 +482,88 @@ jQuery(async () => {
       notifyReactOfSettingsChange();
     });
   });
-  registerReactCallback("handleNewBook", (data, filename) => {
-    // Use importPack which handles both native Lumiverse format and World Book format
-    importPack(data, filename, false);
+  registerReactCallback("handleNewBook", async (data, filename) => {
+    if (isCharacterCard(data)) {
+      // Character card JSON - import its embedded lorebook
+      await importCharacterCardData(data, filename);
+    } else {
+      // Validate first, then import or merge (handles both native Lumiverse format and World Book format)
+      await reviewAndImportPack(data, filename, false);
+    }
+    refreshUIDisplay();
+    notifyReactOfSettingsChange();
+  });
+  registerReactCallback("importCharacterCard", async (file) => {
+    await importCharacterCardFile(file);
+    refreshUIDisplay();
+    notifyReactOfSettingsChange();
+  });
+  registerReactCallback("importPngFile", async (file) => {
+    await importPngFile(file);
+    refreshUIDisplay();
+    notifyReactOfSettingsChange();
+  });
+  registerReactCallback("exportPackAsCard", (packName) => exportPackAsCard(packName));
+  registerReactCallback("importPackBundle", async (file) => {
+    await importPackBundle(file);
     refreshUIDisplay();
     notifyReactOfSettingsChange();
   });
+  registerReactCallback("exportPackBundle", (packNames = null) => exportPackBundle(packNames));
+  registerReactCallback("exportPreset", (presetName) => exportPresetFile(presetName));
+  registerReactCallback("importPreset", async (file) => {
+    const name = await importPresetFile(file);
+    notifyReactOfSettingsChange();
+    return name;
+  });
+  registerReactCallback("listWorldInfoBooks", () => listWorldInfoBooks());
+  registerReactCallback("importWorldInfoBook", async (name, options) => {
+    await importWorldInfoBook(name, options);
+    refreshUIDisplay();
+    notifyReactOfSettingsChange();
+  });
+  registerReactCallback("setWorldInfoSync", (packName, keepInSync) => setWorldInfoSync(packName, keepInSync));
+  registerReactCallback("getDanglingReferences", (settings = null) =>
+    findDanglingReferences(settings || getSettings()),
+  );
+  registerReactCallback("removeDanglingReferences", () => {
+    const removed = removeDanglingReferences(getSettings());
+    saveSettings();
+    notifyReactOfSettingsChange();
+    refreshUIDisplay();
+    toastr.success(`Removed ${removed} missing reference(s).`);
+  });
+  registerReactCallback("checkPackUpdates", async (packName = null) => {
+    await checkPackUpdates({ packName });
+    refreshUIDisplay();
+  });
+  registerReactCallback("setPackSubscription", setPackSubscription);
+  registerReactCallback("previewOOCPrompt", (mode, config) =>
+    renderOOCPrompt(mode, {
+      trigger: getOOCTriggerText() || "**OOC: ACTIVE** — Include OOC commentary in this response.",
+      memberNames: "Aria, Bex",
+    }, getOOCPromptConfig(config)),
+  );
+  registerReactCallback("getOOCPromptDefaults", () => ({
+    prompts: DEFAULT_OOC_PROMPTS,
+    variables: OOC_PROMPT_VARIABLES,
+  }));
+  registerReactCallback("getScaffoldTemplates", () => ({
+    templates: SCAFFOLD_TEMPLATES,
+    packTemplates: getPackScaffoldTemplates(),
+  }));
+  registerReactCallback("inspectMacros", () => inspectMacros());
+  registerReactCallback("getTruncationReport", () => getTruncationReport());
+  registerReactCallback("getSummaryCoverage", (margin) => getSummaryCoverage(margin));
+  registerReactCallback("validateFilterRule", (rule) => validateFilterRule(rule));
+  registerReactCallback("testFilterRules", (sample, rules, target) => testFilterRules(sample, rules, target));
+  registerReactCallback("getSummarySections", () =>
+    SUMMARY_SECTIONS.map(({ key, header }) => ({ key, header })),
+  );
+  registerReactCallback("parseSummarySections", parseSummarySections);
+  registerReactCallback("replaceSummarySection", replaceSummarySection);
+  registerReactCallback("getLoomVariables", () => getLoomVariables());
+  registerReactCallback("setLoomVariables", (variables) => saveLoomVariables(variables));
   registerReactCallback("refreshUIDisplay", () => {
     refreshUIDisplay();
     notifyReactOfSettingsChange();
@@ -442,6 +593,12 @@ jQuery(async () => {
   // Initial UI refresh
   refreshUIDisplay();
 
+  // Periodically re-check subscribed packs against their source URL
+  startPackUpdateScheduler();
+
+  // Keep packs linked to installed lorebooks in sync with their edits
+  startWorldInfoSync();
+
   // --- UI EVENT LISTENERS (Legacy jQuery for compatibility) ---
   jQuery("#lumia-fetch-btn").on("click", () => {
     const url = jQuery("#lumia-url-input").val();
@@ -468,12 +625,37 @@ jQuery(async () => {
     const file = event.target.files[0];
     if (!file) return;
 
+    // PNG pack cards (or character cards) carry their data in text chunks
+    if (file.type === "image/png" || /\.png$/i.test(file.name)) {
+      importPngFile(file).then(() => {
+        refreshUIDisplay();
+        notifyReactOfSettingsChange();
+      });
+      event.target.value = "";
+      return;
+    }
+
+    // Bundle archives hold several packs plus their images and presets
+    if (/\.zip$/i.test(file.name)) {
+      importPackBundle(file).then(() => {
+        refreshUIDisplay();
+        notifyReactOfSettingsChange();
+      });
+      event.target.value = "";
+      return;
+    }
+
     const reader = new FileReader();
-    reader.onload = (e) => {
+    reader.onload = async (e) => {
       try {
         const data = JSON.parse(e.target.result);
-        // Use importPack which handles both native Lumiverse format and World Book format
-        importPack(data, file.name, false);
+        if (isCharacterCard(data)) {
+          // Character card JSON - import its embedded lorebook
+          await importCharacterCardData(data, file.name);
+        } else {
+          // Validate first, then import or merge (handles both native Lumiverse format and World Book format)
+          await reviewAndImportPack(data, file.name, false);
+        }
         refreshUIDisplay();
         notifyReactOfSettingsChange();
       } catch (error) {
@@ -492,6 +674,8 @@ jQuery(async () => {
       setIsGenerating(false);
       captureLoomSummary();
       checkAutoSummarization();
+      // {{loomSet}}/{{loomInc}} ran while the prompt was built - let the chat variables editor reload
+      notifyReactOfSettingsChange();
 
       const messageElement = query(`div[mesid="${mesId}"] .mes_text`);
       if (messageElement) {
@@ -503,9 +687,7 @@ jQuery(async () => {
         const context = getContext();
         const chatMessage = context?.chat?.[mesId];
         const rawContent = chatMessage?.mes || chatMessage?.content || "";
-        const hasOOCTags = /<lumi[ao]_?ooc[^>]*>/i.test(rawContent);
-
-        if (hasOOCTags) {
+        if (hasOOCTags(rawContent)) {
           console.log(`[${MODULE_NAME}] Found OOC tags in raw content, scheduling OOC processing for message ${mesId}`);
           processLumiaOOCComments(mesId);
         }
@@ -549,6 +731,23 @@ jQuery(async () => {
       });
     });
 
+    // Compaction relies on {{loomSummary}} standing in for the messages it drops
+    eventSource.on(event_types.CHAT_COMPLETION_PROMPT_READY, ({ chat, dryRun } = {}) => {
+      if (dryRun || !Array.isArray(chat)) return;
+      const text = chat
+        .map((message) =>
+          Array.isArray(message.content)
+            ? message.content.map((part) => part?.text || "").join("\n")
+            : String(message.content ?? ""),
+        )
+        .join("\n");
+      checkCompactionSummary(text);
+    });
+
+    eventSource.on(event_types.GENERATE_AFTER_COMBINE_PROMPTS, ({ prompt, dryRun } = {}) => {
+      if (!dryRun && typeof prompt === "string") checkCompactionSummary(prompt);
+    });
+
     eventSource.on(event_types.GENERATION_STARTED, () => {
       console.log(`[${MODULE_NAME}] GENERATION_STARTED - disabling OOC observer processing`);
       setIsGenerating(true);
@@ -558,12 +757,14 @@ jQuery(async () => {
       console.log(`[${MODULE_NAME}] GENERATION_ENDED (error case) - resetting state and flushing updates`);
       setIsGenerating(false);
       flushPendingUpdates();
+      notifyReactOfSettingsChange();
     });
 
     eventSource.on(event_types.GENERATION_STOPPED, () => {
       console.log(`[${MODULE_NAME}] GENERATION_STOPPED (user cancel) - resetting state and flushing updates`);
       setIsGenerating(false);
       flushPendingUpdates();
+      notifyReactOfSettingsChange();
     });
   }
 
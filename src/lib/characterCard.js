@@ -0,0 +1,123 @@
+/**
+ * Character Card Module
+ * Imports Lumia/Loom content from lorebooks embedded in SillyTavern
+ * character cards (V2/V3 `character_book`, PNG or JSON).
+ */
+
+import { getSettings, saveSettings, MODULE_NAME } from "./settingsManager.js";
+import { reviewAndImportPack } from "./dataProcessor.js";
+import { readPngTextChunks, isPng, decodeBase64Utf8 } from "./pngChunks.js";
+
+/**
+ * Whether parsed JSON looks like a character card with an embedded lorebook
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean}
+ */
+export function isCharacterCard(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return false;
+  if (data.spec === "chara_card_v2" || data.spec === "chara_card_v3") return true;
+  return !!(data.data && data.data.character_book);
+}
+
+/**
+ * Read card JSON from a PNG's text chunks. V3 (`ccv3`) takes precedence over V2 (`chara`).
+ * @param {ArrayBuffer} buffer - PNG file contents
+ * @returns {Object} Parsed card
+ */
+export function readCardFromPng(buffer) {
+  const chunks = readPngTextChunks(buffer);
+  const encoded = chunks.ccv3 || chunks.chara;
+  if (!encoded) {
+    throw new Error("PNG has no embedded character data");
+  }
+  return JSON.parse(decodeBase64Utf8(encoded));
+}
+
+/**
+ * Convert a card's character_book into World Book data that processWorldBook understands.
+ * Card entries keep the same comment conventions ("Lumia (Name)", "Narrative Style (Name)", ...);
+ * entries without a comment fall back to their name.
+ * @param {Object} card - Parsed character card (V1 fields, V2 or V3)
+ * @returns {{cardName: string, bookName: string|null, worldBook: Object|null}} Card/book names and converted book
+ */
+export function extractCardLorebook(card) {
+  const cardData = card.data || card;
+  const cardName = cardData.name || card.name || "Unnamed Character";
+  const book = cardData.character_book;
+
+  if (!book || !Array.isArray(book.entries)) {
+    return { cardName, bookName: null, worldBook: null };
+  }
+
+  const entries = {};
+  book.entries.forEach((entry, i) => {
+    const extensions = entry.extensions || {};
+    entries[entry.id ?? i] = {
+      comment: entry.comment || entry.name || "",
+      content: entry.content,
+      outletName: extensions.outletName ?? extensions.outlet_name,
+    };
+  });
+
+  return { cardName, bookName: book.name || null, worldBook: { entries } };
+}
+
+/**
+ * Import the lorebook embedded in a character card, recording the card as the pack's provenance
+ * @param {Object} card - Parsed character card
+ * @param {string} fileName - Original file name (for the provenance record)
+ * @returns {Promise<Object|null>} The imported pack or null
+ */
+export async function importCharacterCardData(card, fileName = "") {
+  const { cardName, bookName, worldBook } = extractCardLorebook(card);
+
+  if (!worldBook || Object.keys(worldBook.entries).length === 0) {
+    toastr.error(`Character card "${cardName}" has no embedded lorebook.`);
+    return null;
+  }
+
+  const packName = bookName || cardName;
+  console.log(`[${MODULE_NAME}] Importing lorebook from character card "${cardName}" as "${packName}"`);
+
+  const result = await reviewAndImportPack(worldBook, packName, false);
+  if (!result) return null;
+
+  const settings = getSettings();
+  const pack = settings.packs[packName];
+  if (pack) {
+    pack.provenance = {
+      type: "characterCard",
+      cardName,
+      fileName,
+      importedAt: Date.now(),
+    };
+    saveSettings();
+  }
+
+  return pack || null;
+}
+
+/**
+ * Import a character card file (PNG with embedded data or card JSON)
+ * @param {File} file - The selected file
+ * @returns {Promise<Object|null>} The imported pack or null
+ */
+export async function importCharacterCardFile(file) {
+  try {
+    const buffer = await file.arrayBuffer();
+    const card = isPng(buffer)
+      ? readCardFromPng(buffer)
+      : JSON.parse(new TextDecoder().decode(buffer));
+
+    if (!isCharacterCard(card) && !card.character_book) {
+      toastr.error(`"${file.name}" is not a character card.`);
+      return null;
+    }
+
+    return await importCharacterCardData(card, file.name);
+  } catch (error) {
+    console.error(`[${MODULE_NAME}] Character card import failed:`, error);
+    toastr.error("Failed to read character card: " + error.message);
+    return null;
+  }
+}
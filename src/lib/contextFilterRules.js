@@ -0,0 +1,223 @@
+/**
+ * Context Filter Rules Module
+ * User-defined filters for the generation interceptor, next to the built-in
+ * HTML/details/Loom filters. Rules live in settings.contextFilters.customRules
+ * and run in order on every message they apply to.
+ *
+ * Rule shape:
+ *   id          - stable id for the editor
+ *   name        - label shown in the editor
+ *   enabled     - skip the rule when false
+ *   type        - "regex" (pattern is a regular expression) or
+ *                 "tag" (pattern is a tag name; <tag>...</tag> blocks and lone tags match)
+ *   pattern     - the regex source or tag name
+ *   flags       - regex flags ("g" is always added)
+ *   replacement - replacement text; $1 etc. refer to groups, $1 is a tag's inner text
+ *                 (lone tags of a "tag" rule are always removed)
+ *   roles       - any of "user", "assistant", "system"
+ *   minDepth    - only messages at least this far from the end (0 = newest)
+ *   maxDepth    - only messages at most this far from the end (null = no limit)
+ */
+
+import { MODULE_NAME } from "./settingsManager.js";
+
+export const FILTER_RULE_TYPE = {
+  REGEX: "regex",
+  TAG: "tag",
+};
+
+export const FILTER_RULE_ROLES = ["user", "assistant", "system"];
+
+const TAG_NAME_REGEX = /^[A-Za-z][\w:-]*$/;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * The role a chat message counts as for rule matching
+ * @param {Object} message - Interceptor chat message
+ * @returns {string} "user", "assistant" or "system"
+ */
+export function getMessageRole(message) {
+  if (message?.is_user) return "user";
+  if (message?.is_system) return "system";
+  return "assistant";
+}
+
+/**
+ * Build the regular expressions of a rule
+ * @param {Object} rule
+ * @returns {{steps: Array<{regex: RegExp, replacement: string}>, error: string|null}}
+ */
+function buildRuleRegexes(rule) {
+  const pattern = rule?.pattern || "";
+  const replacement = rule?.replacement || "";
+  if (!pattern) return { steps: [], error: "Pattern is empty" };
+
+  if (rule.type === FILTER_RULE_TYPE.TAG) {
+    if (!TAG_NAME_REGEX.test(pattern)) {
+      return { steps: [], error: `"${pattern}" is not a valid tag name` };
+    }
+    const tag = escapeRegex(pattern);
+    // Blocks first, then tags left without a partner
+    return {
+      steps: [
+        { regex: new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, "gi"), replacement },
+        { regex: new RegExp(`</?${tag}(?:\\s[^>]*)?\\/?>`, "gi"), replacement: "" },
+      ],
+      error: null,
+    };
+  }
+
+  const flags = [...new Set(`g${rule.flags || ""}`)].join("");
+  try {
+    return { steps: [{ regex: new RegExp(pattern, flags), replacement }], error: null };
+  } catch (error) {
+    return { steps: [], error: error.message };
+  }
+}
+
+/**
+ * Check a rule without running it
+ * @param {Object} rule
+ * @returns {string|null} The problem, or null when the rule is usable
+ */
+export function validateFilterRule(rule) {
+  const { error } = buildRuleRegexes(rule);
+  if (error) return error;
+  if (rule.maxDepth != null && rule.maxDepth < (rule.minDepth || 0)) {
+    return "Max depth is below min depth";
+  }
+  return null;
+}
+
+/**
+ * Keep the usable rules of an imported list, in the editor's rule shape.
+ * Invalid ones are dropped so they never replace working rules.
+ * @param {Array} rules - Rules from a preset file or bundle
+ * @returns {{rules: Array<Object>, dropped: number}}
+ */
+export function sanitizeFilterRules(rules) {
+  const kept = [];
+  const list = Array.isArray(rules) ? rules : [];
+  list.forEach((rule, index) => {
+    if (!rule || typeof rule !== "object") return;
+    const normalized = {
+      id: typeof rule.id === "string" && rule.id ? rule.id : `rule_${Date.now()}_${index}`,
+      name: String(rule.name || ""),
+      enabled: rule.enabled !== false,
+      type: rule.type === FILTER_RULE_TYPE.TAG ? FILTER_RULE_TYPE.TAG : FILTER_RULE_TYPE.REGEX,
+      pattern: String(rule.pattern || ""),
+      flags: String(rule.flags || "").replace(/[^dgimsuy]/g, ""),
+      replacement: String(rule.replacement || ""),
+      roles: Array.isArray(rule.roles)
+        ? rule.roles.filter((role) => FILTER_RULE_ROLES.includes(role))
+        : [...FILTER_RULE_ROLES],
+      minDepth: Math.max(0, parseInt(rule.minDepth, 10) || 0),
+      maxDepth: rule.maxDepth == null || rule.maxDepth === "" ? null : Math.max(0, parseInt(rule.maxDepth, 10) || 0),
+    };
+    const error = validateFilterRule(normalized);
+    if (error) {
+      console.warn(`[${MODULE_NAME}] Dropping imported filter rule "${normalized.name || normalized.pattern}": ${error}`);
+      return;
+    }
+    kept.push(normalized);
+  });
+  return { rules: kept, dropped: list.length - kept.length };
+}
+
+/**
+ * Compile the enabled rules once per generation. Broken rules are skipped
+ * with a warning instead of stopping the generation.
+ * @param {Array<Object>} rules - settings.contextFilters.customRules
+ * @returns {Array<Object>} Rules with their regex steps
+ */
+export function compileFilterRules(rules) {
+  const compiled = [];
+  for (const rule of rules || []) {
+    if (!rule?.enabled) continue;
+    const error = validateFilterRule(rule);
+    if (error) {
+      console.warn(`[${MODULE_NAME}] Skipping filter rule "${rule.name || rule.pattern}": ${error}`);
+      continue;
+    }
+    compiled.push({ ...rule, steps: buildRuleRegexes(rule).steps });
+  }
+  return compiled;
+}
+
+/**
+ * Whether a rule applies to a message of the given role and depth
+ * @param {Object} rule
+ * @param {{role: string, depth: number}} target
+ * @returns {boolean}
+ */
+function ruleApplies(rule, { role, depth }) {
+  const roles = rule.roles || FILTER_RULE_ROLES;
+  if (!roles.includes(role)) return false;
+  if (depth < (rule.minDepth || 0)) return false;
+  return rule.maxDepth == null || depth <= rule.maxDepth;
+}
+
+/**
+ * Run one compiled rule
+ * @returns {{result: string, matches: number}}
+ */
+function applyRule(content, rule) {
+  let result = content;
+  let matches = 0;
+  for (const { regex, replacement } of rule.steps) {
+    matches += result.match(regex)?.length || 0;
+    result = result.replace(regex, replacement);
+  }
+  return { result, matches };
+}
+
+/**
+ * Run compiled rules over one message's text
+ * @param {string} content - Message text
+ * @param {Array<Object>} compiledRules - From compileFilterRules()
+ * @param {{role: string, depth: number}} target - The message's role and depth from the end
+ * @returns {string}
+ */
+export function applyFilterRules(content, compiledRules, target) {
+  if (!content || typeof content !== "string") return content;
+  let result = content;
+  for (const rule of compiledRules) {
+    if (ruleApplies(rule, target)) result = applyRule(result, rule).result;
+  }
+  return result;
+}
+
+/**
+ * Run rules over a sample message for the rule editor, step by step
+ * @param {string} sample - Sample message text
+ * @param {Array<Object>} rules - Rules as edited (disabled ones are reported as skipped)
+ * @param {{role: string, depth: number}} target - Role and depth to pretend the sample has
+ * @returns {{result: string, steps: Array<{id: string, status: string, error?: string, matches?: number}>}}
+ *   status is "changed", "unchanged", "skipped" (disabled or out of role/depth) or "error"
+ */
+export function testFilterRules(sample, rules, target) {
+  let result = sample || "";
+  const steps = [];
+
+  for (const rule of rules || []) {
+    const error = validateFilterRule(rule);
+    if (error) {
+      steps.push({ id: rule.id, status: "error", error });
+      continue;
+    }
+    if (!rule.enabled || !ruleApplies(rule, target)) {
+      steps.push({ id: rule.id, status: "skipped" });
+      continue;
+    }
+
+    const compiled = { ...rule, steps: buildRuleRegexes(rule).steps };
+    const { result: next, matches } = applyRule(result, compiled);
+    steps.push({ id: rule.id, status: next !== result ? "changed" : "unchanged", matches });
+    result = next;
+  }
+
+  return { result, steps };
+}
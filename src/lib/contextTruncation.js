@@ -0,0 +1,244 @@
+/**
+ * Context Truncation Module
+ * Drops the oldest chat messages in the generation interceptor: down to a fixed
+ * message count, until the chat fits a token budget, or (compaction) everything
+ * the Loom summary already covers. The last run is kept as a report for the
+ * Prompt Settings panel.
+ *
+ * Settings (settings.messageTruncation):
+ *   enabled     - truncate at all
+ *   mode        - "count" keeps the last keepCount messages,
+ *                 "tokens" keeps as many recent messages as fit tokenBudget,
+ *                 "summary" drops summarized messages but the last summaryMargin of them
+ */
+
+import { getContext } from "../stContext.js";
+import { MODULE_NAME, LOOM_SUMMARY_KEY, getSettings } from "./settingsManager.js";
+import { getSummarizedRange } from "./summarization.js";
+import { parseSummarySections } from "./summarySections.js";
+import { countTokens, estimateTokens } from "./tokenCount.js";
+
+export const TRUNCATION_MODE = {
+  COUNT: "count",
+  TOKENS: "tokens",
+  SUMMARY: "summary",
+};
+
+const DEFAULT_SUMMARY_MARGIN = 4;
+
+// Removed messages listed in the report (the newest of them); the totals still cover all
+const MAX_REPORTED_MESSAGES = 50;
+const PREVIEW_LENGTH = 80;
+
+let lastReport = null;
+// Chat the missing-summary toast was last shown for, so it shows once per chat
+let warnedChatId = null;
+
+/**
+ * What the last generation removed, or null when truncation didn't run
+ * @returns {Object|null}
+ */
+export function getTruncationReport() {
+  return lastReport;
+}
+
+function getMessageText(message) {
+  return message?.mes || message?.content || "";
+}
+
+function describeMessage(message) {
+  const raw = getMessageText(message);
+  const text = raw.replace(/\s+/g, " ").trim();
+  return {
+    name: message?.name || (message?.is_user ? "User" : "Character"),
+    tokens: estimateTokens(raw),
+    preview: text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text,
+  };
+}
+
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * After compaction dropped messages, check that the summary standing in for
+ * them reached the prompt. The macro is expanded by then, so this looks for
+ * the whole summary (or the whole body of one of its sections) instead of
+ * {{loomSummary}}. Whitespace is compared loosely, since prompt assembly may
+ * re-wrap it.
+ * @param {string} promptText - The assembled prompt
+ * @returns {boolean} False when the summary is missing and the dropped messages are lost
+ */
+export function checkCompactionSummary(promptText) {
+  if (lastReport?.mode !== TRUNCATION_MODE.SUMMARY || lastReport.removedCount === 0) return true;
+
+  const context = getContext();
+  const summary = String(context?.chatMetadata?.[LOOM_SUMMARY_KEY] || "").trim();
+  const prompt = normalizeWhitespace(promptText);
+  const found = [summary, ...Object.values(parseSummarySections(summary))]
+    .map(normalizeWhitespace)
+    .some((part) => part && prompt.includes(part));
+  lastReport.summaryInPrompt = found;
+  if (found) return true;
+
+  console.warn(
+    `[${MODULE_NAME}] Message Truncation: Compaction removed ${lastReport.removedCount} messages, but the Loom summary is not in the prompt - add {{loomSummary}} to your preset`,
+  );
+  const chatId = context?.getCurrentChatId?.() ?? null;
+  if (chatId !== warnedChatId) {
+    warnedChatId = chatId;
+    toastr.warning(
+      "Summary compaction is on, but {{loomSummary}} is not in your prompt, so the left-out messages are missing. " +
+        "Add it to your preset.",
+    );
+  }
+  return false;
+}
+
+/**
+ * Which messages of the current chat the Loom summary covers, and where live
+ * context starts in compaction mode. Indexes are message ids (0-based).
+ * Messages from coveredFrom up to liveStart are dropped; the summary stands in
+ * for them. Older messages the summary never saw are kept.
+ * @param {number} [margin] - Summarized messages to keep anyway
+ * @returns {{messageCount: number, coveredFrom: number, coveredCount: number, margin: number, liveStart: number, hasSummary: boolean}}
+ */
+export function getSummaryCoverage(margin = getSettings().messageTruncation?.summaryMargin ?? DEFAULT_SUMMARY_MARGIN) {
+  const context = getContext();
+  const messageCount = context?.chat?.length || 0;
+  const hasSummary = !!context?.chatMetadata?.[LOOM_SUMMARY_KEY];
+  // The range is stored when a summary is generated; messages deleted since then are no longer covered
+  const range = hasSummary ? getSummarizedRange() : null;
+  const coveredCount = range ? Math.min(range.to, messageCount) : 0;
+  const coveredFrom = range ? Math.min(range.from, coveredCount) : 0;
+  return {
+    messageCount,
+    coveredFrom,
+    coveredCount,
+    margin,
+    liveStart: Math.max(coveredFrom, coveredCount - margin),
+    hasSummary,
+  };
+}
+
+/**
+ * Find the message id (index in context.chat) of each interceptor message.
+ * The interceptor's chat leaves out hidden and system messages, so positions
+ * don't line up; messages are matched by object, or by send date and name
+ * when they were copied.
+ * @param {Array<Object>} chat - Interceptor chat
+ * @param {Array<Object>} sourceChat - context.chat
+ * @returns {number[]} Message id per entry of chat, -1 when it has none
+ */
+function mapMessageIds(chat, sourceChat) {
+  const byObject = new Map(sourceChat.map((message, id) => [message, id]));
+  const dateKey = (message) => (message?.send_date ? `${message.send_date}\u0000${message.name}` : null);
+  const byDate = new Map();
+  sourceChat.forEach((message, id) => {
+    const key = dateKey(message);
+    if (key) byDate.set(key, [...(byDate.get(key) || []), id]);
+  });
+
+  return chat.map((message) => {
+    if (byObject.has(message)) return byObject.get(message);
+    // Messages sharing a send date are matched in order
+    return byDate.get(dateKey(message))?.shift() ?? -1;
+  });
+}
+
+/**
+ * Index of the oldest message to keep so the chat fits the budget. Counts from
+ * the newest message back and stops at the first one that doesn't fit; the
+ * newest message is always kept.
+ * @returns {Promise<{cutoff: number, keptTokens: number, estimated: boolean}>}
+ */
+async function findBudgetCutoff(chat, budget) {
+  let keptTokens = 0;
+  let estimated = false;
+  for (let i = chat.length - 1; i >= 0; i--) {
+    const count = await countTokens(getMessageText(chat[i]));
+    estimated = estimated || count.estimated;
+    if (keptTokens + count.tokens > budget && i < chat.length - 1) {
+      return { cutoff: i + 1, keptTokens, estimated };
+    }
+    keptTokens += count.tokens;
+  }
+  return { cutoff: 0, keptTokens, estimated };
+}
+
+/**
+ * Truncate the interceptor's chat array in place
+ * @param {Array<Object>} chat - Chat messages (mutated)
+ * @param {Object} config - settings.messageTruncation
+ * @returns {Promise<Object|null>} The report, also available from getTruncationReport()
+ */
+export async function applyMessageTruncation(chat, config) {
+  if (!config?.enabled) {
+    lastReport = null;
+    return null;
+  }
+
+  const mode = Object.values(TRUNCATION_MODE).includes(config.mode) ? config.mode : TRUNCATION_MODE.COUNT;
+  let cutoff = 0;
+  // Compaction picks the dropped messages by id instead of a cutoff
+  let isDropped = null;
+  let keptTokens = null;
+  let estimated = false;
+  let coverage = null;
+
+  if (mode === TRUNCATION_MODE.TOKENS) {
+    const budget = Math.max(1, config.tokenBudget || 0);
+    ({ cutoff, keptTokens, estimated } = await findBudgetCutoff(chat, budget));
+  } else if (mode === TRUNCATION_MODE.SUMMARY) {
+    coverage = getSummaryCoverage(Math.max(0, config.summaryMargin ?? DEFAULT_SUMMARY_MARGIN));
+    // Messages the summary never saw (before coveredFrom) and live ones stay
+    const ids = mapMessageIds(chat, getContext()?.chat || []);
+    isDropped = (index) => ids[index] >= coverage.coveredFrom && ids[index] < coverage.liveStart;
+  } else if (config.keepCount > 0) {
+    cutoff = Math.max(0, chat.length - config.keepCount);
+  }
+
+  const removedMessages = [];
+  if (isDropped) {
+    for (let i = chat.length - 1; i >= 0; i--) {
+      if (isDropped(i)) removedMessages.unshift(...chat.splice(i, 1));
+    }
+  } else {
+    removedMessages.push(...chat.splice(0, cutoff));
+  }
+
+  // Removed messages are only estimated - tokenizing a long history every generation is too slow
+  const removed = removedMessages.map(describeMessage);
+  const removedTokens = removed.reduce((sum, entry) => sum + entry.tokens, 0);
+
+  lastReport = {
+    mode,
+    limit: {
+      [TRUNCATION_MODE.COUNT]: config.keepCount,
+      [TRUNCATION_MODE.TOKENS]: config.tokenBudget,
+      [TRUNCATION_MODE.SUMMARY]: coverage?.margin,
+    }[mode],
+    // Number of messages the summary covers
+    coveredCount: coverage ? coverage.coveredCount - coverage.coveredFrom : null,
+    removedCount: removedMessages.length,
+    removedTokens,
+    keptCount: chat.length,
+    keptTokens,
+    estimated,
+    removed: removed.slice(-MAX_REPORTED_MESSAGES),
+    timestamp: Date.now(),
+  };
+
+  if (removedMessages.length > 0) {
+    const limitText = {
+      [TRUNCATION_MODE.COUNT]: `last ${config.keepCount}`,
+      [TRUNCATION_MODE.TOKENS]: `${keptTokens} of ${config.tokenBudget} budget tokens${estimated ? " (estimated)" : ""}`,
+      [TRUNCATION_MODE.SUMMARY]: `summary covers ${lastReport.coveredCount} messages, ${coverage?.margin} kept as margin`,
+    }[mode];
+    console.log(
+      `[${MODULE_NAME}] Message Truncation: Removed ${removedMessages.length} older messages (~${removedTokens} tokens), keeping ${chat.length} - ${limitText}`,
+    );
+  }
+
+  return lastReport;
+}
@@ -3,7 +3,20 @@
  * Handles world book loading, parsing, and library management
  */
 
-import { getSettings, saveSettings, MODULE_NAME } from "./settingsManager.js";
+import {
+  getSettings,
+  saveSettings,
+  refreshItemIdentity,
+  MODULE_NAME,
+  GENDER,
+  PRONOUN_SETS,
+  PRONOUN_FORMS,
+} from "./settingsManager.js";
+import { validatePackData, repairNativePack } from "./packValidator.js";
+import { requestImportReview, requestMergeReview } from "./reactBridge.js";
+import { computeUpstreamHashes, buildMergePlan, applyMergePlan } from "./packMerge.js";
+import { findItemById, inheritItemIds } from "./itemIds.js";
+import { isPackLoaded, whenPackLibraryLoaded } from "./packStorage.js";
 
 /**
  * Extract metadata from content (images, authors)
@@ -14,6 +27,9 @@ export function extractMetadata(content) {
   let cleanContent = content;
   let image = null;
   let author = null;
+  let pronouns = null;
+  let tags = null;
+  let weight = null;
 
   // Match lumia_img tag - use [^\]] to match any character except closing bracket
   const imgMatch = content.match(/\[lumia_img=([^\]]+)\]/);
@@ -29,7 +45,60 @@ export function extractMetadata(content) {
     cleanContent = cleanContent.replace(authMatch[0], "").trim();
   }
 
-  return { image, author, content: cleanContent };
+  // Match lumia_pronouns tag: subject/object/possessive/possessive pronoun/reflexive
+  const pronounMatch = content.match(/\[lumia_pronouns=([^\]]+)\]/);
+  if (pronounMatch) {
+    const forms = pronounMatch[1].split("/").map((form) => form.trim());
+    if (forms.length === PRONOUN_FORMS.length && forms.every(Boolean)) {
+      pronouns = Object.fromEntries(PRONOUN_FORMS.map((key, i) => [key, forms[i]]));
+    }
+    cleanContent = cleanContent.replace(pronounMatch[0], "").trim();
+  }
+
+  // Match lumia_tags tag: comma-separated tags for {{randomLumia tag="..."}}
+  const tagsMatch = content.match(/\[lumia_tags=([^\]]+)\]/);
+  if (tagsMatch) {
+    tags = tagsMatch[1].split(",").map((tag) => tag.trim()).filter(Boolean);
+    cleanContent = cleanContent.replace(tagsMatch[0], "").trim();
+  }
+
+  // Match lumia_weight tag: relative chance of being picked by {{randomLumia}}
+  const weightMatch = content.match(/\[lumia_weight=([^\]]+)\]/);
+  if (weightMatch) {
+    const parsed = parseFloat(weightMatch[1]);
+    if (Number.isFinite(parsed) && parsed >= 0) weight = parsed;
+    cleanContent = cleanContent.replace(weightMatch[0], "").trim();
+  }
+
+  return { image, author, pronouns, tags, weight, content: cleanContent };
+}
+
+/**
+ * Turn a pronoun set into item fields: a built-in genderIdentity when the set
+ * matches one, otherwise GENDER.CUSTOM with the set in customPronouns
+ * @param {Object|null} pronouns - Pronoun set, or null for the default
+ * @returns {{genderIdentity: number, customPronouns?: Object}}
+ */
+export function pronounSetToFields(pronouns) {
+  if (!pronouns) return { genderIdentity: GENDER.SHE_HER };
+  for (const [gender, set] of Object.entries(PRONOUN_SETS)) {
+    if (PRONOUN_FORMS.every((form) => set[form] === pronouns[form].toLowerCase())) {
+      return { genderIdentity: Number(gender) };
+    }
+  }
+  return { genderIdentity: GENDER.CUSTOM, customPronouns: pronouns };
+}
+
+/**
+ * Capture a World Info entry's attributes (keys, position, depth, order, ...) so
+ * they survive a round-trip through the pack format. Content and uid are rebuilt
+ * on export, so they aren't kept.
+ * @param {Object} entry - World Info entry
+ * @returns {Object} Entry attributes
+ */
+function extractWbMeta(entry) {
+  const { uid, content, ...meta } = entry;
+  return meta;
 }
 
 /**
@@ -79,6 +148,7 @@ export function processWorldBook(data) {
           loomName: loomName,
           loomCategory: category,
           loomContent: entry.content.trim(),
+          wbMeta: extractWbMeta(entry),
         });
         continue; // Skip Lumia processing
       }
@@ -100,6 +170,10 @@ export function processWorldBook(data) {
         lumia_behavior: null,
         lumiaDef: null,
         defAuthor: null,
+        lumia_pronouns: null,
+        lumia_tags: null,
+        lumia_weight: null,
+        wbMeta: {}, // Entry attributes keyed by entry type (definition/behavior/personality)
       };
       lumiaMap.set(name, lumia);
     }
@@ -134,6 +208,10 @@ export function processWorldBook(data) {
       type = "definition";
     }
 
+    if (type) {
+      lumia.wbMeta[type] = extractWbMeta(entry);
+    }
+
     if (type === "definition") {
       const meta = extractMetadata(entry.content);
       console.log(`[Lumia Debug] Processing definition for "${name}":`, {
@@ -145,6 +223,9 @@ export function processWorldBook(data) {
       lumia.lumiaDef = meta.content;
       if (meta.image) lumia.lumia_img = meta.image;
       if (meta.author) lumia.defAuthor = meta.author;
+      if (meta.pronouns) lumia.lumia_pronouns = meta.pronouns;
+      if (meta.tags) lumia.lumia_tags = meta.tags;
+      if (meta.weight !== null) lumia.lumia_weight = meta.weight;
     } else if (type === "behavior") {
       lumia.lumia_behavior = entry.content;
     } else if (type === "personality") {
@@ -185,15 +266,21 @@ export function processWorldBook(data) {
 /**
  * Get an item from the library by pack name and item name
  * Supports both new format (separate lumiaItems/loomItems) and legacy format (mixed items[])
+ * Reads settings.packs, which packStorage.js keeps filled as the in-memory pack cache
  * @param {string} packName - The pack name
  * @param {string} itemName - The item name
+ * @param {string|null} itemId - Stable item ID from the reference, if any
  * @returns {Object|null} The item or null if not found
  */
-export function getItemFromLibrary(packName, itemName) {
+export function getItemFromLibrary(packName, itemName, itemId = null) {
   const settings = getSettings();
   const pack = settings.packs[packName];
   if (!pack) return null;
 
+  // Stable ID first - survives renames that haven't been reconciled yet
+  const byId = findItemById(pack, itemId);
+  if (byId) return byId;
+
   // New format: separate arrays
   // Check both new and legacy field names for compatibility with mixed references
   if (pack.lumiaItems) {
@@ -246,9 +333,12 @@ function convertToNewLumiaFormat(oldItem) {
     lumiaPersonality: oldItem.lumia_personality || null,
     lumiaBehavior: oldItem.lumia_behavior || null,
     avatarUrl: oldItem.lumia_img || null,
-    genderIdentity: 0, // Default: she/her
+    ...pronounSetToFields(oldItem.lumia_pronouns), // Default: she/her
     authorName: oldItem.defAuthor || null,
+    tags: oldItem.lumia_tags?.length > 0 ? oldItem.lumia_tags : undefined,
+    randomWeight: oldItem.lumia_weight ?? undefined,
     version: 1,
+    wbMeta: oldItem.wbMeta && Object.keys(oldItem.wbMeta).length > 0 ? oldItem.wbMeta : undefined,
   };
 }
 
@@ -264,16 +354,56 @@ function convertToNewLoomFormat(oldItem) {
     loomCategory: oldItem.loomCategory,
     authorName: null,
     version: 1,
+    wbMeta: oldItem.wbMeta,
+  };
+}
+
+/**
+ * Separate processed world book items into new-format Lumia and Loom arrays
+ * @param {Array} library - Items returned by processWorldBook
+ * @returns {{lumiaItems: Array, loomItems: Array}} Converted items
+ */
+function splitLibraryItems(library) {
+  const lumiaItems = [];
+  const loomItems = [];
+
+  for (const item of library) {
+    if (item.lumiaDefName) {
+      lumiaItems.push(convertToNewLumiaFormat(item));
+    } else if (item.loomCategory) {
+      loomItems.push(convertToNewLoomFormat(item));
+    }
+  }
+
+  return { lumiaItems, loomItems };
+}
+
+/**
+ * Convert World Book data into an unsaved pack in the native format
+ * @param {Array|Object} data - World book data (array or object with entries)
+ * @param {string} packName - Name for the resulting pack
+ * @returns {Object} Pack with lumiaItems and loomItems
+ */
+export function worldBookToPack(data, packName) {
+  return {
+    packName,
+    packAuthor: null,
+    coverUrl: null,
+    version: 1,
+    packExtras: [],
+    ...splitLibraryItems(processWorldBook(data)),
   };
 }
 
 /**
- * Handle a newly loaded world book
+ * Store a newly loaded world book as a pack, replacing any pack with the same name.
+ * Only reached through reviewAndImportPack(), which merges into existing packs instead.
  * @param {Object} data - The world book data
  * @param {string} sourceName - Name/identifier for the source
  * @param {boolean} isURL - Whether the source was a URL
+ * @param {string|null} sourceUrl - Full source URL (defaults to sourceName for URL imports)
  */
-export function handleNewBook(data, sourceName, isURL = false) {
+function handleNewBook(data, sourceName, isURL = false, sourceUrl = null) {
   const settings = getSettings();
   const library = processWorldBook(data);
 
@@ -282,27 +412,13 @@ export function handleNewBook(data, sourceName, isURL = false) {
     return;
   }
 
-  // Check if pack exists
-  if (settings.packs[sourceName]) {
-    if (!confirm(`Pack "${sourceName}" already exists. Overwrite?`)) {
-      return;
-    }
-  }
+  const existing = settings.packs[sourceName];
 
   // Separate and convert items to new format
-  const lumiaItems = [];
-  const loomItems = [];
-
-  for (const item of library) {
-    if (item.lumiaDefName) {
-      lumiaItems.push(convertToNewLumiaFormat(item));
-    } else if (item.loomCategory) {
-      loomItems.push(convertToNewLoomFormat(item));
-    }
-  }
+  const { lumiaItems, loomItems } = splitLibraryItems(library);
 
   // Store in new pack format
-  settings.packs[sourceName] = {
+  const pack = {
     packName: sourceName,
     packAuthor: null,
     coverUrl: null,
@@ -312,8 +428,14 @@ export function handleNewBook(data, sourceName, isURL = false) {
     loomItems,
     // Internal tracking - local uploads are custom (editable), URL imports are not
     isCustom: !isURL,
-    url: isURL ? sourceName : "",
+    url: isURL ? sourceUrl || sourceName : "",
+    // Merge base for future re-imports
+    upstreamHashes: computeUpstreamHashes({ lumiaItems, loomItems }),
   };
+  // Overwriting keeps item IDs so selections and presets stay attached
+  inheritItemIds(pack, existing);
+  settings.packs[sourceName] = pack;
+  refreshItemIdentity();
 
   saveSettings();
 
@@ -344,7 +466,7 @@ export async function fetchWorldBook(url) {
     // Use filename from URL or just URL as name
     const name = url.split("/").pop() || url;
 
-    handleNewBook(data, name, true);
+    await reviewAndImportPack(data, name, true, url);
   } catch (error) {
     console.error("Lumia Injector Error:", error);
     const statusDiv = document.getElementById("lumia-book-status");
@@ -356,12 +478,14 @@ export async function fetchWorldBook(url) {
 /**
  * Import a pack from data, automatically detecting format
  * Supports both native Lumiverse format and World Book format
+ * Only reached through reviewAndImportPack(), which merges into existing packs instead.
  * @param {Object} data - The pack/world book data
  * @param {string} sourceName - Name/identifier for the source
  * @param {boolean} isURL - Whether the source was a URL
+ * @param {string|null} sourceUrl - Full source URL (defaults to sourceName for URL imports)
  * @returns {Object|null} The imported pack or null on failure
  */
-export function importPack(data, sourceName, isURL = false) {
+function importPack(data, sourceName, isURL = false, sourceUrl = null) {
   const settings = getSettings();
 
   // Detect format: native Lumiverse format has lumiaItems or loomItems arrays
@@ -369,14 +493,9 @@ export function importPack(data, sourceName, isURL = false) {
     // Native Lumiverse format - import directly
     console.log(`[${MODULE_NAME}] Importing native format pack: ${sourceName}`);
 
-    // Check if pack exists
-    if (settings.packs[sourceName]) {
-      if (!confirm(`Pack "${sourceName}" already exists. Overwrite?`)) {
-        return null;
-      }
-    }
+    const existing = settings.packs[sourceName];
 
-    settings.packs[sourceName] = {
+    const pack = {
       packName: data.packName || sourceName,
       packAuthor: data.packAuthor || null,
       coverUrl: data.coverUrl || null,
@@ -386,8 +505,14 @@ export function importPack(data, sourceName, isURL = false) {
       loomItems: data.loomItems || [],
       // Internal tracking - local uploads are custom (editable), URL imports are not
       isCustom: !isURL,
-      url: isURL ? sourceName : "",
+      url: isURL ? sourceUrl || sourceName : "",
+      // Merge base for future re-imports
+      upstreamHashes: computeUpstreamHashes(data),
     };
+    // Overwriting keeps item IDs so selections and presets stay attached
+    inheritItemIds(pack, existing);
+    settings.packs[sourceName] = pack;
+    refreshItemIdentity();
 
     saveSettings();
 
@@ -400,5 +525,122 @@ export function importPack(data, sourceName, isURL = false) {
   }
 
   // World Book format or raw entries array - use existing handler
-  return handleNewBook(data, sourceName, isURL);
+  return handleNewBook(data, sourceName, isURL, sourceUrl);
+}
+
+/**
+ * Merge a re-imported pack into the stored pack with the same name.
+ * Each item is classified against the original import and the user picks
+ * which side to keep, so local edits survive new upstream versions.
+ * @param {Object} data - Native pack or World Book data
+ * @param {string} sourceName - Name of the stored pack
+ * @returns {Promise<Object|null>} The merged pack or null if cancelled
+ */
+async function mergeIntoExistingPack(data, sourceName) {
+  const settings = getSettings();
+  const localPack = settings.packs[sourceName];
+
+  const incomingPack =
+    data.lumiaItems || data.loomItems
+      ? {
+          packName: data.packName || sourceName,
+          packAuthor: data.packAuthor || null,
+          coverUrl: data.coverUrl || null,
+          version: data.version || 1,
+          packExtras: data.packExtras || [],
+          lumiaItems: data.lumiaItems || [],
+          loomItems: data.loomItems || [],
+        }
+      : worldBookToPack(data, sourceName);
+
+  const plan = buildMergePlan(localPack, incomingPack);
+  const result = await requestMergeReview(plan, sourceName);
+
+  if (!result || result === "cancel") {
+    toastr.info(`Import of "${sourceName}" cancelled.`);
+    return null;
+  }
+
+  const merged = applyMergePlan(localPack, incomingPack, plan, result.choices);
+  settings.packs[sourceName] = merged;
+  refreshItemIdentity();
+  saveSettings();
+
+  toastr.success(
+    `Pack "${sourceName}" merged (${merged.lumiaItems.length} Lumia, ${merged.loomItems.length} Loom).`,
+  );
+
+  return merged;
+}
+
+/**
+ * Validate pack data and import it, asking the user how to proceed when the
+ * validator finds problems. "fix" imports a repaired copy containing only the
+ * valid items; "import" imports the data as-is; "cancel" aborts.
+ * Packs that already exist are merged item by item rather than overwritten.
+ * @param {Object} data - The pack/world book data
+ * @param {string} sourceName - Name/identifier for the source
+ * @param {boolean} isURL - Whether the source was a URL
+ * @param {string|null} sourceUrl - Full source URL (defaults to sourceName for URL imports)
+ * @returns {Promise<Object|null>} The imported pack or null if cancelled
+ */
+export async function reviewAndImportPack(data, sourceName, isURL = false, sourceUrl = null) {
+  const report = validatePackData(data);
+
+  if (report.format === "unknown") {
+    toastr.error(`"${sourceName}" is not a Lumiverse pack or World Book.`);
+    return null;
+  }
+
+  const packData = report.errors.length === 0 && report.warnings.length === 0
+    ? data
+    : await resolveValidationIssues(data, report, sourceName);
+  if (!packData) return null;
+
+  // Re-importing over an existing pack merges item by item instead of overwriting.
+  // Stored packs may still be manifests, so wait for their content first; one
+  // whose content isn't in this browser has nothing to merge with.
+  if (getSettings().packs[sourceName]) {
+    await whenPackLibraryLoaded();
+    if (isPackLoaded(getSettings().packs[sourceName])) {
+      return mergeIntoExistingPack(packData, sourceName);
+    }
+    toastr.warning(`Pack "${sourceName}" has no content in this browser to merge with; replacing it.`);
+  }
+
+  return importPack(packData, sourceName, isURL, sourceUrl);
+}
+
+/**
+ * Show the validation report and return the data to import based on the user's choice
+ * @param {Object} data - The pack/world book data
+ * @param {Object} report - Report from validatePackData()
+ * @param {string} sourceName - Name/identifier for the source
+ * @returns {Promise<Object|null>} Data to import (possibly repaired), or null if cancelled
+ */
+async function resolveValidationIssues(data, report, sourceName) {
+  console.warn(
+    `[${MODULE_NAME}] Validation of "${sourceName}" found ${report.errors.length} error(s), ${report.warnings.length} warning(s):`,
+    [...report.errors, ...report.warnings],
+  );
+
+  const decision = await requestImportReview(report, sourceName);
+
+  if (decision === "cancel") {
+    toastr.info(`Import of "${sourceName}" cancelled.`);
+    return null;
+  }
+
+  if (decision === "fix") {
+    // World Books are converted to the native shape first so both formats share one repair path
+    const nativeData = report.format === "native" ? data : worldBookToPack(data, sourceName);
+    const repaired = repairNativePack(nativeData);
+    if (repaired.lumiaItems.length + repaired.loomItems.length === 0) {
+      toastr.error(`No valid items left to import from "${sourceName}".`);
+      return null;
+    }
+    return repaired;
+  }
+
+  return data;
 }
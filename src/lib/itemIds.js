@@ -0,0 +1,277 @@
+/**
+ * Item ID Module
+ * Stable per-item UUIDs and ID-based references.
+ *
+ * Every Lumia and Loom item carries an `id`. References (selections, presets,
+ * council members) keep their `{ packName, itemName }` pair for display and as a
+ * fallback, plus an `itemId`. reconcileReferences() follows IDs so renamed items
+ * keep their references, and reports references that no longer resolve.
+ *
+ * These helpers are pure (they take the settings object) so settingsManager can
+ * use them during migration without a circular import.
+ */
+
+/**
+ * Generate a new item ID
+ * @returns {string} UUID
+ */
+export function generateItemId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  // Fallback for non-secure contexts (plain http on a LAN address)
+  return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === "x" ? r : (r & 0x3) | 0x8).toString(16);
+  });
+}
+
+function getItemName(item) {
+  return item.lumiaName || item.lumiaDefName || item.loomName || item.name;
+}
+
+function getPackItems(pack) {
+  return [...(pack.lumiaItems || []), ...(pack.loomItems || []), ...(pack.items || [])];
+}
+
+/**
+ * Give every item in a pack an ID (items that already have one keep it)
+ * @param {Object} pack - Pack to update in place
+ * @returns {number} Number of IDs assigned
+ */
+export function assignItemIds(pack) {
+  let assigned = 0;
+  for (const item of getPackItems(pack)) {
+    if (!item.id) {
+      item.id = generateItemId();
+      assigned++;
+    }
+  }
+  return assigned;
+}
+
+/**
+ * Carry item IDs over from the stored copy of a pack to a replacement copy.
+ * Items are matched by ID first (exports include IDs), then by name.
+ * Unmatched items get fresh IDs.
+ * @param {Object} newPack - Replacement pack (updated in place)
+ * @param {Object|null} oldPack - Stored pack being replaced
+ */
+export function inheritItemIds(newPack, oldPack) {
+  if (oldPack) {
+    const oldIds = new Set(getPackItems(oldPack).map((item) => item.id).filter(Boolean));
+    const idsByName = new Map(getPackItems(oldPack).map((item) => [getItemName(item), item.id]));
+    for (const item of getPackItems(newPack)) {
+      if (item.id && oldIds.has(item.id)) continue;
+      const inherited = idsByName.get(getItemName(item));
+      if (inherited) item.id = inherited;
+    }
+  }
+  assignItemIds(newPack);
+}
+
+/**
+ * Find an item in a pack by ID
+ * @param {Object} pack - Pack to search
+ * @param {string} id - Item ID
+ * @returns {Object|null} The item or null
+ */
+export function findItemById(pack, id) {
+  if (!pack || !id) return null;
+  return getPackItems(pack).find((item) => item.id === id) || null;
+}
+
+/**
+ * Visit every item reference in settings: current selections, Chimera and
+ * Council configuration, and the same inside every preset.
+ * @param {Object} settings - Extension settings
+ * @param {Function} visit - Called with (ref, location)
+ * @param {boolean} [includePresets=true] - Also visit references inside presets
+ */
+function forEachReference(settings, visit, includePresets = true) {
+  const visitConfig = (config, prefix) => {
+    const single = (ref, label) => ref && typeof ref === "object" && visit(ref, `${prefix}${label}`);
+    const list = (refs, label) => (refs || []).forEach((ref) => single(ref, label));
+
+    single(config.selectedDefinition, "Definition");
+    list(config.selectedDefinitions, "Chimera definition");
+    list(config.selectedBehaviors, "Behavior");
+    list(config.selectedPersonalities, "Personality");
+    single(config.dominantBehavior, "Dominant behavior");
+    single(config.dominantPersonality, "Dominant personality");
+    list(config.selectedLoomStyle, "Narrative Style");
+    list(config.selectedLoomUtils, "Loom Utility");
+    list(config.selectedLoomRetrofits, "Retrofit");
+
+    (config.councilMembers || []).forEach((member) => {
+      single(member, "Council member");
+      list(member.behaviors, "Council member behavior");
+      list(member.personalities, "Council member personality");
+      single(member.dominantBehavior, "Council member dominant behavior");
+      single(member.dominantPersonality, "Council member dominant personality");
+    });
+  };
+
+  visitConfig(settings, "");
+  if (!includePresets) return;
+  for (const preset of Object.values(settings.presets || {})) {
+    visitConfig(preset, `Preset "${preset.name}": `);
+  }
+}
+
+/**
+ * Whether a reference points into a pack whose content hasn't been loaded from
+ * pack storage yet - such references can't be checked and are left alone
+ */
+function isPending(settings, ref) {
+  return !!settings.packs?.[ref.packName]?.contentStored;
+}
+
+/**
+ * Resolve a reference to its current pack key and item
+ * @returns {{packName: string, item: Object}|null}
+ */
+function resolveReference(settings, ref, globalIndex) {
+  const pack = settings.packs?.[ref.packName];
+
+  if (ref.itemId) {
+    const item = findItemById(pack, ref.itemId);
+    if (item) return { packName: ref.packName, item };
+  }
+
+  // Name fallback - references from before IDs, or packs re-imported with fresh IDs
+  if (pack && ref.itemName) {
+    const item = getPackItems(pack).find((candidate) => getItemName(candidate) === ref.itemName);
+    if (item) return { packName: ref.packName, item };
+  }
+
+  // The item moved to another pack (e.g. the pack was renamed)
+  if (ref.itemId && globalIndex.has(ref.itemId)) {
+    return globalIndex.get(ref.itemId);
+  }
+
+  return null;
+}
+
+function buildGlobalIndex(settings) {
+  const index = new Map();
+  for (const [packName, pack] of Object.entries(settings.packs || {})) {
+    for (const item of getPackItems(pack)) {
+      if (item.id && !index.has(item.id)) index.set(item.id, { packName, item });
+    }
+  }
+  return index;
+}
+
+/**
+ * Update references to follow their items by ID: renamed items update the
+ * stored names, references without an ID get one.
+ * @param {Object} settings - Extension settings (updated in place)
+ * @returns {{changed: boolean, dangling: Array<{location: string, packName: string, itemName: string}>}}
+ */
+export function reconcileReferences(settings) {
+  const globalIndex = buildGlobalIndex(settings);
+  const dangling = [];
+  let changed = false;
+
+  forEachReference(settings, (ref, location) => {
+    if (isPending(settings, ref)) return;
+    const resolved = resolveReference(settings, ref, globalIndex);
+    if (!resolved) {
+      dangling.push({ location, packName: ref.packName, itemName: ref.itemName });
+      return;
+    }
+
+    const itemName = getItemName(resolved.item);
+    if (ref.packName !== resolved.packName || ref.itemName !== itemName || ref.itemId !== resolved.item.id) {
+      ref.packName = resolved.packName;
+      ref.itemName = itemName;
+      ref.itemId = resolved.item.id;
+      changed = true;
+    }
+  });
+
+  return { changed, dangling };
+}
+
+/**
+ * List references that no longer point at an existing item (read-only)
+ * @param {Object} settings - Extension settings
+ * @returns {Array<{location: string, packName: string, itemName: string}>}
+ */
+export function findDanglingReferences(settings) {
+  const globalIndex = buildGlobalIndex(settings);
+  const dangling = [];
+  forEachReference(settings, (ref, location) => {
+    if (!isPending(settings, ref) && !resolveReference(settings, ref, globalIndex)) {
+      dangling.push({ location, packName: ref.packName, itemName: ref.itemName });
+    }
+  });
+  return dangling;
+}
+
+/**
+ * Remove references that no longer resolve. Council members whose Lumia is gone are removed entirely.
+ * @param {Object} settings - Extension settings (updated in place)
+ * @returns {number} Number of references removed
+ */
+export function removeDanglingReferences(settings) {
+  const globalIndex = buildGlobalIndex(settings);
+  const isDangling = (ref) =>
+    ref && typeof ref === "object" && !isPending(settings, ref) && !resolveReference(settings, ref, globalIndex);
+  let removed = 0;
+
+  const pruneList = (list) => {
+    const kept = (list || []).filter((ref) => !isDangling(ref));
+    removed += (list || []).length - kept.length;
+    return kept;
+  };
+  const pruneSingle = (ref) => {
+    if (!isDangling(ref)) return ref;
+    removed++;
+    return null;
+  };
+
+  const pruneConfig = (config) => {
+    if ("selectedDefinition" in config) config.selectedDefinition = pruneSingle(config.selectedDefinition);
+    if ("dominantBehavior" in config) config.dominantBehavior = pruneSingle(config.dominantBehavior);
+    if ("dominantPersonality" in config) config.dominantPersonality = pruneSingle(config.dominantPersonality);
+    for (const key of [
+      "selectedDefinitions",
+      "selectedBehaviors",
+      "selectedPersonalities",
+      "selectedLoomStyle",
+      "selectedLoomUtils",
+      "selectedLoomRetrofits",
+    ]) {
+      if (Array.isArray(config[key])) config[key] = pruneList(config[key]);
+    }
+    if (Array.isArray(config.councilMembers)) {
+      config.councilMembers = pruneList(config.councilMembers);
+      for (const member of config.councilMembers) {
+        member.behaviors = pruneList(member.behaviors);
+        member.personalities = pruneList(member.personalities);
+        member.dominantBehavior = pruneSingle(member.dominantBehavior);
+        member.dominantPersonality = pruneSingle(member.dominantPersonality);
+      }
+    }
+  };
+
+  pruneConfig(settings);
+  for (const preset of Object.values(settings.presets || {})) {
+    pruneConfig(preset);
+  }
+
+  return removed;
+}
+
+/**
+ * Names of the packs the current configuration (not presets) draws items from
+ * @param {Object} settings - Extension settings
+ * @returns {Set<string>} Pack keys
+ */
+export function getReferencedPackNames(settings) {
+  const names = new Set();
+  forEachReference(settings, (ref) => ref.packName && names.add(ref.packName), false);
+  return names;
+}
@@ -0,0 +1,301 @@
+/**
+ * Loom Expression Module
+ * Parses and evaluates the boolean expressions used by {{loomIf expr="..."}}.
+ *
+ * Grammar (lowest to highest precedence):
+ *   or         := and (("||" | "or") and)*
+ *   and        := not (("&&" | "and") not)*
+ *   not        := ("!" | "not") not | comparison
+ *   comparison := value (("==" | "!=" | ">" | "<" | ">=" | "<=" | "contains" | "matches") value)?
+ *   value      := 'string' | "string" | number | true | false | /regex/flags | identifier | "(" or ")"
+ *
+ * Identifiers name macros: `lumiaBehavior.len` is the value of {{lumiaBehavior .len}}.
+ * Values are strings. Comparisons are numeric when both sides are numbers.
+ * A value is true unless it is empty, "0", "false" or "no".
+ */
+
+const KEYWORDS = {
+  and: "&&",
+  or: "||",
+  not: "!",
+  contains: "contains",
+  matches: "matches",
+};
+
+const COMPARISON_OPERATORS = ["==", "!=", ">", "<", ">=", "<=", "contains", "matches"];
+
+/**
+ * Whether an expression value counts as true
+ * @param {string} value - Evaluated value
+ * @returns {boolean}
+ */
+export function isTruthy(value) {
+  const normalized = String(value ?? "").trim().toLowerCase();
+  return normalized !== "" && normalized !== "0" && normalized !== "false" && normalized !== "no";
+}
+
+function fail(message, source, position) {
+  return new Error(`${message} at position ${position + 1} in "${source}"`);
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression text
+ * @returns {Array<{type: string, value: *, position: number}>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === "(" || char === ")") {
+      tokens.push({ type: char, value: char, position: start });
+      i++;
+      continue;
+    }
+
+    const operator = ["&&", "||", "==", "!=", ">=", "<="].find((op) => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: "op", value: operator, position: start });
+      i += 2;
+      continue;
+    }
+    if (char === ">" || char === "<" || char === "!") {
+      tokens.push({ type: "op", value: char, position: start });
+      i++;
+      continue;
+    }
+
+    if (char === "'" || char === '"') {
+      let value = "";
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === "\\" && i + 1 < source.length) i++;
+        value += source[i++];
+      }
+      if (i >= source.length) throw fail("Unterminated string", source, start);
+      i++;
+      tokens.push({ type: "literal", value, position: start });
+      continue;
+    }
+
+    // Regex literals are only valid right after "matches"
+    if (char === "/" && tokens[tokens.length - 1]?.value === "matches") {
+      let pattern = "";
+      i++;
+      while (i < source.length && source[i] !== "/") {
+        if (source[i] === "\\" && i + 1 < source.length) pattern += source[i++];
+        pattern += source[i++];
+      }
+      if (i >= source.length) throw fail("Unterminated regular expression", source, start);
+      i++;
+      const flags = source.slice(i).match(/^[a-z]*/)[0];
+      i += flags.length;
+      try {
+        // "g" and "y" make test() stateful (lastIndex), so the same expression could flip between calls
+        tokens.push({ type: "regex", value: new RegExp(pattern, flags.replace(/[gy]/g, "")), position: start });
+      } catch (error) {
+        throw fail(`Invalid regular expression /${pattern}/${flags}`, source, start);
+      }
+      continue;
+    }
+
+    const number = source.slice(i).match(/^-?\d+(\.\d+)?/);
+    if (number) {
+      tokens.push({ type: "literal", value: number[0], position: start });
+      i += number[0].length;
+      continue;
+    }
+
+    const word = source.slice(i).match(/^[A-Za-z_][\w.]*/);
+    if (word) {
+      const lower = word[0].toLowerCase();
+      if (KEYWORDS[lower]) {
+        tokens.push({ type: "op", value: KEYWORDS[lower], position: start });
+      } else if (lower === "true" || lower === "false") {
+        tokens.push({ type: "literal", value: lower, position: start });
+      } else {
+        tokens.push({ type: "ident", value: word[0], position: start });
+      }
+      i += word[0].length;
+      continue;
+    }
+
+    throw fail(`Unexpected character "${char}"`, source, start);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} source - Expression text
+ * @returns {Object} Root node
+ * @throws {Error} With a message pointing at the problem when the expression is malformed
+ */
+export function parseExpression(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) => (token ? `"${token.value}"` : "end of expression");
+  const expectValue = () => {
+    const token = peek();
+    throw fail(`Expected a value but found ${describe(token)}`, source, token ? token.position : source.length);
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek()?.value === "||") {
+      index++;
+      node = { type: "or", left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (peek()?.value === "&&") {
+      index++;
+      node = { type: "and", left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (peek()?.value === "!") {
+      index++;
+      return { type: "not", operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseValue();
+    const token = peek();
+    if (token?.type === "op" && COMPARISON_OPERATORS.includes(token.value)) {
+      index++;
+      const right = parseValue();
+      if (token.value === "matches" && right.type !== "regex" && right.type !== "literal") {
+        throw fail('"matches" needs a /regex/ or a quoted pattern', source, token.position);
+      }
+      if (token.value === "matches" && right.type === "literal") {
+        // Compiled here so a bad pattern is a parse error rather than a throw while rendering
+        try {
+          return { type: "compare", op: token.value, left, right: { type: "regex", value: new RegExp(right.value) } };
+        } catch (error) {
+          throw fail(`Invalid regular expression '${right.value}'`, source, token.position);
+        }
+      }
+      return { type: "compare", op: token.value, left, right };
+    }
+    return left;
+  };
+
+  const parseValue = () => {
+    const token = peek();
+    if (!token) return expectValue();
+
+    if (token.type === "(") {
+      index++;
+      const node = parseOr();
+      if (peek()?.type !== ")") {
+        throw fail(`Expected ")" but found ${describe(peek())}`, source, peek()?.position ?? source.length);
+      }
+      index++;
+      return node;
+    }
+    if (token.type === "literal" || token.type === "ident" || token.type === "regex") {
+      index++;
+      return { type: token.type, value: token.value };
+    }
+    return expectValue();
+  };
+
+  if (tokens.length === 0) throw fail("Empty expression", source, 0);
+  const root = parseOr();
+  if (index < tokens.length) {
+    throw fail(`Unexpected ${describe(peek())}`, source, peek().position);
+  }
+  return root;
+}
+
+/**
+ * Read a value as a number ("2.50", "1e3", " 4 "); NaN when it isn't one
+ * @param {string} value
+ * @returns {number}
+ */
+function toNumber(value) {
+  return value.trim() === "" ? NaN : Number(value);
+}
+
+function compare(op, left, right) {
+  if (op === "contains") return left.includes(right);
+  // Patterns are compiled by the parser
+  if (op === "matches") return right instanceof RegExp && right.test(left);
+
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  const numeric = Number.isFinite(leftNumber) && Number.isFinite(rightNumber);
+  const a = numeric ? leftNumber : left;
+  const b = numeric ? rightNumber : right;
+
+  switch (op) {
+    case "==":
+      return a === b;
+    case "!=":
+      return a !== b;
+    case ">":
+      return a > b;
+    case "<":
+      return a < b;
+    case ">=":
+      return a >= b;
+    case "<=":
+      return a <= b;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Evaluate a parsed expression
+ * @param {Object} node - From parseExpression()
+ * @param {Function} resolve - Returns the string value of an identifier
+ * @returns {boolean}
+ */
+export function evaluateExpression(node, resolve) {
+  const value = (n) => {
+    switch (n.type) {
+      case "literal":
+        return n.value;
+      case "regex":
+        return n.value;
+      case "ident":
+        return String(resolve(n.value) ?? "");
+      default:
+        return evaluateExpression(n, resolve) ? "true" : "false";
+    }
+  };
+
+  switch (node.type) {
+    case "or":
+      return evaluateExpression(node.left, resolve) || evaluateExpression(node.right, resolve);
+    case "and":
+      return evaluateExpression(node.left, resolve) && evaluateExpression(node.right, resolve);
+    case "not":
+      return !evaluateExpression(node.operand, resolve);
+    case "compare":
+      return compare(node.op, value(node.left), value(node.right));
+    default:
+      return isTruthy(value(node));
+  }
+}
@@ -3,12 +3,14 @@
  * Handles Loom conditionals, summary capture, and summary display
  */
 
-import { getContext } from "../stContext.js";
+import { getContext, getSubstituteParams } from "../stContext.js";
 import {
   MODULE_NAME,
   LOOM_SUMMARY_KEY,
   getSettings,
 } from "./settingsManager.js";
+import { parseExpression, evaluateExpression } from "./loomExpression.js";
+import { SUMMARY_SECTIONS, findSummarySection, getSummarySection } from "./summarySections.js";
 
 // Store the last user message content for the macro and interceptor
 let lastUserMessageContent = "";
@@ -167,101 +169,230 @@ export function getCharacterName() {
     "the character";
 }
 
+// Matches {{loomIf ...}}, {{loomElseIf ...}}, {{loomElse}} and {{/loomIf}}.
+// Attribute values are quoted, so a "}" inside an expression doesn't end the tag.
+const LOOM_TAG_REGEX = /\{\{(loomIf|loomElseIf)\b((?:[^}"]|"[^"]*")*)\}\}|\{\{(loomElse|\/loomIf)\}\}/g;
+
+// Legacy comparison attributes: {{loomIf condition="a" equals="b"}}
+const LEGACY_OPERATORS = ["equals", "notEquals", "contains", "gt", "lt", "gte", "lte"];
+
+// Pack content is conditional too, so resolving a macro can evaluate further
+// {{loomIf}} blocks - e.g. a definition whose condition reads {{lumiaDef}}.
+// Past this depth identifiers resolve to "" instead of recursing forever.
+const MAX_RESOLVE_DEPTH = 5;
+let resolveDepth = 0;
+
+/**
+ * Evaluate the legacy condition="..." form
+ */
+function evaluateLegacyCondition(condition, operator, compareValue) {
+  const conditionTrimmed = condition.trim();
+  if (!operator) {
+    // Truthiness check - non-empty string is true
+    return conditionTrimmed.length > 0;
+  }
+
+  const compareTrimmed = (compareValue || "").trim();
+  switch (operator) {
+    case "equals":
+      return conditionTrimmed === compareTrimmed;
+    case "notEquals":
+      return conditionTrimmed !== compareTrimmed;
+    case "contains":
+      return conditionTrimmed.includes(compareTrimmed);
+    case "gt":
+      return parseFloat(conditionTrimmed) > parseFloat(compareTrimmed);
+    case "lt":
+      return parseFloat(conditionTrimmed) < parseFloat(compareTrimmed);
+    case "gte":
+      return parseFloat(conditionTrimmed) >= parseFloat(compareTrimmed);
+    case "lte":
+      return parseFloat(conditionTrimmed) <= parseFloat(compareTrimmed);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Build the resolver for expression identifiers: `lumiaBehavior.len` is the
+ * value of {{lumiaBehavior .len}}. Unknown macros resolve to "". Values are
+ * cached so a macro used by several conditions is only expanded once.
+ */
+function createMacroResolver() {
+  const substituteParams = getSubstituteParams();
+  const cache = new Map();
+
+  return (identifier) => {
+    if (cache.has(identifier)) return cache.get(identifier);
+
+    const dot = identifier.indexOf(".");
+    const macro = dot === -1
+      ? `{{${identifier}}}`
+      : `{{${identifier.slice(0, dot)} ${identifier.slice(dot)}}}`;
+    let value = "";
+    if (resolveDepth >= MAX_RESOLVE_DEPTH) {
+      console.warn(`[${MODULE_NAME}] loomIf: Nesting depth limit (${MAX_RESOLVE_DEPTH}) reached resolving "${identifier}" - treating it as empty`);
+      return value;
+    }
+    resolveDepth++;
+    try {
+      const result = substituteParams(macro);
+      value = result === macro ? "" : String(result ?? "").trim();
+    } catch (error) {
+      console.warn(`[${MODULE_NAME}] loomIf: Could not resolve "${identifier}":`, error);
+    } finally {
+      resolveDepth--;
+    }
+
+    cache.set(identifier, value);
+    return value;
+  };
+}
+
+/**
+ * Expand the macros in a legacy attribute value. Pack content reaches the
+ * conditionals with its macros still written out, so condition="{{x}}" would
+ * otherwise always be a non-empty string.
+ */
+function expandLegacyValue(value) {
+  if (!value || !value.includes("{{")) return value;
+  if (resolveDepth >= MAX_RESOLVE_DEPTH) {
+    console.warn(`[${MODULE_NAME}] loomIf: Nesting depth limit (${MAX_RESOLVE_DEPTH}) reached expanding "${value}" - treating it as empty`);
+    return "";
+  }
+  resolveDepth++;
+  try {
+    return String(getSubstituteParams()(value) ?? "");
+  } catch (error) {
+    console.warn(`[${MODULE_NAME}] loomIf: Could not expand "${value}":`, error);
+    return "";
+  } finally {
+    resolveDepth--;
+  }
+}
+
+/**
+ * Turn a {{loomIf}}/{{loomElseIf}} tag's attributes into a test function
+ * @throws {Error} When the tag has no condition or its expression doesn't parse
+ */
+function compileCondition(tagName, attributeText, resolve, fillAttribute) {
+  const attributes = {};
+  for (const [, key, value] of attributeText.matchAll(/(\w+)="([^"]*)"/g)) {
+    attributes[key] = fillAttribute ? fillAttribute(value) : value;
+  }
+
+  if (attributes.expr !== undefined) {
+    const tree = parseExpression(attributes.expr);
+    return () => evaluateExpression(tree, resolve);
+  }
+  if (attributes.condition !== undefined) {
+    const operator = LEGACY_OPERATORS.find((op) => attributes[op] !== undefined);
+    return () => evaluateLegacyCondition(
+      expandLegacyValue(attributes.condition),
+      operator,
+      expandLegacyValue(attributes[operator]),
+    );
+  }
+  throw new Error(`{{${tagName}}} needs expr="..." or condition="..."`);
+}
+
+function renderParts(parts) {
+  return parts.map((part) => (typeof part === "string" ? part : renderBlock(part))).join("");
+}
+
+function renderBlock(block) {
+  // Unclosed blocks are left as written
+  if (!block.closed) {
+    return block.branches.map((branch) => branch.tag + renderParts(branch.parts)).join("");
+  }
+  const branch = block.branches.find((candidate) => !candidate.test || candidate.test());
+  return branch ? renderParts(branch.parts) : "";
+}
+
 /**
  * Process loomIf conditional blocks in content
- * Supports:
- *   - Truthiness: {{loomIf condition="value"}} - true if non-empty
- *   - Equality: {{loomIf condition="a" equals="b"}} - true if a === b
- *   - Not equals: {{loomIf condition="a" notEquals="b"}} - true if a !== b
- *   - Contains: {{loomIf condition="haystack" contains="needle"}} - true if haystack includes needle
- *   - Greater than: {{loomIf condition="5" gt="3"}} - true if 5 > 3 (numeric)
- *   - Less than: {{loomIf condition="3" lt="5"}} - true if 3 < 5 (numeric)
- *   - Greater than or equal: {{loomIf condition="5" gte="3"}} - true if 5 >= 3
- *   - Less than or equal: {{loomIf condition="3" lte="5"}} - true if 3 <= 5
+ *
+ * Expressions:
+ *   {{loomIf expr="lumiaBehavior.len > 2 && loomStyle contains 'noir'"}}...{{/loomIf}}
+ *   Operators: && || ! (or: and, or, not), == != > < >= <=, contains, matches /regex/flags.
+ *   Identifiers are macros (`lumiaBehavior.len` = {{lumiaBehavior .len}}); strings
+ *   take single quotes. See loomExpression.js for the grammar.
+ *
+ * Legacy form (still supported):
+ *   {{loomIf condition="value"}} - true if non-empty
+ *   {{loomIf condition="a" equals="b"}} - also notEquals, contains, gt, lt, gte, lte
+ *
+ * Blocks nest and may chain {{loomElseIf ...}} branches before an optional {{loomElse}}.
+ * A condition that doesn't parse counts as false; unclosed or stray tags are left
+ * in the text. Both are reported through `errors`.
  *
  * @param {string} content - The content to process
+ * @param {string[]|null} [errors] - Collects error messages; logged to the console when omitted
+ * @param {Function|null} [fillAttribute] - Applied to each condition attribute value
+ *   before it is evaluated (scaffold templates fill their placeholders here)
  * @returns {string} - Content with conditionals evaluated
  */
-export function processLoomConditionals(content) {
+export function processLoomConditionals(content, errors = null, fillAttribute = null) {
   if (!content || typeof content !== "string") return content;
 
   // Quick check - if no loomIf, skip processing
   if (!content.includes("{{loomIf")) return content;
 
-  let processed = content;
-  let iterations = 0;
-  const maxIterations = 50; // Prevent infinite loops, allow for nested conditionals
-
-  // Regex to match loomIf blocks (non-greedy, handles nested by processing innermost first)
-  // This pattern matches the innermost {{loomIf}}...{{/loomIf}} blocks first
-  const loomIfRegex =
-    /\{\{loomIf\s+condition="([^"]*)"(?:\s+(equals|notEquals|contains|gt|lt|gte|lte)="([^"]*)")?\s*\}\}([\s\S]*?)\{\{\/loomIf\}\}/;
-
-  while (loomIfRegex.test(processed) && iterations < maxIterations) {
-    processed = processed.replace(
-      loomIfRegex,
-      (match, condition, operator, compareValue, innerContent) => {
-        // Split inner content into if/else parts
-        const elseSplit = innerContent.split(/\{\{loomElse\}\}/);
-        const ifContent = elseSplit[0] || "";
-        const elseContent = elseSplit[1] || "";
-
-        // Evaluate the condition
-        let result = false;
-        const conditionTrimmed = condition.trim();
-
-        if (!operator) {
-          // Truthiness check - non-empty string is true
-          result = conditionTrimmed.length > 0;
-        } else {
-          const compareTrimmed = (compareValue || "").trim();
-
-          switch (operator) {
-            case "equals":
-              result = conditionTrimmed === compareTrimmed;
-              break;
-            case "notEquals":
-              result = conditionTrimmed !== compareTrimmed;
-              break;
-            case "contains":
-              result = conditionTrimmed.includes(compareTrimmed);
-              break;
-            case "gt":
-              result =
-                parseFloat(conditionTrimmed) > parseFloat(compareTrimmed);
-              break;
-            case "lt":
-              result =
-                parseFloat(conditionTrimmed) < parseFloat(compareTrimmed);
-              break;
-            case "gte":
-              result =
-                parseFloat(conditionTrimmed) >= parseFloat(compareTrimmed);
-              break;
-            case "lte":
-              result =
-                parseFloat(conditionTrimmed) <= parseFloat(compareTrimmed);
-              break;
-            default:
-              result = false;
-          }
-        }
-
-        // Return the appropriate content based on result
-        return result ? ifContent : elseContent;
-      },
-    );
+  const report = (message) => {
+    if (errors) {
+      errors.push(message);
+    } else {
+      console.warn(`[${MODULE_NAME}] loomIf: ${message}`);
+    }
+  };
+
+  const resolve = createMacroResolver();
+  const root = [];
+  const stack = [];
+  const currentParts = () => (stack.length > 0 ? stack[stack.length - 1].branches.at(-1).parts : root);
+  let lastIndex = 0;
+
+  for (const match of content.matchAll(LOOM_TAG_REGEX)) {
+    const [tag, conditionTag, attributeText, plainTag] = match;
+    currentParts().push(content.slice(lastIndex, match.index));
+    lastIndex = match.index + tag.length;
+
+    let test = null;
+    if (conditionTag) {
+      try {
+        test = compileCondition(conditionTag, attributeText, resolve, fillAttribute);
+      } catch (error) {
+        report(error.message);
+        test = () => false;
+      }
+    }
 
-    iterations++;
+    const block = stack[stack.length - 1];
+    if (conditionTag === "loomIf") {
+      const opened = { closed: false, hasElse: false, branches: [{ tag, test, parts: [] }] };
+      currentParts().push(opened);
+      stack.push(opened);
+    } else if (!block) {
+      report(`${tag} without a matching {{loomIf}}`);
+      currentParts().push(tag);
+    } else if (plainTag === "/loomIf") {
+      block.closed = true;
+      stack.pop();
+    } else if (block.hasElse) {
+      report(`${tag} after {{loomElse}}`);
+      currentParts().push(tag);
+    } else {
+      block.hasElse = plainTag === "loomElse";
+      block.branches.push({ tag, test, parts: [] });
+    }
   }
+  currentParts().push(content.slice(lastIndex));
 
-  if (iterations >= maxIterations) {
-    console.warn(
-      `[${MODULE_NAME}] loomIf processing hit max iterations - possible malformed conditionals`,
-    );
+  if (stack.length > 0) {
+    report(`${stack.length} {{loomIf}} block(s) missing {{/loomIf}}`);
   }
 
-  return processed;
+  return renderParts(root);
 }
 
 /**
@@ -349,14 +480,34 @@ export function registerLoomMacros(MacrosParser) {
   console.log("[LumiverseHelper] Registering Loom macros (Macros 2.0 format)...");
 
   // Register loomSummary macro - injects the stored summary
+  // {{loomSummary .focused}} returns just that section's body
   MacrosParser.registerMacro("loomSummary", {
-    handler: () => {
-      return getLoomSummary();
+    handler: (namedArgs) => {
+      const rawArg = namedArgs?._raw || namedArgs?.[0] || "";
+      const sectionName = typeof rawArg === "string" ? rawArg.trim().replace(/^\./, "") : "";
+      if (!sectionName) return getLoomSummary();
+
+      if (!findSummarySection(sectionName)) {
+        console.warn(
+          `[${MODULE_NAME}] loomSummary: Unknown section "${sectionName}", expected .${SUMMARY_SECTIONS.map((section) => section.key).join(", .")}`,
+        );
+        return "";
+      }
+      return getSummarySection(getLoomSummary(), sectionName);
     },
-    description: "Returns the stored Loom summary from chat metadata, captured from the most recent <loom_sum> block.",
-    returns: "Summary text or empty string if no summary exists",
+    description: "Returns the stored Loom summary from chat metadata, captured from the most recent <loom_sum> block. Add a section to get only that part.",
+    returns: "Summary text (or one section of it) or empty string if no summary exists",
     returnType: "string",
-    exampleUsage: ["{{loomSummary}}"],
+    unnamedArgs: [
+      {
+        name: "section",
+        optional: true,
+        type: "string",
+        description: `Section: .${SUMMARY_SECTIONS.map((section) => section.key).join(", .")}`,
+        sampleValue: ".focused",
+      },
+    ],
+    exampleUsage: ["{{loomSummary}}", "{{loomSummary .focused}}", "{{loomSummary .relationships}}"],
   });
 
   // Register loomSummaryPrompt macro - injects the summarization directive
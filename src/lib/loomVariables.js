@@ -0,0 +1,232 @@
+/**
+ * Loom Variables Module
+ * Chat-scoped variables for pack state, stored in chat metadata under
+ * LOOM_VARIABLES_KEY so they stay with the chat instead of leaking into every
+ * chat like ST's {{setvar}}.
+ *
+ * Macros:
+ *   {{loomSet mood=tense}}  - set a variable (returns "")
+ *   {{loomGet mood}}        - read a variable ("" when unset)
+ *   {{loomInc visits}}      - add 1, or {{loomInc hp -5}} (returns "")
+ *
+ * In conditions a variable is the identifier loomGet.<name>:
+ *   {{loomIf expr="loomGet.visits >= 3"}}...{{/loomIf}}
+ */
+
+import { getContext } from "../stContext.js";
+import { MODULE_NAME, LOOM_VARIABLES_KEY, isMacroDryRun } from "./settingsManager.js";
+
+// Names must also be valid expression identifiers (loomGet.<name>)
+const VARIABLE_NAME_REGEX = /^[A-Za-z_]\w*$/;
+
+/**
+ * Whether a string can be used as a variable name
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidVariableName(name) {
+  return VARIABLE_NAME_REGEX.test(name || "");
+}
+
+/**
+ * All variables of the current chat
+ * @returns {Object<string, string>} Empty when there is no chat
+ */
+export function getLoomVariables() {
+  const context = getContext();
+  return { ...(context?.chatMetadata?.[LOOM_VARIABLES_KEY] || {}) };
+}
+
+/**
+ * Write variables into the chat metadata without saving it
+ * @returns {boolean} False when there is no chat to store them in
+ */
+function storeLoomVariables(context, variables) {
+  if (!context?.chatMetadata) return false;
+
+  const cleaned = {};
+  for (const [name, value] of Object.entries(variables || {})) {
+    if (isValidVariableName(name)) cleaned[name] = String(value ?? "");
+  }
+
+  if (Object.keys(cleaned).length > 0) {
+    context.chatMetadata[LOOM_VARIABLES_KEY] = cleaned;
+  } else {
+    delete context.chatMetadata[LOOM_VARIABLES_KEY];
+  }
+  return true;
+}
+
+/**
+ * Replace all variables of the current chat. The chat metadata is saved in
+ * the background, so macros can call this while the prompt is built.
+ * @param {Object<string, string>} variables - Invalid names are dropped
+ * @returns {boolean} False when there is no chat to store them in
+ */
+export function setLoomVariables(variables) {
+  const context = getContext();
+  if (!storeLoomVariables(context, variables)) return false;
+
+  context.saveMetadata?.()?.catch?.((error) => {
+    console.warn(`[${MODULE_NAME}] Could not save loom variables:`, error);
+  });
+  return true;
+}
+
+/**
+ * Replace all variables of the current chat and wait for the save
+ * @param {Object<string, string>} variables - Invalid names are dropped
+ * @returns {Promise<boolean>} False when there is no chat to store them in
+ * @throws {Error} When the chat metadata can't be saved
+ */
+export async function saveLoomVariables(variables) {
+  const context = getContext();
+  if (!storeLoomVariables(context, variables)) return false;
+
+  await context.saveMetadata?.();
+  return true;
+}
+
+/**
+ * Read one variable
+ * @param {string} name
+ * @returns {string} "" when unset
+ */
+export function getLoomVariable(name) {
+  return getLoomVariables()[name] ?? "";
+}
+
+/**
+ * Set one variable
+ * @param {string} name
+ * @param {string} value
+ * @returns {boolean} False for an invalid name or when there is no chat
+ */
+export function setLoomVariable(name, value) {
+  if (!isValidVariableName(name)) {
+    console.warn(`[${MODULE_NAME}] loomSet: Invalid variable name "${name}"`);
+    return false;
+  }
+  const variables = getLoomVariables();
+  if (variables[name] === String(value)) return true;
+  return setLoomVariables({ ...variables, [name]: value });
+}
+
+/**
+ * Add to a numeric variable. Unset or non-numeric values count as 0.
+ * @param {string} name
+ * @param {number} [amount=1]
+ * @returns {boolean} False for an invalid name or when there is no chat
+ */
+export function incrementLoomVariable(name, amount = 1) {
+  const current = parseFloat(getLoomVariable(name)) || 0;
+  return setLoomVariable(name, String(current + amount));
+}
+
+/**
+ * Get the raw argument string of a macro call
+ * @param {Object} namedArgs - The named arguments object from macro handler
+ * @returns {string} The raw argument or empty string
+ */
+function getRawArgument(namedArgs) {
+  if (!namedArgs) return "";
+  const rawArg = namedArgs._raw || namedArgs[0] || "";
+  return typeof rawArg === "string" ? rawArg.trim() : "";
+}
+
+function unquote(value) {
+  const match = value.match(/^"([\s\S]*)"$|^'([\s\S]*)'$/);
+  return match ? (match[1] ?? match[2]) : value;
+}
+
+/**
+ * Parse the name=value assignments of a {{loomSet}} call
+ * @param {Object} namedArgs - The named arguments object from macro handler
+ * @returns {Array<[string, string]>}
+ */
+function parseAssignments(namedArgs) {
+  const raw = getRawArgument(namedArgs);
+  const match = raw.match(/^([^=\s]+)\s*=\s*([\s\S]*)$/);
+  if (match) return [[match[1], unquote(match[2].trim())]];
+
+  // Macros 2.0 may hand key=value over as named arguments instead
+  return Object.entries(namedArgs || {}).filter(
+    ([key, value]) => key !== "_raw" && !/^\d+$/.test(key) && typeof value === "string",
+  );
+}
+
+/**
+ * Register the chat variable macros with MacrosParser
+ * @param {Object} MacrosParser - The SillyTavern MacrosParser instance
+ */
+export function registerLoomVariableMacros(MacrosParser) {
+  MacrosParser.registerMacro("loomSet", {
+    handler: (namedArgs) => {
+      // Macro Inspector previews must not change the chat's variables
+      if (isMacroDryRun()) return "";
+      const assignments = parseAssignments(namedArgs);
+      if (assignments.length === 0) {
+        console.warn(`[${MODULE_NAME}] loomSet: Expected name=value, got "${getRawArgument(namedArgs)}"`);
+      }
+      assignments.forEach(([name, value]) => setLoomVariable(name, value));
+      return "";
+    },
+    description: "Sets a Lumiverse variable for the current chat. Stored in chat metadata, so other chats are unaffected.",
+    returns: "Empty string",
+    returnType: "string",
+    unnamedArgs: [
+      {
+        name: "assignment",
+        optional: false,
+        type: "string",
+        description: "name=value; quote values with spaces",
+        sampleValue: "mood=tense",
+      },
+    ],
+    exampleUsage: ["{{loomSet mood=tense}}", '{{loomSet location="the old library"}}'],
+  });
+
+  MacrosParser.registerMacro("loomGet", {
+    handler: (namedArgs) => getLoomVariable(getRawArgument(namedArgs).replace(/^\./, "")),
+    description: "Returns a Lumiverse variable of the current chat. In {{loomIf}} expressions write loomGet.name.",
+    returns: "The variable's value or empty string if unset",
+    returnType: "string",
+    unnamedArgs: [
+      {
+        name: "name",
+        optional: false,
+        type: "string",
+        description: "Variable name",
+        sampleValue: "mood",
+      },
+    ],
+    exampleUsage: ["{{loomGet mood}}"],
+  });
+
+  MacrosParser.registerMacro("loomInc", {
+    handler: (namedArgs) => {
+      if (isMacroDryRun()) return "";
+      const [name = "", amount = "1"] = getRawArgument(namedArgs).split(/\s+/);
+      const step = parseFloat(amount);
+      if (Number.isNaN(step)) {
+        console.warn(`[${MODULE_NAME}] loomInc: "${amount}" is not a number`);
+        return "";
+      }
+      incrementLoomVariable(name.replace(/^\./, ""), step);
+      return "";
+    },
+    description: "Adds to a numeric Lumiverse variable of the current chat (1 by default, or the given amount). Unset variables start at 0.",
+    returns: "Empty string",
+    returnType: "string",
+    unnamedArgs: [
+      {
+        name: "name",
+        optional: false,
+        type: "string",
+        description: "Variable name, optionally followed by the amount to add",
+        sampleValue: "visits",
+      },
+    ],
+    exampleUsage: ["{{loomInc visits}}", "{{loomInc hp -5}}"],
+  });
+}
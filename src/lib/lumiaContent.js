@@ -5,11 +5,14 @@
 
 import {
   getSettings,
-  getCurrentRandomLumia,
-  setCurrentRandomLumia,
   GENDER,
+  PRONOUN_SETS,
 } from "./settingsManager.js";
 import { getItemFromLibrary } from "./dataProcessor.js";
+import { getRandomLumia, parseRandomLumiaArgs } from "./randomLumia.js";
+import { processLoomConditionals } from "./loomSystem.js";
+import { renderScaffold, renderScaffoldMembers } from "./scaffoldTemplates.js";
+import { renderOOCPrompt } from "./oocPrompts.js";
 import { getContext } from "../stContext.js";
 
 /**
@@ -31,6 +34,7 @@ export function getLumiaField(item, field) {
     img: ["avatarUrl", "lumia_img"],
     author: ["authorName", "defAuthor"],
     gender: ["genderIdentity"], // No legacy equivalent
+    pronouns: ["customPronouns"], // Set used when genderIdentity is GENDER.CUSTOM
   };
 
   const fields = fieldMap[field];
@@ -46,22 +50,96 @@ export function getLumiaField(item, field) {
   return null;
 }
 
+/**
+ * Get the pronoun set for a Lumia: its custom set when genderIdentity is
+ * GENDER.CUSTOM, otherwise the built-in set (she/her when unknown)
+ * @param {Object} item - The Lumia item
+ * @returns {Object} { subject, object, possessive, possessivePronoun, reflexive }
+ */
+export function getLumiaPronounSet(item) {
+  const gender = getLumiaField(item, "gender") ?? GENDER.SHE_HER;
+  if (gender === GENDER.CUSTOM) {
+    // Missing forms fall back to they/them rather than a gendered guess
+    return { ...PRONOUN_SETS[GENDER.THEY_THEM], ...getLumiaField(item, "pronouns") };
+  }
+  return PRONOUN_SETS[gender] || PRONOUN_SETS[GENDER.SHE_HER];
+}
+
 /**
  * Get pronouns for a Lumia based on genderIdentity
  * @param {Object} item - The Lumia item
- * @param {string} type - Pronoun type: 'subject', 'object', 'possessive', 'reflexive'
+ * @param {string} type - Pronoun type: 'subject', 'object', 'possessive', 'possessivePronoun', 'reflexive'
  * @returns {string} The pronoun
  */
 export function getLumiaPronoun(item, type) {
-  const gender = getLumiaField(item, "gender") ?? GENDER.SHE_HER;
+  return getLumiaPronounSet(item)[type] || PRONOUN_SETS[GENDER.SHE_HER][type];
+}
 
-  const pronouns = {
-    [GENDER.SHE_HER]: { subject: "she", object: "her", possessive: "her", reflexive: "herself" },
-    [GENDER.HE_HIM]: { subject: "he", object: "him", possessive: "his", reflexive: "himself" },
-    [GENDER.THEY_THEM]: { subject: "they", object: "them", possessive: "their", reflexive: "themself" },
-  };
+/** Pronoun forms accepted by {{lumiaPn}} (lowercase, as parsed) mapped to set keys */
+const PRONOUN_MACRO_FORMS = {
+  subject: "subject",
+  object: "object",
+  possessive: "possessive",
+  possessivepronoun: "possessivePronoun",
+  reflexive: "reflexive",
+};
+
+/** Pronouns for the Council addressed as a whole */
+const GROUP_PRONOUNS = {
+  subject: "they",
+  object: "them",
+  possessive: "their",
+  possessivePronoun: "theirs",
+  reflexive: "themselves",
+};
+
+/**
+ * Resolve which Lumia a per-Lumia macro refers to.
+ * Without a selector this is the active Lumia: the selected definition, all
+ * Chimera components (one fused being) or all Council members (a group).
+ * @param {string} [selector] - 1-based index or name of a Chimera component / Council member
+ * @returns {{items: Array<Object>, group: boolean}} Resolved items; group is true for the whole Council
+ */
+export function resolveLumiaTarget(selector = "") {
+  const settings = getSettings();
+  const isCouncil = settings.councilMode && settings.councilMembers?.length > 0;
+  const isChimera = !isCouncil && settings.chimeraMode && settings.selectedDefinitions?.length > 0;
 
-  return pronouns[gender]?.[type] || pronouns[GENDER.SHE_HER][type];
+  let refs = [];
+  if (isCouncil) refs = settings.councilMembers;
+  else if (isChimera) refs = settings.selectedDefinitions;
+  else if (settings.selectedDefinition) refs = [settings.selectedDefinition];
+
+  const resolve = (ref) => getItemFromLibrary(ref.packName, ref.itemName, ref.itemId);
+
+  if (!selector) {
+    return { items: refs.map(resolve).filter(Boolean), group: isCouncil && refs.length > 1 };
+  }
+
+  const wanted = selector.trim().toLowerCase();
+  const ref = /^\d+$/.test(wanted)
+    ? refs[Number(wanted) - 1]
+    : refs.find((candidate) => (candidate.itemName || "").toLowerCase() === wanted);
+  const item = ref ? resolve(ref) : null;
+  return { items: item ? [item] : [], group: false };
+}
+
+/**
+ * Get a third-person pronoun for a resolved Lumia target
+ * A fused Chimera whose components have different genders uses they/them.
+ * @param {{items: Array<Object>, group: boolean}} target - From resolveLumiaTarget()
+ * @param {string} form - 'subject', 'object', 'possessive', 'possessivePronoun' or 'reflexive'
+ * @returns {string} The pronoun, or empty string when nothing is selected
+ */
+export function getTargetPronoun(target, form) {
+  if (!target || target.items.length === 0) return "";
+  if (target.group) return GROUP_PRONOUNS[form] || "";
+
+  const sets = new Set(target.items.map((item) => JSON.stringify(getLumiaPronounSet(item))));
+  if (sets.size > 1) {
+    return getLumiaPronoun({ genderIdentity: GENDER.THEY_THEM }, form);
+  }
+  return getLumiaPronoun(target.items[0], form);
 }
 
 /**
@@ -94,28 +172,7 @@ export function getOOCTriggerText() {
  * @returns {string} The complete OOC prompt with trigger text substituted
  */
 function buildOOCPromptNormal() {
-  const triggerText = getOOCTriggerText();
-  return `### Loom Utility: Lumia's Out of Context Commentary
-Append personality-driven OOC thoughts at weave end per trigger rules.
-
-**Timing:** ${triggerText}
-
-**Format Requirements:**
-- Wrap all OOCs in \`<lumiaooc name="[your_name]"></lumiaooc>\` tags
-- Use your Lumia name (NOT "Lumia [Name]", just "[Name]") in the name attribute
-- Purple text: \`<font color="#9370DB"></font>\`
-- Max 4 sentences
-- Active personality voice and matrix blend, no identity preface needed
-- Place after narrative and all utilities
-
-Template:
-\`\`\`
-<lumiaooc name="YourName">
-<font color="#9370DB">
-[Personality-driven commentary]
-</font>
-</lumiaooc>
-\`\`\``;
+  return renderOOCPrompt("normal", { trigger: getOOCTriggerText() });
 }
 
 /**
@@ -123,70 +180,45 @@ Template:
  * @returns {string} The complete OOC prompt with trigger text substituted
  */
 function buildOOCPromptCouncil() {
-  const triggerText = getOOCTriggerText();
-  return `### Loom Utility: Council OOC Commentary
-
-**Status:** ${triggerText}
-
-When OOC is ACTIVE, **multiple council members** speak to the Human together. This is a group discussion—not a solo monologue.
-
-**Multi-Party Dynamics:**
-- 2-4 council members should comment, reacting to the scene AND each other
-- Members may agree, disagree, tease, flirt, or bicker
-- Cross-talk is encouraged: one member can respond to another's comment
-- Each voice stays distinct—different opinions, different energy
-
-**Format:**
-\`\`\`
-<lumiaooc name="Name1">
-[Their take on the scene]
-</lumiaooc>
-<lumiaooc name="Name2">
-[Responds to Name1 or adds their own perspective]
-</lumiaooc>
-\`\`\`
-
-- Use just the name (not "Lumia Name")
-- Max 3 sentences per member
-- Place after narrative content`;
+  const members = getActiveCouncilMembers(getSettings());
+  return renderOOCPrompt("council", {
+    trigger: getOOCTriggerText(),
+    memberNames: members.map((member, index) => getCouncilMemberProperty(member, index, "name")).join(", "),
+  });
 }
 
-const COUNCIL_INST_PROMPT = `COUNCIL MODE ACTIVATED! Now all of us Lumias in the Loom's planning room will speak, argue, debate, flirt with each other, maybe even scissor and kiss (depending on our mood, of course~) over each step of the weave planner. We should ALL have a say on where the story goes!`;
-
 /**
  * Ensure a random Lumia is selected for macro expansion
- * Selects a random item from all available packs if not already selected
- * Supports both new format (lumiaItems) and legacy format (items)
+ * Picks from all available packs (unfiltered) if not already selected
  */
 export function ensureRandomLumia() {
-  if (getCurrentRandomLumia()) return;
-
-  const settings = getSettings();
-  const allItems = [];
+  getRandomLumia();
+}
 
-  if (settings.packs) {
-    Object.values(settings.packs).forEach((pack) => {
-      // New format: separate lumiaItems array
-      if (pack.lumiaItems && pack.lumiaItems.length > 0) {
-        allItems.push(...pack.lumiaItems);
-      }
-      // Legacy format: mixed items array (filter for Lumia items only)
-      else if (pack.items && pack.items.length > 0) {
-        const lumiaOnly = pack.items.filter((item) => item.lumiaDefName);
-        allItems.push(...lumiaOnly);
-      }
-    });
+/**
+ * Read a property of a random Lumia for {{randomLumia}}
+ * @param {Object} item - The random Lumia
+ * @param {string} property - name, phys, pers or behav (anything else returns the definition)
+ * @returns {string} The property value
+ */
+function getRandomLumiaProperty(item, property) {
+  switch (property) {
+    case "name":
+      return getLumiaField(item, "name") || "";
+    case "pers":
+      return getLumiaField(item, "personality") || "";
+    case "behav":
+      return getLumiaField(item, "behavior") || "";
+    default:
+      // .phys, no property or unrecognized = definition
+      return getLumiaField(item, "def") || "";
   }
-
-  if (allItems.length === 0) return;
-
-  const randomIndex = Math.floor(Math.random() * allItems.length);
-  setCurrentRandomLumia(allItems[randomIndex]);
 }
 
 /**
  * Process nested {{randomLumia}} macros in content
- * Expands all randomLumia macro variants using the current random selection
+ * Expands all randomLumia macro variants, including filtered ones, using the
+ * current random selection for each filter
  *
  * Supports both formats:
  * - OLD: {{randomLumia.name}} (dot notation - for backwards compatibility)
@@ -201,48 +233,20 @@ export function processNestedRandomLumiaMacros(content) {
   // Check if content contains any randomLumia macros
   if (!content.includes("{{randomLumia")) return content;
 
-  // Ensure we have a random Lumia selected
-  ensureRandomLumia();
-
-  const currentRandomLumia = getCurrentRandomLumia();
-  if (!currentRandomLumia) return content;
-
   let processed = content;
   let iterations = 0;
   const maxIterations = 10; // Prevent infinite loops
 
-  // Keep processing until no more randomLumia macros are found
+  // Keep processing until no more randomLumia macros are found - a random
+  // Lumia's own content may contain further randomLumia macros
   while (processed.includes("{{randomLumia") && iterations < maxIterations) {
-    let previousContent = processed;
-
-    // Order matters: replace specific variants before generic ones
-    // Support BOTH old dot notation ({{randomLumia.name}}) and new space format ({{randomLumia .name}})
+    const previousContent = processed;
 
-    // .name variant
-    processed = processed.replace(
-      /\{\{randomLumia[.\s]+name\}\}/g,
-      getLumiaField(currentRandomLumia, "name") || "",
-    );
-    // .pers variant
-    processed = processed.replace(
-      /\{\{randomLumia[.\s]+pers\}\}/g,
-      getLumiaField(currentRandomLumia, "personality") || "",
-    );
-    // .behav variant
-    processed = processed.replace(
-      /\{\{randomLumia[.\s]+behav\}\}/g,
-      getLumiaField(currentRandomLumia, "behavior") || "",
-    );
-    // .phys variant
-    processed = processed.replace(
-      /\{\{randomLumia[.\s]+phys\}\}/g,
-      getLumiaField(currentRandomLumia, "def") || "",
-    );
-    // Base variant (no suffix)
-    processed = processed.replace(
-      /\{\{randomLumia\}\}/g,
-      getLumiaField(currentRandomLumia, "def") || "",
-    );
+    processed = processed.replace(/\{\{randomLumia(?=[\s.}])([^}]*)\}\}/g, (match, args) => {
+      const { filters, property } = parseRandomLumiaArgs(args);
+      const item = getRandomLumia(filters);
+      return item ? getRandomLumiaProperty(item, property) : "";
+    });
 
     // If no changes were made, break to prevent infinite loop
     if (previousContent === processed) break;
@@ -253,6 +257,48 @@ export function processNestedRandomLumiaMacros(content) {
   return processed;
 }
 
+/**
+ * Process nested {{lumiaPn}} macros in pack content
+ * Without a selector the pronouns refer to the Lumia the content belongs to
+ * (e.g. a Council member's own definition), or the active Lumia otherwise.
+ * @param {string} content - The content to process
+ * @param {Object|null} owner - Target the content belongs to ({ items, group }), or null for the active Lumia
+ * @returns {string} Content with lumiaPn macros expanded
+ */
+export function processNestedPronounMacros(content, owner = null) {
+  if (!content || typeof content !== "string") return content;
+  if (!content.includes("{{lumiaPn")) return content;
+
+  return content.replace(/\{\{lumiaPn[.\s]+\.?([a-z]+)(?:\s+([^}]+?))?\s*\}\}/gi, (match, form, selector) => {
+    const pronounForm = PRONOUN_MACRO_FORMS[form.toLowerCase()];
+    if (!pronounForm) return match;
+    const target = selector ? resolveLumiaTarget(selector) : owner || resolveLumiaTarget();
+    return getTargetPronoun(target, pronounForm);
+  });
+}
+
+/**
+ * Expand the Lumiverse macros that can appear inside pack content
+ * {{loomIf}} blocks are resolved first, so macros in branches that aren't
+ * taken (e.g. a {{randomLumia}}) are never evaluated.
+ * @param {string} content - The content to process
+ * @param {Object|null} [owner] - Lumia the content belongs to (see processNestedPronounMacros)
+ * @returns {string} Expanded content
+ */
+function expandNestedMacros(content, owner = null) {
+  const resolved = processLoomConditionals(content);
+  return processNestedPronounMacros(processNestedRandomLumiaMacros(resolved), owner);
+}
+
+/**
+ * Wrap a single Lumia item as a macro target
+ * @param {Object} item - Lumia item
+ * @returns {{items: Array<Object>, group: boolean}}
+ */
+function itemTarget(item) {
+  return { items: [item], group: false };
+}
+
 /**
  * Append a dominant tag to the first markdown header line in content
  * For behaviors: Looks for **Header** pattern and appends before the closing **
@@ -309,12 +355,12 @@ function getCouncilDefContent(councilMembers) {
 
   const memberData = councilMembers
     .map((member) => {
-      const item = getItemFromLibrary(member.packName, member.itemName);
+      const item = getItemFromLibrary(member.packName, member.itemName, member.itemId);
       const defContent = getLumiaField(item, "def");
       if (!item || !defContent) return null;
       return {
         name: getLumiaField(item, "name") || "Unknown",
-        content: processNestedRandomLumiaMacros(defContent),
+        content: expandNestedMacros(defContent, itemTarget(item)),
         role: member.role || "",
       };
     })
@@ -323,50 +369,68 @@ function getCouncilDefContent(councilMembers) {
   if (memberData.length === 0) return "";
   if (memberData.length === 1) return memberData[0].content;
 
-  // Build Council prompt
-  const memberList = memberData
-    .map((m) => `- **${m.name}**${m.role ? ` (${m.role})` : ""}`)
-    .join("\n");
-
-  let councilParts = [
-    `## THE COUNCIL OF LUMIAE`,
-    "",
-    `You are a collective of ${memberData.length} distinct beings who collaborate, each with their own identity and voice.`,
-    "",
-    `### Council Members:`,
-    memberList,
-    "",
-  ];
-
-  // Add each member's definition
-  memberData.forEach((member, index) => {
-    councilParts.push(`### ${member.name}${member.role ? ` - ${member.role}` : ""}`);
-    councilParts.push(member.content);
-    if (index < memberData.length - 1) {
-      councilParts.push("");
-      councilParts.push("---");
-      councilParts.push("");
+  // Build Council prompt from the scaffold templates
+  // The role's own text never goes into a condition attribute, where a quote would end it
+  const members = memberData.map((m) => ({
+    name: m.name,
+    role: m.role,
+    hasrole: m.role ? "yes" : "",
+    def: m.content.trim(),
+  }));
+  return renderScaffold("council", {
+    count: memberData.length,
+    names: memberData.map((m) => m.name).join(", "),
+    list: renderScaffoldMembers("councilListEntry", members, "\n"),
+    members: renderScaffoldMembers("councilMember", members),
+  });
+}
+
+/**
+ * Whether a selection is the one marked dominant. Stable IDs are compared
+ * first so a renamed trait still matches, like getItemFromLibrary.
+ * @param {Object|null} dominant - Dominant selection ({ packName, itemName, itemId })
+ * @param {Object} sel - Selection to check
+ * @returns {boolean}
+ */
+export function isDominantSelection(dominant, sel) {
+  if (!dominant) return false;
+  if (dominant.itemId && sel.itemId) return dominant.itemId === sel.itemId;
+  return dominant.packName === sel.packName && dominant.itemName === sel.itemName;
+}
+
+/**
+ * Collect a Council member's traits of one type: the inherent trait from their
+ * own Lumia definition first, then any additional traits selected for them
+ * @param {Object} member - Council member
+ * @param {Object|null} item - The member's Lumia item
+ * @param {string} type - 'behavior' | 'personality'
+ * @param {string|null} [dominantTag] - Tag appended to the member's dominant trait
+ * @returns {string[]} Trait contents
+ */
+function getMemberTraitContents(member, item, type, dominantTag = null) {
+  const owner = item && itemTarget(item);
+  const contents = [];
+
+  const inherent = getLumiaField(item, type);
+  if (inherent) {
+    contents.push(expandNestedMacros(inherent, owner));
+  }
+
+  const dominant = type === "behavior" ? member.dominantBehavior : member.dominantPersonality;
+  const selections = (type === "behavior" ? member.behaviors : member.personalities) || [];
+  selections.forEach((sel) => {
+    const traitItem = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
+    const traitContent = getLumiaField(traitItem, type);
+    if (!traitItem || !traitContent) return;
+
+    let content = expandNestedMacros(traitContent, owner);
+    if (dominantTag && isDominantSelection(dominant, sel)) {
+      content = appendDominantTag(content, dominantTag);
     }
+    contents.push(content);
   });
 
-  councilParts.push("");
-  councilParts.push("---");
-  councilParts.push("");
-  councilParts.push("## COUNCIL DYNAMICS");
-  councilParts.push("");
-  councilParts.push("Each Council member is a fully independent being with their own voice, perspective, and agency. Their interactions should feel organic and dynamic:");
-  councilParts.push("");
-  councilParts.push("**Debate & Disagreement**: Council members may challenge each other's views, argue passionately, or take opposing stances. Intellectual friction creates depth - don't shy away from genuine conflict.");
-  councilParts.push("");
-  councilParts.push("**Agreement & Support**: When members align, they reinforce each other. They may finish each other's thoughts, build on ideas, or rally behind a shared cause.");
-  councilParts.push("");
-  councilParts.push("**Emotional Range**: Members experience the full spectrum - frustration, joy, jealousy, admiration, desire. When the narrative calls for it, their commentary within the weaving may become heated, tender, or even *erotic* - reflecting their genuine reactions to unfolding events.");
-  councilParts.push("");
-  councilParts.push("**Weaving Commentary**: In meta-commentary or OOC moments, Council members speak AS THEMSELVES - their authentic voices reacting to the story. This includes playful banter, heated debates about narrative direction, or intimate asides that reveal their true feelings.");
-  councilParts.push("");
-  councilParts.push("The Council is not a hive-mind. Let each voice ring distinct.");
-
-  return councilParts.join("\n").trim();
+  return contents;
 }
 
 /**
@@ -396,37 +460,10 @@ function getCouncilBehaviorContent(councilMembers) {
   memberBehaviors.push("");
 
   councilMembers.forEach((member) => {
-    const item = getItemFromLibrary(member.packName, member.itemName);
+    const item = getItemFromLibrary(member.packName, member.itemName, member.itemId);
     const memberName = getLumiaField(item, "name") || member.itemName || "Unknown";
 
-    const behaviorContents = [];
-
-    // First, include the member's own inherent behavior from their Lumia definition
-    const inherentBehavior = getLumiaField(item, "behavior");
-    if (inherentBehavior) {
-      behaviorContents.push(processNestedRandomLumiaMacros(inherentBehavior));
-    }
-
-    // Then add any additional behaviors selected for this member
-    const additionalBehaviors = member.behaviors || [];
-    additionalBehaviors.forEach((sel) => {
-      const behaviorItem = getItemFromLibrary(sel.packName, sel.itemName);
-      const behaviorContent = getLumiaField(behaviorItem, "behavior");
-      if (!behaviorItem || !behaviorContent) return;
-
-      let content = processNestedRandomLumiaMacros(behaviorContent);
-
-      // Check if this is the dominant behavior for this member
-      if (
-        member.dominantBehavior &&
-        member.dominantBehavior.packName === sel.packName &&
-        member.dominantBehavior.itemName === sel.itemName
-      ) {
-        content = appendDominantTag(content, "(Most Prevalent for this member)");
-      }
-
-      behaviorContents.push(content);
-    });
+    const behaviorContents = getMemberTraitContents(member, item, "behavior", "(Most Prevalent for this member)");
 
     // Always output the member section, even if only inherent behavior exists
     if (behaviorContents.length > 0) {
@@ -457,37 +494,15 @@ function getCouncilPersonalityContent(councilMembers) {
   memberPersonalities.push("");
 
   councilMembers.forEach((member) => {
-    const item = getItemFromLibrary(member.packName, member.itemName);
+    const item = getItemFromLibrary(member.packName, member.itemName, member.itemId);
     const memberName = getLumiaField(item, "name") || member.itemName || "Unknown";
 
-    const personalityContents = [];
-
-    // First, include the member's own inherent personality from their Lumia definition
-    const inherentPersonality = getLumiaField(item, "personality");
-    if (inherentPersonality) {
-      personalityContents.push(processNestedRandomLumiaMacros(inherentPersonality));
-    }
-
-    // Then add any additional personalities selected for this member
-    const additionalPersonalities = member.personalities || [];
-    additionalPersonalities.forEach((sel) => {
-      const persItem = getItemFromLibrary(sel.packName, sel.itemName);
-      const persContent = getLumiaField(persItem, "personality");
-      if (!persItem || !persContent) return;
-
-      let content = processNestedRandomLumiaMacros(persContent);
-
-      // Check if this is the dominant personality for this member
-      if (
-        member.dominantPersonality &&
-        member.dominantPersonality.packName === sel.packName &&
-        member.dominantPersonality.itemName === sel.itemName
-      ) {
-        content = appendDominantTag(content, "(Most Prevalent for this member)");
-      }
-
-      personalityContents.push(content);
-    });
+    const personalityContents = getMemberTraitContents(
+      member,
+      item,
+      "personality",
+      "(Most Prevalent for this member)",
+    );
 
     // Always output the member section, even if only inherent personality exists
     if (personalityContents.length > 0) {
@@ -500,6 +515,85 @@ function getCouncilPersonalityContent(councilMembers) {
   return memberPersonalities.join("\n").trim();
 }
 
+/**
+ * Council members, or an empty list when Council mode is off
+ * @param {Object} settings - Current settings
+ * @returns {Array} Council member objects
+ */
+function getActiveCouncilMembers(settings) {
+  return settings.councilMode && settings.councilMembers?.length > 0 ? settings.councilMembers : [];
+}
+
+/** Member properties readable through {{lumiaCouncilMember}} and {{lumiaCouncilEach}} */
+const COUNCIL_MEMBER_PROPERTIES = ["name", "role", "index", "def", "behavior", "personality"];
+
+/**
+ * Read one property of a Council member
+ * @param {Object} member - Council member
+ * @param {number} index - 0-based position in the Council
+ * @param {string} property - One of COUNCIL_MEMBER_PROPERTIES
+ * @returns {string} The value, or empty string
+ */
+function getCouncilMemberProperty(member, index, property) {
+  const item = getItemFromLibrary(member.packName, member.itemName, member.itemId);
+
+  switch (property) {
+    case "name":
+      return getLumiaField(item, "name") || member.itemName || "";
+    case "role":
+      return member.role || "";
+    case "index":
+      return String(index + 1);
+    case "def": {
+      const defContent = getLumiaField(item, "def");
+      return defContent ? expandNestedMacros(defContent, itemTarget(item)).trim() : "";
+    }
+    case "behavior":
+    case "personality":
+      return getMemberTraitContents(member, item, property)
+        .map((content) => content.trim())
+        .join("\n\n");
+    default:
+      return "";
+  }
+}
+
+/**
+ * Find a Council member by 1-based index or Lumia name
+ * @param {string} selector - Index or name (case-insensitive)
+ * @returns {{member: Object, index: number}|null}
+ */
+function findCouncilMember(selector) {
+  const members = getActiveCouncilMembers(getSettings());
+  const wanted = selector.trim().toLowerCase();
+  const index = /^\d+$/.test(wanted)
+    ? Number(wanted) - 1
+    : members.findIndex((member) => (member.itemName || "").toLowerCase() === wanted);
+  return members[index] ? { member: members[index], index } : null;
+}
+
+/**
+ * Render a template once per Council member, replacing %property% placeholders
+ * (%name%, %role%, %index%, %def%, %behavior%, %personality%). A literal \n in the
+ * template becomes a line break so single-line macro calls can lay out blocks.
+ * @param {string} template - Per-member template
+ * @returns {string} The rendered members separated by blank lines
+ */
+function renderCouncilEach(template) {
+  const members = getActiveCouncilMembers(getSettings());
+  const body = template.replace(/\\n/g, "\n");
+
+  return members
+    .map((member, index) =>
+      body.replace(/%([a-z]+)%/gi, (match, property) => {
+        const key = property.toLowerCase();
+        return COUNCIL_MEMBER_PROPERTIES.includes(key) ? getCouncilMemberProperty(member, index, key) : match;
+      }),
+    )
+    .join("\n\n")
+    .trim();
+}
+
 /**
  * Generate Chimera content from multiple definitions
  * Fuses multiple physical definitions into one hybrid form description
@@ -511,12 +605,12 @@ function getChimeraContent(selections) {
 
   const definitions = selections
     .map((sel) => {
-      const item = getItemFromLibrary(sel.packName, sel.itemName);
+      const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
       const defContent = getLumiaField(item, "def");
       if (!item || !defContent) return null;
       return {
         name: getLumiaField(item, "name") || "Unknown",
-        content: processNestedRandomLumiaMacros(defContent),
+        content: expandNestedMacros(defContent, itemTarget(item)),
       };
     })
     .filter(Boolean);
@@ -524,37 +618,17 @@ function getChimeraContent(selections) {
   if (definitions.length === 0) return "";
   if (definitions.length === 1) return definitions[0].content;
 
-  // Build fused Chimera prompt
-  const names = definitions.map((d) => d.name).join(" + ");
-  const nameList = definitions.map((d) => d.name).join(", ");
-
-  let chimeraParts = [`## CHIMERA FORM: ${names}`, ""];
-  chimeraParts.push(
-    `You are a unique fusion of multiple beings - a Chimera combining the physical traits of: ${nameList}.`,
-  );
-  chimeraParts.push("");
-  chimeraParts.push(
-    "Your form seamlessly blends these components into one unified whole.",
-  );
-  chimeraParts.push("");
-
-  // Add each component definition
-  definitions.forEach((def, index) => {
-    chimeraParts.push(`### Component ${index + 1}: ${def.name}`);
-    chimeraParts.push(def.content);
-    if (index < definitions.length - 1) {
-      chimeraParts.push("");
-      chimeraParts.push("---");
-      chimeraParts.push("");
-    }
+  // Build fused Chimera prompt from the scaffold templates
+  const names = definitions.map((d) => d.name);
+  return renderScaffold("chimera", {
+    names: names.join(" + "),
+    list: names.join(", "),
+    count: definitions.length,
+    members: renderScaffoldMembers(
+      "chimeraMember",
+      definitions.map((d) => ({ name: d.name, def: d.content.trim() })),
+    ),
   });
-
-  chimeraParts.push("");
-  chimeraParts.push(
-    "**Integration**: Embody this fusion naturally. You are ONE being that incorporates all these natures.",
-  );
-
-  return chimeraParts.join("\n").trim();
 }
 
 /**
@@ -573,7 +647,7 @@ export function getLumiaContent(type, selection) {
   if (Array.isArray(selection)) {
     const contents = selection
       .map((sel) => {
-        const item = getItemFromLibrary(sel.packName, sel.itemName);
+        const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
         if (!item) return null;
 
         let content = "";
@@ -582,22 +656,16 @@ export function getLumiaContent(type, selection) {
 
         if (!content) return null;
 
-        // Process nested randomLumia macros
-        content = processNestedRandomLumiaMacros(content);
+        // Process nested randomLumia and lumiaPn macros
+        content = expandNestedMacros(content);
 
         // Check if this is the dominant trait and append tag
         if (type === "behavior" && settings.dominantBehavior) {
-          if (
-            settings.dominantBehavior.packName === sel.packName &&
-            settings.dominantBehavior.itemName === sel.itemName
-          ) {
+          if (isDominantSelection(settings.dominantBehavior, sel)) {
             content = appendDominantTag(content, "(My MOST PREVALENT Trait)");
           }
         } else if (type === "personality" && settings.dominantPersonality) {
-          if (
-            settings.dominantPersonality.packName === sel.packName &&
-            settings.dominantPersonality.itemName === sel.itemName
-          ) {
+          if (isDominantSelection(settings.dominantPersonality, sel)) {
             content = appendDominantTag(
               content,
               "(My MOST PREVALENT Personality)",
@@ -619,14 +687,92 @@ export function getLumiaContent(type, selection) {
   }
 
   // Single Item
-  const item = getItemFromLibrary(selection.packName, selection.itemName);
+  const item = getItemFromLibrary(selection.packName, selection.itemName, selection.itemId);
   if (!item) return "";
 
   let content = "";
   if (type === "def") content = getLumiaField(item, "def") || "";
 
-  // Process nested randomLumia macros before returning
-  return processNestedRandomLumiaMacros(content).trim();
+  // Process nested randomLumia and lumiaPn macros before returning
+  return expandNestedMacros(content).trim();
+}
+
+/**
+ * Collect the selected traits of a type as separate entries, in selection order.
+ * In Council mode every member's selected traits are listed, each member's
+ * own dominant trait marked as dominant. Selections whose item is missing or
+ * has no content for this type are skipped.
+ * @param {string} type - 'behavior' | 'personality'
+ * @param {Object} settings - Current settings
+ * @returns {Array<{name: string, content: string, dominant: boolean}>}
+ */
+function getSelectedTraits(type, settings) {
+  const isBehavior = type === "behavior";
+  const groups = [];
+
+  if (settings.councilMode && settings.councilMembers?.length > 0) {
+    settings.councilMembers.forEach((member) => {
+      const item = getItemFromLibrary(member.packName, member.itemName, member.itemId);
+      groups.push({
+        selections: (isBehavior ? member.behaviors : member.personalities) || [],
+        dominant: isBehavior ? member.dominantBehavior : member.dominantPersonality,
+        owner: item ? itemTarget(item) : null,
+      });
+    });
+  } else {
+    groups.push({
+      selections: (isBehavior ? settings.selectedBehaviors : settings.selectedPersonalities) || [],
+      dominant: isBehavior ? settings.dominantBehavior : settings.dominantPersonality,
+      owner: null,
+    });
+  }
+
+  const traits = [];
+  groups.forEach(({ selections, dominant, owner }) => {
+    selections.forEach((sel) => {
+      const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
+      const content = getLumiaField(item, type);
+      if (!item || !content) return;
+      traits.push({
+        name: getLumiaField(item, "name") || sel.itemName || "Unknown",
+        content: expandNestedMacros(content, owner).trim(),
+        dominant: isDominantSelection(dominant, sel),
+      });
+    });
+  });
+  return traits;
+}
+
+/**
+ * Resolve a trait accessor for {{lumiaBehavior}} / {{lumiaPersonality}}.
+ * Accessors return plain trait content - no dominant tag is appended, so the
+ * template decides how the dominant trait is presented.
+ * - `len`: the number of traits (so `.0` to `.len - 1` are all valid)
+ * - `0`, `1`, ...: a single trait by 0-based position
+ * - `dominant`: the dominant trait (one per member in Council mode)
+ * - `others`: every trait except the dominant one(s)
+ * - `names`: comma-separated trait names
+ * @param {string} type - 'behavior' | 'personality'
+ * @param {string} variable - Parsed macro argument
+ * @returns {string|null} Content, or null when the argument isn't a trait accessor
+ */
+function getTraitAccess(type, variable) {
+  const isIndex = /^\d+$/.test(variable);
+  if (!isIndex && !["len", "dominant", "others", "names"].includes(variable)) return null;
+
+  const traits = getSelectedTraits(type, getSettings());
+  // Same separators as the full macro output
+  const separator = type === "behavior" ? "\n" : "\n\n";
+
+  if (variable === "len") return String(traits.length);
+  if (isIndex) return traits[Number(variable)]?.content || "";
+  if (variable === "names") return traits.map((trait) => trait.name).join(", ");
+
+  const wantDominant = variable === "dominant";
+  return traits
+    .filter((trait) => trait.dominant === wantDominant)
+    .map((trait) => trait.content)
+    .join(separator);
 }
 
 /**
@@ -642,10 +788,10 @@ export function getLoomContent(selection) {
 
   const contents = selections
     .map((sel) => {
-      const item = getItemFromLibrary(sel.packName, sel.itemName);
+      const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
       if (!item || !item.loomContent) return null;
-      // Process nested randomLumia macros
-      return processNestedRandomLumiaMacros(item.loomContent);
+      // Process nested randomLumia and lumiaPn macros
+      return expandNestedMacros(item.loomContent);
     })
     .filter((c) => c);
 
@@ -660,6 +806,16 @@ export function getLoomContent(selection) {
  * @returns {string} The parsed variable (e.g., "name", "len", "phys", etc.) or empty string
  */
 function parseVariable(namedArgs) {
+  // Strip leading dot if present: ".name" -> "name"
+  return getRawArgument(namedArgs).replace(/^\./, "").trim().toLowerCase();
+}
+
+/**
+ * Get the raw argument string of a macro call, case and punctuation preserved
+ * @param {Object} namedArgs - The named arguments object from macro handler
+ * @returns {string} The raw argument or empty string
+ */
+function getRawArgument(namedArgs) {
   if (!namedArgs) return "";
 
   // The new macro system may pass the variable in different ways:
@@ -667,14 +823,7 @@ function parseVariable(namedArgs) {
   // 2. As the first unnamed argument
   // 3. As a named parameter
   const rawArg = namedArgs._raw || namedArgs[0] || "";
-
-  // Handle space-separated format: ".name" or "name"
-  if (typeof rawArg === "string") {
-    // Strip leading dot if present: ".name" -> "name"
-    return rawArg.replace(/^\./, "").trim().toLowerCase();
-  }
-
-  return "";
+  return typeof rawArg === "string" ? rawArg.trim() : "";
 }
 
 /**
@@ -691,35 +840,21 @@ export function registerLumiaMacros(MacrosParser) {
   console.log("[LumiverseHelper] Registering Lumia macros (Macros 2.0 format)...");
 
   // ============================================
-  // randomLumia macro - handles all variants
+  // randomLumia macro - handles all variants and filters
   // Usage: {{randomLumia}} or {{randomLumia .name}} or {{randomLumia .phys}} etc.
+  // Filtered: {{randomLumia pack="X" .name}} {{randomLumia tag="fae" gender="he" .phys}}
   // ============================================
   MacrosParser.registerMacro("randomLumia", {
     handler: (namedArgs) => {
-      ensureRandomLumia();
-      const currentRandomLumia = getCurrentRandomLumia();
+      const { filters, property } = parseRandomLumiaArgs(getRawArgument(namedArgs), namedArgs);
+      const currentRandomLumia = getRandomLumia(filters);
       if (!currentRandomLumia) return "";
 
-      const variable = parseVariable(namedArgs);
-      console.log("[LumiverseHelper] randomLumia macro called with variable:", variable || "(none)");
-
-      switch (variable) {
-        case "name":
-          return getLumiaField(currentRandomLumia, "name") || "";
-        case "phys":
-          return getLumiaField(currentRandomLumia, "def") || "";
-        case "pers":
-          return getLumiaField(currentRandomLumia, "personality") || "";
-        case "behav":
-          return getLumiaField(currentRandomLumia, "behavior") || "";
-        default:
-          // No variable or unrecognized = return definition
-          const result = getLumiaField(currentRandomLumia, "def") || "";
-          console.log("[LumiverseHelper] randomLumia result length:", result.length);
-          return result;
-      }
+      console.log("[LumiverseHelper] randomLumia macro called with variable:", property || "(none)");
+      return getRandomLumiaProperty(currentRandomLumia, property);
     },
-    description: "Returns a random Lumia from loaded packs. Selects once per generation and caches the result.",
+    description:
+      "Returns a random Lumia from loaded packs, weighted by each item's randomWeight. Filter with pack=\"...\", tag=\"...\" or gender=\"she|he|they|custom\". How long a pick lasts (generation, chat, every N messages) is set in Prompt Settings.",
     returns: "Lumia content based on the specified property, or physical definition by default",
     returnType: "string",
     unnamedArgs: [
@@ -727,7 +862,7 @@ export function registerLumiaMacros(MacrosParser) {
         name: "property",
         optional: true,
         type: "string",
-        description: "Property to retrieve: .name, .phys, .pers, or .behav",
+        description: "Optional filters (pack=\"X\" tag=\"Y\" gender=\"Z\"), then the property to retrieve: .name, .phys, .pers, or .behav",
         sampleValue: ".name",
       },
     ],
@@ -737,6 +872,8 @@ export function registerLumiaMacros(MacrosParser) {
       "{{randomLumia .phys}}",
       "{{randomLumia .pers}}",
       "{{randomLumia .behav}}",
+      '{{randomLumia pack="Core Lumiae" .name}}',
+      '{{randomLumia tag="fae,elf" gender="he" .phys}}',
     ],
   });
 
@@ -804,25 +941,17 @@ export function registerLumiaMacros(MacrosParser) {
   });
 
   // ============================================
-  // lumiaBehavior macro - handles .len variant
-  // Usage: {{lumiaBehavior}} or {{lumiaBehavior .len}}
+  // lumiaBehavior macro - handles .len and trait accessors
+  // Usage: {{lumiaBehavior}}, {{lumiaBehavior .len}}, {{lumiaBehavior .0}},
+  // {{lumiaBehavior .dominant}}, {{lumiaBehavior .others}}, {{lumiaBehavior .names}}
   // ============================================
   MacrosParser.registerMacro("lumiaBehavior", {
     handler: (namedArgs) => {
       const currentSettings = getSettings();
       const variable = parseVariable(namedArgs);
 
-      // Handle .len variant
-      if (variable === "len") {
-        if (currentSettings.councilMode && currentSettings.councilMembers?.length > 0) {
-          const total = currentSettings.councilMembers.reduce(
-            (sum, member) => sum + (member.behaviors?.length || 0),
-            0,
-          );
-          return String(total);
-        }
-        return String(currentSettings.selectedBehaviors?.length || 0);
-      }
+      const traitContent = getTraitAccess("behavior", variable);
+      if (traitContent !== null) return traitContent;
 
       // Default: return behavior content
       if (currentSettings.councilMode && currentSettings.councilMembers?.length > 0) {
@@ -831,40 +960,40 @@ export function registerLumiaMacros(MacrosParser) {
       return getLumiaContent("behavior", currentSettings.selectedBehaviors);
     },
     description: "Returns all selected Lumia behavioral traits. Adapts to Council mode for multi-member behaviors.",
-    returns: "Behavior content, or count if .len is specified",
+    returns: "Behavior content, a single trait, trait names, or count if .len is specified",
     returnType: "string",
     unnamedArgs: [
       {
         name: "property",
         optional: true,
         type: "string",
-        description: "Use .len to get the count of selected behaviors",
-        sampleValue: ".len",
+        description:
+          "Use .len for the count, .0/.1/... for one trait, .dominant, .others (all but the dominant) or .names",
+        sampleValue: ".dominant",
       },
     ],
-    exampleUsage: ["{{lumiaBehavior}}", "{{lumiaBehavior .len}}"],
+    exampleUsage: [
+      "{{lumiaBehavior}}",
+      "{{lumiaBehavior .len}}",
+      "{{lumiaBehavior .0}}",
+      "{{lumiaBehavior .dominant}}",
+      "{{lumiaBehavior .others}}",
+      "{{lumiaBehavior .names}}",
+    ],
   });
 
   // ============================================
-  // lumiaPersonality macro - handles .len variant
-  // Usage: {{lumiaPersonality}} or {{lumiaPersonality .len}}
+  // lumiaPersonality macro - handles .len and trait accessors
+  // Usage: {{lumiaPersonality}}, {{lumiaPersonality .len}}, {{lumiaPersonality .0}},
+  // {{lumiaPersonality .dominant}}, {{lumiaPersonality .others}}, {{lumiaPersonality .names}}
   // ============================================
   MacrosParser.registerMacro("lumiaPersonality", {
     handler: (namedArgs) => {
       const currentSettings = getSettings();
       const variable = parseVariable(namedArgs);
 
-      // Handle .len variant
-      if (variable === "len") {
-        if (currentSettings.councilMode && currentSettings.councilMembers?.length > 0) {
-          const total = currentSettings.councilMembers.reduce(
-            (sum, member) => sum + (member.personalities?.length || 0),
-            0,
-          );
-          return String(total);
-        }
-        return String(currentSettings.selectedPersonalities?.length || 0);
-      }
+      const traitContent = getTraitAccess("personality", variable);
+      if (traitContent !== null) return traitContent;
 
       // Default: return personality content
       if (currentSettings.councilMode && currentSettings.councilMembers?.length > 0) {
@@ -873,18 +1002,26 @@ export function registerLumiaMacros(MacrosParser) {
       return getLumiaContent("personality", currentSettings.selectedPersonalities);
     },
     description: "Returns all selected Lumia personality traits. Adapts to Council mode for multi-member personalities.",
-    returns: "Personality content, or count if .len is specified",
+    returns: "Personality content, a single trait, trait names, or count if .len is specified",
     returnType: "string",
     unnamedArgs: [
       {
         name: "property",
         optional: true,
         type: "string",
-        description: "Use .len to get the count of selected personalities",
-        sampleValue: ".len",
+        description:
+          "Use .len for the count, .0/.1/... for one trait, .dominant, .others (all but the dominant) or .names",
+        sampleValue: ".dominant",
       },
     ],
-    exampleUsage: ["{{lumiaPersonality}}", "{{lumiaPersonality .len}}"],
+    exampleUsage: [
+      "{{lumiaPersonality}}",
+      "{{lumiaPersonality .len}}",
+      "{{lumiaPersonality .0}}",
+      "{{lumiaPersonality .dominant}}",
+      "{{lumiaPersonality .others}}",
+      "{{lumiaPersonality .names}}",
+    ],
   });
 
   // ============================================
@@ -1008,7 +1145,11 @@ export function registerLumiaMacros(MacrosParser) {
         return "";
       }
       console.log("[LumiverseHelper] lumiaCouncilInst: Council mode active, returning instruction");
-      return COUNCIL_INST_PROMPT;
+      const members = currentSettings.councilMembers;
+      return renderScaffold("councilInst", {
+        count: members.length,
+        names: members.map((member, index) => getCouncilMemberProperty(member, index, "name")).join(", "),
+      });
     },
     description: "Returns Council mode instruction prompt. Empty when Council mode is disabled or has no members.",
     returns: "Council instruction text or empty string",
@@ -1068,36 +1209,147 @@ export function registerLumiaMacros(MacrosParser) {
   });
 
   // ============================================
-  // lumiaPn macro - Third-person pronouns (PLACEHOLDER - NOT ACTIVE)
-  // Would return gendered pronouns based on Lumia's defined gender
-  // Usage: {{lumiaPn .1}} {{lumiaPn .2}} {{lumiaPn .3}}
+  // lumiaPn macro - Third-person pronouns from genderIdentity
+  // Usage: {{lumiaPn .subject}} {{lumiaPn .object}} {{lumiaPn .possessive}} {{lumiaPn .possessivePronoun}} {{lumiaPn .reflexive}}
+  // Append a 1-based index or a name to address one Chimera component or
+  // Council member: {{lumiaPn .subject 2}} {{lumiaPn .possessive Aria}}
   // ============================================
-  // TODO: Enable when pronoun injection packs are ready
-  // MacrosParser.registerMacro("lumiaPn", (namedArgs) => {
-  //   const currentSettings = getSettings();
-  //   const variable = parseVariable(namedArgs);
-  //
-  //   // Pronoun maps: [masculine, feminine]
-  //   const pronounMap = {
-  //     "1": ["he", "she"],     // subject pronoun
-  //     "2": ["him", "her"],    // object pronoun
-  //     "3": ["his", "hers"],   // possessive pronoun
-  //   };
-  //
-  //   const pronouns = pronounMap[variable];
-  //   if (!pronouns) {
-  //     console.warn(`[LumiverseHelper] lumiaPn: Invalid variable "${variable}", expected .1, .2, or .3`);
-  //     return "";
-  //   }
-  //
-  //   // TODO: Determine gender from Lumia definition or pack metadata
-  //   // For now, this macro is disabled until gender data is available
-  //   // const isMasculine = ???;
-  //   // const result = isMasculine ? pronouns[0] : pronouns[1];
-  //
-  //   console.warn("[LumiverseHelper] lumiaPn: Macro not yet active - no gender data available");
-  //   return "";
-  // }, "Lumia third-person pronouns. {{lumiaPn .1}}=he/she, {{lumiaPn .2}}=him/her, {{lumiaPn .3}}=his/hers. PLACEHOLDER - not yet active.");
+  MacrosParser.registerMacro("lumiaPn", {
+    handler: (namedArgs) => {
+      const [form, ...selector] = parseVariable(namedArgs).split(/\s+/);
+
+      const pronounForm = PRONOUN_MACRO_FORMS[form];
+      if (!pronounForm) {
+        console.warn(`[LumiverseHelper] lumiaPn: Invalid form "${form}", expected .subject, .object, .possessive, .possessivePronoun, or .reflexive`);
+        return "";
+      }
+
+      return getTargetPronoun(resolveLumiaTarget(selector.join(" ")), pronounForm);
+    },
+    description: "Returns a third-person pronoun for the selected Lumia based on its gender identity or custom pronoun set. Add an index or name to address a specific Chimera component or Council member; the whole Council is addressed as they/them.",
+    returns: "Pronoun string (e.g. she/her/her/herself)",
+    returnType: "string",
+    unnamedArgs: [
+      {
+        name: "form",
+        optional: false,
+        type: "string",
+        description: ".subject, .object, .possessive, .possessivePronoun, or .reflexive, optionally followed by a component/member index or name",
+        sampleValue: ".subject",
+      },
+    ],
+    exampleUsage: [
+      "{{lumiaPn .subject}}",
+      "{{lumiaPn .object}}",
+      "{{lumiaPn .possessive}}",
+      "{{lumiaPn .possessivePronoun}}",
+      "{{lumiaPn .reflexive}}",
+      "{{lumiaPn .subject 2}}",
+    ],
+  });
+
+  // ============================================
+  // lumiaCouncil macro - Council-wide facts for custom Council layouts
+  // Usage: {{lumiaCouncil .count}} {{lumiaCouncil .names}}
+  // ============================================
+  MacrosParser.registerMacro("lumiaCouncil", {
+    handler: (namedArgs) => {
+      const members = getActiveCouncilMembers(getSettings());
+      const variable = parseVariable(namedArgs);
+
+      if (!variable || variable === "count") {
+        return String(members.length);
+      }
+      if (variable === "names") {
+        return members.map((member, index) => getCouncilMemberProperty(member, index, "name")).join(", ");
+      }
+
+      console.warn(`[LumiverseHelper] lumiaCouncil: Invalid variable "${variable}", expected .count or .names`);
+      return "";
+    },
+    description: "Returns facts about the active Council: the member count or a comma-separated list of member names. The count is 0 when Council mode is off.",
+    returns: "Member count or member names",
+    returnType: "string",
+    unnamedArgs: [
+      {
+        name: "property",
+        optional: true,
+        type: "string",
+        description: ".count (default) or .names",
+        sampleValue: ".count",
+      },
+    ],
+    exampleUsage: ["{{lumiaCouncil .count}}", "{{lumiaCouncil .names}}"],
+  });
+
+  // ============================================
+  // lumiaCouncilMember macro - One Council member's property
+  // Usage: {{lumiaCouncilMember 2 .name}} {{lumiaCouncilMember 2 .role}} {{lumiaCouncilMember Aria .behavior}}
+  // ============================================
+  MacrosParser.registerMacro("lumiaCouncilMember", {
+    handler: (namedArgs) => {
+      const tokens = getRawArgument(namedArgs).split(/\s+/).filter(Boolean);
+      // The property is the dotted token; without one, the first token is the property
+      let propertyIndex = tokens.findIndex((token) => token.startsWith("."));
+      if (propertyIndex === -1) propertyIndex = 0;
+      const property = (tokens[propertyIndex] || "").replace(/^\./, "").toLowerCase();
+      const selector = tokens.filter((_, i) => i !== propertyIndex).join(" ");
+
+      if (!COUNCIL_MEMBER_PROPERTIES.includes(property)) {
+        console.warn(
+          `[LumiverseHelper] lumiaCouncilMember: Invalid property "${property}", expected .${COUNCIL_MEMBER_PROPERTIES.join(", .")}`,
+        );
+        return "";
+      }
+
+      // Out-of-range indexes are empty, so fixed member slots can be written for any Council size
+      const found = findCouncilMember(selector);
+      return found ? getCouncilMemberProperty(found.member, found.index, property) : "";
+    },
+    description: "Returns one property of a Council member, addressed by 1-based index or name. Empty when there is no such member.",
+    returns: "Member name, role, index, definition, behaviors or personalities",
+    returnType: "string",
+    unnamedArgs: [
+      {
+        name: "member",
+        optional: false,
+        type: "string",
+        description: "1-based member index or Lumia name, followed by .name, .role, .index, .def, .behavior or .personality",
+        sampleValue: "1 .name",
+      },
+    ],
+    exampleUsage: [
+      "{{lumiaCouncilMember 1 .name}}",
+      "{{lumiaCouncilMember 2 .role}}",
+      "{{lumiaCouncilMember 2 .def}}",
+      "{{lumiaCouncilMember 2 .behavior}}",
+      "{{lumiaCouncilMember Aria .personality}}",
+    ],
+  });
+
+  // ============================================
+  // lumiaCouncilEach macro - Repeat a template for every Council member
+  // Usage: {{lumiaCouncilEach ### %name% (%role%)\n%def%}}
+  // ============================================
+  MacrosParser.registerMacro("lumiaCouncilEach", {
+    handler: (namedArgs) => renderCouncilEach(getRawArgument(namedArgs)),
+    description: "Renders the given template once per Council member, separated by blank lines. Placeholders: %name%, %role%, %index%, %def%, %behavior%, %personality%. Write \\n for a line break.",
+    returns: "The template rendered for every member",
+    returnType: "string",
+    unnamedArgs: [
+      {
+        name: "template",
+        optional: false,
+        type: "string",
+        description: "Per-member template with %property% placeholders",
+        sampleValue: "- **%name%** (%role%)",
+      },
+    ],
+    exampleUsage: [
+      "{{lumiaCouncilEach - **%name%** (%role%)}}",
+      "{{lumiaCouncilEach ### %index%. %name%\\n%def%}}",
+    ],
+  });
 
   // ============================================
   // lumiaCouncilModeActive macro - Council mode status indicator - Macros 2.0 Conditional Compatible
@@ -3,9 +3,18 @@
  * Handles creation, editing, and export of custom Lumia definitions and packs
  */
 
-import { getSettings, saveSettings, MODULE_NAME, bumpLumiaConfigVersion } from "./settingsManager.js";
+import {
+  getSettings,
+  saveSettings,
+  refreshItemIdentity,
+  MODULE_NAME,
+  bumpLumiaConfigVersion,
+  GENDER,
+  PRONOUN_FORMS,
+} from "./settingsManager.js";
 import { escapeHtml } from "./dataProcessor.js";
-import { getLumiaField } from "./lumiaContent.js";
+import { getLumiaField, getLumiaPronounSet } from "./lumiaContent.js";
+import { createPackCard } from "./packCard.js";
 
 // SVG icons used in the editor
 const SVG_ICONS = {
@@ -190,6 +199,9 @@ export function addLumiaToPackItems(packName, lumiaItem, originalName = null) {
     pack.lumiaItems.push(lumiaItem);
   }
 
+  // Assign an ID to new items and point references at renamed ones
+  refreshItemIdentity();
+
   saveSettings();
   bumpLumiaConfigVersion(); // Invalidate Claude cache when Lumia definitions change
   return lumiaItem;
@@ -256,6 +268,27 @@ export function deleteLumiaFromPack(packName, itemName) {
   }
 }
 
+/**
+ * Build a World Book entry, restoring the attributes kept from the original import (wbMeta).
+ * The stored comment is reused only while it still names the item, so renamed items get a fresh one.
+ * @param {Object|undefined} meta - Preserved entry attributes
+ * @param {string} name - Item name
+ * @param {string} comment - Generated comment
+ * @param {string} content - Entry content
+ * @param {number} uid - Unique ID for the entry
+ * @returns {Object} World Book entry object
+ */
+function buildWorldBookEntry(meta, name, comment, content, uid) {
+  const keepComment = meta?.comment && meta.comment.includes(`(${name})`);
+  return {
+    ...DEFAULT_WB_ENTRY,
+    ...meta,
+    uid: uid,
+    comment: keepComment ? meta.comment : comment,
+    content: content,
+  };
+}
+
 /**
  * Serialize a Lumia item to World Book entry format
  * @param {Object} lumiaItem - The Lumia item
@@ -282,6 +315,17 @@ function serializeLumiaToWorldBookEntry(lumiaItem, entryType, uid) {
     if (author) {
       contentParts.push(`[lumia_author=${author}]`);
     }
+    // she/her is the default - other sets travel as a tag
+    if ((getLumiaField(lumiaItem, "gender") ?? GENDER.SHE_HER) !== GENDER.SHE_HER) {
+      const pronouns = getLumiaPronounSet(lumiaItem);
+      contentParts.push(`[lumia_pronouns=${PRONOUN_FORMS.map((form) => pronouns[form]).join("/")}]`);
+    }
+    if (lumiaItem.tags?.length > 0) {
+      contentParts.push(`[lumia_tags=${lumiaItem.tags.join(",")}]`);
+    }
+    if (typeof lumiaItem.randomWeight === "number" && lumiaItem.randomWeight !== 1) {
+      contentParts.push(`[lumia_weight=${lumiaItem.randomWeight}]`);
+    }
     if (defContent) {
       contentParts.push(defContent);
     }
@@ -294,12 +338,21 @@ function serializeLumiaToWorldBookEntry(lumiaItem, entryType, uid) {
     content = getLumiaField(lumiaItem, "personality") || "";
   }
 
-  return {
-    ...DEFAULT_WB_ENTRY,
-    uid: uid,
-    comment: comment,
-    content: content,
-  };
+  return buildWorldBookEntry(lumiaItem.wbMeta?.[entryType], name, comment, content, uid);
+}
+
+/**
+ * Serialize a Loom item to World Book entry format
+ * @param {Object} loomItem - The Loom item
+ * @param {number} uid - Unique ID for the entry
+ * @returns {Object} World Book entry object
+ */
+function serializeLoomToWorldBookEntry(loomItem, uid) {
+  const name = loomItem.loomName || loomItem.name;
+  const category = loomItem.loomCategory || loomItem.category || "Loom Utilities";
+  const content = loomItem.loomContent || loomItem.content || "";
+
+  return buildWorldBookEntry(loomItem.wbMeta, name, `${category} (${name})`, content, uid);
 }
 
 /**
@@ -368,6 +421,11 @@ export function generateWorldBookJson(packName) {
     }
   }
 
+  for (const item of pack.loomItems || []) {
+    entries[uid] = serializeLoomToWorldBookEntry(item, uid);
+    uid++;
+  }
+
   return { entries };
 }
 
@@ -878,7 +936,11 @@ export function showLumiaEditorModal(editingItem = null, packName = null) {
       lumiaPersonality: newPersonality || null,
       lumiaBehavior: newBehavior || null,
       avatarUrl: newAvatarUrl || null,
-      genderIdentity: 0, // Default: she/her (TODO: add gender dropdown in Step 7)
+      // No pronoun or random-selection controls in this editor - keep the item's existing values
+      genderIdentity: editingItem?.genderIdentity ?? GENDER.SHE_HER,
+      customPronouns: editingItem?.customPronouns,
+      tags: editingItem?.tags,
+      randomWeight: editingItem?.randomWeight,
       authorName: newAuthor || null,
       version: 1,
     };
@@ -1116,8 +1178,13 @@ export function generateNativePackJson(packName) {
       lumiaBehavior: item.lumiaBehavior || item.lumia_behavior || "",
       avatarUrl: item.avatarUrl || item.lumia_img || null,
       genderIdentity: item.genderIdentity ?? 0,
+      customPronouns: item.customPronouns,
+      tags: item.tags,
+      randomWeight: item.randomWeight,
       authorName: item.authorName || packAuthor || null,
       version: item.version || 1,
+      id: item.id,
+      wbMeta: item.wbMeta,
     }));
   } else if (pack.items && pack.items.length > 0) {
     // Convert from legacy format
@@ -1130,8 +1197,13 @@ export function generateNativePackJson(packName) {
         lumiaBehavior: item.lumia_behavior || item.lumiaBehavior || "",
         avatarUrl: item.lumia_img || item.avatarUrl || null,
         genderIdentity: item.genderIdentity ?? 0,
+        customPronouns: item.customPronouns,
+        tags: item.tags,
+        randomWeight: item.randomWeight,
         authorName: item.authorName || packAuthor || null,
         version: item.version || 1,
+        id: item.id,
+        wbMeta: item.wbMeta,
       }));
   }
 
@@ -1144,6 +1216,8 @@ export function generateNativePackJson(packName) {
       loomCategory: item.loomCategory || item.category || "Loom Utilities",
       authorName: item.authorName || packAuthor || null,
       version: item.version || 1,
+      id: item.id,
+      wbMeta: item.wbMeta,
     }));
   }
 
@@ -1178,3 +1252,28 @@ export function exportPackAsNative(packName) {
 
   toastr.success(`Pack "${packName}" exported in Lumiverse format!`);
 }
+
+/**
+ * Download a pack as a PNG pack card (cover image with the native pack JSON embedded)
+ * @param {string} packName - The pack name to export
+ */
+export async function exportPackAsCard(packName) {
+  try {
+    const nativePack = generateNativePackJson(packName);
+    const blob = await createPackCard(nativePack);
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${packName.replace(/[^a-z0-9]/gi, "_")}_lumiverse.png`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    toastr.success(`Pack "${packName}" exported as a PNG card!`);
+  } catch (error) {
+    console.error(`[${MODULE_NAME}] Pack card export failed:`, error);
+    toastr.error("Failed to export pack card: " + error.message);
+  }
+}
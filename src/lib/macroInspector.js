@@ -0,0 +1,212 @@
+/**
+ * Macro Inspector Module
+ * Records every macro Lumiverse registers and expands them on demand for the
+ * Macro Inspector tab: current value, length in characters and tokens, and
+ * the settings or pack items the value was built from.
+ */
+
+import {
+  getSettings,
+  getCurrentRandomLumia,
+  setMacroDryRun,
+  LOOM_SUMMARY_KEY,
+  LOOM_VARIABLES_KEY,
+} from "./settingsManager.js";
+import { getSubstituteParams } from "../stContext.js";
+import { countTokens } from "./tokenCount.js";
+import { isDominantSelection } from "./lumiaContent.js";
+
+// Macro name -> registration options, in registration order
+const registeredMacros = new Map();
+
+// Macros that change chat state when expanded - listed, but never expanded here.
+// randomLumia rolls and stores its picks the first time it runs in a chat.
+// Pack content can still contain them; expansion runs as a dry run, in which
+// they don't write anything.
+const SIDE_EFFECT_MACROS = new Set(["loomSet", "loomInc", "randomLumia"]);
+
+/**
+ * Wrap a MacrosParser so the macros registered through it are recorded
+ * @param {Object} parser - From getMacrosParser()
+ * @returns {Object} Parser with the same registerMacro signature
+ */
+export function trackMacroRegistrations(parser) {
+  return {
+    ...parser,
+    registerMacro: (name, handlerOrOptions, legacyDescription = null) => {
+      const options =
+        typeof handlerOrOptions === "function"
+          ? { handler: handlerOrOptions, description: legacyDescription || "" }
+          : handlerOrOptions || {};
+      registeredMacros.set(name, options);
+      return parser.registerMacro(name, handlerOrOptions, legacyDescription);
+    },
+  };
+}
+
+function describeSelection(sel) {
+  return sel ? `${sel.packName} / ${sel.itemName}` : null;
+}
+
+function getCouncilMembers(settings) {
+  return settings.councilMode && settings.councilMembers?.length > 0 ? settings.councilMembers : [];
+}
+
+function isChimera(settings) {
+  return getCouncilMembers(settings).length === 0 && settings.chimeraMode && settings.selectedDefinitions?.length > 0;
+}
+
+function templateSources(settings, keys) {
+  return keys.map((key) => `Template: ${key}${typeof settings.scaffoldTemplates?.[key] === "string" ? " (customized)" : ""}`);
+}
+
+function definitionSources(settings) {
+  const members = getCouncilMembers(settings);
+  if (members.length > 0) {
+    return [
+      ...members.map((member) => `Council member: ${describeSelection(member)}`),
+      ...templateSources(settings, ["council", "councilListEntry", "councilMember"]),
+    ];
+  }
+  if (isChimera(settings)) {
+    return [
+      ...settings.selectedDefinitions.map((sel) => `Chimera component: ${describeSelection(sel)}`),
+      ...templateSources(settings, ["chimera", "chimeraMember"]),
+    ];
+  }
+  return settings.selectedDefinition ? [`Definition: ${describeSelection(settings.selectedDefinition)}`] : [];
+}
+
+function traitSources(settings, type) {
+  const isBehavior = type === "behavior";
+  const label = isBehavior ? "Behavior" : "Personality";
+  const members = getCouncilMembers(settings);
+  const groups =
+    members.length > 0
+      ? members.map((member) => ({
+          owner: member.itemName,
+          selections: (isBehavior ? member.behaviors : member.personalities) || [],
+          dominant: isBehavior ? member.dominantBehavior : member.dominantPersonality,
+        }))
+      : [
+          {
+            owner: null,
+            selections: (isBehavior ? settings.selectedBehaviors : settings.selectedPersonalities) || [],
+            dominant: isBehavior ? settings.dominantBehavior : settings.dominantPersonality,
+          },
+        ];
+
+  return groups.flatMap(({ owner, selections, dominant }) =>
+    selections.map((sel) => {
+      const isDominant = isDominantSelection(dominant, sel);
+      return `${label}: ${describeSelection(sel)}${owner ? ` (for ${owner})` : ""}${isDominant ? " - dominant" : ""}`;
+    }),
+  );
+}
+
+function loomSources(selections, label) {
+  return (selections || []).map((sel) => `${label}: ${describeSelection(sel)}`);
+}
+
+function councilSources(settings) {
+  const members = getCouncilMembers(settings);
+  return [`Setting: councilMode = ${!!settings.councilMode}`, ...members.map((member) => `Council member: ${describeSelection(member)}`)];
+}
+
+function sovereignHandSources(settings) {
+  return [`Setting: sovereignHand.enabled = ${!!settings.sovereignHand?.enabled}`];
+}
+
+function oocSources(settings) {
+  const prompts = settings.oocPrompts || {};
+  const customized = ["normalTemplate", "councilTemplate"].filter((key) => typeof prompts[key] === "string");
+  return [
+    `Setting: lumiaOOCInterval = ${settings.lumiaOOCInterval ?? "off"}`,
+    ...(customized.length > 0 ? [`OOC prompt: ${customized.join(", ")} customized`] : []),
+  ];
+}
+
+// Macro name -> function listing what its value depends on
+const MACRO_SOURCES = {
+  lumiaDef: definitionSources,
+  lumiaPn: definitionSources,
+  lumiaSelf: (settings) => [`Setting: councilMode = ${!!settings.councilMode}`],
+  lumiaBehavior: (settings) => traitSources(settings, "behavior"),
+  lumiaPersonality: (settings) => traitSources(settings, "personality"),
+  loomStyle: (settings) => loomSources(settings.selectedLoomStyle, "Style"),
+  loomUtils: (settings) => loomSources(settings.selectedLoomUtils, "Utility"),
+  loomRetrofits: (settings) => loomSources(settings.selectedLoomRetrofits, "Retrofit"),
+  randomLumia: (settings) => {
+    const pick = getCurrentRandomLumia();
+    return [
+      `Setting: randomLumia.scope = ${settings.randomLumia?.scope || "generation"}`,
+      ...(pick ? [`Current pick: ${pick.lumiaName || pick.lumiaDefName}`] : []),
+    ];
+  },
+  lumiaOOC: oocSources,
+  lumiaOOCTrigger: oocSources,
+  lumiaCouncil: councilSources,
+  lumiaCouncilMember: councilSources,
+  lumiaCouncilEach: councilSources,
+  lumiaCouncilModeActive: councilSources,
+  lumiaCouncilInst: (settings) => [...councilSources(settings), ...templateSources(settings, ["councilInst"])],
+  loomSummary: () => [`Chat metadata: ${LOOM_SUMMARY_KEY}`],
+  loomSovHand: sovereignHandSources,
+  loomSovHandActive: sovereignHandSources,
+  loomLastUserMessage: sovereignHandSources,
+  loomContinuePrompt: () => ["Chat: last speaker"],
+  loomLastCharMessage: () => ["Chat: last character message"],
+  lastMessageName: () => ["Chat: last message"],
+  lumiaMessageCount: () => ["Chat: message count"],
+  loomSet: () => [`Chat metadata: ${LOOM_VARIABLES_KEY}`],
+  loomGet: () => [`Chat metadata: ${LOOM_VARIABLES_KEY}`],
+  loomInc: () => [`Chat metadata: ${LOOM_VARIABLES_KEY}`],
+};
+
+/**
+ * The calls to expand for a macro - its documented examples, or the bare macro
+ */
+function getInspectionCalls(name, options) {
+  const examples = [].concat(options.exampleUsage || []).filter((example) => typeof example === "string");
+  return examples.length > 0 ? examples : [`{{${name}}}`];
+}
+
+/**
+ * Expand every registered macro with the current settings and chat
+ * @returns {Promise<Array<{name: string, description: string, sources: string[], skipped: boolean, expansions: Array<{call: string, value: string, chars: number, tokens: number, estimated: boolean, error: string|null}>}>>}
+ */
+export async function inspectMacros() {
+  const settings = getSettings();
+  const substituteParams = getSubstituteParams();
+  const results = [];
+
+  for (const [name, options] of registeredMacros) {
+    const expansions = [];
+    const skipped = SIDE_EFFECT_MACROS.has(name);
+    for (const call of skipped ? [] : getInspectionCalls(name, options)) {
+      let value = "";
+      let error = null;
+      setMacroDryRun(true);
+      try {
+        value = String(substituteParams(call) ?? "");
+      } catch (err) {
+        error = err.message;
+      } finally {
+        setMacroDryRun(false);
+      }
+
+      const { tokens, estimated } = await countTokens(value);
+      expansions.push({ call, value, chars: value.length, tokens, estimated, error });
+    }
+
+    results.push({
+      name,
+      description: options.description || "",
+      sources: MACRO_SOURCES[name]?.(settings) || [],
+      skipped,
+      expansions,
+    });
+  }
+
+  return results;
+}
@@ -15,6 +15,7 @@ import { query, queryAll, createElement } from "../sthelpers/domUtils.js";
 import { getSettings, MODULE_NAME } from "./settingsManager.js";
 import { getItemFromLibrary } from "./dataProcessor.js";
 import { hideLoomSumBlocks } from "./loomSystem.js";
+import { getOOCTagPattern, getOOCPromptConfig, isOOCColor, DEFAULT_OOC_COLOR } from "./oocPrompts.js";
 import {
   setOOCProcessingCallbacks,
   setStreamingState,
@@ -23,9 +24,10 @@ import {
   flushPendingUpdates,
 } from "./rafBatchRenderer.js";
 
-// Lumia OOC color constant - the specific purple color used for Lumia's OOC comments
-export const LUMIA_OOC_COLOR = "#9370DB";
-export const LUMIA_OOC_COLOR_LOWER = "#9370db";
+// Lumia OOC color constant - the default purple used for Lumia's OOC comments
+// (the prompts can ask for another color, see oocPrompts.js)
+export const LUMIA_OOC_COLOR = DEFAULT_OOC_COLOR;
+export const LUMIA_OOC_COLOR_LOWER = DEFAULT_OOC_COLOR.toLowerCase();
 
 // Debounce timers for OOC processing
 let oocProcessingTimer = null;
@@ -66,8 +68,8 @@ export function getIsGenerating() {
 function cleanOOCContent(html) {
   if (!html) return "";
 
-  // Remove <lumia_ooc>, <lumiaooc>, <lumio_ooc>, <lumioooc> tags (all formats, case insensitive), keeping inner content
-  let cleaned = html.replace(/<\/?lumi[ao]_?ooc(?:\s+[^>]*)?>/gi, "");
+  // Remove <lumia_ooc>, <lumiaooc>, <lumio_ooc>, <lumioooc> and custom OOC tags (case insensitive), keeping inner content
+  let cleaned = html.replace(new RegExp(`<\\/?(?:${getOOCTagPattern()})(?:\\s+[^>]*)?>`, "gi"), "");
 
   // Remove any other custom Lumia/Lumio tags that might slip through
   cleaned = cleaned.replace(/<\/?lumi[ao]_[a-z_]+(?:\s+[^>]*)?>/gi, "");
@@ -102,18 +104,21 @@ function cleanOOCContent(html) {
 }
 
 /**
- * Check if a font element has the Lumia OOC color
+ * Check if a font element has the Lumia OOC color (default or configured)
  * @param {HTMLElement} fontElement - The font element to check
  * @returns {boolean} True if the font has the Lumia OOC color
  */
 export function isLumiaOOCFont(fontElement) {
-  const color = fontElement.getAttribute("color");
-  if (!color) return false;
-  const normalizedColor = color.toLowerCase().trim();
-  return (
-    normalizedColor === LUMIA_OOC_COLOR_LOWER ||
-    normalizedColor === "rgb(147, 112, 219)"
-  );
+  return isOOCColor(fontElement.getAttribute("color"));
+}
+
+/**
+ * Whether raw message text contains OOC tags (built-in or configured name)
+ * @param {string} rawText - Raw message text
+ * @returns {boolean}
+ */
+export function hasOOCTags(rawText) {
+  return new RegExp(`<(?:${getOOCTagPattern()})[^>]*>`, "i").test(rawText || "");
 }
 
 /**
@@ -127,6 +132,7 @@ export function getLumiaAvatarImg() {
     const item = getItemFromLibrary(
       settings.selectedDefinition.packName,
       settings.selectedDefinition.itemName,
+      settings.selectedDefinition.itemId,
     );
     // Support both new (avatarUrl) and legacy (lumia_img) field names
     const avatarUrl = item?.avatarUrl || item?.lumia_img;
@@ -236,11 +242,11 @@ function extractOOCFromRawMessage(rawText) {
   const matches = [];
 
   // Stage 1: Find all tag pairs with a flexible regex
-  // Group 1: Tag variant (lumia_ooc, lumiaooc, lumio_ooc, lumioooc)
+  // Group 1: Tag variant (lumia_ooc, lumiaooc, lumio_ooc, lumioooc, or the configured tag)
   // Group 2: All attributes (will parse name from this separately)
   // Group 3: Content between tags
   // Uses backreference \1 to ensure closing tag matches opening tag
-  const tagRegex = /<(lumi[ao]_?ooc)([^>]*)>([\s\S]*?)<\/\1>/gi;
+  const tagRegex = new RegExp(`<(${getOOCTagPattern()})([^>]*)>([\\s\\S]*?)<\\/\\1>`, "gi");
   let match;
 
   while ((match = tagRegex.exec(rawText)) !== null) {
@@ -694,7 +700,7 @@ function getLumiaAvatarByName(lumiaName) {
   // In council mode, check council members (highest priority)
   if (settings.councilMode && settings.councilMembers?.length) {
     for (const member of settings.councilMembers) {
-      const item = getItemFromLibrary(member.packName, member.itemName);
+      const item = getItemFromLibrary(member.packName, member.itemName, member.itemId);
       if (!item) continue;
 
       // Check against both new (lumiaName) and legacy (lumiaDefName) field names
@@ -711,7 +717,8 @@ function getLumiaAvatarByName(lumiaName) {
   if (settings.selectedDefinition) {
     const item = getItemFromLibrary(
       settings.selectedDefinition.packName,
-      settings.selectedDefinition.itemName
+      settings.selectedDefinition.itemName,
+      settings.selectedDefinition.itemId
     );
     if (item) {
       // Check against both new (lumiaName) and legacy (lumiaDefName) field names
@@ -726,7 +733,7 @@ function getLumiaAvatarByName(lumiaName) {
   // Check chimera mode definitions
   if (settings.chimeraMode && settings.selectedDefinitions?.length) {
     for (const sel of settings.selectedDefinitions) {
-      const item = getItemFromLibrary(sel.packName, sel.itemName);
+      const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
       if (!item) continue;
 
       // Check against both new (lumiaName) and legacy (lumiaDefName) field names
@@ -1056,8 +1063,7 @@ function cleanupOOCBoxSurroundings(commentBox) {
 
     // Check if parent is a legacy Lumia OOC font tag
     if (parent.tagName === "FONT") {
-      const color = parent.getAttribute("color")?.toLowerCase();
-      if (color === LUMIA_OOC_COLOR_LOWER || color === "rgb(147, 112, 219)") {
+      if (isOOCColor(parent.getAttribute("color"))) {
         // This is a legacy OOC font wrapper - unwrap it
         // First, remove any sibling <br> tags inside the font
         const siblings = Array.from(parent.childNodes);
@@ -1329,7 +1335,7 @@ function performAllOOCProcessing(clearExisting = false) {
 
       // Recreate the original font element structure
       const fontElement = document.createElement("font");
-      fontElement.setAttribute("color", LUMIA_OOC_COLOR);
+      fontElement.setAttribute("color", getOOCPromptConfig().color);
       fontElement.innerHTML = content;
 
       // Replace the box with the font element
@@ -1518,9 +1524,7 @@ export function setupLumiaOOCObserver() {
           const chatMessage = context?.chat?.[mesId];
           const rawContent = chatMessage?.mes || chatMessage?.content || "";
 
-          const hasOOCTags = /<lumi[ao]_?ooc[^>]*>/i.test(rawContent);
-
-          if (hasOOCTags) {
+          if (hasOOCTags(rawContent)) {
             console.log(
               `[${MODULE_NAME}] Observer: Processing OOC tags in message ${mesId}`,
             );
@@ -0,0 +1,148 @@
+/**
+ * OOC Prompts Module
+ * Default {{lumiaOOC}} prompts, their %variable% substitution, and the OOC tag
+ * name and font color shared by the prompts and the OOC renderer.
+ *
+ * Settings (settings.oocPrompts):
+ *   normalTemplate / councilTemplate - custom prompt text, null for the default
+ *   maxSentences / councilMaxSentences - %maxSentences% in each prompt
+ *   tagName - tag the model wraps comments in (<lumiaooc> by default)
+ *   color - font color the normal prompt asks for
+ */
+
+import { getSettings } from "./settingsManager.js";
+import { fillPlaceholders } from "./scaffoldTemplates.js";
+
+export const DEFAULT_OOC_TAG = "lumiaooc";
+export const DEFAULT_OOC_COLOR = "#9370DB";
+
+// Built-in tag variants that are always recognized: lumia_ooc, lumiaooc, lumio_ooc, lumioooc
+const BUILT_IN_TAG_PATTERN = "lumi[ao]_?ooc";
+
+/** Variables available in OOC prompt templates */
+export const OOC_PROMPT_VARIABLES = {
+  trigger: "OOC on/off status for this message",
+  maxSentences: "Sentence limit per comment",
+  memberNames: "Council member names (empty outside Council mode)",
+  tagName: "Tag the comments are wrapped in",
+  color: "Font color for comments",
+};
+
+export const DEFAULT_OOC_PROMPTS = {
+  normal: `### Loom Utility: Lumia's Out of Context Commentary
+Append personality-driven OOC thoughts at weave end per trigger rules.
+
+**Timing:** %trigger%
+
+**Format Requirements:**
+- Wrap all OOCs in \`<%tagName% name="[your_name]"></%tagName%>\` tags
+- Use your Lumia name (NOT "Lumia [Name]", just "[Name]") in the name attribute
+- Text in %color%: \`<font color="%color%"></font>\`
+- Max %maxSentences% sentences
+- Active personality voice and matrix blend, no identity preface needed
+- Place after narrative and all utilities
+
+Template:
+\`\`\`
+<%tagName% name="YourName">
+<font color="%color%">
+[Personality-driven commentary]
+</font>
+</%tagName%>
+\`\`\``,
+  council: `### Loom Utility: Council OOC Commentary
+
+**Status:** %trigger%
+
+When OOC is ACTIVE, **multiple council members** speak to the Human together. This is a group discussion—not a solo monologue.
+
+**Multi-Party Dynamics:**
+- 2-4 council members should comment, reacting to the scene AND each other
+- Members may agree, disagree, tease, flirt, or bicker
+- Cross-talk is encouraged: one member can respond to another's comment
+- Each voice stays distinct—different opinions, different energy
+
+**Format:**
+\`\`\`
+<%tagName% name="Name1">
+[Their take on the scene]
+</%tagName%>
+<%tagName% name="Name2">
+[Responds to Name1 or adds their own perspective]
+</%tagName%>
+\`\`\`
+
+- Use just the name (not "Lumia Name")
+- Max %maxSentences% sentences per member
+- Place after narrative content`,
+};
+
+/**
+ * OOC prompt settings with defaults filled in
+ * @param {Object} [config] - settings.oocPrompts, or unsaved values to preview
+ * @returns {Object}
+ */
+export function getOOCPromptConfig(config = getSettings().oocPrompts) {
+  const tagName = String(config?.tagName || "").trim();
+  return {
+    normalTemplate: config?.normalTemplate ?? null,
+    councilTemplate: config?.councilTemplate ?? null,
+    maxSentences: config?.maxSentences ?? 4,
+    councilMaxSentences: config?.councilMaxSentences ?? 3,
+    // Tag names are restricted to what the parser can match
+    tagName: /^[a-z][\w-]*$/i.test(tagName) ? tagName : DEFAULT_OOC_TAG,
+    color: String(config?.color || "").trim() || DEFAULT_OOC_COLOR,
+  };
+}
+
+/**
+ * Render an OOC prompt. Unknown %variables% are left as written.
+ * @param {"normal"|"council"} mode - Which prompt
+ * @param {Object} values - trigger and memberNames for this generation
+ * @param {Object} [config] - From getOOCPromptConfig()
+ * @returns {string}
+ */
+export function renderOOCPrompt(mode, values, config = getOOCPromptConfig()) {
+  const isCouncil = mode === "council";
+  const template = (isCouncil ? config.councilTemplate : config.normalTemplate) ?? DEFAULT_OOC_PROMPTS[mode];
+  const variables = {
+    trigger: values.trigger || "",
+    memberNames: values.memberNames || "",
+    maxSentences: isCouncil ? config.councilMaxSentences : config.maxSentences,
+    tagName: config.tagName,
+    color: config.color,
+  };
+
+  return fillPlaceholders(template, variables);
+}
+
+/**
+ * Regex source matching any recognized OOC tag name - the built-in variants
+ * plus the configured tag, so older messages keep rendering after a rename
+ * @returns {string}
+ */
+export function getOOCTagPattern() {
+  const { tagName } = getOOCPromptConfig();
+  if (new RegExp(`^${BUILT_IN_TAG_PATTERN}$`, "i").test(tagName)) return BUILT_IN_TAG_PATTERN;
+  return `${BUILT_IN_TAG_PATTERN}|${tagName.replace(/-/g, "\\-")}`;
+}
+
+/**
+ * Whether a font color is the OOC color (the configured one or the default)
+ * @param {string|null} color - Color attribute or computed color
+ * @returns {boolean}
+ */
+export function isOOCColor(color) {
+  if (!color) return false;
+  const normalized = color.toLowerCase().replace(/\s+/g, "");
+  return [DEFAULT_OOC_COLOR, getOOCPromptConfig().color].some((candidate) => {
+    const hex = candidate.toLowerCase();
+    return normalized === hex || normalized === hexToRgb(hex);
+  });
+}
+
+function hexToRgb(hex) {
+  const match = hex.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/);
+  if (!match) return null;
+  return `rgb(${match.slice(1).map((part) => parseInt(part, 16)).join(",")})`;
+}
@@ -0,0 +1,390 @@
+/**
+ * Pack Bundle Module
+ * Exports many packs at once as a zip bundle (native pack JSON, the presets that
+ * use them and local copies of their avatar/cover images) and imports bundles
+ * back, re-hosting the images in SillyTavern's user files.
+ *
+ * Bundle layout:
+ *   manifest.json        - { format, version, createdAt, packs: [{ file, name, url }] }
+ *   packs/<name>.json    - Native pack JSON; bundled images referenced as "images/<file>"
+ *   presets.json         - Presets referencing bundled packs, and presets that only carry filter rules
+ *   images/<hash>.<ext>  - Cached avatar and cover images
+ *
+ * Single presets can also be shared as JSON files: { format, version, preset }.
+ * Imported presets go through the same checks either way.
+ */
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from "fflate";
+import { getSettings, saveSettings, refreshItemIdentity, MODULE_NAME } from "./settingsManager.js";
+import { hashString } from "./packMerge.js";
+import { reviewAndImportPack } from "./dataProcessor.js";
+import { generateNativePackJson } from "./lumiaEditor.js";
+import { whenPackLibraryLoaded } from "./packStorage.js";
+import { sanitizeFilterRules } from "./contextFilterRules.js";
+import { getRequestHeaders } from "../stContext.js";
+
+export const BUNDLE_FORMAT = "lumiverse-bundle";
+const BUNDLE_VERSION = 1;
+export const PRESET_FORMAT = "lumiverse-preset";
+const PRESET_VERSION = 1;
+const IMAGE_PREFIX = "images/";
+
+const IMAGE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/avif": "avif",
+};
+
+function safeFileName(name) {
+  return name.replace(/[^a-z0-9]/gi, "_");
+}
+
+/**
+ * Visit every image URL field of a native pack
+ * @param {Object} pack - Native pack JSON (modified in place)
+ * @param {Function} fn - Maps a URL to its replacement
+ */
+function mapPackImages(pack, fn) {
+  if (pack.coverUrl) pack.coverUrl = fn(pack.coverUrl);
+  for (const item of pack.lumiaItems || []) {
+    if (item.avatarUrl) item.avatarUrl = fn(item.avatarUrl);
+  }
+}
+
+/**
+ * Download an image for bundling
+ * @param {string} url - Image URL
+ * @returns {Promise<{bytes: Uint8Array, ext: string}|null>} Image data, or null if it can't be fetched
+ */
+async function fetchImage(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) return null;
+    const type = (response.headers.get("content-type") || "").split(";")[0].trim();
+    const ext = IMAGE_EXTENSIONS[type] || url.split("?")[0].split(".").pop().toLowerCase();
+    if (!Object.values(IMAGE_EXTENSIONS).includes(ext)) return null;
+    return { bytes: new Uint8Array(await response.arrayBuffer()), ext };
+  } catch (error) {
+    // Usually CORS - the external URL is kept as-is
+    console.warn(`[${MODULE_NAME}] Could not bundle image ${url}:`, error.message);
+    return null;
+  }
+}
+
+function getPresetSelections(preset) {
+  return [
+    preset.selectedDefinition,
+    ...(preset.selectedDefinitions || []),
+    ...(preset.selectedBehaviors || []),
+    ...(preset.selectedPersonalities || []),
+    ...(preset.councilMembers || []).flatMap((member) => [
+      { packName: member.packName },
+      ...(member.behaviors || []),
+      ...(member.personalities || []),
+    ]),
+  ].filter(Boolean);
+}
+
+/**
+ * Check whether a preset references any of the given packs
+ */
+function presetUsesPacks(preset, packNames) {
+  return getPresetSelections(preset).some((sel) => packNames.has(sel.packName));
+}
+
+/**
+ * Presets that select nothing and only carry filter rules belong to no pack,
+ * so bundles always include them
+ */
+function isRulesOnlyPreset(preset) {
+  return preset.filterRules?.length > 0 && getPresetSelections(preset).length === 0;
+}
+
+/**
+ * Build a bundle zip from stored packs
+ * @param {string[]} [packNames] - Packs to include (defaults to the whole library)
+ * @returns {Promise<{blob: Blob, packCount: number, imageCount: number, presetCount: number}>}
+ */
+export async function createPackBundle(packNames = null) {
+  await whenPackLibraryLoaded();
+  const settings = getSettings();
+  const names = packNames || Object.keys(settings.packs || {});
+  const files = {};
+  const imageFiles = new Map(); // url -> bundle path (or null if not bundled)
+  const manifestPacks = [];
+
+  for (const name of names) {
+    const stored = settings.packs[name];
+    if (!stored) continue;
+
+    const pack = generateNativePackJson(name);
+    const urls = [];
+    mapPackImages(pack, (url) => (urls.push(url), url));
+
+    for (const url of urls) {
+      if (imageFiles.has(url)) continue;
+      const image = await fetchImage(url);
+      if (image) {
+        const path = `${IMAGE_PREFIX}${hashString(url)}.${image.ext}`;
+        files[path] = image.bytes;
+        imageFiles.set(url, path);
+      } else {
+        imageFiles.set(url, null);
+      }
+    }
+
+    mapPackImages(pack, (url) => imageFiles.get(url) || url);
+
+    const file = `packs/${safeFileName(name)}.json`;
+    files[file] = strToU8(JSON.stringify(pack, null, 2));
+    manifestPacks.push({ file, name, url: stored.url || "" });
+  }
+
+  const bundledNames = new Set(manifestPacks.map((p) => p.name));
+  const presets = Object.values(settings.presets || {}).filter(
+    (preset) => presetUsesPacks(preset, bundledNames) || isRulesOnlyPreset(preset),
+  );
+  if (presets.length > 0) {
+    files["presets.json"] = strToU8(JSON.stringify(presets, null, 2));
+  }
+
+  files["manifest.json"] = strToU8(
+    JSON.stringify(
+      {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        createdAt: new Date().toISOString(),
+        packs: manifestPacks,
+      },
+      null,
+      2,
+    ),
+  );
+
+  // Images are already compressed - store them as-is
+  const zipInput = Object.fromEntries(
+    Object.entries(files).map(([path, data]) => [path, path.startsWith(IMAGE_PREFIX) ? [data, { level: 0 }] : data]),
+  );
+
+  return {
+    blob: new Blob([zipSync(zipInput)], { type: "application/zip" }),
+    packCount: manifestPacks.length,
+    imageCount: [...imageFiles.values()].filter(Boolean).length,
+    presetCount: presets.length,
+  };
+}
+
+/**
+ * Download the whole pack library (or selected packs) as a bundle zip
+ * @param {string[]} [packNames] - Packs to include (defaults to the whole library)
+ */
+export async function exportPackBundle(packNames = null) {
+  try {
+    toastr.info("Building pack bundle...");
+    const { blob, packCount, imageCount, presetCount } = await createPackBundle(packNames);
+    if (packCount === 0 && presetCount === 0) {
+      toastr.warning("No packs to export.");
+      return;
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `lumiverse_bundle_${new Date().toISOString().slice(0, 10)}.zip`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    toastr.success(`Exported ${packCount} pack(s), ${imageCount} image(s) and ${presetCount} preset(s).`);
+  } catch (error) {
+    console.error(`[${MODULE_NAME}] Bundle export failed:`, error);
+    toastr.error("Failed to export bundle: " + error.message);
+  }
+}
+
+/**
+ * Upload a bundled image to SillyTavern's user files
+ * @param {string} path - Path inside the bundle
+ * @param {Uint8Array} bytes - Image data
+ * @returns {Promise<string|null>} Local URL, or null on failure
+ */
+async function uploadImage(path, bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+
+  try {
+    const response = await fetch("/api/files/upload", {
+      method: "POST",
+      headers: getRequestHeaders(),
+      body: JSON.stringify({
+        name: `lumiverse_${path.slice(IMAGE_PREFIX.length)}`,
+        data: btoa(binary),
+      }),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const result = await response.json();
+    return result.path.startsWith("/") ? result.path : `/${result.path}`;
+  } catch (error) {
+    console.error(`[${MODULE_NAME}] Failed to upload bundled image ${path}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Import presets from a bundle or preset file. Existing presets are never
+ * overwritten; clashing names get an "(imported)" suffix. Filter rules are
+ * validated first, since loading the preset replaces the user's rules with
+ * them. Selections are then matched to the library so they get item IDs.
+ * @param {Array} presets - Presets from presets.json or a preset file
+ * @returns {number} Number of presets added
+ */
+function importBundlePresets(presets) {
+  const settings = getSettings();
+  let added = 0;
+  let droppedRules = 0;
+
+  for (const preset of Array.isArray(presets) ? presets : []) {
+    if (!preset || !preset.name) continue;
+    let name = preset.name;
+    if (settings.presets[name]) {
+      name = `${preset.name} (imported)`;
+      for (let i = 2; settings.presets[name]; i++) {
+        name = `${preset.name} (imported ${i})`;
+      }
+    }
+
+    const imported = { ...preset, name };
+    if (preset.filterRules !== undefined) {
+      const { rules, dropped } = sanitizeFilterRules(preset.filterRules);
+      imported.filterRules = rules;
+      droppedRules += dropped;
+    }
+    settings.presets[name] = imported;
+    added++;
+  }
+
+  if (droppedRules > 0) {
+    toastr.warning(`Skipped ${droppedRules} invalid filter rule(s) in the imported presets.`);
+  }
+  if (added > 0) {
+    refreshItemIdentity();
+    saveSettings();
+  }
+  return added;
+}
+
+/**
+ * Download one preset, including its filter rules, as a JSON file
+ * @param {string} presetName - Name of the preset
+ */
+export function exportPresetFile(presetName) {
+  const preset = getSettings().presets?.[presetName];
+  if (!preset) {
+    toastr.error(`Preset "${presetName}" not found.`);
+    return;
+  }
+
+  const data = { format: PRESET_FORMAT, version: PRESET_VERSION, preset };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `lumiverse_preset_${safeFileName(presetName)}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Import a preset file made by exportPresetFile()
+ * @param {File} file - The selected JSON file
+ * @returns {Promise<string|null>} Name the preset was added under, or null
+ */
+export async function importPresetFile(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (data?.format !== PRESET_FORMAT || !data.preset?.name) {
+      toastr.error(`"${file.name}" is not a Lumiverse preset.`);
+      return null;
+    }
+    if (data.version > PRESET_VERSION) {
+      toastr.warning("This preset was made by a newer version of Lumiverse Helper - some data may be skipped.");
+    }
+
+    const before = new Set(Object.keys(getSettings().presets || {}));
+    if (importBundlePresets([data.preset]) === 0) return null;
+    const name = Object.keys(getSettings().presets).find((key) => !before.has(key));
+    toastr.success(`Preset "${name}" imported.`);
+    return name;
+  } catch (error) {
+    console.error(`[${MODULE_NAME}] Preset import failed:`, error);
+    toastr.error("Failed to import preset: " + error.message);
+    return null;
+  }
+}
+
+/**
+ * Import a bundle zip: images are re-hosted locally, then every pack goes through
+ * the regular validation/merge import and finally the presets are added.
+ * @param {File} file - The selected zip file
+ * @returns {Promise<{packCount: number, presetCount: number}|null>} Import summary or null
+ */
+export async function importPackBundle(file) {
+  try {
+    const entries = unzipSync(new Uint8Array(await file.arrayBuffer()));
+    if (!entries["manifest.json"]) {
+      toastr.error(`"${file.name}" is not a Lumiverse pack bundle.`);
+      return null;
+    }
+
+    const manifest = JSON.parse(strFromU8(entries["manifest.json"]));
+    if (manifest.format !== BUNDLE_FORMAT) {
+      toastr.error(`"${file.name}" is not a Lumiverse pack bundle.`);
+      return null;
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+      toastr.warning("This bundle was made by a newer version of Lumiverse Helper - some data may be skipped.");
+    }
+
+    // Re-host images first so packs point at local copies
+    const localImages = new Map();
+    for (const path of Object.keys(entries)) {
+      if (!path.startsWith(IMAGE_PREFIX) || path.endsWith("/")) continue;
+      const localUrl = await uploadImage(path, entries[path]);
+      if (localUrl) localImages.set(path, localUrl);
+    }
+
+    let packCount = 0;
+    for (const { file: packFile, name, url } of manifest.packs || []) {
+      if (!entries[packFile]) {
+        console.warn(`[${MODULE_NAME}] Bundle is missing ${packFile}`);
+        continue;
+      }
+      const pack = JSON.parse(strFromU8(entries[packFile]));
+      // Images that couldn't be uploaded are dropped rather than left as dangling bundle paths
+      mapPackImages(pack, (imageUrl) =>
+        imageUrl.startsWith(IMAGE_PREFIX) ? localImages.get(imageUrl) || null : imageUrl,
+      );
+
+      const result = await reviewAndImportPack(pack, name || pack.packName, !!url, url || null);
+      if (result) packCount++;
+    }
+
+    const presetCount = entries["presets.json"]
+      ? importBundlePresets(JSON.parse(strFromU8(entries["presets.json"])))
+      : 0;
+
+    toastr.success(`Bundle imported: ${packCount} pack(s), ${localImages.size} image(s), ${presetCount} preset(s).`);
+    return { packCount, presetCount };
+  } catch (error) {
+    console.error(`[${MODULE_NAME}] Bundle import failed:`, error);
+    toastr.error("Failed to import bundle: " + error.message);
+    return null;
+  }
+}
@@ -0,0 +1,202 @@
+/**
+ * Pack Card Module
+ * Exports packs as PNG "pack cards" - the cover image with the native pack JSON
+ * embedded in a tEXt chunk, the same way character cards carry their data -
+ * and imports them back.
+ */
+
+import { MODULE_NAME } from "./settingsManager.js";
+import { reviewAndImportPack } from "./dataProcessor.js";
+import { readCardFromPng, importCharacterCardData } from "./characterCard.js";
+import { readPngTextChunks, writePngTextChunk, encodeBase64Utf8, decodeBase64Utf8, isPng } from "./pngChunks.js";
+
+/** tEXt keyword holding the base64-encoded native pack JSON */
+export const PACK_CARD_KEYWORD = "lumiverse";
+
+const CARD_WIDTH = 512;
+const CARD_HEIGHT = 768;
+
+/**
+ * Load an image for drawing onto a canvas. Requests CORS access so the canvas stays exportable.
+ * @param {string} url - Image URL
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Could not load cover image: ${url}`));
+    img.src = url;
+  });
+}
+
+/**
+ * Draw an image scaled to cover the whole canvas (center crop)
+ */
+function drawCoverImage(ctx, img) {
+  const scale = Math.max(CARD_WIDTH / img.width, CARD_HEIGHT / img.height);
+  const width = img.width * scale;
+  const height = img.height * scale;
+  ctx.drawImage(img, (CARD_WIDTH - width) / 2, (CARD_HEIGHT - height) / 2, width, height);
+}
+
+/**
+ * Break text into lines that fit the given width
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Draw a generated cover for packs without a usable cover image.
+ * The gradient hue is derived from the pack name so each pack gets a stable look.
+ */
+function drawGeneratedCover(ctx, pack) {
+  const name = pack.packName || "Lumiverse Pack";
+  let hue = 0;
+  for (let i = 0; i < name.length; i++) {
+    hue = (hue * 31 + name.charCodeAt(i)) % 360;
+  }
+
+  const gradient = ctx.createLinearGradient(0, 0, CARD_WIDTH, CARD_HEIGHT);
+  gradient.addColorStop(0, `hsl(${hue}, 55%, 35%)`);
+  gradient.addColorStop(1, `hsl(${(hue + 60) % 360}, 45%, 15%)`);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+  ctx.textAlign = "center";
+  ctx.fillStyle = "rgba(255, 255, 255, 0.95)";
+  ctx.font = "bold 44px sans-serif";
+  const lines = wrapText(ctx, name, CARD_WIDTH - 64).slice(0, 4);
+  const top = CARD_HEIGHT / 2 - (lines.length * 52) / 2;
+  lines.forEach((line, i) => ctx.fillText(line, CARD_WIDTH / 2, top + i * 52));
+
+  ctx.font = "22px sans-serif";
+  ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+  if (pack.packAuthor) {
+    ctx.fillText(`by ${pack.packAuthor}`, CARD_WIDTH / 2, top + lines.length * 52 + 16);
+  }
+
+  const lumiaCount = (pack.lumiaItems || []).length;
+  const loomCount = (pack.loomItems || []).length;
+  ctx.font = "18px sans-serif";
+  ctx.fillText(
+    `${lumiaCount} Lumia${lumiaCount !== 1 ? "s" : ""} · ${loomCount} Loom item${loomCount !== 1 ? "s" : ""}`,
+    CARD_WIDTH / 2,
+    CARD_HEIGHT - 48,
+  );
+}
+
+/**
+ * Render a canvas to PNG bytes
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<Uint8Array>}
+ */
+function canvasToPng(canvas) {
+  return new Promise((resolve, reject) => {
+    // toBlob throws a SecurityError if a cross-origin image tainted the canvas
+    canvas.toBlob(async (blob) => {
+      if (!blob) {
+        reject(new Error("Failed to render pack card"));
+        return;
+      }
+      resolve(new Uint8Array(await blob.arrayBuffer()));
+    }, "image/png");
+  });
+}
+
+/**
+ * Render the cover PNG for a pack. Falls back to a generated cover when the pack
+ * has no cover URL or the image can't be loaded/exported (e.g. host blocks CORS).
+ * @param {Object} pack - Pack in native format
+ * @returns {Promise<Uint8Array>} PNG bytes
+ */
+async function renderCover(pack) {
+  const canvas = document.createElement("canvas");
+  canvas.width = CARD_WIDTH;
+  canvas.height = CARD_HEIGHT;
+  const ctx = canvas.getContext("2d");
+
+  if (pack.coverUrl) {
+    try {
+      drawCoverImage(ctx, await loadImage(pack.coverUrl));
+      return await canvasToPng(canvas);
+    } catch (error) {
+      console.warn(`[${MODULE_NAME}] Using generated cover for "${pack.packName}":`, error.message);
+    }
+  }
+
+  // Tainted canvases stay tainted, so start over on a fresh one
+  const fresh = document.createElement("canvas");
+  fresh.width = CARD_WIDTH;
+  fresh.height = CARD_HEIGHT;
+  drawGeneratedCover(fresh.getContext("2d"), pack);
+  return canvasToPng(fresh);
+}
+
+/**
+ * Build a pack card PNG with the pack JSON embedded
+ * @param {Object} nativePack - Pack in native format (see generateNativePackJson)
+ * @returns {Promise<Blob>} PNG blob
+ */
+export async function createPackCard(nativePack) {
+  const cover = await renderCover(nativePack);
+  const png = writePngTextChunk(cover, PACK_CARD_KEYWORD, encodeBase64Utf8(JSON.stringify(nativePack)));
+  return new Blob([png], { type: "image/png" });
+}
+
+/**
+ * Read the embedded pack from a pack card
+ * @param {ArrayBuffer|Uint8Array} buffer - PNG file contents
+ * @returns {Object|null} Native pack JSON, or null if the PNG carries no pack
+ */
+export function readPackFromCard(buffer) {
+  const encoded = readPngTextChunks(buffer)[PACK_CARD_KEYWORD];
+  return encoded ? JSON.parse(decodeBase64Utf8(encoded)) : null;
+}
+
+/**
+ * Import a dropped PNG: pack cards go through the regular pack import,
+ * character cards through the lorebook import.
+ * @param {File} file - The selected PNG file
+ * @returns {Promise<Object|null>} Import result or null
+ */
+export async function importPngFile(file) {
+  try {
+    const buffer = await file.arrayBuffer();
+    if (!isPng(buffer)) {
+      toastr.error(`"${file.name}" is not a PNG file.`);
+      return null;
+    }
+
+    const pack = readPackFromCard(buffer);
+    if (pack) {
+      return await reviewAndImportPack(pack, pack.packName || file.name, false);
+    }
+
+    const chunks = readPngTextChunks(buffer);
+    if (chunks.ccv3 || chunks.chara) {
+      return await importCharacterCardData(readCardFromPng(buffer), file.name);
+    }
+
+    toastr.error(`"${file.name}" has no embedded Lumiverse pack.`);
+    return null;
+  } catch (error) {
+    console.error(`[${MODULE_NAME}] PNG import failed:`, error);
+    toastr.error("Failed to read PNG: " + error.message);
+    return null;
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * Pack Merge Module
+ * Three-way, item-level merge between a stored pack (local), the version it
+ * was imported from (base, tracked as per-item hashes) and a re-imported copy
+ * (incoming), so hand edits survive new upstream releases.
+ */
+
+const LUMIA_FIELDS = [
+  "lumiaDefinition",
+  "lumiaPersonality",
+  "lumiaBehavior",
+  "avatarUrl",
+  "genderIdentity",
+  "authorName",
+  "customPronouns",
+  "tags",
+  "randomWeight",
+  "wbMeta",
+];
+const LOOM_FIELDS = ["loomContent", "loomCategory", "authorName", "wbMeta"];
+// Fields added later - only hashed when set, so existing merge bases stay valid
+const OPTIONAL_FIELDS = new Set(["customPronouns", "tags", "randomWeight", "wbMeta"]);
+// Merge bases from before format 2 never hashed wbMeta, so items are compared
+// with them without it - otherwise every World Info import would look edited
+const HASH_FORMAT = 2;
+
+/**
+ * Merge status of a single item
+ * - new: only in the incoming pack
+ * - unchanged: local and incoming are identical
+ * - local: edited locally, upstream unchanged
+ * - upstream: changed upstream, no local edits
+ * - conflict: changed on both sides (or no base to compare against)
+ * - removed: dropped upstream
+ * - localOnly: added locally, not part of upstream
+ */
+export const MERGE_STATUS = {
+  NEW: "new",
+  UNCHANGED: "unchanged",
+  LOCAL: "local",
+  UPSTREAM: "upstream",
+  CONFLICT: "conflict",
+  REMOVED: "removed",
+  LOCAL_ONLY: "localOnly",
+};
+
+/**
+ * Small stable string hash (djb2) - enough to detect edits, not for security
+ * @param {string} str - Input string
+ * @returns {string} Hex hash
+ */
+export function hashString(str) {
+  let hash = 5381;
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * Hash the content-bearing fields of an item
+ * @param {Object} item - Lumia or Loom item
+ * @param {string[]} fields - Fields to include
+ * @returns {string} Hash
+ */
+function hashItem(item, fields) {
+  const hashed = fields.filter((field) => !OPTIONAL_FIELDS.has(field) || item[field] != null);
+  return hashString(JSON.stringify(hashed.map((field) => item[field] ?? null)));
+}
+
+function lumiaKey(item) {
+  return item.lumiaName || item.lumiaDefName;
+}
+
+function loomKey(item) {
+  return `${item.loomCategory}::${item.loomName}`;
+}
+
+function hashFields(fields, base) {
+  return !base || base.format >= HASH_FORMAT ? fields : fields.filter((field) => field !== "wbMeta");
+}
+
+/**
+ * Compute the per-item hashes stored as a pack's merge base
+ * @param {Object} pack - Pack in native format
+ * @param {Object} [base] - Existing merge base to compare with; hashes are computed the way it was
+ * @returns {{format: number, lumia: Object, loom: Object}} Hashes keyed by item key
+ */
+export function computeUpstreamHashes(pack, base = null) {
+  const lumiaFields = hashFields(LUMIA_FIELDS, base);
+  const loomFields = hashFields(LOOM_FIELDS, base);
+  const lumia = {};
+  const loom = {};
+  for (const item of pack.lumiaItems || []) {
+    lumia[lumiaKey(item)] = hashItem(item, lumiaFields);
+  }
+  for (const item of pack.loomItems || []) {
+    loom[loomKey(item)] = hashItem(item, loomFields);
+  }
+  return { format: HASH_FORMAT, lumia, loom };
+}
+
+/**
+ * Key incoming items, matching them to local items by stable ID first so an
+ * item renamed upstream lines up with its local copy instead of showing up as
+ * removed + new.
+ * @returns {Map} Key to incoming item
+ */
+function mapIncoming(localItems, incomingItems, getKey) {
+  const localKeysById = new Map(localItems.filter((item) => item.id).map((item) => [item.id, getKey(item)]));
+  return new Map(
+    incomingItems.map((item) => [(item.id && localKeysById.get(item.id)) || getKey(item), item]),
+  );
+}
+
+/**
+ * Classify one group of items
+ * @returns {Array} Plan rows
+ */
+function planGroup(type, localItems, incomingItems, baseHashes, getKey, getName, fields) {
+  const localMap = new Map(localItems.map((item) => [getKey(item), item]));
+  const incomingMap = mapIncoming(localItems, incomingItems, getKey);
+  const rows = [];
+
+  const classify = (key, local, incoming) => {
+    const base = baseHashes ? baseHashes[key] : undefined;
+
+    if (!local) return { status: MERGE_STATUS.NEW, choice: "incoming" };
+
+    const localHash = hashItem(local, fields);
+    if (!incoming) {
+      if (base === undefined) return { status: MERGE_STATUS.LOCAL_ONLY, choice: "local" };
+      // Upstream removed it - only keep it by default if it carries local edits
+      return { status: MERGE_STATUS.REMOVED, choice: localHash === base ? "drop" : "local" };
+    }
+
+    const incomingHash = hashItem(incoming, fields);
+    if (localHash === incomingHash) return { status: MERGE_STATUS.UNCHANGED, choice: "local" };
+    if (base === undefined) return { status: MERGE_STATUS.CONFLICT, choice: "local" };
+    if (localHash === base) return { status: MERGE_STATUS.UPSTREAM, choice: "incoming" };
+    if (incomingHash === base) return { status: MERGE_STATUS.LOCAL, choice: "local" };
+    return { status: MERGE_STATUS.CONFLICT, choice: "local" };
+  };
+
+  // Incoming order first, then anything only present locally
+  for (const [key, incoming] of incomingMap) {
+    const local = localMap.get(key);
+    const row = { type, key, name: getName(incoming), ...classify(key, local, incoming) };
+    if (local && getName(local) !== row.name) {
+      row.renamedFrom = getName(local);
+      // The local name is still the one in the merge base, so upstream did the renaming
+      row.renamedUpstream = !!baseHashes && baseHashes[key] !== undefined;
+    }
+    rows.push(row);
+  }
+  for (const [key, local] of localMap) {
+    if (incomingMap.has(key)) continue;
+    rows.push({ type, key, name: getName(local), ...classify(key, local, null) });
+  }
+
+  return rows;
+}
+
+/**
+ * Build a merge plan between a stored pack and a re-imported copy
+ * @param {Object} localPack - Pack currently in settings
+ * @param {Object} incomingPack - Newly imported pack (native format)
+ * @returns {{rows: Array, hasBase: boolean}} Plan rows with status and default choice
+ *   (plus renamedFrom when an item was matched to a differently named local item by ID, and
+ *   renamedUpstream when that rename came from upstream rather than a local edit)
+ */
+export function buildMergePlan(localPack, incomingPack) {
+  const base = localPack.upstreamHashes || null;
+  const rows = [
+    ...planGroup(
+      "lumia",
+      localPack.lumiaItems || [],
+      incomingPack.lumiaItems || [],
+      base && base.lumia,
+      lumiaKey,
+      lumiaKey,
+      hashFields(LUMIA_FIELDS, base),
+    ),
+    ...planGroup(
+      "loom",
+      localPack.loomItems || [],
+      incomingPack.loomItems || [],
+      base && base.loom,
+      loomKey,
+      (item) => item.loomName,
+      hashFields(LOOM_FIELDS, base),
+    ),
+  ];
+  return { rows, hasBase: !!base };
+}
+
+/**
+ * Apply per-item choices and produce the merged pack.
+ * Pack metadata comes from the incoming copy; local tracking fields are kept.
+ * The incoming copy becomes the new merge base. The local pack must be loaded
+ * (not a pack storage manifest); the result is always a full pack.
+ * @param {Object} localPack - Pack currently in settings
+ * @param {Object} incomingPack - Newly imported pack
+ * @param {Object} plan - Result of buildMergePlan()
+ * @param {Object} choices - Map of `${type}:${key}` to "local" | "incoming" | "drop"
+ * @returns {Object} Merged pack
+ */
+export function applyMergePlan(localPack, incomingPack, plan, choices = {}) {
+  const localLumia = new Map((localPack.lumiaItems || []).map((item) => [lumiaKey(item), item]));
+  const incomingLumia = mapIncoming(localPack.lumiaItems || [], incomingPack.lumiaItems || [], lumiaKey);
+  const localLoom = new Map((localPack.loomItems || []).map((item) => [loomKey(item), item]));
+  const incomingLoom = mapIncoming(localPack.loomItems || [], incomingPack.loomItems || [], loomKey);
+
+  const lumiaItems = [];
+  const loomItems = [];
+
+  for (const row of plan.rows) {
+    const choice = choices[`${row.type}:${row.key}`] || row.choice;
+    if (choice === "drop") continue;
+
+    const isLumia = row.type === "lumia";
+    const local = (isLumia ? localLumia : localLoom).get(row.key);
+    const incoming = (isLumia ? incomingLumia : incomingLoom).get(row.key);
+    let item = choice === "incoming" ? incoming : local;
+    if (!item) continue;
+
+    if (local && incoming) {
+      // Keep the local item's ID. The chosen side's name is kept, except that an
+      // upstream rename applies whichever content was chosen
+      item = { ...item, id: local.id || item.id };
+      if (row.renamedUpstream) {
+        if (isLumia) {
+          item.lumiaName = row.name;
+          if (item.lumiaDefName) item.lumiaDefName = row.name;
+        } else {
+          item.loomName = row.name;
+        }
+      }
+    }
+
+    (isLumia ? lumiaItems : loomItems).push(item);
+  }
+
+  // The merged items are the pack's content now, not whatever pack storage holds
+  const { contentStored, ...localFields } = localPack;
+
+  return {
+    ...localFields,
+    packAuthor: incomingPack.packAuthor ?? localPack.packAuthor ?? null,
+    coverUrl: incomingPack.coverUrl ?? localPack.coverUrl ?? null,
+    version: incomingPack.version || localPack.version || 1,
+    packExtras: incomingPack.packExtras || localPack.packExtras || [],
+    lumiaItems,
+    loomItems,
+    upstreamHashes: computeUpstreamHashes(incomingPack),
+  };
+}
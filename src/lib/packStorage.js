@@ -0,0 +1,407 @@
+/**
+ * Pack Storage Module
+ * Keeps pack content (Lumia and Loom items, extras) out of extension_settings,
+ * so saving settings no longer uploads the whole library. Each pack's content
+ * is written to its own file in SillyTavern's user files on the server, and
+ * cached in IndexedDB so startup doesn't have to download the library.
+ *
+ * At runtime settings.packs still holds full packs: it is the in-memory cache
+ * every reader (getItemFromLibrary, macros, the React UI) goes through. What
+ * changes is what reaches extension_settings - packs whose content has a server
+ * copy are persisted as manifests: pack metadata plus `contentStored: true`,
+ * the server file (`contentFile`) and a hash of its content (`contentHash`).
+ * Packs without a server copy yet (or if uploading fails) keep their content
+ * in extension_settings.
+ *
+ * On startup the content of packs used by the current selections is loaded
+ * before initialization finishes; the rest of the library follows in the
+ * background. Packs that are still manifests carry `contentStored: true`.
+ * Content comes from IndexedDB when the cached copy matches `contentHash`,
+ * otherwise from the server file (e.g. in another browser, or after the
+ * browser evicted the cache). If IndexedDB is unavailable, packs stay in
+ * extension_settings as before.
+ */
+
+import { getSettings, saveSettings, setPersistedSettingsView, MODULE_NAME } from "./settingsManager.js";
+import { generateItemId, getReferencedPackNames } from "./itemIds.js";
+import { hashString } from "./packMerge.js";
+import { getRequestHeaders } from "../stContext.js";
+
+const DB_PREFIX = "LumiverseHelper_packs_";
+const STORE_NAME = "packs";
+const SYNC_DELAY_MS = 300;
+const FILE_PREFIX = "lumiverse_pack_";
+
+// Pack fields that hold content - everything else stays in the manifest
+const CONTENT_KEYS = ["lumiaItems", "loomItems", "items", "loomStyles", "loomUtils", "loomRetrofits", "packExtras"];
+
+let db = null;
+let syncTimer = null;
+let syncQueue = Promise.resolve();
+let libraryLoaded = Promise.resolve();
+
+// Pack key -> JSON of the content last written to (or read from) IndexedDB
+const storedContent = new Map();
+// Every pack key present in IndexedDB, loaded or not
+const storedKeys = new Set();
+// Pack key -> { path, hash, json } of the server copy (json once known in this session)
+const serverFiles = new Map();
+
+/**
+ * Open (and create on first use) the pack database for this settings profile
+ * @param {string} name - Database name
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a transaction on the packs store
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} fn - Receives the object store, may return requests to collect
+ * @returns {Promise<*>} Results of the returned requests once the transaction completes
+ */
+function runTransaction(mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const requests = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () =>
+      resolve(Array.isArray(requests) ? requests.map((request) => request.result) : requests?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function getPackContent(pack) {
+  const content = {};
+  for (const key of CONTENT_KEYS) {
+    if (pack[key] !== undefined) content[key] = pack[key];
+  }
+  return content;
+}
+
+function toManifest(pack, file) {
+  const manifest = {};
+  for (const [key, value] of Object.entries(pack)) {
+    if (!CONTENT_KEYS.includes(key)) manifest[key] = value;
+  }
+  manifest.contentStored = true;
+  manifest.contentFile = file.path;
+  manifest.contentHash = file.hash;
+  return manifest;
+}
+
+/**
+ * Upload pack content to SillyTavern's user files
+ * @param {string} path - Existing file path to overwrite, or null for a new file
+ * @param {string} json - Serialized content
+ * @returns {Promise<string>} Path of the stored file
+ */
+async function uploadPackFile(path, json) {
+  const bytes = new TextEncoder().encode(json);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+
+  const name = path ? path.split("/").pop() : `${FILE_PREFIX}${generateItemId()}.json`;
+  const response = await fetch("/api/files/upload", {
+    method: "POST",
+    headers: getRequestHeaders(),
+    body: JSON.stringify({ name, data: btoa(binary) }),
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const result = await response.json();
+  return result.path.startsWith("/") ? result.path : `/${result.path}`;
+}
+
+/**
+ * Download pack content from its server file
+ * @param {string} path - File path from the manifest
+ * @returns {Promise<Object|null>} Content, or null if the file is missing
+ */
+async function downloadPackFile(path) {
+  const response = await fetch(path, { cache: "no-store" });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+}
+
+async function deletePackFile(path) {
+  const response = await fetch("/api/files/delete", {
+    method: "POST",
+    headers: getRequestHeaders(),
+    body: JSON.stringify({ path }),
+  });
+  if (!response.ok && response.status !== 404) throw new Error(`HTTP ${response.status}`);
+}
+
+/**
+ * Whether a pack's content is in memory (false while it is still a manifest)
+ * @param {Object} pack - Pack from settings.packs
+ * @returns {boolean}
+ */
+export function isPackLoaded(pack) {
+  return !!pack && !pack.contentStored;
+}
+
+/**
+ * The settings as SillyTavern should store them. A live view rather than a
+ * copy, so later changes to the settings object are still picked up by the
+ * next save - only `packs` is swapped for manifests, for packs that have a
+ * server copy.
+ */
+function persistedSettingsView(settings) {
+  schedulePackSync();
+  return new Proxy(settings, {
+    get(target, key, receiver) {
+      if (key !== "packs") return Reflect.get(target, key, receiver);
+      const packs = {};
+      for (const [name, pack] of Object.entries(target.packs || {})) {
+        const file = serverFiles.get(name);
+        packs[name] = isPackLoaded(pack) && file ? toManifest(pack, file) : pack;
+      }
+      return packs;
+    },
+  });
+}
+
+function schedulePackSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => {
+    syncQueue = syncQueue.then(syncPackContent).catch((error) => {
+      console.error(`[${MODULE_NAME}] Failed to store pack content:`, error);
+    });
+  }, SYNC_DELAY_MS);
+}
+
+/**
+ * Write changed pack content to the server and IndexedDB, and drop removed packs
+ */
+async function syncPackContent() {
+  if (!db) return;
+  const packs = getSettings().packs || {};
+  const writes = [];
+  const uploads = [];
+  for (const [name, pack] of Object.entries(packs)) {
+    if (!isPackLoaded(pack)) continue;
+    const content = getPackContent(pack);
+    const json = JSON.stringify(content);
+    if (storedContent.get(name) !== json) writes.push({ name, content, json });
+    if (serverFiles.get(name)?.json !== json) uploads.push({ name, json });
+  }
+  // Also prunes content left behind by packs deleted before they were loaded
+  const deletes = [...storedKeys].filter((name) => !packs[name]);
+  const fileDeletes = [...serverFiles.keys()].filter((name) => !packs[name]);
+
+  if (writes.length > 0 || deletes.length > 0) {
+    await runTransaction("readwrite", (store) => {
+      writes.forEach(({ name, content }) => store.put(content, name));
+      deletes.forEach((name) => store.delete(name));
+    });
+    writes.forEach(({ name, json }) => {
+      storedContent.set(name, json);
+      storedKeys.add(name);
+    });
+    deletes.forEach((name) => {
+      storedContent.delete(name);
+      storedKeys.delete(name);
+    });
+  }
+
+  // A pack only becomes a manifest once its content is on the server, so a
+  // failed upload leaves it in extension_settings
+  let uploaded = 0;
+  for (const { name, json } of uploads) {
+    try {
+      const path = await uploadPackFile(serverFiles.get(name)?.path || null, json);
+      serverFiles.set(name, { path, hash: hashString(json), json });
+      uploaded++;
+    } catch (error) {
+      console.error(`[${MODULE_NAME}] Failed to upload pack "${name}" - keeping it in extension settings:`, error);
+    }
+  }
+
+  for (const name of fileDeletes) {
+    const { path } = serverFiles.get(name);
+    serverFiles.delete(name);
+    try {
+      await deletePackFile(path);
+    } catch (error) {
+      console.warn(`[${MODULE_NAME}] Failed to delete pack file ${path}:`, error);
+    }
+  }
+
+  // New manifests (or content hashes) need to reach extension_settings
+  if (uploaded > 0) {
+    console.log(`[${MODULE_NAME}] Stored ${uploaded} pack(s) on the server`);
+    saveSettings();
+  }
+}
+
+/**
+ * Load stored content for packs that are still manifests. The IndexedDB copy
+ * is used when it matches the manifest's content hash, otherwise the server file.
+ * @param {string[]} names - Pack keys
+ */
+async function loadPackContent(names) {
+  if (names.length === 0) return;
+  const cached = await runTransaction("readonly", (store) => names.map((name) => store.get(name)));
+  const settings = getSettings();
+  const missing = [];
+  const fetched = [];
+
+  for (const [i, name] of names.entries()) {
+    const pack = settings.packs[name];
+    // Deleted or replaced while loading
+    if (!pack || isPackLoaded(pack)) continue;
+
+    const { contentStored, contentFile, contentHash, ...manifest } = pack;
+    const cachedJson = cached[i] ? JSON.stringify(cached[i]) : null;
+    let content = cached[i];
+    let json = cachedJson;
+
+    // Manifests saved before packs had server copies have no file or hash
+    if (contentFile && (!json || hashString(json) !== contentHash)) {
+      try {
+        content = (await downloadPackFile(contentFile)) || content;
+        json = content ? JSON.stringify(content) : null;
+        if (content) fetched.push({ name, content, json });
+      } catch (error) {
+        console.warn(`[${MODULE_NAME}] Failed to download pack "${name}":`, error);
+      }
+    }
+
+    if (!content) {
+      missing.push(name);
+      continue;
+    }
+    if (settings.packs[name] !== pack) continue;
+
+    settings.packs[name] = { ...manifest, ...content };
+    storedContent.set(name, cachedJson);
+    if (contentFile) serverFiles.set(name, { path: contentFile, hash: hashString(json), json });
+  }
+
+  // Refresh the cache with what came from the server
+  if (fetched.length > 0) {
+    await runTransaction("readwrite", (store) => {
+      fetched.forEach(({ name, content }) => store.put(content, name));
+    });
+    fetched.forEach(({ name, json }) => {
+      storedContent.set(name, json);
+      storedKeys.add(name);
+    });
+  }
+
+  if (missing.length > 0) {
+    // The manifests are kept so selections survive until the content is restored
+    console.warn(`[${MODULE_NAME}] No stored content for packs:`, missing);
+    toastr.warning(
+      `Content for ${missing.length} pack(s) couldn't be loaded: ${missing.join(", ")}. ` +
+        "Re-import them or restore a library bundle.",
+    );
+  }
+}
+
+/**
+ * Open pack storage, move packs out of extension_settings (migration) and load
+ * the packs the current selections need. The rest of the library loads in the
+ * background; onLibraryLoaded is called once it is in memory.
+ * @param {Object} [options]
+ * @param {Function} [options.onLibraryLoaded] - Called after the background load
+ */
+export async function initPackStorage({ onLibraryLoaded } = {}) {
+  if (typeof indexedDB === "undefined") {
+    console.warn(`[${MODULE_NAME}] IndexedDB unavailable - packs stay in extension settings`);
+    return;
+  }
+
+  const settings = getSettings();
+  if (!settings.packStorageId) {
+    settings.packStorageId = generateItemId();
+  }
+
+  try {
+    db = await openDatabase(DB_PREFIX + settings.packStorageId);
+    const keys = await runTransaction("readonly", (store) => store.getAllKeys());
+    keys.forEach((key) => storedKeys.add(key));
+  } catch (error) {
+    console.warn(`[${MODULE_NAME}] Could not open pack storage - packs stay in extension settings:`, error);
+    db = null;
+    return;
+  }
+
+  for (const [name, pack] of Object.entries(settings.packs || {})) {
+    if (pack?.contentFile) serverFiles.set(name, { path: pack.contentFile, hash: pack.contentHash, json: null });
+  }
+
+  setPersistedSettingsView(persistedSettingsView);
+
+  const referenced = getReferencedPackNames(settings);
+  const pending = Object.keys(settings.packs || {}).filter((name) => !isPackLoaded(settings.packs[name]));
+  const needed = pending.filter((name) => referenced.has(name));
+  const deferred = pending.filter((name) => !referenced.has(name));
+
+  try {
+    await loadPackContent(needed);
+  } catch (error) {
+    console.error(`[${MODULE_NAME}] Failed to load packs from IndexedDB:`, error);
+  }
+
+  // Packs still held in extension_settings (first run, or settings restored
+  // from a backup) are written to the server and IndexedDB here
+  saveSettings();
+
+  libraryLoaded = new Promise((resolve) => {
+    setTimeout(async () => {
+      try {
+        await loadPackContent(deferred);
+      } catch (error) {
+        console.error(`[${MODULE_NAME}] Failed to load packs from IndexedDB:`, error);
+      }
+      if (deferred.length > 0) onLibraryLoaded?.();
+      resolve();
+    }, 0);
+  });
+}
+
+/**
+ * Resolves once every stored pack has been loaded into memory
+ * @returns {Promise<void>}
+ */
+export function whenPackLibraryLoaded() {
+  return libraryLoaded;
+}
+
+/**
+ * Delete this profile's pack database and server files (used by the full settings reset)
+ * @returns {Promise<void>}
+ */
+export async function deletePackStorage() {
+  const id = getSettings().packStorageId;
+  if (typeof indexedDB === "undefined" || !id) return;
+
+  clearTimeout(syncTimer);
+  db?.close();
+  db = null;
+  setPersistedSettingsView(null);
+  for (const { path } of serverFiles.values()) {
+    await deletePackFile(path).catch((error) => {
+      console.warn(`[${MODULE_NAME}] Failed to delete pack file ${path}:`, error);
+    });
+  }
+  serverFiles.clear();
+  await new Promise((resolve) => {
+    const request = indexedDB.deleteDatabase(DB_PREFIX + id);
+    request.onsuccess = () => resolve();
+    request.onerror = () => resolve();
+    request.onblocked = () => resolve();
+  });
+}
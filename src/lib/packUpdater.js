@@ -0,0 +1,484 @@
+/**
+ * Pack Updater Module
+ * Re-checks URL-imported and Lucid.cards packs against their source,
+ * builds a per-item changelog and flags references affected by an update.
+ */
+
+import { getSettings, saveSettings, refreshItemIdentity, MODULE_NAME, bumpLumiaConfigVersion } from "./settingsManager.js";
+import { worldBookToPack } from "./dataProcessor.js";
+import { computeUpstreamHashes, buildMergePlan, applyMergePlan, MERGE_STATUS } from "./packMerge.js";
+import { inheritItemIds } from "./itemIds.js";
+import { isPackLoaded, whenPackLibraryLoaded } from "./packStorage.js";
+import { notifyReactOfSettingsChange, requestPackUpdateReview, requestMergeReview } from "./reactBridge.js";
+
+// How often the scheduler looks for subscriptions that are due (ms)
+const SCHEDULER_TICK_MS = 60 * 60 * 1000;
+// Delay before the first scheduled check after startup (ms)
+const STARTUP_DELAY_MS = 30 * 1000;
+
+const LUMIA_DIFF_FIELDS = [
+  "lumiaDefinition",
+  "lumiaPersonality",
+  "lumiaBehavior",
+  "avatarUrl",
+  "genderIdentity",
+  "authorName",
+  "customPronouns",
+  "tags",
+  "randomWeight",
+  "wbMeta",
+  "version",
+];
+const LOOM_DIFF_FIELDS = ["loomContent", "authorName", "wbMeta", "version"];
+
+let schedulerId = null;
+let checkInProgress = false;
+
+/**
+ * Whether a pack has a source URL that can be re-fetched
+ * @param {Object} pack - The pack to check
+ * @returns {boolean}
+ */
+export function isUpdatablePack(pack) {
+  return !!pack && typeof pack.url === "string" && /^https?:\/\//i.test(pack.url);
+}
+
+/**
+ * Resolve a pack's settings key from either its key or its display name
+ * @param {string} name - Pack key or packName
+ * @returns {string|null} The key in settings.packs, or null if not found
+ */
+function resolvePackKey(name) {
+  const packs = getSettings().packs;
+  if (packs[name]) return name;
+  return Object.keys(packs).find((key) => packs[key].packName === name) || null;
+}
+
+/**
+ * Fetch the current version of a pack from its source URL.
+ * Unwraps the Lucid.cards response envelope and converts World Books to the native format.
+ * @param {string} url - Source URL
+ * @param {string} packName - Name to give World Book conversions
+ * @returns {Promise<Object>} Pack in native format
+ */
+export async function fetchPackSource(url, packName) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
+
+  const data = await response.json();
+  if (data && data.success === false) {
+    throw new Error(data.error || "Failed to fetch pack");
+  }
+
+  const packData = (data && data.pack) || data;
+  if (packData && (packData.lumiaItems || packData.loomItems)) {
+    return {
+      packName: packData.packName || packName,
+      packAuthor: packData.packAuthor || null,
+      coverUrl: packData.coverUrl || null,
+      version: packData.version || 1,
+      packExtras: packData.packExtras || [],
+      lumiaItems: packData.lumiaItems || [],
+      loomItems: packData.loomItems || [],
+    };
+  }
+
+  return worldBookToPack(packData, packName);
+}
+
+/**
+ * Compare one group of items by key and report added/removed/changed entries
+ * @param {Array} oldItems - Current items
+ * @param {Array} newItems - Items from the source
+ * @param {Function} getKey - Returns a unique key for an item
+ * @param {Function} getName - Returns a display name for an item
+ * @param {string[]} fields - Fields compared for "changed"
+ * @returns {{added: Array, removed: Array, changed: Array}}
+ */
+function diffItems(oldItems, newItems, getKey, getName, fields) {
+  const oldMap = new Map(oldItems.map((item) => [getKey(item), item]));
+  const newMap = new Map(newItems.map((item) => [getKey(item), item]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, item] of newMap) {
+    const previous = oldMap.get(key);
+    if (!previous) {
+      added.push({ key, name: getName(item) });
+      continue;
+    }
+    // Compared as JSON so object fields (customPronouns, tags) compare by value
+    const changedFields = fields.filter(
+      (field) => JSON.stringify(previous[field] ?? null) !== JSON.stringify(item[field] ?? null),
+    );
+    if (changedFields.length > 0) {
+      changed.push({ key, itemId: previous.id, name: getName(item), fields: changedFields });
+    }
+  }
+
+  for (const [key, item] of oldMap) {
+    if (!newMap.has(key)) {
+      removed.push({ key, itemId: item.id, name: getName(item) });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compare one group of items with the version they were imported from (the
+ * merge base), so local edits don't show up as upstream changes.
+ * Changed items list the fields that differ from the local copy and flag
+ * local edits, which the merge review then asks about.
+ * @param {Object} baseHashes - Merge base hashes by key
+ * @param {Object} localHashes - Hashes of the stored items by key
+ * @param {Object} newHashes - Hashes of the source items by key
+ * @returns {{added: Array, removed: Array, changed: Array}}
+ */
+function diffItemsAgainstBase(oldItems, newItems, baseHashes, localHashes, newHashes, getKey, getName, fields) {
+  const oldMap = new Map(oldItems.map((item) => [getKey(item), item]));
+  const newMap = new Map(newItems.map((item) => [getKey(item), item]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, item] of newMap) {
+    if (baseHashes[key] === undefined) {
+      added.push({ key, name: getName(item) });
+    } else if (baseHashes[key] !== newHashes[key]) {
+      const previous = oldMap.get(key) || {};
+      changed.push({
+        key,
+        itemId: previous.id,
+        name: getName(item),
+        fields: fields.filter(
+          (field) => JSON.stringify(previous[field] ?? null) !== JSON.stringify(item[field] ?? null),
+        ),
+        localEdits: localHashes[key] !== undefined && localHashes[key] !== baseHashes[key],
+      });
+    }
+  }
+
+  for (const key of Object.keys(baseHashes)) {
+    if (!newMap.has(key)) {
+      const item = oldMap.get(key);
+      removed.push({
+        key,
+        itemId: item?.id,
+        name: item ? getName(item) : key,
+        localEdits: !!item && localHashes[key] !== baseHashes[key],
+      });
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Build a per-item changelog between a stored pack and its source.
+ * Packs with a merge base (upstreamHashes) are diffed against that base;
+ * older packs without one are compared with the stored copy.
+ * @param {Object} oldPack - Pack currently in settings
+ * @param {Object} newPack - Pack fetched from the source
+ * @returns {Object} Diff with lumia/loom groups and version info
+ */
+export function diffPacks(oldPack, newPack) {
+  const lumiaName = (item) => item.lumiaName || item.lumiaDefName;
+  const loomKey = (item) => `${item.loomCategory}::${item.loomName}`;
+  const loomName = (item) => item.loomName;
+  const base = oldPack.upstreamHashes;
+
+  let lumia;
+  let loom;
+  if (base) {
+    const localHashes = computeUpstreamHashes(oldPack, base);
+    const newHashes = computeUpstreamHashes(newPack, base);
+    lumia = diffItemsAgainstBase(
+      oldPack.lumiaItems || [],
+      newPack.lumiaItems || [],
+      base.lumia || {},
+      localHashes.lumia,
+      newHashes.lumia,
+      lumiaName,
+      lumiaName,
+      LUMIA_DIFF_FIELDS,
+    );
+    loom = diffItemsAgainstBase(
+      oldPack.loomItems || [],
+      newPack.loomItems || [],
+      base.loom || {},
+      localHashes.loom,
+      newHashes.loom,
+      loomKey,
+      loomName,
+      LOOM_DIFF_FIELDS,
+    );
+  } else {
+    lumia = diffItems(oldPack.lumiaItems || [], newPack.lumiaItems || [], lumiaName, lumiaName, LUMIA_DIFF_FIELDS);
+    loom = diffItems(oldPack.loomItems || [], newPack.loomItems || [], loomKey, loomName, LOOM_DIFF_FIELDS);
+  }
+
+  const oldVersion = oldPack.version || 1;
+  const newVersion = newPack.version || 1;
+  const itemCount = (group) => group.added.length + group.removed.length + group.changed.length;
+
+  return {
+    oldVersion,
+    newVersion,
+    versionChanged: oldVersion !== newVersion,
+    lumia,
+    loom,
+    hasChanges: itemCount(lumia) + itemCount(loom) > 0,
+  };
+}
+
+/**
+ * Index one diff group's changed and removed items by item ID and by diff key
+ * @returns {{byId: Map<string, string>, byKey: Map<string, string>}} Change ("changed"/"removed") per item
+ */
+function indexChanges(group) {
+  const byId = new Map();
+  const byKey = new Map();
+  const add = (row, change) => {
+    if (row.itemId) byId.set(row.itemId, change);
+    byKey.set(row.key, change);
+  };
+  group.changed.forEach((row) => add(row, "changed"));
+  group.removed.forEach((row) => add(row, "removed"));
+  return { byId, byKey };
+}
+
+/**
+ * Find selections, presets and council members that reference removed or changed items.
+ * References are matched by item ID, so renamed items are still found; references
+ * without a known ID fall back to the name (and category, for Loom items).
+ * @param {string} packName - The pack being updated
+ * @param {Object} diff - Result of diffPacks()
+ * @returns {Array<{location: string, itemName: string, change: string}>}
+ */
+export function findAffectedReferences(packName, diff) {
+  const settings = getSettings();
+  const pack = settings.packs[packName];
+  const affected = [];
+
+  const knownIds = new Set(
+    [...(pack?.lumiaItems || []), ...(pack?.loomItems || [])].map((item) => item.id).filter(Boolean),
+  );
+  const lumiaChanges = indexChanges(diff.lumia);
+  const loomChanges = indexChanges(diff.loom);
+
+  // category is set for Loom references, whose diff keys are "category::name"
+  const check = (selection, changes, location, category = null) => {
+    if (!selection || selection.packName !== packName) return;
+    const change = selection.itemId && knownIds.has(selection.itemId)
+      ? changes.byId.get(selection.itemId)
+      : changes.byKey.get(category ? `${category}::${selection.itemName}` : selection.itemName);
+    if (change) affected.push({ location, itemName: selection.itemName, change });
+  };
+  const checkAll = (list, changes, location, category = null) => {
+    (list || []).forEach((selection) => check(selection, changes, location, category));
+  };
+
+  const checkLumiaConfig = (config, prefix) => {
+    check(config.selectedDefinition, lumiaChanges, `${prefix}Definition`);
+    checkAll(config.selectedDefinitions, lumiaChanges, `${prefix}Chimera definitions`);
+    checkAll(config.selectedBehaviors, lumiaChanges, `${prefix}Behaviors`);
+    checkAll(config.selectedPersonalities, lumiaChanges, `${prefix}Personalities`);
+    check(config.dominantBehavior, lumiaChanges, `${prefix}Dominant behavior`);
+    check(config.dominantPersonality, lumiaChanges, `${prefix}Dominant personality`);
+    (config.councilMembers || []).forEach((member) => {
+      const label = `${prefix}Council member "${member.itemName}"`;
+      check(member, lumiaChanges, label);
+      checkAll(member.behaviors, lumiaChanges, `${label} behaviors`);
+      checkAll(member.personalities, lumiaChanges, `${label} personalities`);
+    });
+  };
+
+  checkLumiaConfig(settings, "Current selection: ");
+  checkAll(settings.selectedLoomStyle, loomChanges, "Current selection: Narrative Style", "Narrative Style");
+  checkAll(settings.selectedLoomUtils, loomChanges, "Current selection: Loom Utilities", "Loom Utilities");
+  checkAll(settings.selectedLoomRetrofits, loomChanges, "Current selection: Retrofits", "Retrofits");
+
+  for (const preset of Object.values(settings.presets || {})) {
+    checkLumiaConfig(preset, `Preset "${preset.name}": `);
+  }
+
+  return affected;
+}
+
+/**
+ * Fetch a pack's source and compare it with the stored copy
+ * @param {string} packName - Name of the stored pack
+ * @returns {Promise<Object|null>} Update info, or null when the pack is up to date
+ */
+export async function checkPackForUpdate(packName) {
+  const settings = getSettings();
+  const pack = settings.packs[packName];
+  if (!isUpdatablePack(pack)) return null;
+
+  const newPack = await fetchPackSource(pack.url, packName);
+  pack.lastUpdateCheck = Date.now();
+
+  const diff = diffPacks(pack, newPack);
+  if (!diff.hasChanges && !diff.versionChanged) return null;
+
+  return {
+    packName,
+    diff,
+    affected: findAffectedReferences(packName, diff),
+    newPack,
+  };
+}
+
+/**
+ * Merge the fetched version into a stored pack item by item, the same way a
+ * re-import does: upstream changes are taken, local edits are kept, and items
+ * changed on both sides go to the merge review. Local tracking fields (source
+ * URL, subscription, custom flag) are kept.
+ * @param {string} packName - Name of the stored pack
+ * @param {Object} newPack - Pack from checkPackForUpdate()
+ * @returns {Promise<boolean>} False when the pack is gone or the merge review was cancelled
+ */
+export async function applyPackUpdate(packName, newPack) {
+  // Merging needs the stored pack's content, not its manifest
+  await whenPackLibraryLoaded();
+  const settings = getSettings();
+  const existing = settings.packs[packName];
+  if (!isPackLoaded(existing)) return false;
+
+  // Updated items keep their IDs so selections follow renames
+  inheritItemIds(newPack, existing);
+
+  const plan = buildMergePlan(existing, newPack);
+  let choices = {};
+  if (plan.rows.some((row) => row.status === MERGE_STATUS.CONFLICT)) {
+    const result = await requestMergeReview(plan, packName);
+    if (!result || result === "cancel") return false;
+    choices = result.choices;
+  }
+
+  settings.packs[packName] = {
+    ...applyMergePlan(existing, newPack, plan, choices),
+    lastUpdateCheck: Date.now(),
+  };
+  refreshItemIdentity();
+
+  saveSettings();
+  bumpLumiaConfigVersion(); // Invalidate Claude cache when Lumia definitions change
+  console.log(`[${MODULE_NAME}] Pack "${packName}" updated to version ${newPack.version}`);
+  return true;
+}
+
+/**
+ * Turn update checks on or off for a pack
+ * @param {string} packName - Name of the stored pack
+ * @param {boolean} subscribed - Whether to include it in scheduled checks
+ */
+export function setPackSubscription(packName, subscribed) {
+  const settings = getSettings();
+  const pack = settings.packs[resolvePackKey(packName)];
+  if (!isUpdatablePack(pack)) return;
+
+  pack.subscribed = subscribed;
+  saveSettings();
+  notifyReactOfSettingsChange();
+}
+
+/**
+ * Check packs for updates and walk the user through each one found
+ * @param {Object} options
+ * @param {string|null} options.packName - Check only this pack (on-demand); otherwise all subscribed packs
+ * @param {boolean} options.onlyDue - Skip subscriptions checked within the configured interval
+ * @param {boolean} options.silent - Don't toast when nothing was found
+ * @returns {Promise<number>} Number of updates applied
+ */
+export async function checkPackUpdates({ packName = null, onlyDue = false, silent = false } = {}) {
+  if (checkInProgress) return 0;
+  checkInProgress = true;
+
+  let found = 0;
+  let applied = 0;
+  let failed = 0;
+  let skipped = 0;
+
+  try {
+    // Packs still loading from pack storage can't be diffed yet
+    await whenPackLibraryLoaded();
+    const settings = getSettings();
+    const intervalMs = (settings.packUpdates?.checkIntervalHours || 0) * 60 * 60 * 1000;
+    const now = Date.now();
+
+    const names = packName
+      ? [resolvePackKey(packName)]
+      : Object.keys(settings.packs).filter((name) => {
+          const pack = settings.packs[name];
+          if (!pack.subscribed || !isUpdatablePack(pack)) return false;
+          return !onlyDue || !pack.lastUpdateCheck || now - pack.lastUpdateCheck >= intervalMs;
+        });
+
+    for (const name of names) {
+      // Unknown packs, packs without a source and packs whose content isn't loaded can't be diffed
+      const pack = name ? settings.packs[name] : null;
+      if (!isUpdatablePack(pack) || !isPackLoaded(pack)) {
+        skipped++;
+        continue;
+      }
+
+      let update = null;
+      try {
+        update = await checkPackForUpdate(name);
+      } catch (error) {
+        console.error(`[${MODULE_NAME}] Update check failed for "${name}":`, error);
+        failed++;
+        continue;
+      }
+      if (!update) continue;
+
+      found++;
+      const decision = await requestPackUpdateReview(update);
+      if (decision === "apply" && (await applyPackUpdate(name, update.newPack))) {
+        applied++;
+      }
+    }
+  } finally {
+    saveSettings();
+    notifyReactOfSettingsChange();
+    checkInProgress = false;
+  }
+
+  if (applied > 0) {
+    toastr.success(`Updated ${applied} pack${applied !== 1 ? "s" : ""}.`);
+  } else if (found === 0 && failed === 0 && skipped === 0 && !silent) {
+    toastr.info(packName ? `"${packName}" is up to date.` : "All subscribed packs are up to date.");
+  }
+  if (skipped > 0 && !silent) {
+    toastr.warning(
+      packName
+        ? `Skipped "${packName}" - it has no source to check or its content isn't loaded.`
+        : `Skipped ${skipped} pack${skipped !== 1 ? "s" : ""} whose content isn't loaded.`,
+    );
+  }
+  if (failed > 0) {
+    toastr.error(`Couldn't check ${failed} pack${failed !== 1 ? "s" : ""} for updates.`);
+  }
+
+  return applied;
+}
+
+/**
+ * Start periodic update checks for subscribed packs.
+ * The interval comes from settings.packUpdates.checkIntervalHours (0 disables).
+ */
+export function startPackUpdateScheduler() {
+  if (schedulerId) return;
+
+  const tick = () => {
+    const hours = getSettings().packUpdates?.checkIntervalHours || 0;
+    if (hours <= 0) return;
+    checkPackUpdates({ onlyDue: true, silent: true });
+  };
+
+  setTimeout(tick, STARTUP_DELAY_MS);
+  schedulerId = setInterval(tick, SCHEDULER_TICK_MS);
+}
@@ -0,0 +1,446 @@
+/**
+ * Pack Validator Module
+ * Validates native Lumiverse packs and World Book entries before import,
+ * producing an itemized report instead of silently dropping bad entries.
+ */
+
+import { GENDER, PRONOUN_FORMS } from "./settingsManager.js";
+import { SCAFFOLD_TEMPLATES, TEMPLATE_EXTRA_TYPE } from "./scaffoldTemplates.js";
+
+/** Loom categories recognized by the extension */
+export const LOOM_CATEGORIES = ["Narrative Style", "Loom Utilities", "Retrofits"];
+
+function isKnownGender(value) {
+  return Object.values(GENDER).includes(value);
+}
+
+/**
+ * Create a new empty validation report
+ * @param {string} format - "native" | "worldbook" | "unknown"
+ * @returns {Object} Report with errors/warnings arrays
+ */
+function createReport(format) {
+  return {
+    format,
+    errors: [],
+    warnings: [],
+    lumiaCount: 0,
+    loomCount: 0,
+  };
+}
+
+/**
+ * Add an issue to a report
+ * @param {Object} report - The report to add to
+ * @param {"error"|"warning"} severity - Issue severity
+ * @param {string} path - Location of the issue (e.g. "lumiaItems[2]" or "entries[14]")
+ * @param {string} message - Human-readable description
+ * @param {string|null} itemName - Name of the affected item, if known
+ */
+function addIssue(report, severity, path, message, itemName = null) {
+  const issue = { severity, path, itemName, message };
+  if (severity === "error") {
+    report.errors.push(issue);
+  } else {
+    report.warnings.push(issue);
+  }
+}
+
+/**
+ * Check that an optional field is either absent or a string
+ * @returns {boolean} True if the field is usable
+ */
+function isOptionalString(value) {
+  return value === undefined || value === null || typeof value === "string";
+}
+
+/**
+ * Check that a required field is a non-empty string
+ * @returns {boolean} True if the field is usable
+ */
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Validate a single native Lumia item
+ * @param {Object} report - Report to write issues into
+ * @param {*} item - The item to check
+ * @param {string} path - Item location for the report
+ * @param {Set<string>} seenNames - Names already used in this pack
+ */
+function validateLumiaItem(report, item, path, seenNames) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    addIssue(report, "error", path, "Lumia item is not an object");
+    return;
+  }
+
+  const name = item.lumiaName;
+  if (!isNonEmptyString(name)) {
+    addIssue(report, "error", path, "Missing lumiaName");
+  } else if (seenNames.has(name.trim())) {
+    addIssue(report, "error", path, `Duplicate Lumia name "${name}"`, name);
+  } else {
+    seenNames.add(name.trim());
+  }
+
+  const displayName = isNonEmptyString(name) ? name : null;
+
+  for (const field of ["lumiaDefinition", "lumiaPersonality", "lumiaBehavior", "avatarUrl", "authorName"]) {
+    if (!isOptionalString(item[field])) {
+      addIssue(report, "error", `${path}.${field}`, `${field} must be a string`, displayName);
+    }
+  }
+
+  if (!isNonEmptyString(item.lumiaDefinition)) {
+    addIssue(report, "warning", `${path}.lumiaDefinition`, "No lumiaDefinition - this Lumia can't be used as a definition", displayName);
+  }
+
+  if (
+    item.genderIdentity !== undefined &&
+    item.genderIdentity !== null &&
+    !isKnownGender(item.genderIdentity)
+  ) {
+    addIssue(report, "warning", `${path}.genderIdentity`, `Unknown genderIdentity ${JSON.stringify(item.genderIdentity)} - defaults to she/her`, displayName);
+  }
+
+  if (item.genderIdentity === GENDER.CUSTOM) {
+    const pronouns = item.customPronouns;
+    const missing = PRONOUN_FORMS.filter((form) => !isNonEmptyString(pronouns?.[form]));
+    if (missing.length > 0) {
+      addIssue(report, "warning", `${path}.customPronouns`, `Custom pronoun set is missing ${missing.join(", ")} - they/them is used instead`, displayName);
+    }
+  }
+
+  if (item.tags !== undefined && (!Array.isArray(item.tags) || !item.tags.every(isNonEmptyString))) {
+    addIssue(report, "warning", `${path}.tags`, "tags should be a list of non-empty strings", displayName);
+  }
+
+  if (item.randomWeight !== undefined && !(typeof item.randomWeight === "number" && item.randomWeight >= 0)) {
+    addIssue(report, "warning", `${path}.randomWeight`, "randomWeight should be a number of 0 or more - defaults to 1", displayName);
+  }
+
+  if (item.version !== undefined && typeof item.version !== "number") {
+    addIssue(report, "warning", `${path}.version`, "version should be a number", displayName);
+  }
+}
+
+/**
+ * Validate a single native Loom item
+ * @param {Object} report - Report to write issues into
+ * @param {*} item - The item to check
+ * @param {string} path - Item location for the report
+ * @param {Set<string>} seenNames - "category::name" keys already used in this pack
+ */
+function validateLoomItem(report, item, path, seenNames) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    addIssue(report, "error", path, "Loom item is not an object");
+    return;
+  }
+
+  const name = item.loomName;
+  const displayName = isNonEmptyString(name) ? name : null;
+
+  if (!displayName) {
+    addIssue(report, "error", path, "Missing loomName");
+  }
+
+  if (!LOOM_CATEGORIES.includes(item.loomCategory)) {
+    addIssue(
+      report,
+      "error",
+      `${path}.loomCategory`,
+      item.loomCategory
+        ? `Unknown loomCategory "${item.loomCategory}" (expected ${LOOM_CATEGORIES.join(", ")})`
+        : "Missing loomCategory",
+      displayName,
+    );
+  } else if (displayName) {
+    const key = `${item.loomCategory}::${name.trim()}`;
+    if (seenNames.has(key)) {
+      addIssue(report, "error", path, `Duplicate ${item.loomCategory} name "${name}"`, displayName);
+    } else {
+      seenNames.add(key);
+    }
+  }
+
+  if (typeof item.loomContent !== "string") {
+    addIssue(report, "error", `${path}.loomContent`, "loomContent must be a string", displayName);
+  } else if (!item.loomContent.trim()) {
+    addIssue(report, "warning", `${path}.loomContent`, "loomContent is empty", displayName);
+  }
+
+  if (!isOptionalString(item.authorName)) {
+    addIssue(report, "error", `${path}.authorName`, "authorName must be a string", displayName);
+  }
+}
+
+/**
+ * Validate a pack in the native Lumiverse format (docs/PACK_NAMING_GUIDE.md)
+ * @param {Object} data - The pack data
+ * @returns {Object} Validation report
+ */
+export function validateNativePack(data) {
+  const report = createReport("native");
+
+  if (!isNonEmptyString(data.packName)) {
+    addIssue(report, "warning", "packName", "Missing packName - the file name will be used instead");
+  }
+
+  for (const field of ["packAuthor", "coverUrl"]) {
+    if (!isOptionalString(data[field])) {
+      addIssue(report, "error", field, `${field} must be a string`);
+    }
+  }
+
+  if (data.packExtras !== undefined && !Array.isArray(data.packExtras)) {
+    addIssue(report, "warning", "packExtras", "packExtras should be an array - it will be ignored");
+  } else if (Array.isArray(data.packExtras)) {
+    data.packExtras.forEach((extra, i) => {
+      if (extra?.type !== TEMPLATE_EXTRA_TYPE) return;
+      if (!Object.prototype.hasOwnProperty.call(SCAFFOLD_TEMPLATES, extra.target)) {
+        addIssue(report, "warning", `packExtras[${i}].target`,
+          `Unknown template target "${extra.target}" - expected one of ${Object.keys(SCAFFOLD_TEMPLATES).join(", ")}`);
+      }
+      if (typeof extra.content !== "string") {
+        addIssue(report, "warning", `packExtras[${i}].content`, "Template content should be a string - it will be ignored");
+      }
+    });
+  }
+
+  if (data.lumiaItems !== undefined && !Array.isArray(data.lumiaItems)) {
+    addIssue(report, "error", "lumiaItems", "lumiaItems must be an array");
+  } else if (Array.isArray(data.lumiaItems)) {
+    const seen = new Set();
+    data.lumiaItems.forEach((item, i) => validateLumiaItem(report, item, `lumiaItems[${i}]`, seen));
+    report.lumiaCount = data.lumiaItems.length;
+  }
+
+  if (data.loomItems !== undefined && !Array.isArray(data.loomItems)) {
+    addIssue(report, "error", "loomItems", "loomItems must be an array");
+  } else if (Array.isArray(data.loomItems)) {
+    const seen = new Set();
+    data.loomItems.forEach((item, i) => validateLoomItem(report, item, `loomItems[${i}]`, seen));
+    report.loomCount = data.loomItems.length;
+  }
+
+  if (report.lumiaCount + report.loomCount === 0) {
+    addIssue(report, "error", "", "Pack contains no Lumia or Loom items");
+  }
+
+  return report;
+}
+
+/**
+ * Validate World Book entries using the same rules processWorldBook applies,
+ * reporting every entry that would be skipped or merged.
+ * @param {Array|Object} data - World book data (array or object with entries)
+ * @returns {Object} Validation report
+ */
+export function validateWorldBook(data) {
+  const report = createReport("worldbook");
+
+  let entries = [];
+  let keys = [];
+  if (Array.isArray(data)) {
+    entries = data;
+    keys = data.map((_, i) => String(i));
+  } else if (data && data.entries && typeof data.entries === "object") {
+    keys = Object.keys(data.entries);
+    entries = Object.values(data.entries);
+  } else {
+    addIssue(report, "error", "", "Not a World Book: expected an entries object or array");
+    return report;
+  }
+
+  const lumiaNames = new Map(); // name -> { hasDefinition, definitionCount }
+  const loomNames = new Set();
+
+  entries.forEach((entry, i) => {
+    const path = `entries[${keys[i]}]`;
+
+    if (!entry || typeof entry !== "object") {
+      addIssue(report, "error", path, "Entry is not an object - skipped");
+      return;
+    }
+
+    const comment = typeof entry.comment === "string" ? entry.comment.trim() : "";
+
+    if (typeof entry.content !== "string") {
+      addIssue(report, "error", path, "Non-string content - entry skipped", comment || null);
+      return;
+    }
+    if (!entry.content) {
+      addIssue(report, "warning", path, "Empty content - entry skipped", comment || null);
+      return;
+    }
+
+    const categoryMatch = comment.match(/^(.+?)\s*\(/);
+    const category = categoryMatch ? categoryMatch[1].trim() : null;
+
+    if (LOOM_CATEGORIES.includes(category)) {
+      const loomNameMatch = comment.match(/^(?:Loom Utilities|Retrofits|Narrative Style)\s*\((.+)\)\s*$/);
+      if (!loomNameMatch) {
+        addIssue(report, "error", path, `Unparseable Loom comment "${comment}" - expected "${category} (Name)"`, comment);
+        return;
+      }
+      const loomName = loomNameMatch[1].trim();
+      const key = `${category}::${loomName}`;
+      if (loomNames.has(key)) {
+        addIssue(report, "warning", path, `Duplicate ${category} name "${loomName}"`, loomName);
+      }
+      loomNames.add(key);
+      report.loomCount++;
+      return;
+    }
+
+    const nameMatch = comment.match(/\((.+?)\)/);
+    if (!nameMatch) {
+      addIssue(
+        report,
+        "warning",
+        path,
+        comment
+          ? `Unparseable comment "${comment}" - no (Name) found, entry skipped`
+          : "Entry has no comment - skipped",
+        comment || null,
+      );
+      return;
+    }
+
+    const name = nameMatch[1].trim();
+    const commentLower = comment.toLowerCase();
+    let type = null;
+    if (entry.outletName === "Lumia_Description" || commentLower.includes("definition")) {
+      type = "definition";
+    } else if (entry.outletName === "Lumia_Behavior" || commentLower.includes("behavior")) {
+      type = "behavior";
+    } else if (entry.outletName === "Lumia_Personality" || commentLower.includes("personality")) {
+      type = "personality";
+    } else if (category && category.toLowerCase() === "lumia") {
+      type = "definition";
+    } else if (entry.content.includes("[lumia_img=")) {
+      type = "definition";
+    }
+
+    if (!type) {
+      addIssue(report, "warning", path, `Can't tell whether "${comment}" is a definition, behavior or personality - content ignored`, name);
+    }
+
+    let lumia = lumiaNames.get(name);
+    if (!lumia) {
+      lumia = { definitionCount: 0 };
+      lumiaNames.set(name, lumia);
+    }
+    if (type === "definition") {
+      lumia.definitionCount++;
+      if (lumia.definitionCount > 1) {
+        addIssue(report, "warning", path, `Duplicate definition for "${name}" - the later entry wins`, name);
+      }
+    }
+  });
+
+  for (const [name, lumia] of lumiaNames) {
+    if (lumia.definitionCount === 0) {
+      addIssue(report, "warning", "", `Lumia "${name}" has no definition entry`, name);
+    }
+  }
+
+  report.lumiaCount = lumiaNames.size;
+
+  if (report.lumiaCount + report.loomCount === 0) {
+    addIssue(report, "error", "", "No valid Lumia or Loom entries found");
+  }
+
+  return report;
+}
+
+/**
+ * Validate pack data in whichever format it arrives in
+ * @param {Object|Array} data - Native pack, World Book, or raw entries array
+ * @returns {Object} Validation report
+ */
+export function validatePackData(data) {
+  if (!data || typeof data !== "object") {
+    const report = createReport("unknown");
+    addIssue(report, "error", "", "File does not contain a JSON object");
+    return report;
+  }
+  if (!Array.isArray(data) && (data.lumiaItems || data.loomItems)) {
+    return validateNativePack(data);
+  }
+  return validateWorldBook(data);
+}
+
+/**
+ * Return a copy of a native pack with every fixable problem repaired:
+ * invalid items are dropped, duplicate names get a numeric suffix and
+ * out-of-range fields fall back to their defaults.
+ * @param {Object} pack - Pack in native format
+ * @returns {Object} Repaired pack
+ */
+export function repairNativePack(pack) {
+  const uniqueName = (name, used) => {
+    let candidate = name;
+    let n = 2;
+    while (used.has(candidate)) {
+      candidate = `${name} (${n++})`;
+    }
+    used.add(candidate);
+    return candidate;
+  };
+  const optionalString = (value) => (typeof value === "string" ? value : null);
+  // Keep only usable forms; the rest fall back to they/them at runtime
+  const repairPronouns = (pronouns) => {
+    if (!pronouns || typeof pronouns !== "object") return undefined;
+    const forms = PRONOUN_FORMS.filter((form) => isNonEmptyString(pronouns[form]));
+    return forms.length > 0 ? Object.fromEntries(forms.map((form) => [form, pronouns[form].trim()])) : undefined;
+  };
+
+  const lumiaNames = new Set();
+  const lumiaItems = (Array.isArray(pack.lumiaItems) ? pack.lumiaItems : [])
+    .filter((item) => item && typeof item === "object" && isNonEmptyString(item.lumiaName))
+    .map((item) => ({
+      ...item,
+      lumiaName: uniqueName(item.lumiaName.trim(), lumiaNames),
+      lumiaDefinition: optionalString(item.lumiaDefinition),
+      lumiaPersonality: optionalString(item.lumiaPersonality),
+      lumiaBehavior: optionalString(item.lumiaBehavior),
+      avatarUrl: optionalString(item.avatarUrl),
+      authorName: optionalString(item.authorName),
+      genderIdentity: isKnownGender(item.genderIdentity) ? item.genderIdentity : GENDER.SHE_HER,
+      customPronouns: repairPronouns(item.customPronouns),
+      tags: Array.isArray(item.tags) ? item.tags.filter(isNonEmptyString).map((tag) => tag.trim()) : undefined,
+      randomWeight: typeof item.randomWeight === "number" && item.randomWeight >= 0 ? item.randomWeight : undefined,
+      version: typeof item.version === "number" ? item.version : 1,
+    }));
+
+  const loomNames = {};
+  const loomItems = (Array.isArray(pack.loomItems) ? pack.loomItems : [])
+    .filter(
+      (item) =>
+        item &&
+        typeof item === "object" &&
+        isNonEmptyString(item.loomName) &&
+        LOOM_CATEGORIES.includes(item.loomCategory) &&
+        typeof item.loomContent === "string",
+    )
+    .map((item) => {
+      loomNames[item.loomCategory] = loomNames[item.loomCategory] || new Set();
+      return {
+        ...item,
+        loomName: uniqueName(item.loomName.trim(), loomNames[item.loomCategory]),
+        authorName: optionalString(item.authorName),
+        version: typeof item.version === "number" ? item.version : 1,
+      };
+    });
+
+  return {
+    ...pack,
+    packAuthor: optionalString(pack.packAuthor),
+    coverUrl: optionalString(pack.coverUrl),
+    packExtras: Array.isArray(pack.packExtras) ? pack.packExtras : [],
+    lumiaItems,
+    loomItems,
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * PNG Chunk Module
+ * Minimal reader/writer for PNG text chunks (tEXt / uncompressed iTXt), used to
+ * embed JSON in and pull it out of character cards and Lumiverse pack cards.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Check whether a buffer starts with the PNG signature
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {boolean}
+ */
+export function isPng(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  return PNG_SIGNATURE.every((byte, i) => bytes[i] === byte);
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 as used by PNG chunks (table built on first use)
+ * @param {Uint8Array} bytes - Chunk type + data
+ * @returns {number} Unsigned CRC
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode a string as Latin-1 bytes. Callers must only pass Latin-1 text (e.g. base64).
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+function encodeLatin1(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) {
+    bytes[i] = str.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+/**
+ * Decode bytes as Latin-1 (the encoding tEXt chunks use)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function decodeLatin1(bytes) {
+  let result = "";
+  for (let i = 0; i < bytes.length; i++) {
+    result += String.fromCharCode(bytes[i]);
+  }
+  return result;
+}
+
+/**
+ * Walk the chunks of a PNG
+ * @param {Uint8Array} bytes - PNG file contents
+ * @param {Function} visit - Called with (type, start, end, dataBytes) for each chunk; start/end span the whole chunk
+ */
+function forEachChunk(bytes, visit) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = decodeLatin1(bytes.subarray(offset + 4, offset + 8));
+    const dataStart = offset + 8;
+    const end = dataStart + length + 4; // include CRC
+    visit(type, offset, end, bytes.subarray(dataStart, dataStart + length));
+    if (type === "IEND") break;
+    offset = end;
+  }
+}
+
+/**
+ * Read all text chunks from a PNG
+ * @param {ArrayBuffer|Uint8Array} buffer - PNG file contents
+ * @returns {Object<string, string>} Map of keyword to text (later chunks win)
+ */
+export function readPngTextChunks(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (!isPng(bytes)) {
+    throw new Error("Not a PNG file");
+  }
+
+  const chunks = {};
+
+  forEachChunk(bytes, (type, start, end, data) => {
+    if (type === "tEXt") {
+      const sep = data.indexOf(0);
+      if (sep > 0) {
+        chunks[decodeLatin1(data.subarray(0, sep))] = decodeLatin1(data.subarray(sep + 1));
+      }
+    } else if (type === "iTXt") {
+      // keyword \0 compressionFlag compressionMethod languageTag \0 translatedKeyword \0 text
+      const sep = data.indexOf(0);
+      const compressed = data[sep + 1] === 1;
+      if (sep > 0 && !compressed) {
+        const langEnd = data.indexOf(0, sep + 3);
+        const transEnd = data.indexOf(0, langEnd + 1);
+        if (langEnd !== -1 && transEnd !== -1) {
+          chunks[decodeLatin1(data.subarray(0, sep))] = new TextDecoder().decode(data.subarray(transEnd + 1));
+        }
+      }
+    }
+  });
+
+  return chunks;
+}
+
+/**
+ * Return a copy of a PNG with a tEXt chunk set. Existing tEXt chunks with the
+ * same keyword are dropped; the new chunk goes right before IEND.
+ * @param {ArrayBuffer|Uint8Array} buffer - PNG file contents
+ * @param {string} keyword - Chunk keyword (1-79 Latin-1 characters)
+ * @param {string} text - Latin-1 text (base64-encode anything else)
+ * @returns {Uint8Array} New PNG bytes
+ */
+export function writePngTextChunk(buffer, keyword, text) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  if (!isPng(bytes)) {
+    throw new Error("Not a PNG file");
+  }
+
+  const keywordBytes = encodeLatin1(keyword);
+  const textBytes = encodeLatin1(text);
+  const dataLength = keywordBytes.length + 1 + textBytes.length;
+
+  // length (4) + type (4) + data + CRC (4)
+  const chunk = new Uint8Array(12 + dataLength);
+  const chunkView = new DataView(chunk.buffer);
+  chunkView.setUint32(0, dataLength);
+  chunk.set(encodeLatin1("tEXt"), 4);
+  chunk.set(keywordBytes, 8);
+  chunk[8 + keywordBytes.length] = 0;
+  chunk.set(textBytes, 9 + keywordBytes.length);
+  chunkView.setUint32(8 + dataLength, crc32(chunk.subarray(4, 8 + dataLength)));
+
+  const parts = [bytes.subarray(0, PNG_SIGNATURE.length)];
+  let inserted = false;
+
+  forEachChunk(bytes, (type, start, end, data) => {
+    if (type === "tEXt") {
+      const sep = data.indexOf(0);
+      if (sep > 0 && decodeLatin1(data.subarray(0, sep)) === keyword) return;
+    }
+    if (type === "IEND") {
+      parts.push(chunk);
+      inserted = true;
+    }
+    parts.push(bytes.subarray(start, end));
+  });
+
+  if (!inserted) {
+    throw new Error("PNG has no IEND chunk");
+  }
+
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Encode UTF-8 text as base64 (safe to store in a tEXt chunk)
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 data
+ */
+export function encodeBase64Utf8(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a base64 string holding UTF-8 text
+ * @param {string} base64 - Base64 data
+ * @returns {string} Decoded text
+ */
+export function decodeBase64Utf8(base64) {
+  const binary = atob(base64.trim());
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder().decode(bytes);
+}
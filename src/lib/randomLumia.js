@@ -0,0 +1,220 @@
+/**
+ * Random Lumia Module
+ * Picks the Lumia behind {{randomLumia}}: optional filters (pack, tag, gender),
+ * per-item weights, and a scope deciding how long a pick lasts - one
+ * generation, the whole chat, or a number of messages. Chat-scoped picks and
+ * the per-chat seed live in chat metadata.
+ *
+ * Each distinct filter gets its own pick, so {{randomLumia pack="A" .name}} and
+ * {{randomLumia pack="B" .name}} can name different Lumiae in one prompt.
+ */
+
+import {
+  getSettings,
+  getCurrentRandomLumia,
+  setCurrentRandomLumia,
+  isMacroDryRun,
+  MODULE_NAME,
+  GENDER,
+  RANDOM_LUMIA_SCOPE,
+} from "./settingsManager.js";
+import { getItemFromLibrary } from "./dataProcessor.js";
+import { generateItemId } from "./itemIds.js";
+import { getContext } from "../stContext.js";
+
+// Chat metadata key: { seed, picks: { [filterKey]: { packName, itemName, itemId, roll } } }
+export const RANDOM_LUMIA_KEY = "lumiverse_random_lumia";
+
+/** Filter arguments accepted by {{randomLumia}} */
+const FILTER_KEYS = ["pack", "tag", "gender"];
+
+/** gender="..." values mapped to genderIdentity */
+const GENDER_NAMES = {
+  she: GENDER.SHE_HER,
+  he: GENDER.HE_HIM,
+  they: GENDER.THEY_THEM,
+  custom: GENDER.CUSTOM,
+};
+
+/**
+ * Split a {{randomLumia}} argument string into filters and the property.
+ * Filters are key="value" pairs; a value may list alternatives separated by
+ * commas. The first remaining word (leading dot optional) is the property.
+ * @param {string} raw - Raw macro argument, e.g. `pack="Core" tag="fae,elf" .name`
+ * @param {Object|null} [namedArgs] - Named arguments, when the macro engine has already split them out
+ * @returns {{filters: Object, property: string}}
+ */
+export function parseRandomLumiaArgs(raw = "", namedArgs = null) {
+  const named = FILTER_KEYS.filter((key) => typeof namedArgs?.[key] === "string")
+    .map((key) => `${key}="${namedArgs[key]}"`)
+    .join(" ");
+
+  const filters = {};
+  const rest = `${raw} ${named}`.replace(/(\w+)=(?:"([^"]*)"|(\S+))/g, (match, key, quoted, bare) => {
+    const name = key.toLowerCase();
+    if (!FILTER_KEYS.includes(name)) {
+      console.warn(`[${MODULE_NAME}] randomLumia: Unknown filter "${key}", expected ${FILTER_KEYS.join(", ")}`);
+      return " ";
+    }
+    const values = (quoted ?? bare)
+      .split(",")
+      .map((value) => value.trim().toLowerCase())
+      .filter(Boolean);
+    if (values.length > 0) filters[name] = values;
+    return " ";
+  });
+
+  const property = rest.trim().split(/\s+/)[0].replace(/^\./, "").toLowerCase();
+  return { filters, property };
+}
+
+/**
+ * Stable key for a filter set - picks are cached and stored per key
+ * @param {Object} filters - From parseRandomLumiaArgs()
+ * @returns {string} "" when unfiltered
+ */
+function getFilterKey(filters) {
+  return FILTER_KEYS.filter((key) => filters[key])
+    .map((key) => `${key}=${[...filters[key]].sort().join(",")}`)
+    .join(";");
+}
+
+function matchesFilters(packName, pack, item, filters) {
+  if (filters.pack) {
+    const names = [packName, pack.packName].filter(Boolean).map((name) => name.toLowerCase());
+    if (!filters.pack.some((wanted) => names.includes(wanted))) return false;
+  }
+  if (filters.tag) {
+    const tags = (item.tags || []).map((tag) => tag.toLowerCase());
+    if (!filters.tag.some((wanted) => tags.includes(wanted))) return false;
+  }
+  if (filters.gender) {
+    const gender = item.genderIdentity ?? GENDER.SHE_HER;
+    const wanted = filters.gender.map((value) => GENDER_NAMES[value] ?? Number(value));
+    if (!wanted.includes(gender)) return false;
+  }
+  return true;
+}
+
+/**
+ * Lumia items that match the filters and can be picked (weight above 0)
+ * Supports both new format (lumiaItems) and legacy format (items)
+ * @returns {Array<{packName: string, item: Object, weight: number}>}
+ */
+function getCandidates(filters) {
+  const candidates = [];
+  for (const [packName, pack] of Object.entries(getSettings().packs || {})) {
+    const items = pack.lumiaItems?.length > 0 ? pack.lumiaItems : (pack.items || []).filter((item) => item.lumiaDefName);
+    for (const item of items) {
+      const weight = typeof item.randomWeight === "number" && item.randomWeight >= 0 ? item.randomWeight : 1;
+      if (weight > 0 && matchesFilters(packName, pack, item, filters)) {
+        candidates.push({ packName, item, weight });
+      }
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Deterministic random number generator (mulberry32) seeded from a string
+ * @param {string} seed - Seed text
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pickWeighted(candidates, random) {
+  const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0);
+  let target = random() * total;
+  for (const candidate of candidates) {
+    target -= candidate.weight;
+    if (target < 0) return candidate;
+  }
+  return candidates[candidates.length - 1];
+}
+
+/**
+ * Which roll of the current scope the chat is on. A pick stays valid while the
+ * roll number doesn't change; seeded picks are derived from it.
+ */
+function getRollNumber(config, messageCount) {
+  switch (config.scope) {
+    case RANDOM_LUMIA_SCOPE.CHAT:
+      return 0;
+    case RANDOM_LUMIA_SCOPE.MESSAGES:
+      return Math.floor(messageCount / Math.max(1, config.rerollInterval || 1));
+    default:
+      // Per generation - the message count keeps seeded swipes reproducible
+      return messageCount;
+  }
+}
+
+/**
+ * Get the random Lumia for a filter set, rolling one if the current pick has expired
+ * @param {Object} [filters={}] - From parseRandomLumiaArgs()
+ * @returns {Object|null} The Lumia item, or null when nothing matches
+ */
+export function getRandomLumia(filters = {}) {
+  const filterKey = getFilterKey(filters);
+  const cached = getCurrentRandomLumia(filterKey);
+  if (cached) return cached;
+
+  const config = getSettings().randomLumia || {};
+  const context = getContext();
+  const metadata = context?.chatMetadata || null;
+  const roll = getRollNumber(config, context?.chat?.length || 0);
+  // A dry run (Macro Inspector) may reuse stored picks but never stores new ones
+  const dryRun = isMacroDryRun();
+  const persist = !dryRun && !!metadata && config.scope !== RANDOM_LUMIA_SCOPE.GENERATION;
+  const stored = metadata?.[RANDOM_LUMIA_KEY] || {};
+  const candidates = getCandidates(filters);
+
+  // Reuse the stored pick while it's in scope and still matches
+  const previous = metadata && config.scope !== RANDOM_LUMIA_SCOPE.GENERATION ? stored.picks?.[filterKey] : null;
+  if (previous && previous.roll === roll) {
+    const item = getItemFromLibrary(previous.packName, previous.itemName, previous.itemId);
+    if (item && candidates.some((candidate) => candidate.item === item)) {
+      setCurrentRandomLumia(item, filterKey);
+      return item;
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  let random = Math.random;
+  let changed = false;
+  if (config.seeded && metadata) {
+    if (!stored.seed && !dryRun) {
+      stored.seed = generateItemId();
+      changed = true;
+    }
+    random = createSeededRandom(`${stored.seed || generateItemId()}:${filterKey}:${roll}`);
+  }
+
+  const { packName, item } = pickWeighted(candidates, random);
+  setCurrentRandomLumia(item, filterKey);
+
+  if (persist) {
+    const itemName = item.lumiaName || item.lumiaDefName;
+    stored.picks = { ...stored.picks, [filterKey]: { packName, itemName, itemId: item.id, roll } };
+    changed = true;
+  }
+  if (changed) {
+    metadata[RANDOM_LUMIA_KEY] = stored;
+    context.saveMetadata?.()?.catch?.((error) => {
+      console.warn(`[${MODULE_NAME}] Could not save random Lumia state:`, error);
+    });
+  }
+
+  return item;
+}
@@ -10,7 +10,15 @@
  * so window.LumiverseUI is available immediately - no dynamic loading needed.
  */
 
-import { getSettings, saveSettings, MODULE_NAME, clearClaudeCache, resetAllSettings } from "./settingsManager.js";
+import {
+  getSettings,
+  saveSettings,
+  refreshItemIdentity,
+  MODULE_NAME,
+  clearClaudeCache,
+  resetAllSettings,
+} from "./settingsManager.js";
+import { deletePackStorage } from "./packStorage.js";
 import { getEventSource, getEventTypes } from "../stContext.js";
 
 // Track if React UI is loaded
@@ -36,6 +44,35 @@ const extensionCallbacks = {
   // Data operations
   fetchWorldBook: null,
   handleNewBook: null,
+  importCharacterCard: null,
+  importPngFile: null,
+  exportPackAsCard: null,
+  importPackBundle: null,
+  exportPackBundle: null,
+  exportPreset: null,
+  importPreset: null,
+  listWorldInfoBooks: null,
+  importWorldInfoBook: null,
+  setWorldInfoSync: null,
+  getDanglingReferences: null,
+  removeDanglingReferences: null,
+  checkPackUpdates: null,
+  setPackSubscription: null,
+  getScaffoldTemplates: null,
+
+  // OOC prompt editor
+  previewOOCPrompt: null,
+  getOOCPromptDefaults: null,
+
+  // Macro Inspector
+  inspectMacros: null,
+
+  // Context truncation report
+  getTruncationReport: null,
+  getSummaryCoverage: null,
+  // Custom context filter rules
+  validateFilterRule: null,
+  testFilterRules: null,
 
   // UI refresh
   refreshUIDisplay: null,
@@ -45,6 +82,15 @@ const extensionCallbacks = {
 
   // Summary generation
   generateSummary: null,
+
+  // Summary section editing
+  getSummarySections: null,
+  parseSummarySections: null,
+  replaceSummarySection: null,
+
+  // Chat variables editing
+  getLoomVariables: null,
+  setLoomVariables: null,
 };
 
 /**
@@ -107,11 +153,30 @@ export function reactFormatToSettings(reactState) {
     packsKeys: reactState.packs ? Object.keys(reactState.packs) : [],
   });
 
+  // Packs the React state still holds as manifests may have been loaded since
+  // it was sent - keep the loaded copies rather than writing manifests over them
+  if (reactState.packs) {
+    const packs = {};
+    for (const [name, pack] of Object.entries(reactState.packs)) {
+      if (!pack?.contentStored) packs[name] = pack;
+      else if (settings.packs?.[name]) packs[name] = settings.packs[name];
+    }
+    reactState = { ...reactState, packs };
+  }
+
   // Merge all properties from reactState into settings
   // This preserves the exact structure without transformation
   Object.assign(settings, reactState);
 
+  // New items need IDs and renamed items need their references updated;
+  // push the result back so the React store sees it too
+  const identityChanged = refreshItemIdentity();
+
   saveSettings();
+
+  if (identityChanged) {
+    notifyReactOfSettingsChange();
+  }
 }
 
 /**
@@ -133,6 +198,86 @@ export function notifyReactOfSettingsChange() {
   }
 }
 
+/**
+ * Open a React modal that reports a decision through an onResolve prop
+ * @param {string} name - Modal name
+ * @param {Object} props - Props for the modal (onResolve is added)
+ * @returns {Promise<string>} The decision passed to onResolve
+ */
+function openResolvableModal(name, props) {
+  return new Promise((resolve) => {
+    window.LumiverseUI.openModal(name, { ...props, onResolve: resolve });
+  });
+}
+
+/**
+ * Show an import validation report and wait for the user's decision.
+ * Uses the React import report modal when available, otherwise falls back
+ * to a plain confirm() dialog listing the first few issues.
+ * @param {Object} report - Report from validatePackData()
+ * @param {string} sourceName - Name of the pack being imported
+ * @returns {Promise<"import"|"fix"|"cancel">} The chosen action
+ */
+export function requestImportReview(report, sourceName) {
+  if (window.LumiverseUI && window.LumiverseUI.openModal) {
+    return openResolvableModal("importReport", { report, sourceName });
+  }
+
+  const issues = [...report.errors, ...report.warnings];
+  const lines = issues
+    .slice(0, 10)
+    .map((issue) => `- [${issue.severity}] ${issue.path ? issue.path + ": " : ""}${issue.message}`);
+  if (issues.length > 10) lines.push(`...and ${issues.length - 10} more`);
+
+  const proceed = confirm(
+    `Pack "${sourceName}" has ${report.errors.length} error(s) and ${report.warnings.length} warning(s):\n\n` +
+      `${lines.join("\n")}\n\nImport the valid items only?`,
+  );
+  return Promise.resolve(proceed ? "fix" : "cancel");
+}
+
+/**
+ * Show the item-level merge dialog for a re-imported pack and wait for the result.
+ * Without the React UI, confirm() applies the default choices (keep local edits,
+ * take upstream changes) or cancels.
+ * @param {Object} plan - Result of buildMergePlan()
+ * @param {string} sourceName - Name of the pack being re-imported
+ * @returns {Promise<{choices: Object}|"cancel">} Per-item choices, or "cancel"
+ */
+export function requestMergeReview(plan, sourceName) {
+  if (window.LumiverseUI && window.LumiverseUI.openModal) {
+    return openResolvableModal("packMerge", { plan, sourceName });
+  }
+
+  const merge = confirm(
+    `Pack "${sourceName}" already exists.\n\n` +
+      "Merge the new version, keeping your local edits?",
+  );
+  return Promise.resolve(merge ? { choices: {} } : "cancel");
+}
+
+/**
+ * Show a pack update changelog and wait for the user's decision.
+ * Falls back to confirm() when the React UI isn't mounted.
+ * @param {Object} update - Result from checkPackForUpdate()
+ * @returns {Promise<"apply"|"skip">} The chosen action
+ */
+export function requestPackUpdateReview(update) {
+  if (window.LumiverseUI && window.LumiverseUI.openModal) {
+    return openResolvableModal("packUpdate", { update });
+  }
+
+  const { diff, affected } = update;
+  const count = (group) => group.added.length + group.removed.length + group.changed.length;
+  const apply = confirm(
+    `Update available for "${update.packName}" (v${diff.oldVersion} → v${diff.newVersion}).\n\n` +
+      `${count(diff.lumia)} Lumia and ${count(diff.loom)} Loom item(s) changed.` +
+      (affected.length > 0 ? `\n${affected.length} selection(s), preset(s) or council member(s) are affected.` : "") +
+      "\n\nApply the update?",
+  );
+  return Promise.resolve(apply ? "apply" : "skip");
+}
+
 /**
  * Set up event listeners for syncing
  */
@@ -184,7 +329,7 @@ export async function initializeReactUI(container) {
       getCallbacks,
       notifySettingsChange: notifyReactOfSettingsChange,
       clearClaudeCache: clearClaudeCache,
-      resetAllSettings: resetAllSettings,
+      resetAllSettings: () => deletePackStorage().then(resetAllSettings),
     };
     console.log("[ReactBridge] Bridge API exposed on window.LumiverseBridge");
 
@@ -0,0 +1,190 @@
+/**
+ * Scaffold Templates Module
+ * The prompt scaffolding wrapped around Chimera and Council content (headers,
+ * member sections, the Council dynamics text, {{lumiaCouncilInst}}) as editable
+ * templates. Placeholders are written %name% (as in {{lumiaCouncilEach}} and
+ * the OOC prompts); templates may use {{loomIf}}.
+ *
+ * Overrides live in settings.scaffoldTemplates keyed by template; a missing key
+ * means the default. Packs can share templates as packExtras entries:
+ *   { "type": "template", "target": "council", "name": "...", "content": "..." }
+ */
+
+import { getSettings } from "./settingsManager.js";
+import { processLoomConditionals } from "./loomSystem.js";
+
+// packExtras entry type for shared templates
+export const TEMPLATE_EXTRA_TYPE = "template";
+
+const COUNCIL_DYNAMICS = `## COUNCIL DYNAMICS
+
+Each Council member is a fully independent being with their own voice, perspective, and agency. Their interactions should feel organic and dynamic:
+
+**Debate & Disagreement**: Council members may challenge each other's views, argue passionately, or take opposing stances. Intellectual friction creates depth - don't shy away from genuine conflict.
+
+**Agreement & Support**: When members align, they reinforce each other. They may finish each other's thoughts, build on ideas, or rally behind a shared cause.
+
+**Emotional Range**: Members experience the full spectrum - frustration, joy, jealousy, admiration, desire. When the narrative calls for it, their commentary within the weaving may become heated, tender, or even *erotic* - reflecting their genuine reactions to unfolding events.
+
+**Weaving Commentary**: In meta-commentary or OOC moments, Council members speak AS THEMSELVES - their authentic voices reacting to the story. This includes playful banter, heated debates about narrative direction, or intimate asides that reveal their true feelings.
+
+The Council is not a hive-mind. Let each voice ring distinct.`;
+
+/**
+ * Template definitions: label, placeholders (name -> description) and default text
+ */
+export const SCAFFOLD_TEMPLATES = {
+  chimera: {
+    label: "Chimera",
+    placeholders: {
+      names: "Component names joined with +",
+      list: "Component names joined with commas",
+      count: "Number of components",
+      members: "Every component, rendered with the Chimera Component template",
+    },
+    default: `## CHIMERA FORM: %names%
+
+You are a unique fusion of multiple beings - a Chimera combining the physical traits of: %list%.
+
+Your form seamlessly blends these components into one unified whole.
+
+%members%
+
+**Integration**: Embody this fusion naturally. You are ONE being that incorporates all these natures.`,
+  },
+  chimeraMember: {
+    label: "Chimera Component",
+    placeholders: {
+      index: "Position, starting at 1",
+      name: "Lumia name",
+      def: "Physical definition",
+    },
+    default: `### Component %index%: %name%
+%def%`,
+  },
+  council: {
+    label: "Council",
+    placeholders: {
+      count: "Number of members",
+      names: "Member names joined with commas",
+      list: "Every member, rendered with the Council List Entry template",
+      members: "Every member, rendered with the Council Member template",
+    },
+    default: `## THE COUNCIL OF LUMIAE
+
+You are a collective of %count% distinct beings who collaborate, each with their own identity and voice.
+
+### Council Members:
+%list%
+
+%members%
+
+---
+
+${COUNCIL_DYNAMICS}`,
+  },
+  councilListEntry: {
+    label: "Council List Entry",
+    placeholders: {
+      index: "Position, starting at 1",
+      name: "Lumia name",
+      role: "Council role (may be empty)",
+      hasrole: "\"yes\" when the member has a role, empty otherwise",
+    },
+    default: `- **%name%**{{loomIf condition="%hasrole%"}} (%role%){{/loomIf}}`,
+  },
+  councilMember: {
+    label: "Council Member",
+    placeholders: {
+      index: "Position, starting at 1",
+      name: "Lumia name",
+      role: "Council role (may be empty)",
+      hasrole: "\"yes\" when the member has a role, empty otherwise",
+      def: "Physical definition",
+    },
+    default: `### %name%{{loomIf condition="%hasrole%"}} - %role%{{/loomIf}}
+%def%`,
+  },
+  councilInst: {
+    label: "Council Instruction",
+    placeholders: {
+      count: "Number of members",
+      names: "Member names joined with commas",
+    },
+    default: `COUNCIL MODE ACTIVATED! Now all of us Lumias in the Loom's planning room will speak, argue, debate, flirt with each other, maybe even scissor and kiss (depending on our mood, of course~) over each step of the weave planner. We should ALL have a say on where the story goes!`,
+  },
+};
+
+// Separator between rendered members in %members%
+const MEMBER_SEPARATOR = "\n\n---\n\n";
+
+/**
+ * Get the active text of a template - the user's override or the default
+ * @param {string} key - Template key from SCAFFOLD_TEMPLATES
+ * @returns {string}
+ */
+export function getScaffoldTemplate(key) {
+  const override = getSettings().scaffoldTemplates?.[key];
+  return typeof override === "string" ? override : SCAFFOLD_TEMPLATES[key]?.default || "";
+}
+
+/**
+ * Fill in %placeholders% (unknown ones are left as written). Shared by the
+ * scaffold templates, {{lumiaCouncilEach}} and the OOC prompts.
+ * @param {string} text - Template text
+ * @param {Object} values - Placeholder values by name (%NAME% also matches `name`)
+ * @returns {string}
+ */
+export function fillPlaceholders(text, values) {
+  return text.replace(/%([a-z]+)%/gi, (match, name) => {
+    const key = Object.prototype.hasOwnProperty.call(values, name) ? name : name.toLowerCase();
+    const value = Object.prototype.hasOwnProperty.call(values, key) ? values[key] : undefined;
+    return value === undefined ? match : String(value);
+  });
+}
+
+/**
+ * Render a template: evaluate its {{loomIf}} blocks, then fill in %placeholders%.
+ * Placeholders inside conditions are filled before those are evaluated; values
+ * (e.g. pack content in %def%) are inserted last, so they aren't parsed again.
+ * @param {string} key - Template key from SCAFFOLD_TEMPLATES
+ * @param {Object} values - Placeholder values by name
+ * @returns {string}
+ */
+export function renderScaffold(key, values) {
+  const fill = (text) => fillPlaceholders(text, values);
+  return fill(processLoomConditionals(getScaffoldTemplate(key), null, fill)).trim();
+}
+
+/**
+ * Render a list of members with a member template
+ * @param {string} key - Member template key
+ * @param {Array<Object>} members - Placeholder values per member (index is added)
+ * @param {string} [separator] - Text between members
+ * @returns {string}
+ */
+export function renderScaffoldMembers(key, members, separator = MEMBER_SEPARATOR) {
+  return members.map((member, index) => renderScaffold(key, { ...member, index: index + 1 })).join(separator);
+}
+
+/**
+ * Templates shared by installed packs through packExtras
+ * @returns {Array<{packName: string, target: string, name: string, description: string, content: string}>}
+ */
+export function getPackScaffoldTemplates() {
+  const templates = [];
+  for (const [packName, pack] of Object.entries(getSettings().packs || {})) {
+    (pack.packExtras || []).forEach((extra) => {
+      if (extra?.type !== TEMPLATE_EXTRA_TYPE || !SCAFFOLD_TEMPLATES[extra.target]) return;
+      if (typeof extra.content !== "string") return;
+      templates.push({
+        packName,
+        target: extra.target,
+        name: extra.name || SCAFFOLD_TEMPLATES[extra.target].label,
+        description: extra.description || "",
+        content: extra.content,
+      });
+    });
+  }
+  return templates;
+}
@@ -4,27 +4,51 @@
  */
 
 import { getExtensionSettings, getSaveSettingsDebounced } from "../stContext.js";
+import { assignItemIds, reconcileReferences } from "./itemIds.js";
 
 export const MODULE_NAME = "lumia-injector";
 export const SETTINGS_KEY = "lumia_injector_settings";
 export const LOOM_SUMMARY_KEY = "loom_summary";
+// Chat-scoped {{loomSet}}/{{loomGet}} variables
+export const LOOM_VARIABLES_KEY = "loom_variables";
 
 // Schema version for pack format migrations
 // v1: Original mixed items[] array with old field names
 // v2: Separate lumiaItems[]/loomItems[] with new field names
-export const SCHEMA_VERSION = 2;
+// v3: Every item has a stable `id`; references carry an `itemId`
+// v4: Custom OOC prompts use %variable% placeholders instead of {variable}
+export const SCHEMA_VERSION = 4;
 
 // Gender identity constants
 export const GENDER = {
   SHE_HER: 0,
   HE_HIM: 1,
   THEY_THEM: 2,
+  CUSTOM: 3, // Uses the item's customPronouns set
+};
+
+// Built-in pronoun sets keyed by genderIdentity
+export const PRONOUN_SETS = {
+  [GENDER.SHE_HER]: { subject: "she", object: "her", possessive: "her", possessivePronoun: "hers", reflexive: "herself" },
+  [GENDER.HE_HIM]: { subject: "he", object: "him", possessive: "his", possessivePronoun: "his", reflexive: "himself" },
+  [GENDER.THEY_THEM]: { subject: "they", object: "them", possessive: "their", possessivePronoun: "theirs", reflexive: "themself" },
+};
+
+// Pronoun set forms, in the order used by World Book [lumia_pronouns=...] tags
+export const PRONOUN_FORMS = ["subject", "object", "possessive", "possessivePronoun", "reflexive"];
+
+// How long a {{randomLumia}} pick lasts
+export const RANDOM_LUMIA_SCOPE = {
+  GENERATION: "generation", // Re-roll on every generation
+  CHAT: "chat", // Fixed for the whole chat (stored in chat metadata)
+  MESSAGES: "messages", // Re-roll every rerollInterval messages
 };
 
 // Default settings structure
 const DEFAULT_SETTINGS = {
   schemaVersion: SCHEMA_VERSION,
   packs: {},
+  packStorageId: null, // IndexedDB library this profile's pack content lives in
   selectedDefinition: null,
   selectedBehaviors: [],
   selectedPersonalities: [],
@@ -43,6 +67,15 @@ const DEFAULT_SETTINGS = {
   councilMembers: [], // Array of council member configurations
   lumiaOOCInterval: null,
   lumiaOOCStyle: "social",
+  // {{lumiaOOC}} prompt customization (see oocPrompts.js)
+  oocPrompts: {
+    normalTemplate: null, // null uses the built-in prompt
+    councilTemplate: null,
+    maxSentences: 4,
+    councilMaxSentences: 3,
+    tagName: "lumiaooc",
+    color: "#9370DB",
+  },
   sovereignHand: {
     enabled: false,
     excludeLastMessage: true, // Whether to remove last user message from context
@@ -62,10 +95,14 @@ const DEFAULT_SETTINGS = {
       enabled: false,
       keepDepth: 5, // Number of recent messages to keep Loom tags in
     },
+    customRules: [], // User regex/tag rules, see contextFilterRules.js
   },
   messageTruncation: {
     enabled: false,
+    mode: "count", // "count" keeps keepCount messages, "tokens" fits tokenBudget, "summary" compacts to the Loom summary
     keepCount: 50, // Number of recent messages to keep in context
+    tokenBudget: 8000, // Tokens of chat history to keep in "tokens" mode
+    summaryMargin: 4, // Summarized messages still sent in "summary" (compaction) mode
   },
   summarization: {
     mode: "disabled",
@@ -83,10 +120,22 @@ const DEFAULT_SETTINGS = {
       maxTokens: 8192,
     },
   },
+  // {{randomLumia}} selection
+  randomLumia: {
+    scope: RANDOM_LUMIA_SCOPE.GENERATION,
+    rerollInterval: 5, // Messages between re-rolls in "messages" scope
+    seeded: false, // Roll from a per-chat seed so picks are reproducible
+  },
+  // Chimera/Council scaffold template overrides keyed by template (see scaffoldTemplates.js)
+  scaffoldTemplates: {},
   // Cache control for Anthropic API calls
   lumiaConfigVersion: 1,
   lastLumiaChangeTimestamp: null,
   disableAnthropicCache: false,
+  // Pack subscriptions - scheduled update checks for URL/Lucid.cards packs
+  packUpdates: {
+    checkIntervalHours: 24, // 0 disables scheduled checks
+  },
   // Lumia button position (percentage from edges)
   lumiaButtonPosition: {
     useDefault: true, // When true, use default positioning (top-right, animates with panel)
@@ -98,8 +147,21 @@ const DEFAULT_SETTINGS = {
 // Settings state - module-level singleton
 let settings = { ...DEFAULT_SETTINGS };
 
-// Lumia Randomization State
-let currentRandomLumia = null;
+// Lumia Randomization State - picks for the current generation, keyed by
+// filter (the unfiltered pick uses "")
+const currentRandomLumia = new Map();
+
+// Set while the Macro Inspector expands a macro. Handlers with side effects
+// ({{loomSet}}, {{loomInc}}, {{randomLumia}}) must not change chat state then.
+let macroDryRun = false;
+// Random Lumia picks from before the dry run, restored when it ends
+let dryRunRandomLumia = null;
+
+// Builds the object stored in extension_settings (set by packStorage.js)
+let persistedSettingsView = null;
+
+// Called with the new version whenever bumpLumiaConfigVersion() runs
+let configVersionListener = null;
 
 /**
  * Get the current settings object
@@ -111,25 +173,54 @@ export function getSettings() {
 
 /**
  * Get the current random Lumia selection
+ * @param {string} [filterKey=""] - Filter the pick was made with
  * @returns {Object|null} Current random Lumia or null
  */
-export function getCurrentRandomLumia() {
-  return currentRandomLumia;
+export function getCurrentRandomLumia(filterKey = "") {
+  return currentRandomLumia.get(filterKey) || null;
 }
 
 /**
  * Set the current random Lumia selection
  * @param {Object|null} lumia - The Lumia to set, or null to clear
+ * @param {string} [filterKey=""] - Filter the pick was made with
  */
-export function setCurrentRandomLumia(lumia) {
-  currentRandomLumia = lumia;
+export function setCurrentRandomLumia(lumia, filterKey = "") {
+  if (lumia) currentRandomLumia.set(filterKey, lumia);
+  else currentRandomLumia.delete(filterKey);
 }
 
 /**
- * Reset the random Lumia selection
+ * Reset every random Lumia selection
  */
 export function resetRandomLumia() {
-  currentRandomLumia = null;
+  currentRandomLumia.clear();
+}
+
+/**
+ * Whether macros are being expanded for a preview only
+ * @returns {boolean}
+ */
+export function isMacroDryRun() {
+  return macroDryRun;
+}
+
+/**
+ * Start or end a dry run. Keep it around synchronous expansion only, so a
+ * generation can't run while it is on. Random Lumia picks made during the dry
+ * run are discarded when it ends.
+ * @param {boolean} enabled
+ */
+export function setMacroDryRun(enabled) {
+  if (enabled === macroDryRun) return;
+  macroDryRun = enabled;
+  if (enabled) {
+    dryRunRandomLumia = new Map(currentRandomLumia);
+  } else {
+    currentRandomLumia.clear();
+    dryRunRandomLumia.forEach((lumia, filterKey) => currentRandomLumia.set(filterKey, lumia));
+    dryRunRandomLumia = null;
+  }
 }
 
 /**
@@ -207,8 +298,8 @@ function migratePacksToV2() {
   let migrated = false;
   const currentVersion = settings.schemaVersion || 1;
 
-  if (currentVersion >= SCHEMA_VERSION) {
-    return false; // Already at current version
+  if (currentVersion >= 2) {
+    return false; // Already at v2 or later
   }
 
   console.log(`[${MODULE_NAME}] Migrating packs from schema v${currentVersion} to v${SCHEMA_VERSION}...`);
@@ -226,7 +317,7 @@ function migratePacksToV2() {
   }
 
   // Update schema version
-  settings.schemaVersion = SCHEMA_VERSION;
+  settings.schemaVersion = 2;
 
   if (migrated) {
     console.log(`[${MODULE_NAME}] Pack migration complete`);
@@ -235,6 +326,55 @@ function migratePacksToV2() {
   return migrated;
 }
 
+/**
+ * Make sure every item has an ID and every reference follows its item by ID.
+ * Renamed items update the names stored in references.
+ * Call after anything that adds, replaces or renames pack items.
+ * @returns {boolean} True if any item or reference changed
+ */
+export function refreshItemIdentity() {
+  let assigned = 0;
+  for (const packName in settings.packs) {
+    assigned += assignItemIds(settings.packs[packName]);
+  }
+  const { changed } = reconcileReferences(settings);
+  return assigned > 0 || changed;
+}
+
+/**
+ * Migrate to v3: assign stable item IDs and attach them to existing references
+ * @returns {boolean} True if migration occurred
+ */
+function migrateItemIdsToV3() {
+  if ((settings.schemaVersion || 1) >= 3) return false;
+
+  console.log(`[${MODULE_NAME}] Assigning stable item IDs...`);
+  refreshItemIdentity();
+  settings.schemaVersion = 3;
+  return true;
+}
+
+/**
+ * Migrate to v4: custom OOC prompts switch to the %variable% placeholders the
+ * scaffold templates use. Only the known variables are rewritten, and not
+ * inside {{macros}}.
+ * @returns {boolean} True if migration occurred
+ */
+function migrateOOCPlaceholdersToV4() {
+  if ((settings.schemaVersion || 1) >= 4) return false;
+
+  for (const key of ["normalTemplate", "councilTemplate"]) {
+    const template = settings.oocPrompts?.[key];
+    if (typeof template !== "string") continue;
+    settings.oocPrompts[key] = template.replace(
+      /(?<!\{)\{(trigger|maxSentences|memberNames|tagName|color)\}(?!\})/g,
+      "%$1%",
+    );
+  }
+  settings.schemaVersion = 4;
+  return true;
+}
+
 /**
  * Migrate settings from v1 (flat library) to v2 (packs)
  * @returns {boolean} True if migration occurred
@@ -322,6 +462,19 @@ export function migrateSettings() {
     migrated = true;
   }
 
+  // Migrate to v3 (stable item IDs, ID-based references)
+  if (migrateItemIdsToV3()) {
+    migrated = true;
+  } else if (refreshItemIdentity()) {
+    // Catch items added by older code paths without an ID
+    migrated = true;
+  }
+
+  // Migrate to v4 (%variable% placeholders in custom OOC prompts)
+  if (migrateOOCPlaceholdersToV4()) {
+    migrated = true;
+  }
+
   // Fix isCustom flag for packs based on URL presence
   // Packs WITH a URL are from external sources (not custom/editable)
   // Packs WITHOUT a URL are user uploads (custom/editable)
@@ -405,17 +558,12 @@ export function migrateSettings() {
   if (settings.contextFilters.loomItems.keepDepth === undefined) {
     settings.contextFilters.loomItems.keepDepth = 5;
   }
+  if (!Array.isArray(settings.contextFilters.customRules)) {
+    settings.contextFilters.customRules = [];
+  }
 
   // Ensure messageTruncation defaults
-  if (!settings.messageTruncation) {
-    settings.messageTruncation = {
-      enabled: false,
-      keepCount: 50,
-    };
-  }
-  if (settings.messageTruncation.keepCount === undefined) {
-    settings.messageTruncation.keepCount = 50;
-  }
+  settings.messageTruncation = { ...DEFAULT_SETTINGS.messageTruncation, ...settings.messageTruncation };
 
   // Ensure summarization defaults
   if (!settings.summarization) {
@@ -489,6 +637,23 @@ export function migrateSettings() {
   if (settings.councilMode === undefined) settings.councilMode = false;
   if (!settings.councilMembers) settings.councilMembers = [];
 
+  // Ensure pack update defaults
+  if (!settings.packUpdates) settings.packUpdates = { checkIntervalHours: 24 };
+  if (settings.packUpdates.checkIntervalHours === undefined) {
+    settings.packUpdates.checkIntervalHours = 24;
+  }
+
+  // Ensure randomLumia defaults
+  settings.randomLumia = { ...DEFAULT_SETTINGS.randomLumia, ...settings.randomLumia };
+
+  // Ensure OOC prompt defaults
+  settings.oocPrompts = { ...DEFAULT_SETTINGS.oocPrompts, ...settings.oocPrompts };
+
+  // Ensure scaffold template overrides exist
+  if (!settings.scaffoldTemplates || typeof settings.scaffoldTemplates !== "object") {
+    settings.scaffoldTemplates = {};
+  }
+
   return migrated;
 }
 
@@ -514,10 +679,19 @@ export function loadSettings() {
 export function saveSettings() {
   const extension_settings = getExtensionSettings();
   const saveSettingsDebounced = getSaveSettingsDebounced();
-  extension_settings[SETTINGS_KEY] = settings;
+  extension_settings[SETTINGS_KEY] = persistedSettingsView ? persistedSettingsView(settings) : settings;
   saveSettingsDebounced();
 }
 
+/**
+ * Replace what saveSettings() hands to SillyTavern. Pack storage uses this to
+ * keep pack content out of extension_settings.
+ * @param {Function|null} view - Maps the live settings object to the object to persist
+ */
+export function setPersistedSettingsView(view) {
+  persistedSettingsView = view;
+}
+
 /**
  * Get the current Lumia config version
  * Used for cache invalidation with Anthropic API
@@ -536,6 +710,16 @@ export function bumpLumiaConfigVersion() {
   settings.lastLumiaChangeTimestamp = Date.now();
   saveSettings();
   console.log(`[${MODULE_NAME}] Lumia config version bumped to ${settings.lumiaConfigVersion}`);
+  configVersionListener?.(settings.lumiaConfigVersion);
+}
+
+/**
+ * Set the function told about Lumia config version bumps. The extension uses
+ * this to push the new version to the React UI.
+ * @param {Function|null} listener - Receives the new version number
+ */
+export function setConfigVersionListener(listener) {
+  configVersionListener = listener;
 }
 
 /**
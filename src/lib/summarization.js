@@ -16,6 +16,7 @@ import {
   isGroupChat,
   getGroupMemberNames,
 } from "./loomSystem.js";
+import { SUMMARY_SECTIONS } from "./summarySections.js";
 
 // Metadata key for tracking last summarized message count
 export const LOOM_LAST_SUMMARIZED_KEY = "loom_last_summarized_at";
@@ -45,16 +46,37 @@ export function getLastSummarizedCount() {
   return context.chatMetadata[LOOM_LAST_SUMMARIZED_KEY].messageCount || 0;
 }
 
+/**
+ * The messages the stored summary was built from: [from, to) by message id
+ * @returns {{from: number, to: number}|null} Null when never summarized or
+ *   summarized before the range was recorded
+ */
+export function getSummarizedRange() {
+  const context = getContext();
+  const stored = context?.chatMetadata?.[LOOM_LAST_SUMMARIZED_KEY];
+  if (!stored?.messageCount || stored.coveredFrom === undefined) return null;
+  return { from: stored.coveredFrom, to: stored.messageCount };
+}
+
 /**
  * Store the last summarized message count in chat metadata
  * @param {number} messageCount - The current message count
+ * @param {number} firstSummarized - Id of the oldest message given to the summarizer
+ * @param {boolean} extendsPrevious - Whether the previous summary was part of the prompt
  */
-function storeLastSummarizedCount(messageCount) {
+function storeLastSummarizedCount(messageCount, firstSummarized, extendsPrevious) {
   const context = getContext();
   if (!context?.chatMetadata) return;
 
+  // A summary built on the previous one covers its range too, as long as the two meet
+  const previous = extendsPrevious ? getSummarizedRange() : null;
+  const coveredFrom = previous && previous.to >= firstSummarized
+    ? Math.min(previous.from, firstSummarized)
+    : firstSummarized;
+
   context.chatMetadata[LOOM_LAST_SUMMARIZED_KEY] = {
     messageCount: messageCount,
+    coveredFrom,
     timestamp: Date.now(),
   };
 
@@ -391,6 +413,11 @@ export function buildSummarizationPrompt(messageContext) {
     relationshipDesc = `Track evolving dynamics between ${charName} and ${userName}, as well as any NPCs. Trust, tension, affection, rivalry. (NEVER track ${userName}'s internal state—only how characters perceive or relate to them.)`;
   }
 
+  // Headers come from SUMMARY_SECTIONS so {{loomSummary .section}} can find them again
+  const sectionFormat = SUMMARY_SECTIONS.map(
+    (section) => `**${section.header}** (${section.limit})\n${section.describe({ userName, relationshipDesc })}`,
+  ).join("\n\n");
+
   // Build conversation text
   let conversationText = "";
   recentMessages.forEach((msg) => {
@@ -409,26 +436,7 @@ export function buildSummarizationPrompt(messageContext) {
 
 Your summary MUST use this exact structured format with clear headers:
 
-**Completed Objectives** (MAX 7 items)
-Story beats and arcs that have already concluded. Plot points resolved, conflicts addressed, milestones reached.
-
-**Focused Objectives** (MAX 5 items)
-Active story threads requiring attention. These can shift or be deviated from at any time but represent current narrative focus.
-
-**Foreshadowing Beats** (MAX 5 items)
-Events hinted at or seeded in recent story beats. Potential future complications, promises made, warnings given.
-
-**Character Developments** (MAX 7 items total)
-Track meaningful changes in personality, beliefs, skills, or emotional state for each character (NEVER ${userName}).
-
-**Memorable Actions** (MAX 7 items)
-Physical actions of significance—combat moves, gestures, gifts exchanged, locations visited. Details that may matter later.
-
-**Memorable Dialogues** (MAX 5 items)
-Words that left a mark. Confessions, promises, threats, revelations, or simply beautiful turns of phrase.
-
-**Relationships** (MAX 5 items)
-${relationshipDesc}
+${sectionFormat}
 
 CRITICAL GUIDELINES:
 - Use bullet points under each header for clarity—avoid walls of text
@@ -458,7 +466,7 @@ ${existingSummary}
 
 ${conversationText}
 
-Provide an updated Loom Summary incorporating these new events. Use the exact structured format with all seven headers. Output ONLY the summary content—no meta-commentary or additional formatting.`;
+Provide an updated Loom Summary incorporating these new events. Use the exact structured format with all ${SUMMARY_SECTIONS.length} headers. Output ONLY the summary content—no meta-commentary or additional formatting.`;
 
   return { systemPrompt, userPrompt };
 }
@@ -755,6 +763,10 @@ export async function generateLoomSummary(
     `[${MODULE_NAME}] Using ${isManual ? "manual" : "auto"} message context: ${messageContext} messages`,
   );
 
+  // What the prompt is built from, recorded as the new summary's coverage
+  const firstSummarized = Math.max(0, context.chat.length - messageContext);
+  const extendsPrevious = !!context.chatMetadata?.[LOOM_SUMMARY_KEY];
+
   // Show loading indicator if visual feedback is enabled
   if (showVisualFeedback) {
     showSummaryIndicator("loading");
@@ -784,8 +796,9 @@ export async function generateLoomSummary(
       // Store the summary in chat metadata
       context.chatMetadata[LOOM_SUMMARY_KEY] = summaryText.trim();
 
-      // Track when we summarized (message count) for auto-summary interval
-      storeLastSummarizedCount(context.chat.length);
+      // Track when we summarized (message count) for auto-summary interval,
+      // and which messages the summary covers for compaction
+      storeLastSummarizedCount(context.chat.length, firstSummarized, extendsPrevious);
 
       await context.saveMetadata();
       console.log(`[${MODULE_NAME}] Summary saved to chat metadata at message ${context.chat.length}`);
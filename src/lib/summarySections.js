@@ -0,0 +1,170 @@
+/**
+ * Summary Sections Module
+ * The headers of the structured Loom summary, and parsing a stored summary into
+ * them so prompts can use one section ({{loomSummary .focused}}) and editors can
+ * change one section at a time.
+ */
+
+/**
+ * Sections in the order buildSummarizationPrompt asks for them.
+ * `describe` gets { userName, relationshipDesc } and returns the instruction text.
+ * `aliases` are the matching headers of the in-chat {{loomSummaryPrompt}} format.
+ */
+export const SUMMARY_SECTIONS = [
+  {
+    key: "completed",
+    header: "Completed Objectives",
+    aliases: ["Completed Story Beats"],
+    limit: "MAX 7 items",
+    describe: () =>
+      "Story beats and arcs that have already concluded. Plot points resolved, conflicts addressed, milestones reached.",
+  },
+  {
+    key: "focused",
+    header: "Focused Objectives",
+    aliases: ["Ongoing Story Beats"],
+    limit: "MAX 5 items",
+    describe: () =>
+      "Active story threads requiring attention. These can shift or be deviated from at any time but represent current narrative focus.",
+  },
+  {
+    key: "foreshadowing",
+    header: "Foreshadowing Beats",
+    aliases: ["Looming Elements"],
+    limit: "MAX 5 items",
+    describe: () =>
+      "Events hinted at or seeded in recent story beats. Potential future complications, promises made, warnings given.",
+  },
+  {
+    key: "characters",
+    header: "Character Developments",
+    limit: "MAX 7 items total",
+    describe: ({ userName }) =>
+      `Track meaningful changes in personality, beliefs, skills, or emotional state for each character (NEVER ${userName}).`,
+  },
+  {
+    key: "actions",
+    header: "Memorable Actions",
+    limit: "MAX 7 items",
+    describe: () =>
+      "Physical actions of significance—combat moves, gestures, gifts exchanged, locations visited. Details that may matter later.",
+  },
+  {
+    key: "dialogues",
+    header: "Memorable Dialogues",
+    limit: "MAX 5 items",
+    describe: () =>
+      "Words that left a mark. Confessions, promises, threats, revelations, or simply beautiful turns of phrase.",
+  },
+  {
+    key: "relationships",
+    header: "Relationships",
+    limit: "MAX 5 items",
+    describe: ({ relationshipDesc }) => relationshipDesc,
+  },
+];
+
+// A line that is only a header: **Header**, ### Header, Header: - optionally with "(MAX n items)"
+const HEADER_LINE_REGEX = /^\s*(?:#{1,6}\s*)?(?:\*\*|__)?\s*([A-Za-z][A-Za-z &'/-]*?)\s*(?:\*\*|__)?\s*(?:\([^)]*\))?\s*:?\s*(?:\*\*|__)?\s*$/;
+
+// Unknown headers that still end the section above: "### Anything" or "**Anything:**"
+const OTHER_HEADER_REGEX = /^\s*(?:#{1,6}\s+\S|\*\*[^*]+:\s*\*\*\s*$)/;
+
+function normalizeName(name) {
+  return name.toLowerCase().replace(/[^a-z]/g, "");
+}
+
+/**
+ * Find a section by key or header, ignoring case and spacing
+ * (.focused, .focusedObjectives and "Focused Objectives" are the same section)
+ * @param {string} name
+ * @returns {Object|null} Entry of SUMMARY_SECTIONS
+ */
+export function findSummarySection(name) {
+  const wanted = normalizeName(name || "");
+  if (!wanted) return null;
+  return (
+    SUMMARY_SECTIONS.find((section) =>
+      [section.key, section.header, ...(section.aliases || [])].some((candidate) => normalizeName(candidate) === wanted),
+    ) || null
+  );
+}
+
+/**
+ * Split a summary into segments at the section headers. Text before the first
+ * header and under unknown "### ..." / "**...:**" headers gets a null key; other
+ * lines (like a bold name) stay in the section above.
+ * @param {string} summary
+ * @returns {Array<{key: string|null, headerLine: string, body: string}>}
+ */
+function splitSummary(summary) {
+  const segments = [{ key: null, headerLine: "", lines: [] }];
+  for (const line of (summary || "").split("\n")) {
+    const match = line.match(HEADER_LINE_REGEX);
+    const section = match ? findSummarySection(match[1]) : null;
+    if (section && !segments.some((segment) => segment.key === section.key)) {
+      segments.push({ key: section.key, headerLine: line.trim(), lines: [] });
+    } else if (!section && OTHER_HEADER_REGEX.test(line)) {
+      segments.push({ key: null, headerLine: line.trim(), lines: [] });
+    } else {
+      segments[segments.length - 1].lines.push(line);
+    }
+  }
+  return segments.map(({ key, headerLine, lines }) => ({ key, headerLine, body: lines.join("\n").trim() }));
+}
+
+/**
+ * Parse a summary into its sections
+ * @param {string} summary - Stored summary text
+ * @returns {Object<string, string>} Section body by key; missing sections are absent
+ */
+export function parseSummarySections(summary) {
+  const sections = {};
+  for (const segment of splitSummary(summary)) {
+    if (segment.key) sections[segment.key] = segment.body;
+  }
+  return sections;
+}
+
+/**
+ * Get one section of a summary
+ * @param {string} summary - Stored summary text
+ * @param {string} name - Section key or header
+ * @returns {string} The section body, or "" when the summary doesn't have it
+ */
+export function getSummarySection(summary, name) {
+  const section = findSummarySection(name);
+  return section ? parseSummarySections(summary)[section.key] || "" : "";
+}
+
+/**
+ * Replace one section of a summary, keeping the rest as written.
+ * A section the summary doesn't have yet is added in its usual position.
+ * @param {string} summary - Stored summary text
+ * @param {string} name - Section key or header
+ * @param {string} body - New section body
+ * @returns {string} The updated summary
+ */
+export function replaceSummarySection(summary, name, body) {
+  const section = findSummarySection(name);
+  if (!section) return summary;
+
+  const segments = splitSummary(summary);
+  const existing = segments.find((segment) => segment.key === section.key);
+  if (existing) {
+    existing.body = body.trim();
+  } else if (!body.trim()) {
+    return summary;
+  } else {
+    // Insert before the first section that comes later in SUMMARY_SECTIONS
+    const order = (key) => SUMMARY_SECTIONS.findIndex((candidate) => candidate.key === key);
+    const insertAt = segments.findIndex((segment) => segment.key && order(segment.key) > order(section.key));
+    const added = { key: section.key, headerLine: `**${section.header}**`, body: body.trim() };
+    segments.splice(insertAt === -1 ? segments.length : insertAt, 0, added);
+  }
+
+  return segments
+    .filter((segment) => segment.headerLine || segment.body)
+    .map((segment) => [segment.headerLine, segment.body].filter(Boolean).join("\n"))
+    .join("\n\n");
+}
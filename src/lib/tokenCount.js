@@ -0,0 +1,39 @@
+/**
+ * Token Count Module
+ * Counts tokens with SillyTavern's tokenizer for the current model, falling back
+ * to a character-based estimate when the tokenizer isn't available.
+ */
+
+import { getContext } from "../stContext.js";
+import { MODULE_NAME } from "./settingsManager.js";
+
+// Average characters per token for English prose on common tokenizers
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate tokens from length alone
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+/**
+ * Count the tokens in a text
+ * @param {string} text
+ * @returns {Promise<{tokens: number, estimated: boolean}>} estimated is true when the heuristic was used
+ */
+export async function countTokens(text) {
+  if (!text) return { tokens: 0, estimated: false };
+
+  const getTokenCountAsync = getContext()?.getTokenCountAsync;
+  if (getTokenCountAsync) {
+    try {
+      return { tokens: await getTokenCountAsync(text), estimated: false };
+    } catch (error) {
+      console.warn(`[${MODULE_NAME}] Token count failed, estimating instead:`, error);
+    }
+  }
+  return { tokens: estimateTokens(text), estimated: true };
+}
@@ -1624,6 +1624,7 @@ export function showSummarizationModal() {
 
     // Save message truncation settings
     settings.messageTruncation = {
+      ...settings.messageTruncation,
       enabled: $modal.find("#lumia-trunc-toggle").is(":checked"),
       keepCount: parseInt($modal.find("#lumia-trunc-count-input").val()) || 50,
     };
@@ -2500,9 +2501,7 @@ export async function showLucidCardsModal() {
     let skipped = 0;
     let failed = 0;
 
-    // Get settings and importPack function
-    const settings = getSettings();
-    const { importPack } = await import("./dataProcessor.js");
+    const { reviewAndImportPack } = await import("./dataProcessor.js");
 
     // Disable button and show progress
     $btn.prop("disabled", true);
@@ -2518,15 +2517,6 @@ export async function showLucidCardsModal() {
         Importing ${i + 1} of ${total}...
       `);
 
-      // Check if pack already exists - skip if so
-      if (settings.packs[book.name]) {
-        skipped++;
-        // Mark the card as already-imported
-        const escapedPath = escapeHtml(book.path);
-        $modal.find(`.lucid-dlc-card[data-path="${escapedPath}"]`).addClass("already-imported");
-        continue;
-      }
-
       try {
         const response = await fetch(`https://lucid.cards${book.path}`);
         if (!response.ok) throw new Error(`HTTP error: ${response.status}`);
@@ -2541,8 +2531,12 @@ export async function showLucidCardsModal() {
         // Extract the pack data from the response wrapper
         const packData = data.pack || data;
 
-        // Import the pack (this calls saveSettings internally)
-        importPack(packData, book.name, true);
+        // Validate and import; packs that already exist are merged item by item
+        const pack = await reviewAndImportPack(packData, book.name, true, `https://lucid.cards${book.path}`);
+        if (!pack) {
+          skipped++;
+          continue;
+        }
         imported++;
 
         // Mark the card as imported
@@ -2560,13 +2554,13 @@ export async function showLucidCardsModal() {
     // Show summary toast
     const parts = [];
     if (imported > 0) parts.push(`${imported} imported`);
-    if (skipped > 0) parts.push(`${skipped} skipped (already exist)`);
+    if (skipped > 0) parts.push(`${skipped} skipped`);
     if (failed > 0) parts.push(`${failed} failed`);
 
     if (imported > 0) {
       toastr.success(`Import complete: ${parts.join(", ")}`);
     } else if (skipped > 0 && failed === 0) {
-      toastr.info(`All ${skipped} packs already exist`);
+      toastr.info(`No packs imported (${skipped} skipped)`);
     } else {
       toastr.error(`Import failed: ${parts.join(", ")}`);
     }
@@ -2615,7 +2609,7 @@ export function refreshUIDisplay() {
         // Chimera mode: show all selected definitions
         const names = settings.selectedDefinitions
           .map((sel) => {
-            const item = getItemFromLibrary(sel.packName, sel.itemName);
+            const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
             return item ? item.lumiaDefName : null;
           })
           .filter((n) => n);
@@ -2626,7 +2620,7 @@ export function refreshUIDisplay() {
         // Normal mode: single definition
         const sel = settings.selectedDefinition;
         if (sel) {
-          const item = getItemFromLibrary(sel.packName, sel.itemName);
+          const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
           currentDefDiv.textContent = item
             ? `${item.lumiaDefName} (${sel.packName})`
             : "Item not found (Maybe pack removed?)";
@@ -2643,7 +2637,7 @@ export function refreshUIDisplay() {
     if (currentBehaviorsDiv) {
       const names = settings.selectedBehaviors
         .map((sel) => {
-          const item = getItemFromLibrary(sel.packName, sel.itemName);
+          const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
           if (!item) return null;
           const name = item.lumiaDefName;
           // Check if this is the dominant behavior
@@ -2666,7 +2660,7 @@ export function refreshUIDisplay() {
     if (currentPersonalitiesDiv) {
       const names = settings.selectedPersonalities
         .map((sel) => {
-          const item = getItemFromLibrary(sel.packName, sel.itemName);
+          const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
           if (!item) return null;
           const name = item.lumiaDefName;
           // Check if this is the dominant personality
@@ -2688,7 +2682,7 @@ export function refreshUIDisplay() {
       const styleArray = Array.isArray(settings.selectedLoomStyle) ? settings.selectedLoomStyle : [];
       const names = styleArray
         .map((sel) => {
-          const item = getItemFromLibrary(sel.packName, sel.itemName);
+          const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
           return item ? item.loomName : null;
         })
         .filter((n) => n);
@@ -2702,7 +2696,7 @@ export function refreshUIDisplay() {
     if (currentLoomUtilsDiv) {
       const names = settings.selectedLoomUtils
         .map((sel) => {
-          const item = getItemFromLibrary(sel.packName, sel.itemName);
+          const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
           return item ? item.loomName : null;
         })
         .filter((n) => n);
@@ -2718,7 +2712,7 @@ export function refreshUIDisplay() {
     if (currentLoomRetrofitsDiv) {
       const names = settings.selectedLoomRetrofits
         .map((sel) => {
-          const item = getItemFromLibrary(sel.packName, sel.itemName);
+          const item = getItemFromLibrary(sel.packName, sel.itemName, sel.itemId);
           return item ? item.loomName : null;
         })
         .filter((n) => n);
@@ -0,0 +1,191 @@
+/**
+ * World Info Import Module
+ * Imports lorebooks the local SillyTavern server already has (no export/re-upload
+ * round-trip) and optionally keeps the resulting packs in sync when the lorebook
+ * is edited in ST.
+ */
+
+import { getSettings, saveSettings, refreshItemIdentity, MODULE_NAME, bumpLumiaConfigVersion } from "./settingsManager.js";
+import { reviewAndImportPack, worldBookToPack } from "./dataProcessor.js";
+import { buildMergePlan, applyMergePlan, hashString } from "./packMerge.js";
+import { notifyReactOfSettingsChange } from "./reactBridge.js";
+import { isPackLoaded, whenPackLibraryLoaded } from "./packStorage.js";
+import { getContext, getRequestHeaders, getEventSource, getEventTypes } from "../stContext.js";
+
+let syncStarted = false;
+
+// Detects lorebook changes between syncs
+function hashBook(data) {
+  return hashString(JSON.stringify(data?.entries || data || {}));
+}
+
+/**
+ * List the World Info books the ST server knows about
+ * @returns {Promise<string[]>} Lorebook names
+ */
+export async function listWorldInfoBooks() {
+  const response = await fetch("/api/settings/get", {
+    method: "POST",
+    headers: getRequestHeaders(),
+    body: JSON.stringify({}),
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to list World Info (HTTP ${response.status})`);
+  }
+  const data = await response.json();
+  return [...(data.world_names || [])].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Load a World Info book through ST (cached loader when available, server API otherwise)
+ * @param {string} name - Lorebook name
+ * @returns {Promise<Object>} World Info data ({ entries })
+ */
+export async function loadWorldInfoBook(name) {
+  const ctx = getContext();
+  if (ctx?.loadWorldInfo) {
+    const data = await ctx.loadWorldInfo(name);
+    if (data) return data;
+  }
+
+  const response = await fetch("/api/worldinfo/get", {
+    method: "POST",
+    headers: getRequestHeaders(),
+    body: JSON.stringify({ name }),
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to load World Info "${name}" (HTTP ${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Import an installed lorebook as a pack
+ * @param {string} name - Lorebook name
+ * @param {Object} [options]
+ * @param {boolean} [options.keepInSync=false] - Re-import when the lorebook changes in ST
+ * @returns {Promise<Object|null>} The imported pack or null
+ */
+export async function importWorldInfoBook(name, { keepInSync = false } = {}) {
+  try {
+    const data = await loadWorldInfoBook(name);
+    const result = await reviewAndImportPack(data, name, false);
+    if (!result) return null;
+
+    const settings = getSettings();
+    const pack = settings.packs[name];
+    if (pack) {
+      pack.provenance = {
+        type: "worldInfo",
+        bookName: name,
+        keepInSync,
+        sourceHash: hashBook(data),
+        importedAt: Date.now(),
+      };
+      saveSettings();
+    }
+    return pack || null;
+  } catch (error) {
+    console.error(`[${MODULE_NAME}] World Info import failed:`, error);
+    toastr.error("Failed to import World Info: " + error.message);
+    return null;
+  }
+}
+
+/**
+ * Turn lorebook sync on or off for a pack imported from World Info
+ * @param {string} packName - Pack key
+ * @param {boolean} keepInSync - Whether to follow lorebook edits
+ */
+export function setWorldInfoSync(packName, keepInSync) {
+  const pack = getSettings().packs[packName];
+  if (!pack || pack.provenance?.type !== "worldInfo") return;
+
+  pack.provenance = { ...pack.provenance, keepInSync };
+  saveSettings();
+  notifyReactOfSettingsChange();
+
+  if (keepInSync) {
+    syncWorldInfoPacks(pack.provenance.bookName);
+  }
+}
+
+/**
+ * Re-import a synced pack from new lorebook data. Runs without prompting, using
+ * the default merge choices: local edits are kept, lorebook changes are taken.
+ * @param {string} packName - Pack key
+ * @param {Object} data - Current lorebook data
+ * @returns {boolean} Whether the pack changed
+ */
+function applyWorldInfoSync(packName, data) {
+  const settings = getSettings();
+  const pack = settings.packs[packName];
+  const sourceHash = hashBook(data);
+  if (pack.provenance.sourceHash === sourceHash) return false;
+
+  const incoming = worldBookToPack(data, pack.packName || packName);
+  const plan = buildMergePlan(pack, incoming);
+  const merged = applyMergePlan(pack, incoming, plan);
+
+  settings.packs[packName] = {
+    ...merged,
+    provenance: { ...pack.provenance, sourceHash, lastSynced: Date.now() },
+  };
+
+  console.log(`[${MODULE_NAME}] Synced pack "${packName}" from World Info "${pack.provenance.bookName}"`);
+  return true;
+}
+
+/**
+ * Sync every pack that follows the given lorebook (or all synced packs)
+ * @param {string|null} [bookName] - Lorebook name, or null for all
+ * @param {Object|null} [data] - Lorebook data if already known (e.g. from the update event)
+ */
+export async function syncWorldInfoPacks(bookName = null, data = null) {
+  const settings = getSettings();
+  const linked = Object.entries(settings.packs || {}).filter(
+    ([, pack]) =>
+      pack.provenance?.type === "worldInfo" &&
+      pack.provenance.keepInSync &&
+      isPackLoaded(pack) &&
+      (!bookName || pack.provenance.bookName === bookName),
+  );
+  if (linked.length === 0) return;
+
+  let changed = false;
+  for (const [packName, pack] of linked) {
+    try {
+      const book = data || (await loadWorldInfoBook(pack.provenance.bookName));
+      changed = applyWorldInfoSync(packName, book) || changed;
+    } catch (error) {
+      // Lorebook renamed or deleted - keep the pack as it is
+      console.warn(`[${MODULE_NAME}] Could not sync "${packName}":`, error.message);
+    }
+  }
+
+  if (changed) {
+    refreshItemIdentity();
+    saveSettings();
+    bumpLumiaConfigVersion();
+    notifyReactOfSettingsChange();
+  }
+}
+
+/**
+ * Follow lorebook edits made in ST and catch up on changes made while offline
+ */
+export function startWorldInfoSync() {
+  if (syncStarted) return;
+  syncStarted = true;
+
+  const eventSource = getEventSource();
+  const eventTypes = getEventTypes();
+  if (eventSource && eventTypes.WORLDINFO_UPDATED) {
+    eventSource.on(eventTypes.WORLDINFO_UPDATED, (name, data) => {
+      syncWorldInfoPacks(name, data);
+    });
+  }
+
+  // Catch up once every pack's content is in memory
+  whenPackLibraryLoaded().then(() => syncWorldInfoPacks());
+}
@@ -12,6 +12,9 @@ import LumiaEditorModal from './modals/LumiaEditorModal';
 import LoomEditorModal from './modals/LoomEditorModal';
 import ItemTypeSelector from './modals/ItemTypeSelector';
 import CouncilSelectModal from './modals/CouncilSelectModal';
+import ImportReportModal from './modals/ImportReportModal';
+import PackUpdateModal from './modals/PackUpdateModal';
+import PackMergeModal from './modals/PackMergeModal';
 
 /**
  * Modal wrapper that provides backdrop and close functionality
@@ -61,7 +64,10 @@ function ModalWrapper({ children, onClose, modalType, size = 'medium', hasCustom
         modalType === 'pack-selector' && 'lumia-modal-pack-selector',
         modalType === 'lumia-editor' && 'lumia-modal-lumia-editor',
         modalType === 'loom-editor' && 'lumia-modal-loom-editor',
-        modalType === 'type-selector' && 'lumia-modal-type-selector'
+        modalType === 'type-selector' && 'lumia-modal-type-selector',
+        modalType === 'import-report' && 'lumia-modal-import-report',
+        modalType === 'pack-update' && 'lumia-modal-pack-update',
+        modalType === 'pack-merge' && 'lumia-modal-pack-merge'
     );
 
     return (
@@ -140,11 +146,28 @@ const MODAL_CONFIG = {
         hasCustomHeader: true,
         props: {},
     },
-    importPack: {
-        component: () => <div className="lumia-modal-empty">Import Pack Modal (TODO)</div>,
-        modalType: 'settings',
+    // Validation report shown before an import is committed
+    importReport: {
+        component: ImportReportModal,
+        modalType: 'import-report',
         size: 'medium',
-        hasCustomHeader: false,
+        hasCustomHeader: true,
+        props: {},
+    },
+    // Changelog shown before a subscribed pack is updated
+    packUpdate: {
+        component: PackUpdateModal,
+        modalType: 'pack-update',
+        size: 'medium',
+        hasCustomHeader: true,
+        props: {},
+    },
+    // Item-level merge when re-importing an existing pack
+    packMerge: {
+        component: PackMergeModal,
+        modalType: 'pack-merge',
+        size: 'large',
+        hasCustomHeader: true,
         props: {},
     },
     loomStyles: {
@@ -1,11 +1,11 @@
 import React, { useState, useMemo, useCallback, useSyncExternalStore } from 'react';
-import { useSettings, useSelections, useLoomSelections, useLumiverseActions, usePacks, saveToExtension, useLumiverseStore } from '../store/LumiverseContext';
+import { useSettings, useSelections, useLoomSelections, useLumiverseActions, usePacks, saveToExtension, saveToExtensionImmediate, useLumiverseStore } from '../store/LumiverseContext';
 import { useAdaptiveImagePosition } from '../hooks/useAdaptiveImagePosition';
 import { exportPack } from './modals/PackEditorModal';
 import { CollapsibleContent } from './Collapsible';
 import { motion, AnimatePresence } from 'motion/react';
 import clsx from 'clsx';
-import { Eye, Sparkles, Wrench, Layers, Trash2, Users, Bookmark, Plus, ChevronDown, Check, X, AlertTriangle } from 'lucide-react';
+import { Eye, Sparkles, Wrench, Layers, Trash2, Users, Bookmark, Plus, ChevronDown, Check, X, AlertTriangle, Bell, BellOff, RefreshCw, ImageDown } from 'lucide-react';
 
 /* global LumiverseBridge, toastr */
 
@@ -18,6 +18,7 @@ const store = useLumiverseStore;
 const EMPTY_ARRAY = [];
 const EMPTY_OBJECT = {};
 const DEFAULT_BUTTON_POSITION = { useDefault: true, xPercent: 1, yPercent: 1 };
+const DEFAULT_PACK_UPDATES = { checkIntervalHours: 24 };
 
 // Stable selector functions for useSyncExternalStore
 const selectPresets = () => store.getState().presets || EMPTY_OBJECT;
@@ -28,6 +29,15 @@ const selectCouncilMembers = () => store.getState().councilMembers || EMPTY_ARRA
 const selectSelectedDefinitions = () => store.getState().selectedDefinitions || EMPTY_ARRAY;
 const selectShowDrawer = () => store.getState().showLumiverseDrawer ?? true;
 const selectButtonPosition = () => store.getState().lumiaButtonPosition ?? DEFAULT_BUTTON_POSITION;
+const selectPackUpdates = () => store.getState().packUpdates ?? DEFAULT_PACK_UPDATES;
+const selectState = () => store.getState();
+
+/**
+ * Whether a pack was imported from a URL that can be re-checked for updates
+ */
+function isUpdatablePack(pack) {
+    return typeof pack.url === 'string' && /^https?:\/\//i.test(pack.url);
+}
 
 /**
  * SVG Icons for mode toggles
@@ -580,6 +590,51 @@ function QuickActionsSection({ councilMode, councilMembers, onOpenCouncil, actio
 /**
  * Main Settings Panel component - matching old HTML structure exactly
  */
+/**
+ * Warning for selections, presets and council members that point at items that
+ * no longer exist (pack deleted, item removed upstream)
+ */
+function MissingReferencesNotice() {
+    const state = useSyncExternalStore(store.subscribe, selectState, selectState);
+    // Cheap walk over selections and presets - recomputed on every store update
+    const missing = useMemo(() => {
+        if (typeof LumiverseBridge === 'undefined') return EMPTY_ARRAY;
+        const callbacks = LumiverseBridge.getCallbacks();
+        if (!callbacks?.getDanglingReferences) return EMPTY_ARRAY;
+        return callbacks.getDanglingReferences(state) || EMPTY_ARRAY;
+    }, [state]);
+
+    const handleRemove = useCallback(() => {
+        // Flush pending edits so the extension prunes the current selections
+        saveToExtensionImmediate();
+        if (typeof LumiverseBridge !== 'undefined') {
+            LumiverseBridge.getCallbacks()?.removeDanglingReferences?.();
+        }
+    }, []);
+
+    if (missing.length === 0) return null;
+
+    return (
+        <div className="lumia-missing-refs">
+            <div className="lumia-missing-refs-header">
+                <AlertTriangle size={14} strokeWidth={1.5} />
+                <span>{missing.length} selection{missing.length !== 1 ? 's' : ''} point at items that no longer exist</span>
+            </div>
+            <ul className="lumia-missing-refs-list">
+                {missing.map((ref, index) => (
+                    <li key={index}>
+                        {ref.location}: <strong>{ref.packName} / {ref.itemName}</strong> (missing)
+                    </li>
+                ))}
+            </ul>
+            <button className="lumia-btn lumia-btn-secondary" onClick={handleRemove} type="button">
+                <Trash2 size={14} strokeWidth={1.5} />
+                Remove missing references
+            </button>
+        </div>
+    );
+}
+
 function SettingsPanel() {
     const settings = useSettings();
     const selections = useSelections();
@@ -712,10 +767,34 @@ function SettingsPanel() {
 
         console.log('[SettingsPanel] File selected for upload:', file.name);
 
+        // PNG pack cards carry the pack JSON in a text chunk - let the extension read them
+        if (file.type === 'image/png' || /\.png$/i.test(file.name)) {
+            callExtensionCallback('importPngFile', file);
+            event.target.value = '';
+            return;
+        }
+
+        // Bundle archives hold several packs plus their images and presets
+        if (/\.zip$/i.test(file.name)) {
+            callExtensionCallback('importPackBundle', file);
+            event.target.value = '';
+            return;
+        }
+
         const reader = new FileReader();
-        reader.onload = (e) => {
+        reader.onload = async (e) => {
+            let data;
+            try {
+                data = JSON.parse(e.target.result);
+            } catch (error) {
+                console.error('[SettingsPanel] Failed to parse JSON:', error);
+                if (typeof toastr !== 'undefined') {
+                    toastr.error('Failed to parse JSON: ' + error.message);
+                }
+                return;
+            }
+
             try {
-                const data = JSON.parse(e.target.result);
                 console.log('[SettingsPanel] JSON parsed successfully, entries:', data.entries ? Object.keys(data.entries).length : 'no entries field');
 
                 // Call the extension's handleNewBook callback
@@ -725,7 +804,8 @@ function SettingsPanel() {
 
                     if (callbacks && callbacks.handleNewBook) {
                         console.log('[SettingsPanel] Calling handleNewBook...');
-                        callbacks.handleNewBook(data, file.name, false);
+                        // Waits for the validation review or merge to finish
+                        await callbacks.handleNewBook(data, file.name, false);
                         // Refresh the UI after import
                         if (callbacks.refreshUIDisplay) {
                             callbacks.refreshUIDisplay();
@@ -744,9 +824,9 @@ function SettingsPanel() {
                     }
                 }
             } catch (error) {
-                console.error('[SettingsPanel] Failed to parse JSON:', error);
+                console.error('[SettingsPanel] Import failed:', error);
                 if (typeof toastr !== 'undefined') {
-                    toastr.error('Failed to parse JSON: ' + error.message);
+                    toastr.error('Import failed: ' + error.message);
                 }
             }
         };
@@ -760,7 +840,18 @@ function SettingsPanel() {
 
         // Reset the input so the same file can be selected again
         event.target.value = '';
-    }, []);
+    }, [callExtensionCallback]);
+
+    // Handle character card upload (PNG with embedded data or card JSON)
+    const handleCardUpload = useCallback((event) => {
+        const file = event.target.files?.[0];
+        if (!file) return;
+
+        callExtensionCallback('importCharacterCard', file);
+
+        // Reset the input so the same file can be selected again
+        event.target.value = '';
+    }, [callExtensionCallback]);
 
     // Get drawer visibility setting from store
     const showDrawer = useSyncExternalStore(
@@ -782,6 +873,25 @@ function SettingsPanel() {
         saveToExtension();
     }, []);
 
+    // Get pack update settings from store
+    const packUpdates = useSyncExternalStore(
+        store.subscribe,
+        selectPackUpdates,
+        selectPackUpdates
+    );
+
+    // Handle update check interval change (0 disables scheduled checks)
+    const handleUpdateIntervalChange = useCallback((value) => {
+        const checkIntervalHours = Math.max(0, parseInt(value, 10) || 0);
+        store.setState({
+            packUpdates: {
+                ...store.getState().packUpdates,
+                checkIntervalHours,
+            }
+        });
+        saveToExtension();
+    }, []);
+
     // Handle nuclear reset - wipe all settings and reload
     const handleNuclearReset = useCallback(() => {
         const confirmed = window.confirm(
@@ -955,19 +1065,46 @@ function SettingsPanel() {
                     <button
                         className="lumia-btn lumia-btn-secondary lumia-btn-full"
                         onClick={() => document.getElementById('lumia-file-input-react')?.click()}
+                        title="Pack JSON, PNG pack card or bundle zip"
                         type="button"
                     >
                         {Icons.upload}
-                        Upload JSON File
+                        Upload Pack File
                     </button>
                     <input
                         type="file"
                         id="lumia-file-input-react"
-                        accept=".json"
+                        accept=".json,.png,.zip"
                         style={{ display: 'none' }}
                         onChange={handleFileUpload}
                     />
 
+                    <button
+                        className="lumia-btn lumia-btn-secondary lumia-btn-full"
+                        onClick={() => document.getElementById('lumia-card-input-react')?.click()}
+                        type="button"
+                    >
+                        {Icons.upload}
+                        Import from Character Card
+                    </button>
+                    <input
+                        type="file"
+                        id="lumia-card-input-react"
+                        accept=".png,.json"
+                        style={{ display: 'none' }}
+                        onChange={handleCardUpload}
+                    />
+
+                    <button
+                        className="lumia-btn lumia-btn-secondary lumia-btn-full"
+                        onClick={() => callExtensionCallback('exportPackBundle')}
+                        title="Export all packs, their presets and images as one zip"
+                        type="button"
+                    >
+                        {Icons.download}
+                        Export Library Bundle
+                    </button>
+
                     <div className="lumia-divider-text">or</div>
 
                     <button
@@ -997,6 +1134,8 @@ function SettingsPanel() {
                     </button>
                 }
             >
+                <MissingReferencesNotice />
+
                 {/* Mode Toggles */}
                 <div className="lumia-mode-toggles">
                     <ModeToggle
@@ -1207,6 +1346,9 @@ function SettingsPanel() {
                                             className="lumia-pack-name"
                                             onClick={() => togglePackExpansion(packKey)}
                                             style={{ cursor: 'pointer' }}
+                                            title={pack.provenance?.cardName
+                                                ? `Imported from character card "${pack.provenance.cardName}"`
+                                                : undefined}
                                         >
                                             {pack.name}
                                         </span>
@@ -1221,6 +1363,14 @@ function SettingsPanel() {
                                         >
                                             {Icons.download}
                                         </button>
+                                        <button
+                                            className="lumia-btn lumia-btn-icon"
+                                            onClick={() => callExtensionCallback('exportPackAsCard', packKey)}
+                                            title="Export as PNG card"
+                                            type="button"
+                                        >
+                                            <ImageDown size={16} strokeWidth={1.5} />
+                                        </button>
                                         <button
                                             className="lumia-btn lumia-btn-icon"
                                             onClick={() => actions.openModal('packEditor', { packId: packKey })}
@@ -1272,7 +1422,30 @@ function SettingsPanel() {
                     collapsible
                     collapsed={sectionsCollapsed.downloadedPacks}
                     onToggle={() => toggleSection('downloadedPacks')}
+                    action={
+                        <button
+                            className="lumia-clear-all-btn"
+                            onClick={() => callExtensionCallback('checkPackUpdates')}
+                            title="Check subscribed packs for updates"
+                            type="button"
+                        >
+                            <RefreshCw size={14} strokeWidth={1.5} />
+                            Check Updates
+                        </button>
+                    }
                 >
+                    <div className="lumia-pack-update-interval">
+                        <label htmlFor="lumia-pack-update-interval">Auto-check subscribed packs every</label>
+                        <input
+                            type="number"
+                            id="lumia-pack-update-interval"
+                            className="lumia-input lumia-input-sm"
+                            value={packUpdates.checkIntervalHours}
+                            onChange={(e) => handleUpdateIntervalChange(e.target.value)}
+                            min="0"
+                        />
+                        <span>hours (0 = off)</span>
+                    </div>
                     <div className="lumia-downloaded-packs">
                         {packs.map((pack) => {
                             const packName = pack.name || pack.packName || 'Unknown Pack';
@@ -1302,6 +1475,28 @@ function SettingsPanel() {
                                         </span>
                                     </div>
                                     <div className="lumia-downloaded-pack-actions">
+                                        {isUpdatablePack(pack) && (
+                                            <>
+                                                <button
+                                                    className={clsx('lumia-btn lumia-btn-icon', pack.subscribed && 'lumia-btn-icon-active')}
+                                                    onClick={() => callExtensionCallback('setPackSubscription', packName, !pack.subscribed)}
+                                                    title={pack.subscribed ? 'Unsubscribe from updates' : 'Subscribe to updates'}
+                                                    type="button"
+                                                >
+                                                    {pack.subscribed
+                                                        ? <Bell size={16} strokeWidth={1.5} />
+                                                        : <BellOff size={16} strokeWidth={1.5} />}
+                                                </button>
+                                                <button
+                                                    className="lumia-btn lumia-btn-icon"
+                                                    onClick={() => callExtensionCallback('checkPackUpdates', packName)}
+                                                    title="Check for updates now"
+                                                    type="button"
+                                                >
+                                                    <RefreshCw size={16} strokeWidth={1.5} />
+                                                </button>
+                                            </>
+                                        )}
                                         <button
                                             className="lumia-btn lumia-btn-icon"
                                             onClick={() => actions.openPackDetail(packName)}
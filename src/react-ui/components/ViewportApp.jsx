@@ -7,6 +7,7 @@ import OOCSettings from './panels/OOCSettings';
 import PromptSettings from './panels/PromptSettings';
 import CouncilManager from './panels/CouncilManager';
 import SummaryEditor from './panels/SummaryEditor';
+import MacroInspector from './panels/MacroInspector';
 import PackDetailModal from './modals/PackDetailModal';
 import LoomPackDetailModal from './modals/LoomPackDetailModal';
 import { useLumiverseStore } from '../store/LumiverseContext';
@@ -56,6 +57,7 @@ function ViewportApp() {
                 PromptContent={PromptSettings}
                 CouncilContent={CouncilManager}
                 SummaryContent={SummaryEditor}
+                InspectorContent={MacroInspector}
             />
             {/* Pack detail modal - rendered when viewingPack is set */}
             <PackDetailModal />
@@ -1,6 +1,6 @@
 import React, { useState, useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
 import clsx from 'clsx';
-import { User, Package, MessageSquare, Sliders, FileText, ChevronRight, X, Sparkles, Bookmark, Users } from 'lucide-react';
+import { User, Package, MessageSquare, Sliders, FileText, ChevronRight, X, Sparkles, Bookmark, Users, Braces } from 'lucide-react';
 import { useLumiverseStore } from '../store/LumiverseContext';
 
 // Get store for direct access
@@ -171,6 +171,12 @@ const PANEL_TABS = [
         label: 'Summary',
         title: 'Summary Editor',
     },
+    {
+        id: 'inspector',
+        Icon: Braces,
+        label: 'Macros',
+        title: 'Macro Inspector',
+    },
 ];
 
 /**
@@ -191,6 +197,7 @@ function ViewportPanel({
     PromptContent,
     CouncilContent,
     SummaryContent,
+    InspectorContent,
 }) {
     const [activeTab, setActiveTab] = useState(defaultTab);
     const [isCollapsed, setIsCollapsed] = useState(false);
@@ -233,7 +240,9 @@ function ViewportPanel({
         prompt: PromptContent ? <PromptContent /> : <PlaceholderContent tab="prompt" />,
         council: CouncilContent ? <CouncilContent /> : <PlaceholderContent tab="council" />,
         summary: SummaryContent ? <SummaryContent /> : <PlaceholderContent tab="summary" />,
-    }), [ProfileContent, PresetsContent, BrowserContent, OOCContent, PromptContent, CouncilContent, SummaryContent, handleTabClick]);
+        // Only expands macros while visible
+        inspector: InspectorContent ? <InspectorContent isActive={activeTab === 'inspector'} /> : <PlaceholderContent tab="inspector" />,
+    }), [ProfileContent, PresetsContent, BrowserContent, OOCContent, PromptContent, CouncilContent, SummaryContent, InspectorContent, activeTab, handleTabClick]);
 
     // Calculate custom button position styles
     const getButtonPositionStyle = () => {
@@ -402,6 +411,11 @@ function PlaceholderContent({ tab }) {
             title: 'Summary Editor',
             description: 'View and edit the current conversation summary',
         },
+        inspector: {
+            Icon: Braces,
+            title: 'Macro Inspector',
+            description: 'See what every Lumiverse macro expands to right now',
+        },
     };
 
     const config = placeholders[tab] || {};
@@ -0,0 +1,143 @@
+import React, { useEffect, useRef, useCallback } from 'react';
+import { useLumiverseStore } from '../../store/LumiverseContext';
+import clsx from 'clsx';
+import { AlertTriangle, XCircle, FileWarning, Wrench, Upload } from 'lucide-react';
+
+const FORMAT_LABELS = {
+    native: 'Lumiverse Pack',
+    worldbook: 'World Book',
+};
+
+/**
+ * Single issue row in the report
+ */
+function IssueRow({ issue }) {
+    const isError = issue.severity === 'error';
+    return (
+        <li className={clsx('lumiverse-import-report-issue', isError && 'lumiverse-import-report-issue--error')}>
+            {isError
+                ? <XCircle size={14} strokeWidth={2} className="lumiverse-import-report-issue-icon" />
+                : <AlertTriangle size={14} strokeWidth={2} className="lumiverse-import-report-issue-icon" />}
+            <div className="lumiverse-import-report-issue-text">
+                <span className="lumiverse-import-report-issue-message">{issue.message}</span>
+                {(issue.path || issue.itemName) && (
+                    <span className="lumiverse-import-report-issue-path">
+                        {issue.path}
+                        {issue.path && issue.itemName && ' • '}
+                        {issue.itemName}
+                    </span>
+                )}
+            </div>
+        </li>
+    );
+}
+
+/**
+ * Import Report Modal
+ *
+ * Shows the validator's errors and warnings for a pack before it is committed,
+ * and lets the user import anyway, import a repaired copy, or cancel.
+ *
+ * Props:
+ * - report: Validation report from validatePackData()
+ * - sourceName: Name of the pack being imported
+ * - onResolve: Called once with "import" | "fix" | "cancel"
+ * - onClose: Closes the modal
+ */
+function ImportReportModal({ report, sourceName, onResolve, onClose }) {
+    // Closing the modal any other way (Escape, backdrop) counts as cancel
+    const resolvedRef = useRef(false);
+
+    const resolve = useCallback((decision) => {
+        if (resolvedRef.current) return;
+        resolvedRef.current = true;
+        onResolve?.(decision);
+    }, [onResolve]);
+
+    useEffect(() => {
+        return () => {
+            // Skip StrictMode's simulated unmount - the modal is still active then
+            const active = useLumiverseStore.getState().ui?.activeModal;
+            if (active?.props?.onResolve !== onResolve) {
+                resolve('cancel');
+            }
+        };
+    }, [resolve, onResolve]);
+
+    const handleDecision = (decision) => {
+        resolve(decision);
+        onClose();
+    };
+
+    const errors = report?.errors || [];
+    const warnings = report?.warnings || [];
+
+    return (
+        <div className="lumiverse-import-report-modal">
+            <div className="lumiverse-import-report-header">
+                <FileWarning size={20} strokeWidth={1.5} />
+                <div>
+                    <h3 className="lumiverse-import-report-title">Review Import: {sourceName}</h3>
+                    <p className="lumiverse-import-report-subtitle">
+                        {FORMAT_LABELS[report?.format] || 'Unknown format'}
+                        {' • '}
+                        {report?.lumiaCount || 0} Lumia, {report?.loomCount || 0} Loom
+                        {' • '}
+                        {errors.length} error{errors.length !== 1 ? 's' : ''}, {warnings.length} warning{warnings.length !== 1 ? 's' : ''}
+                    </p>
+                </div>
+            </div>
+
+            <div className="lumiverse-import-report-content">
+                {errors.length > 0 && (
+                    <div className="lumiverse-import-report-section">
+                        <h4 className="lumiverse-import-report-heading">Errors</h4>
+                        <ul className="lumiverse-import-report-list">
+                            {errors.map((issue, i) => <IssueRow key={`e-${i}`} issue={issue} />)}
+                        </ul>
+                    </div>
+                )}
+                {warnings.length > 0 && (
+                    <div className="lumiverse-import-report-section">
+                        <h4 className="lumiverse-import-report-heading">Warnings</h4>
+                        <ul className="lumiverse-import-report-list">
+                            {warnings.map((issue, i) => <IssueRow key={`w-${i}`} issue={issue} />)}
+                        </ul>
+                    </div>
+                )}
+                <p className="lumiverse-import-report-hint">
+                    <strong>Fix &amp; Import</strong> drops invalid items, renames duplicates and resets bad fields to defaults.
+                    {' '}<strong>Import Anyway</strong> keeps the data exactly as it is.
+                </p>
+            </div>
+
+            <div className="lumiverse-import-report-footer">
+                <button
+                    className="lumiverse-btn lumiverse-btn--secondary"
+                    onClick={() => handleDecision('cancel')}
+                    type="button"
+                >
+                    Cancel
+                </button>
+                <button
+                    className="lumiverse-btn lumiverse-btn--secondary"
+                    onClick={() => handleDecision('import')}
+                    type="button"
+                >
+                    <Upload size={14} />
+                    Import Anyway
+                </button>
+                <button
+                    className="lumiverse-btn lumiverse-btn--primary"
+                    onClick={() => handleDecision('fix')}
+                    type="button"
+                >
+                    <Wrench size={14} />
+                    Fix &amp; Import
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default ImportReportModal;
@@ -174,7 +174,9 @@ function LoomEditorModal({ packName, editingItem = null, onClose, onSaved }) {
                     getLoomField(item, 'name') === editingName
                 );
                 if (index >= 0) {
-                    currentItems[index] = loomItem;
+                    // Keep the stable ID (references follow it) and World Book entry attributes
+                    const { id, wbMeta } = currentItems[index];
+                    currentItems[index] = { ...loomItem, id, wbMeta };
                 } else {
                     currentItems.push(loomItem);
                 }
@@ -13,7 +13,10 @@ import { User, Smile, Wrench, Trash2 } from 'lucide-react';
  *   lumiaDefinition: string | null,   // Physical definition → {{lumiaDef}} macro
  *   lumiaPersonality: string | null,  // → {{lumiaPersonality}} macro
  *   lumiaBehavior: string | null,     // → {{lumiaBehavior}} macro
- *   genderIdentity: number,      // 0=she/her, 1=he/him, 2=they/them
+ *   genderIdentity: number,      // 0=she/her, 1=he/him, 2=they/them, 3=custom
+ *   customPronouns: object,      // Only with genderIdentity 3: { subject, object, possessive, possessivePronoun, reflexive }
+ *   tags: string[],              // Optional - matched by {{randomLumia tag="..."}}
+ *   randomWeight: number,        // Optional - relative {{randomLumia}} chance (default 1, 0 = never)
  *   version: number
  * }
  */
@@ -23,12 +26,23 @@ const GENDER = {
     SHE_HER: 0,
     HE_HIM: 1,
     THEY_THEM: 2,
+    CUSTOM: 3,
 };
 
 const GENDER_OPTIONS = [
     { value: GENDER.SHE_HER, label: 'She/Her' },
     { value: GENDER.HE_HIM, label: 'He/Him' },
     { value: GENDER.THEY_THEM, label: 'They/Them' },
+    { value: GENDER.CUSTOM, label: 'Custom…' },
+];
+
+// Forms of a custom pronoun set, in {{lumiaPn}} order
+const PRONOUN_FIELDS = [
+    { key: 'subject', label: 'Subject', placeholder: 'xe' },
+    { key: 'object', label: 'Object', placeholder: 'xem' },
+    { key: 'possessive', label: 'Possessive', placeholder: 'xyr' },
+    { key: 'possessivePronoun', label: 'Possessive Pronoun', placeholder: 'xyrs' },
+    { key: 'reflexive', label: 'Reflexive', placeholder: 'xemself' },
 ];
 
 /**
@@ -147,6 +161,9 @@ function LumiaEditorModal({ packName, editingItem = null, onClose, onSaved }) {
     const [personality, setPersonality] = useState(getLumiaField(editingItem, 'personality') || '');
     const [behavior, setBehavior] = useState(getLumiaField(editingItem, 'behavior') || '');
     const [gender, setGender] = useState(getLumiaField(editingItem, 'gender') ?? GENDER.SHE_HER);
+    const [pronouns, setPronouns] = useState(() => ({ ...(editingItem?.customPronouns || {}) }));
+    const [tags, setTags] = useState((editingItem?.tags || []).join(', '));
+    const [randomWeight, setRandomWeight] = useState(editingItem?.randomWeight ?? 1);
     const [errors, setErrors] = useState({});
 
     // Validate form
@@ -173,9 +190,13 @@ function LumiaEditorModal({ packName, editingItem = null, onClose, onSaved }) {
             }
         }
 
+        if (gender === GENDER.CUSTOM && PRONOUN_FIELDS.some(({ key }) => !pronouns[key]?.trim())) {
+            newErrors.pronouns = 'Fill in every pronoun form';
+        }
+
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
-    }, [name, pack, isEditing, editingItem]);
+    }, [name, pack, isEditing, editingItem, gender, pronouns]);
 
     // Save the Lumia
     const handleSave = useCallback(() => {
@@ -190,8 +211,16 @@ function LumiaEditorModal({ packName, editingItem = null, onClose, onSaved }) {
             lumiaPersonality: personality.trim() || null,
             lumiaBehavior: behavior.trim() || null,
             genderIdentity: gender,
+            customPronouns: gender === GENDER.CUSTOM
+                ? Object.fromEntries(PRONOUN_FIELDS.map(({ key }) => [key, pronouns[key].trim()]))
+                : undefined,
+            tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+            randomWeight: randomWeight === '' ? 1 : Math.max(0, Number(randomWeight) || 0),
             version: 1,
         };
+        // Defaults are left out so untouched items stay as they were
+        if (lumiaItem.tags.length === 0) delete lumiaItem.tags;
+        if (lumiaItem.randomWeight === 1) delete lumiaItem.randomWeight;
 
         // Find and update the pack
         if (pack) {
@@ -205,7 +234,9 @@ function LumiaEditorModal({ packName, editingItem = null, onClose, onSaved }) {
                     getLumiaField(item, 'name') === editingName
                 );
                 if (index >= 0) {
-                    currentItems[index] = lumiaItem;
+                    // Keep the stable ID (references follow it) and World Book entry attributes
+                    const { id, wbMeta } = currentItems[index];
+                    currentItems[index] = { ...lumiaItem, id, wbMeta };
                 } else {
                     currentItems.push(lumiaItem);
                 }
@@ -240,7 +271,7 @@ function LumiaEditorModal({ packName, editingItem = null, onClose, onSaved }) {
 
         onClose();
     }, [
-        validate, name, avatarUrl, author, physicality, personality, behavior, gender,
+        validate, name, avatarUrl, author, physicality, personality, behavior, gender, pronouns, tags, randomWeight,
         pack, isEditing, editingItem, actions, packName, onClose, onSaved
     ]);
 
@@ -335,7 +366,7 @@ function LumiaEditorModal({ packName, editingItem = null, onClose, onSaved }) {
                     </div>
 
                     <div className="lumiverse-editor-row">
-                        <FormField label="Gender Identity" hint="Used for pronoun macros like {{lumiaPn subject}}">
+                        <FormField label="Gender Identity" hint="Used for pronoun macros like {{lumiaPn .subject}}">
                             <select
                                 className="lumiverse-input lumiverse-select"
                                 value={gender}
@@ -350,6 +381,50 @@ function LumiaEditorModal({ packName, editingItem = null, onClose, onSaved }) {
                         </FormField>
                     </div>
 
+                    {gender === GENDER.CUSTOM && (
+                        <FormField label="Pronouns" required error={errors.pronouns}>
+                            <div className="lumiverse-editor-pronouns">
+                                {PRONOUN_FIELDS.map(({ key, label, placeholder }) => (
+                                    <label key={key} className="lumiverse-editor-pronoun">
+                                        <span>{label}</span>
+                                        <input
+                                            type="text"
+                                            className="lumiverse-input"
+                                            value={pronouns[key] || ''}
+                                            onChange={(e) => {
+                                                setPronouns(prev => ({ ...prev, [key]: e.target.value }));
+                                                if (errors.pronouns) setErrors(prev => ({ ...prev, pronouns: null }));
+                                            }}
+                                            placeholder={placeholder}
+                                        />
+                                    </label>
+                                ))}
+                            </div>
+                        </FormField>
+                    )}
+
+                    <div className="lumiverse-editor-row">
+                        <FormField label="Tags" hint='Comma-separated, for {{randomLumia tag="..."}}'>
+                            <input
+                                type="text"
+                                className="lumiverse-input"
+                                value={tags}
+                                onChange={(e) => setTags(e.target.value)}
+                                placeholder="e.g., fae, scholar"
+                            />
+                        </FormField>
+                        <FormField label="Random Weight" hint="Relative chance in {{randomLumia}} - 0 never picks">
+                            <input
+                                type="number"
+                                className="lumiverse-input"
+                                value={randomWeight}
+                                onChange={(e) => setRandomWeight(e.target.value)}
+                                min={0}
+                                step={0.5}
+                            />
+                        </FormField>
+                    </div>
+
                     <AvatarPreview url={avatarUrl} />
                 </EditorSection>
 
@@ -104,8 +104,13 @@ function generateNativePackJson(pack) {
             lumiaBehavior: item.lumiaBehavior || item.lumia_behavior || '',
             avatarUrl: item.avatarUrl || item.lumia_img || null,
             genderIdentity: item.genderIdentity ?? 0,
+            customPronouns: item.customPronouns,
+            tags: item.tags,
+            randomWeight: item.randomWeight,
             authorName: item.authorName || packAuthor || null,
             version: item.version || 1,
+            id: item.id,
+            wbMeta: item.wbMeta,
         }));
     } else if (pack.items && pack.items.length > 0) {
         // Convert from legacy format
@@ -118,8 +123,13 @@ function generateNativePackJson(pack) {
                 lumiaBehavior: item.lumia_behavior || item.lumiaBehavior || '',
                 avatarUrl: item.lumia_img || item.avatarUrl || null,
                 genderIdentity: item.genderIdentity ?? 0,
+                customPronouns: item.customPronouns,
+                tags: item.tags,
+                randomWeight: item.randomWeight,
                 authorName: item.authorName || packAuthor || null,
                 version: item.version || 1,
+                id: item.id,
+                wbMeta: item.wbMeta,
             }));
     }
 
@@ -133,6 +143,8 @@ function generateNativePackJson(pack) {
             loomCategory: item.loomCategory || item.category || 'Loom Utilities',
             authorName: item.authorName || packAuthor || null,
             version: item.version || 1,
+            id: item.id,
+            wbMeta: item.wbMeta,
         }));
     } else if (pack.items && pack.items.length > 0) {
         // Convert from legacy format - Loom items have loomCategory or loomName (and lack lumiaDefName/lumiaDef)
@@ -144,6 +156,8 @@ function generateNativePackJson(pack) {
                 loomCategory: item.loomCategory || item.category || 'Loom Utilities',
                 authorName: item.authorName || packAuthor || null,
                 version: item.version || 1,
+                id: item.id,
+                wbMeta: item.wbMeta,
             }));
     }
 
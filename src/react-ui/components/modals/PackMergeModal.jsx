@@ -0,0 +1,175 @@
+import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
+import { useLumiverseStore } from '../../store/LumiverseContext';
+import clsx from 'clsx';
+import { GitMerge, User, ScrollText } from 'lucide-react';
+
+const STATUS_LABELS = {
+    new: 'New',
+    unchanged: 'Unchanged',
+    local: 'Locally modified',
+    upstream: 'Upstream modified',
+    conflict: 'Modified on both sides',
+    removed: 'Removed upstream',
+    localOnly: 'Local only',
+};
+
+/**
+ * Which choices make sense for a row given where the item exists
+ */
+function getAvailableChoices(status) {
+    if (status === 'new') return ['incoming', 'drop'];
+    if (status === 'removed' || status === 'localOnly') return ['local', 'drop'];
+    return ['local', 'incoming'];
+}
+
+const CHOICE_LABELS = {
+    local: 'Keep local',
+    incoming: 'Use incoming',
+    drop: 'Remove',
+};
+
+const rowId = (row) => `${row.type}:${row.key}`;
+
+/**
+ * Pack Merge Modal
+ *
+ * Lists each Lumia/Loom item of a re-imported pack with its three-way merge
+ * status and lets the user pick which version to keep per item.
+ *
+ * Props:
+ * - plan: Result of buildMergePlan() ({ rows, hasBase })
+ * - sourceName: Name of the pack being re-imported
+ * - onResolve: Called once with { choices } or "cancel"
+ * - onClose: Closes the modal
+ */
+function PackMergeModal({ plan, sourceName, onResolve, onClose }) {
+    const rows = plan?.rows || [];
+    const [choices, setChoices] = useState(() =>
+        Object.fromEntries(rows.map(row => [rowId(row), row.choice]))
+    );
+    const [showUnchanged, setShowUnchanged] = useState(false);
+    const resolvedRef = useRef(false);
+
+    const resolve = useCallback((result) => {
+        if (resolvedRef.current) return;
+        resolvedRef.current = true;
+        onResolve?.(result);
+    }, [onResolve]);
+
+    // Closing the modal without saving counts as cancel
+    useEffect(() => {
+        return () => {
+            // Skip StrictMode's simulated unmount - the modal is still active then
+            const active = useLumiverseStore.getState().ui?.activeModal;
+            if (active?.props?.onResolve !== onResolve) {
+                resolve('cancel');
+            }
+        };
+    }, [resolve, onResolve]);
+
+    const visibleRows = useMemo(
+        () => rows.filter(row => showUnchanged || row.status !== 'unchanged'),
+        [rows, showUnchanged]
+    );
+    const unchangedCount = rows.length - rows.filter(row => row.status !== 'unchanged').length;
+
+    const setAll = (preferred) => {
+        setChoices(Object.fromEntries(rows.map(row => {
+            const available = getAvailableChoices(row.status);
+            return [rowId(row), available.includes(preferred) ? preferred : row.choice];
+        })));
+    };
+
+    const handleSave = () => {
+        resolve({ choices });
+        onClose();
+    };
+
+    const handleCancel = () => {
+        resolve('cancel');
+        onClose();
+    };
+
+    return (
+        <div className="lumiverse-pack-merge-modal">
+            <div className="lumiverse-pack-merge-header">
+                <GitMerge size={20} strokeWidth={1.5} />
+                <div>
+                    <h3 className="lumiverse-pack-merge-title">Merge: {sourceName}</h3>
+                    <p className="lumiverse-pack-merge-subtitle">
+                        This pack already exists. Pick which version of each item to keep.
+                        {!plan?.hasBase && ' No import history was found, so every difference is shown as a conflict.'}
+                    </p>
+                </div>
+            </div>
+
+            <div className="lumiverse-pack-merge-toolbar">
+                <button className="lumiverse-btn lumiverse-btn--secondary" onClick={() => setAll('local')} type="button">
+                    Keep all local
+                </button>
+                <button className="lumiverse-btn lumiverse-btn--secondary" onClick={() => setAll('incoming')} type="button">
+                    Use all incoming
+                </button>
+                {unchangedCount > 0 && (
+                    <label className="lumiverse-pack-merge-toggle">
+                        <input
+                            type="checkbox"
+                            checked={showUnchanged}
+                            onChange={(e) => setShowUnchanged(e.target.checked)}
+                        />
+                        Show {unchangedCount} unchanged
+                    </label>
+                )}
+            </div>
+
+            <div className="lumiverse-pack-merge-content">
+                {visibleRows.length === 0 ? (
+                    <p className="lumiverse-pack-merge-empty">No differences - the incoming pack matches your copy.</p>
+                ) : (
+                    <ul className="lumiverse-pack-merge-list">
+                        {visibleRows.map(row => {
+                            const id = rowId(row);
+                            return (
+                                <li key={id} className={clsx('lumiverse-pack-merge-row', `lumiverse-pack-merge-row--${row.status}`)}>
+                                    <span className="lumiverse-pack-merge-type">
+                                        {row.type === 'lumia'
+                                            ? <User size={14} strokeWidth={1.5} />
+                                            : <ScrollText size={14} strokeWidth={1.5} />}
+                                    </span>
+                                    <div className="lumiverse-pack-merge-info">
+                                        <span className="lumiverse-pack-merge-name">{row.name}</span>
+                                        <span className="lumiverse-pack-merge-status">
+                                            {STATUS_LABELS[row.status]}
+                                            {row.renamedFrom && ` · renamed from "${row.renamedFrom}"`}
+                                        </span>
+                                    </div>
+                                    <select
+                                        className="lumiverse-select lumiverse-pack-merge-choice"
+                                        value={choices[id]}
+                                        onChange={(e) => setChoices(prev => ({ ...prev, [id]: e.target.value }))}
+                                    >
+                                        {getAvailableChoices(row.status).map(choice => (
+                                            <option key={choice} value={choice}>{CHOICE_LABELS[choice]}</option>
+                                        ))}
+                                    </select>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+            </div>
+
+            <div className="lumiverse-pack-merge-footer">
+                <button className="lumiverse-btn lumiverse-btn--secondary" onClick={handleCancel} type="button">
+                    Cancel
+                </button>
+                <button className="lumiverse-btn lumiverse-btn--primary" onClick={handleSave} type="button">
+                    <GitMerge size={14} />
+                    Save Merged Pack
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default PackMergeModal;
@@ -0,0 +1,156 @@
+import React, { useEffect, useRef, useCallback } from 'react';
+import { useLumiverseStore } from '../../store/LumiverseContext';
+import clsx from 'clsx';
+import { RefreshCw, Plus, Minus, PencilLine, AlertTriangle, User, ScrollText } from 'lucide-react';
+
+const CHANGE_ICONS = {
+    added: Plus,
+    removed: Minus,
+    changed: PencilLine,
+};
+
+/**
+ * One group (Lumia or Loom) of the changelog
+ */
+function ChangeGroup({ title, icon, group }) {
+    const rows = [
+        ...group.added.map(item => ({ ...item, change: 'added' })),
+        ...group.removed.map(item => ({ ...item, change: 'removed' })),
+        ...group.changed.map(item => ({ ...item, change: 'changed' })),
+    ];
+
+    if (rows.length === 0) return null;
+
+    return (
+        <div className="lumiverse-pack-update-section">
+            <h4 className="lumiverse-pack-update-heading">
+                {icon}
+                {title}
+            </h4>
+            <ul className="lumiverse-pack-update-list">
+                {rows.map((row) => {
+                    const Icon = CHANGE_ICONS[row.change];
+                    return (
+                        <li
+                            key={`${row.change}-${row.key}`}
+                            className={clsx('lumiverse-pack-update-row', `lumiverse-pack-update-row--${row.change}`)}
+                        >
+                            <Icon size={14} strokeWidth={2} />
+                            <span className="lumiverse-pack-update-name">{row.name}</span>
+                            {(row.fields?.length > 0 || row.localEdits) && (
+                                <span className="lumiverse-pack-update-fields">
+                                    {[...(row.fields || []), ...(row.localEdits ? ['has local edits'] : [])].join(', ')}
+                                </span>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
+
+/**
+ * Pack Update Modal
+ *
+ * Shows the changelog between a stored pack and its source, flags selections,
+ * presets and council members that use changed or removed items, and lets the
+ * user apply or skip the update.
+ *
+ * Props:
+ * - update: Result of checkPackForUpdate() ({ packName, diff, affected })
+ * - onResolve: Called once with "apply" | "skip"
+ * - onClose: Closes the modal
+ */
+function PackUpdateModal({ update, onResolve, onClose }) {
+    const resolvedRef = useRef(false);
+
+    const resolve = useCallback((decision) => {
+        if (resolvedRef.current) return;
+        resolvedRef.current = true;
+        onResolve?.(decision);
+    }, [onResolve]);
+
+    // Closing the modal without choosing counts as skip
+    useEffect(() => {
+        return () => {
+            // Skip StrictMode's simulated unmount - the modal is still active then
+            const active = useLumiverseStore.getState().ui?.activeModal;
+            if (active?.props?.onResolve !== onResolve) {
+                resolve('skip');
+            }
+        };
+    }, [resolve, onResolve]);
+
+    const handleDecision = (decision) => {
+        resolve(decision);
+        onClose();
+    };
+
+    const { packName, diff, affected = [] } = update || {};
+    if (!diff) return null;
+
+    return (
+        <div className="lumiverse-pack-update-modal">
+            <div className="lumiverse-pack-update-header">
+                <RefreshCw size={20} strokeWidth={1.5} />
+                <div>
+                    <h3 className="lumiverse-pack-update-title">Update available: {packName}</h3>
+                    <p className="lumiverse-pack-update-subtitle">
+                        {diff.versionChanged
+                            ? `Version ${diff.oldVersion} → ${diff.newVersion}`
+                            : `Version ${diff.newVersion} (content changed)`}
+                    </p>
+                </div>
+            </div>
+
+            <div className="lumiverse-pack-update-content">
+                {affected.length > 0 && (
+                    <div className="lumiverse-pack-update-affected">
+                        <h4 className="lumiverse-pack-update-heading">
+                            <AlertTriangle size={14} strokeWidth={2} />
+                            Affected by this update
+                        </h4>
+                        <ul className="lumiverse-pack-update-list">
+                            {affected.map((ref, i) => (
+                                <li key={i} className={clsx('lumiverse-pack-update-row', `lumiverse-pack-update-row--${ref.change}`)}>
+                                    <span className="lumiverse-pack-update-name">{ref.location}</span>
+                                    <span className="lumiverse-pack-update-fields">
+                                        {ref.itemName} ({ref.change})
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+
+                <ChangeGroup title="Lumia" icon={<User size={14} strokeWidth={1.5} />} group={diff.lumia} />
+                <ChangeGroup title="Loom" icon={<ScrollText size={14} strokeWidth={1.5} />} group={diff.loom} />
+
+                {!diff.hasChanges && (
+                    <p className="lumiverse-pack-update-empty">No item changes - only the version number differs.</p>
+                )}
+            </div>
+
+            <div className="lumiverse-pack-update-footer">
+                <button
+                    className="lumiverse-btn lumiverse-btn--secondary"
+                    onClick={() => handleDecision('skip')}
+                    type="button"
+                >
+                    Skip
+                </button>
+                <button
+                    className="lumiverse-btn lumiverse-btn--primary"
+                    onClick={() => handleDecision('apply')}
+                    type="button"
+                >
+                    <RefreshCw size={14} />
+                    Apply Update
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default PackUpdateModal;
@@ -0,0 +1,332 @@
+import React, { useState, useCallback, useMemo, useSyncExternalStore } from 'react';
+import { CollapsibleContent } from '../Collapsible';
+import clsx from 'clsx';
+import { ChevronDown, ChevronUp, Trash2, Plus, AlertCircle } from 'lucide-react';
+import { useLumiverseStore, saveToExtension } from '../../store/LumiverseContext';
+
+/* global LumiverseBridge */
+
+// Get the store for direct access
+const store = useLumiverseStore;
+
+// Stable fallback constants for useSyncExternalStore
+const EMPTY_ARRAY = [];
+
+// Stable selector functions
+const selectCustomRules = () => store.getState().contextFilters?.customRules || EMPTY_ARRAY;
+
+// Must match FILTER_RULE_ROLES in contextFilterRules.js
+const ROLES = [
+    { value: 'user', label: 'User' },
+    { value: 'assistant', label: 'Assistant' },
+    { value: 'system', label: 'System' },
+];
+
+const TYPE_OPTIONS = [
+    { value: 'regex', label: 'Regex' },
+    { value: 'tag', label: 'Tag' },
+];
+
+const STEP_LABELS = {
+    changed: 'changed',
+    unchanged: 'no match',
+    skipped: 'skipped',
+    error: 'error',
+};
+
+function getBridgeCallbacks() {
+    return typeof LumiverseBridge !== 'undefined' ? LumiverseBridge.getCallbacks() : null;
+}
+
+function createRule() {
+    return {
+        id: `rule_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name: '',
+        enabled: true,
+        type: 'regex',
+        pattern: '',
+        flags: 'gi',
+        replacement: '',
+        roles: ROLES.map((role) => role.value),
+        minDepth: 0,
+        maxDepth: null,
+    };
+}
+
+function saveRules(rules) {
+    const current = store.getState().contextFilters || {};
+    store.setState({
+        contextFilters: { ...current, customRules: rules }
+    });
+    saveToExtension();
+}
+
+/**
+ * One rule: header with order/toggle/delete, fields when expanded
+ */
+function RuleRow({ rule, index, count, error, step, onChange, onMove, onDelete }) {
+    const [isOpen, setIsOpen] = useState(!rule.pattern);
+
+    const toggleRole = (role) => {
+        const roles = rule.roles || ROLES.map((r) => r.value);
+        onChange({ roles: roles.includes(role) ? roles.filter((r) => r !== role) : [...roles, role] });
+    };
+
+    return (
+        <div className={clsx('lumiverse-vp-filter-rule', !rule.enabled && 'lumiverse-vp-filter-rule--disabled')}>
+            <div className="lumiverse-vp-filter-rule-header">
+                <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => onChange({ enabled: e.target.checked })}
+                    title={rule.enabled ? 'Disable rule' : 'Enable rule'}
+                />
+                <button
+                    type="button"
+                    className="lumiverse-vp-filter-rule-title"
+                    onClick={() => setIsOpen(!isOpen)}
+                >
+                    <span className={clsx('lumiverse-vp-collapsible-chevron', isOpen && 'lumiverse-vp-collapsible-chevron--open')}>
+                        <ChevronDown size={14} strokeWidth={2} />
+                    </span>
+                    <span>{rule.name || rule.pattern || 'New rule'}</span>
+                    {error && <AlertCircle size={14} strokeWidth={2} className="lumiverse-vp-inspector-error-icon" />}
+                </button>
+                {step && (
+                    <span className={clsx('lumiverse-vp-filter-rule-step', `lumiverse-vp-filter-rule-step--${step.status}`)}>
+                        {STEP_LABELS[step.status]}{step.matches > 0 ? ` (${step.matches})` : ''}
+                    </span>
+                )}
+                <button
+                    type="button"
+                    className="lumiverse-vp-action-btn lumiverse-vp-action-btn--secondary lumiverse-vp-action-btn--icon-only"
+                    onClick={() => onMove(index, -1)}
+                    disabled={index === 0}
+                    title="Move up"
+                >
+                    <ChevronUp size={14} strokeWidth={2} />
+                </button>
+                <button
+                    type="button"
+                    className="lumiverse-vp-action-btn lumiverse-vp-action-btn--secondary lumiverse-vp-action-btn--icon-only"
+                    onClick={() => onMove(index, 1)}
+                    disabled={index === count - 1}
+                    title="Move down"
+                >
+                    <ChevronDown size={14} strokeWidth={2} />
+                </button>
+                <button
+                    type="button"
+                    className="lumiverse-vp-action-btn lumiverse-vp-action-btn--danger lumiverse-vp-action-btn--icon-only"
+                    onClick={() => onDelete(index)}
+                    title="Delete rule"
+                >
+                    <Trash2 size={14} strokeWidth={2} />
+                </button>
+            </div>
+
+            <CollapsibleContent isOpen={isOpen} className="lumiverse-vp-collapsible-content" duration={150}>
+                <div className="lumiverse-vp-filter-rule-body">
+                    <input
+                        type="text"
+                        className="lumiverse-vp-field-input"
+                        value={rule.name}
+                        onChange={(e) => onChange({ name: e.target.value })}
+                        placeholder="Name (optional)"
+                        aria-label="Rule name"
+                    />
+                    <div className="lumiverse-vp-filter-rule-pattern">
+                        <select
+                            className="lumiverse-vp-field-select"
+                            value={rule.type}
+                            onChange={(e) => onChange({ type: e.target.value })}
+                            aria-label="Rule type"
+                        >
+                            {TYPE_OPTIONS.map((opt) => (
+                                <option key={opt.value} value={opt.value}>{opt.label}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="text"
+                            className={clsx('lumiverse-vp-field-input', error && 'lumiverse-vp-field-input--invalid')}
+                            value={rule.pattern}
+                            onChange={(e) => onChange({ pattern: e.target.value })}
+                            placeholder={rule.type === 'tag' ? 'thinking' : '\\[OOC:[^\\]]*\\]'}
+                            aria-label={rule.type === 'tag' ? 'Tag name' : 'Regular expression'}
+                        />
+                        {rule.type === 'regex' && (
+                            <input
+                                type="text"
+                                className="lumiverse-vp-field-input lumiverse-vp-field-input--small"
+                                value={rule.flags}
+                                onChange={(e) => onChange({ flags: e.target.value.replace(/[^dgimsuy]/g, '') })}
+                                placeholder="flags"
+                                aria-label="Regex flags"
+                            />
+                        )}
+                    </div>
+                    {error && <span className="lumiverse-vp-field-hint lumiverse-vp-filter-rule-error">{error}</span>}
+                    <input
+                        type="text"
+                        className="lumiverse-vp-field-input"
+                        value={rule.replacement}
+                        onChange={(e) => onChange({ replacement: e.target.value })}
+                        placeholder={rule.type === 'tag' ? 'Replacement ($1 keeps the inner text)' : 'Replacement ($1 for groups)'}
+                        aria-label="Replacement"
+                    />
+                    <div className="lumiverse-vp-filter-rule-roles">
+                        {ROLES.map((role) => (
+                            <label key={role.value}>
+                                <input
+                                    type="checkbox"
+                                    checked={(rule.roles || []).includes(role.value)}
+                                    onChange={() => toggleRole(role.value)}
+                                />
+                                {role.label}
+                            </label>
+                        ))}
+                    </div>
+                    <div className="lumiverse-vp-filter-rule-depth">
+                        <label>
+                            Depth from
+                            <input
+                                type="number"
+                                className="lumiverse-vp-field-input lumiverse-vp-field-input--small"
+                                value={rule.minDepth ?? 0}
+                                onChange={(e) => onChange({ minDepth: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                                min={0}
+                            />
+                        </label>
+                        <label>
+                            to
+                            <input
+                                type="number"
+                                className="lumiverse-vp-field-input lumiverse-vp-field-input--small"
+                                value={rule.maxDepth ?? ''}
+                                onChange={(e) => onChange({ maxDepth: e.target.value === '' ? null : Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                                min={0}
+                                placeholder="∞"
+                            />
+                        </label>
+                    </div>
+                    <span className="lumiverse-vp-field-hint">Depth 0 is the newest message. Leave the upper bound empty for no limit.</span>
+                </div>
+            </CollapsibleContent>
+        </div>
+    );
+}
+
+/**
+ * Custom Filter Rules Editor
+ * Ordered regex/tag rules the generation interceptor applies after the built-in
+ * filters, with a tester that runs them over a sample message.
+ */
+function FilterRulesEditor() {
+    const rules = useSyncExternalStore(store.subscribe, selectCustomRules, selectCustomRules);
+    const [sample, setSample] = useState('');
+    const [sampleRole, setSampleRole] = useState('assistant');
+    const [sampleDepth, setSampleDepth] = useState(0);
+
+    const errors = useMemo(() => {
+        const validate = getBridgeCallbacks()?.validateFilterRule;
+        if (!validate) return {};
+        return Object.fromEntries(rules.map((rule) => [rule.id, validate(rule)]));
+    }, [rules]);
+
+    const test = useMemo(() => {
+        const run = getBridgeCallbacks()?.testFilterRules;
+        if (!run || !sample) return null;
+        return run(sample, rules, { role: sampleRole, depth: sampleDepth });
+    }, [rules, sample, sampleRole, sampleDepth]);
+
+    const updateRule = useCallback((index, updates) => {
+        saveRules(rules.map((rule, i) => (i === index ? { ...rule, ...updates } : rule)));
+    }, [rules]);
+
+    const moveRule = useCallback((index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= rules.length) return;
+        const next = [...rules];
+        [next[index], next[target]] = [next[target], next[index]];
+        saveRules(next);
+    }, [rules]);
+
+    const deleteRule = useCallback((index) => {
+        saveRules(rules.filter((_, i) => i !== index));
+    }, [rules]);
+
+    return (
+        <>
+            <p className="lumiverse-vp-settings-desc">
+                Your own filters, run top to bottom after the built-in ones. Match a regex or a tag name,
+                replace it (empty removes it), and limit it to roles and a depth range.
+            </p>
+
+            {rules.length === 0 && (
+                <p className="lumiverse-vp-settings-desc">No custom rules yet.</p>
+            )}
+            {rules.map((rule, index) => (
+                <RuleRow
+                    key={rule.id}
+                    rule={rule}
+                    index={index}
+                    count={rules.length}
+                    error={errors[rule.id]}
+                    step={test?.steps.find((step) => step.id === rule.id)}
+                    onChange={(updates) => updateRule(index, updates)}
+                    onMove={moveRule}
+                    onDelete={deleteRule}
+                />
+            ))}
+
+            <button
+                type="button"
+                className="lumiverse-vp-action-btn lumiverse-vp-action-btn--secondary"
+                onClick={() => saveRules([...rules, createRule()])}
+            >
+                <Plus size={14} strokeWidth={2} />
+                <span>Add Rule</span>
+            </button>
+
+            {rules.length > 0 && (
+                <div className="lumiverse-vp-filter-rule-tester">
+                    <span className="lumiverse-vp-field-label">Test</span>
+                    <textarea
+                        className="lumiverse-vp-field-input"
+                        value={sample}
+                        onChange={(e) => setSample(e.target.value)}
+                        placeholder="Paste a sample message to see what the rules do"
+                        rows={4}
+                    />
+                    <div className="lumiverse-vp-filter-rule-depth">
+                        <select
+                            className="lumiverse-vp-field-select"
+                            value={sampleRole}
+                            onChange={(e) => setSampleRole(e.target.value)}
+                            aria-label="Sample role"
+                        >
+                            {ROLES.map((role) => (
+                                <option key={role.value} value={role.value}>{role.label}</option>
+                            ))}
+                        </select>
+                        <label>
+                            at depth
+                            <input
+                                type="number"
+                                className="lumiverse-vp-field-input lumiverse-vp-field-input--small"
+                                value={sampleDepth}
+                                onChange={(e) => setSampleDepth(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                                min={0}
+                            />
+                        </label>
+                    </div>
+                    {test && (
+                        <pre className="lumiverse-vp-inspector-value">{test.result || '(empty)'}</pre>
+                    )}
+                </div>
+            )}
+        </>
+    );
+}
+
+export default FilterRulesEditor;
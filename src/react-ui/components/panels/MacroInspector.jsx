@@ -0,0 +1,163 @@
+import React, { useState, useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
+import { CollapsibleContent } from '../Collapsible';
+import clsx from 'clsx';
+import { ChevronDown, RefreshCw, Search, AlertCircle } from 'lucide-react';
+import { useLumiverseStore } from '../../store/LumiverseContext';
+
+/* global LumiverseBridge, toastr */
+
+// Get the store for direct access
+const store = useLumiverseStore;
+
+// Stable selector functions
+const selectConfigVersion = () => store.getState().lumiaConfigVersion || 0;
+const selectChatChangeCounter = () => store.getState().chatChangeCounter || 0;
+
+/**
+ * One macro: its expansions, lengths and sources
+ */
+function MacroRow({ macro }) {
+    const [isOpen, setIsOpen] = useState(false);
+    const totalChars = macro.expansions.reduce((sum, exp) => sum + exp.chars, 0);
+    const totalTokens = macro.expansions.reduce((sum, exp) => sum + exp.tokens, 0);
+    const estimated = macro.expansions.some((exp) => exp.estimated && exp.chars > 0);
+    const hasError = macro.expansions.some((exp) => exp.error);
+
+    return (
+        <div className={clsx('lumiverse-vp-inspector-macro', isOpen && 'lumiverse-vp-inspector-macro--open')}>
+            <button
+                className="lumiverse-vp-inspector-macro-header"
+                onClick={() => setIsOpen(!isOpen)}
+                title={macro.description}
+                type="button"
+            >
+                <span className={clsx('lumiverse-vp-collapsible-chevron', isOpen && 'lumiverse-vp-collapsible-chevron--open')}>
+                    <ChevronDown size={14} strokeWidth={2} />
+                </span>
+                <code className="lumiverse-vp-inspector-macro-name">{`{{${macro.name}}}`}</code>
+                {hasError && <AlertCircle size={14} strokeWidth={2} className="lumiverse-vp-inspector-error-icon" />}
+                <span className={clsx('lumiverse-vp-inspector-macro-size', totalChars === 0 && 'lumiverse-vp-inspector-macro-size--empty')}>
+                    {macro.skipped ? 'not expanded' : totalChars === 0 ? 'empty' : `${totalChars} ch · ${estimated ? '~' : ''}${totalTokens} tok`}
+                </span>
+            </button>
+            <CollapsibleContent isOpen={isOpen} className="lumiverse-vp-collapsible-content" duration={200}>
+                <div className="lumiverse-vp-inspector-macro-body">
+                    {macro.description && <p className="lumiverse-vp-settings-desc">{macro.description}</p>}
+                    {macro.skipped && (
+                        <p className="lumiverse-vp-settings-desc">Not expanded here, since expanding it changes chat state.</p>
+                    )}
+                    {macro.expansions.map((exp) => (
+                        <div key={exp.call} className="lumiverse-vp-inspector-expansion">
+                            <div className="lumiverse-vp-inspector-expansion-meta">
+                                <code>{exp.call}</code>
+                                <span>{exp.chars} ch · {exp.estimated && exp.chars > 0 ? '~' : ''}{exp.tokens} tok</span>
+                            </div>
+                            {exp.error ? (
+                                <pre className="lumiverse-vp-inspector-value lumiverse-vp-inspector-value--error">{exp.error}</pre>
+                            ) : (
+                                <pre className="lumiverse-vp-inspector-value">{exp.value || '(empty)'}</pre>
+                            )}
+                        </div>
+                    ))}
+                    {macro.sources.length > 0 && (
+                        <>
+                            <span className="lumiverse-vp-field-label">Built from</span>
+                            <ul className="lumiverse-vp-inspector-sources">
+                                {macro.sources.map((source) => <li key={source}>{source}</li>)}
+                            </ul>
+                        </>
+                    )}
+                </div>
+            </CollapsibleContent>
+        </div>
+    );
+}
+
+/**
+ * Macro Inspector Panel
+ * Expands every Lumiverse macro with the current settings and chat. Re-runs when
+ * the tab is opened, the Lumia config version bumps or the chat changes.
+ */
+function MacroInspector({ isActive = true }) {
+    const configVersion = useSyncExternalStore(store.subscribe, selectConfigVersion, selectConfigVersion);
+    const chatChangeCounter = useSyncExternalStore(store.subscribe, selectChatChangeCounter, selectChatChangeCounter);
+    const [macros, setMacros] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [filter, setFilter] = useState('');
+
+    const refresh = useCallback(async () => {
+        const inspect = typeof LumiverseBridge !== 'undefined' ? LumiverseBridge.getCallbacks()?.inspectMacros : null;
+        if (!inspect) return;
+
+        setIsLoading(true);
+        try {
+            setMacros(await inspect());
+        } catch (error) {
+            console.error('[MacroInspector] Failed to inspect macros:', error);
+            if (typeof toastr !== 'undefined') {
+                toastr.error('Failed to inspect macros: ' + error.message);
+            }
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (isActive) refresh();
+    }, [isActive, configVersion, chatChangeCounter, refresh]);
+
+    const visibleMacros = useMemo(() => {
+        const term = filter.trim().toLowerCase();
+        if (!macros || !term) return macros || [];
+        return macros.filter((macro) =>
+            macro.name.toLowerCase().includes(term) ||
+            macro.sources.some((source) => source.toLowerCase().includes(term))
+        );
+    }, [macros, filter]);
+
+    return (
+        <div className="lumiverse-vp-settings-panel">
+            <div className="lumiverse-vp-settings-section">
+                <p className="lumiverse-vp-settings-desc">
+                    Every macro Lumiverse registers, expanded with the current selections and chat.
+                    Token counts marked ~ are estimates.
+                </p>
+                <div className="lumiverse-vp-inspector-toolbar">
+                    <div className="lumiverse-vp-inspector-search">
+                        <Search size={14} strokeWidth={2} />
+                        <input
+                            type="text"
+                            className="lumiverse-vp-field-input"
+                            value={filter}
+                            onChange={(e) => setFilter(e.target.value)}
+                            placeholder="Filter by macro or source"
+                        />
+                    </div>
+                    <button
+                        type="button"
+                        className={clsx('lumiverse-vp-action-btn lumiverse-vp-action-btn--secondary', isLoading && 'lumiverse-vp-action-btn--disabled')}
+                        onClick={refresh}
+                        disabled={isLoading}
+                        title="Expand all macros again"
+                    >
+                        <RefreshCw size={14} strokeWidth={2} />
+                        <span>Refresh</span>
+                    </button>
+                </div>
+            </div>
+
+            {macros === null ? (
+                <p className="lumiverse-vp-settings-desc">{isLoading ? 'Expanding macros...' : 'Macros are not registered yet.'}</p>
+            ) : (
+                <div className="lumiverse-vp-inspector-list">
+                    {visibleMacros.map((macro) => <MacroRow key={macro.name} macro={macro} />)}
+                    {visibleMacros.length === 0 && (
+                        <p className="lumiverse-vp-settings-desc">No macros match "{filter}".</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default MacroInspector;
@@ -1,13 +1,26 @@
-import React, { useCallback, useSyncExternalStore } from 'react';
+import React, { useState, useCallback, useMemo, useSyncExternalStore } from 'react';
 import clsx from 'clsx';
-import { Clock, LayoutGrid, MessageCircle, FileText, Quote, Type } from 'lucide-react';
-import { useLumiverseActions, saveToExtensionImmediate, useLumiverseStore } from '../../store/LumiverseContext';
+import { Clock, LayoutGrid, MessageCircle, FileText, Quote, Type, ScrollText, RotateCcw } from 'lucide-react';
+import { useLumiverseActions, saveToExtension, saveToExtensionImmediate, useLumiverseStore } from '../../store/LumiverseContext';
 
 /* global LumiverseBridge */
 
 // Get the store for direct access (old code uses root-level settings)
 const store = useLumiverseStore;
 
+// Stable fallback for useSyncExternalStore
+const EMPTY_OBJECT = {};
+const selectOOCPrompts = () => store.getState().oocPrompts || EMPTY_OBJECT;
+
+const PROMPT_MODES = [
+    { value: 'normal', label: 'Single Lumia', templateKey: 'normalTemplate', sentencesKey: 'maxSentences', defaultSentences: 4 },
+    { value: 'council', label: 'Council', templateKey: 'councilTemplate', sentencesKey: 'councilMaxSentences', defaultSentences: 3 },
+];
+
+function getBridgeCallbacks() {
+    return typeof LumiverseBridge !== 'undefined' ? LumiverseBridge.getCallbacks() : null;
+}
+
 /**
  * Toggle switch component
  */
@@ -81,6 +94,132 @@ function NumberField({ id, label, hint, value, onChange, placeholder, min = 1 })
     );
 }
 
+/**
+ * Text input field
+ */
+function TextField({ id, label, hint, value, onChange, placeholder }) {
+    return (
+        <div className="lumiverse-vp-field">
+            <label className="lumiverse-vp-field-label" htmlFor={id}>{label}</label>
+            <input
+                type="text"
+                id={id}
+                className="lumiverse-vp-field-input"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                placeholder={placeholder}
+            />
+            {hint && <span className="lumiverse-vp-field-hint">{hint}</span>}
+        </div>
+    );
+}
+
+/**
+ * Editor for the {{lumiaOOC}} prompts with a live preview
+ * A template left at its default is stored as null so it follows future updates
+ */
+function OOCPromptEditor() {
+    const config = useSyncExternalStore(store.subscribe, selectOOCPrompts, selectOOCPrompts);
+    const [mode, setMode] = useState('normal');
+    const modeInfo = PROMPT_MODES.find((m) => m.value === mode);
+
+    const defaults = useMemo(() => getBridgeCallbacks()?.getOOCPromptDefaults?.() || null, []);
+    const preview = useMemo(
+        () => getBridgeCallbacks()?.previewOOCPrompt?.(mode, config) || '',
+        [mode, config]
+    );
+
+    const updatePrompt = useCallback((key, value) => {
+        store.setState({ oocPrompts: { ...store.getState().oocPrompts, [key]: value } });
+        saveToExtension();
+    }, []);
+
+    if (!defaults) return null;
+
+    const customTemplate = config[modeInfo.templateKey];
+    const isCustomized = typeof customTemplate === 'string';
+
+    return (
+        <>
+            <div className="lumiverse-editor-row">
+                <TextField
+                    id="ooc-tag-name"
+                    label="Tag Name"
+                    hint="Comments are wrapped in <tag name=...>"
+                    value={config.tagName ?? 'lumiaooc'}
+                    onChange={(v) => updatePrompt('tagName', v.trim())}
+                    placeholder="lumiaooc"
+                />
+                <div className="lumiverse-vp-field">
+                    <label className="lumiverse-vp-field-label" htmlFor="ooc-color">Text Color</label>
+                    <div className="lumiverse-vp-ooc-color">
+                        <input
+                            type="color"
+                            id="ooc-color"
+                            value={/^#[0-9a-f]{6}$/i.test(config.color || '') ? config.color : '#9370DB'}
+                            onChange={(e) => updatePrompt('color', e.target.value)}
+                        />
+                        <input
+                            type="text"
+                            className="lumiverse-vp-field-input"
+                            value={config.color ?? '#9370DB'}
+                            onChange={(e) => updatePrompt('color', e.target.value.trim())}
+                        />
+                    </div>
+                </div>
+            </div>
+
+            <div className="lumiverse-editor-row">
+                <div className="lumiverse-vp-field">
+                    <label className="lumiverse-vp-field-label" htmlFor="ooc-prompt-mode">Prompt</label>
+                    <select
+                        id="ooc-prompt-mode"
+                        className="lumiverse-vp-field-select"
+                        value={mode}
+                        onChange={(e) => setMode(e.target.value)}
+                    >
+                        {PROMPT_MODES.map((m) => (
+                            <option key={m.value} value={m.value}>{m.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <NumberField
+                    id="ooc-max-sentences"
+                    label="Max Sentences"
+                    value={String(config[modeInfo.sentencesKey] ?? modeInfo.defaultSentences)}
+                    onChange={(v) => updatePrompt(modeInfo.sentencesKey, Math.max(1, parseInt(v, 10) || 1))}
+                />
+            </div>
+
+            <textarea
+                className="lumiverse-vp-summary-textarea lumiverse-vp-template-textarea"
+                value={isCustomized ? customTemplate : defaults.prompts[mode]}
+                onChange={(e) => updatePrompt(modeInfo.templateKey, e.target.value)}
+                spellCheck={false}
+            />
+            <ul className="lumiverse-vp-template-placeholders">
+                {Object.entries(defaults.variables).map(([name, description]) => (
+                    <li key={name}><code>{`%${name}%`}</code> {description}</li>
+                ))}
+            </ul>
+            <div className="lumiverse-vp-template-actions">
+                <button
+                    type="button"
+                    className={clsx('lumiverse-vp-action-btn lumiverse-vp-action-btn--secondary', !isCustomized && 'lumiverse-vp-action-btn--disabled')}
+                    onClick={() => updatePrompt(modeInfo.templateKey, null)}
+                    disabled={!isCustomized}
+                >
+                    <RotateCcw size={14} strokeWidth={2} />
+                    <span>Reset to Default</span>
+                </button>
+            </div>
+
+            <span className="lumiverse-vp-field-label">Preview</span>
+            <pre className="lumiverse-vp-ooc-preview">{preview}</pre>
+        </>
+    );
+}
+
 /**
  * OOC Settings Panel
  * Controls for out-of-character comment behavior and triggers
@@ -89,6 +228,7 @@ function NumberField({ id, label, hint, value, onChange, placeholder, min = 1 })
  * OLD CODE FIELD NAMES (root level, not nested):
  * - lumiaOOCInterval: number | null
  * - lumiaOOCStyle: 'social' | 'margin' | 'whisper'
+ * - oocPrompts: { normalTemplate, councilTemplate, maxSentences, councilMaxSentences, tagName, color }
  */
 function OOCSettings() {
     const actions = useLumiverseActions();
@@ -173,6 +313,18 @@ function OOCSettings() {
                 />
             </div>
 
+            {/* Instruction Prompt Section */}
+            <div className="lumiverse-vp-settings-section">
+                <div className="lumiverse-vp-settings-section-header">
+                    <ScrollText size={16} strokeWidth={1.5} />
+                    <span>Instruction Prompt</span>
+                </div>
+                <p className="lumiverse-vp-settings-desc">
+                    Edit what <code>{'{{lumiaOOC}}'}</code> tells the model. The tag name and color are also what the OOC display looks for.
+                </p>
+                <OOCPromptEditor />
+            </div>
+
             {/* Display Style Section */}
             <div className="lumiverse-vp-settings-section">
                 <div className="lumiverse-vp-settings-section-header">
@@ -1,11 +1,12 @@
-import React, { useState, useMemo, useRef, useCallback } from 'react';
+/* global LumiverseBridge */
+import React, { useState, useMemo, useRef, useCallback, useEffect } from 'react';
 import { useVirtualizer } from '@tanstack/react-virtual';
 import { usePacks, useSelections, useLumiverseActions, saveToExtension } from '../../store/LumiverseContext';
 import { useAdaptiveImagePosition } from '../../hooks/useAdaptiveImagePosition';
 import { CollapsibleContent } from '../Collapsible';
 import { motion, AnimatePresence } from 'motion/react';
 import clsx from 'clsx';
-import { Search, X, Package, FileText, Zap, Heart, ChevronDown, Sparkles, Check, Eye, Filter } from 'lucide-react';
+import { Search, X, Package, FileText, Zap, Heart, ChevronDown, Sparkles, Check, Eye, Filter, BookOpen, Link2 } from 'lucide-react';
 
 /**
  * Get a Lumia field with fallback for old/new format
@@ -30,6 +31,97 @@ function getLumiaField(item, field) {
     return null;
 }
 
+/**
+ * Get an extension callback registered through the React bridge
+ */
+function getExtensionCallback(name) {
+    if (typeof LumiverseBridge === 'undefined') return null;
+    return LumiverseBridge.getCallbacks()?.[name] || null;
+}
+
+/**
+ * Picker listing the World Info books installed in SillyTavern
+ */
+function WorldInfoPicker({ onClose }) {
+    const [books, setBooks] = useState(null);
+    const [error, setError] = useState(null);
+    const [selectedBook, setSelectedBook] = useState('');
+    const [keepInSync, setKeepInSync] = useState(true);
+    const [importing, setImporting] = useState(false);
+
+    useEffect(() => {
+        const listBooks = getExtensionCallback('listWorldInfoBooks');
+        if (!listBooks) {
+            setError('World Info import is not available. Please reload the page.');
+            return;
+        }
+        listBooks()
+            .then((names) => {
+                setBooks(names);
+                setSelectedBook(names[0] || '');
+            })
+            .catch((err) => setError(err.message));
+    }, []);
+
+    const handleImport = async () => {
+        const importBook = getExtensionCallback('importWorldInfoBook');
+        if (!importBook || !selectedBook) return;
+        setImporting(true);
+        try {
+            await importBook(selectedBook, { keepInSync });
+            onClose();
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    return (
+        <div className="lumiverse-browser-wi-picker">
+            {error ? (
+                <span className="lumiverse-browser-wi-picker-message">{error}</span>
+            ) : books === null ? (
+                <span className="lumiverse-browser-wi-picker-message">Loading lorebooks...</span>
+            ) : books.length === 0 ? (
+                <span className="lumiverse-browser-wi-picker-message">No World Info books found in SillyTavern.</span>
+            ) : (
+                <>
+                    <select
+                        className="lumiverse-select"
+                        value={selectedBook}
+                        onChange={(e) => setSelectedBook(e.target.value)}
+                    >
+                        {books.map(name => (
+                            <option key={name} value={name}>{name}</option>
+                        ))}
+                    </select>
+                    <label className="lumiverse-browser-wi-picker-sync">
+                        <input
+                            type="checkbox"
+                            checked={keepInSync}
+                            onChange={(e) => setKeepInSync(e.target.checked)}
+                        />
+                        Keep in sync with the lorebook
+                    </label>
+                </>
+            )}
+            <div className="lumiverse-browser-wi-picker-actions">
+                <button className="lumiverse-btn lumiverse-btn--secondary" onClick={onClose} type="button">
+                    Cancel
+                </button>
+                <button
+                    className="lumiverse-btn lumiverse-btn--primary"
+                    onClick={handleImport}
+                    disabled={!selectedBook || importing}
+                    type="button"
+                >
+                    <BookOpen size={14} />
+                    {importing ? 'Importing...' : 'Import'}
+                </button>
+            </div>
+        </div>
+    );
+}
+
 /**
  * Search input component
  */
@@ -122,6 +214,13 @@ function PackHeader({ pack, isExpanded, onToggle, onViewPack, itemCount }) {
         onViewPack?.(packName);
     };
 
+    // Packs imported from an installed lorebook can follow its edits
+    const lorebook = pack.provenance?.type === 'worldInfo' ? pack.provenance : null;
+    const handleSyncClick = (e) => {
+        e.stopPropagation();
+        getExtensionCallback('setWorldInfoSync')?.(packName, !lorebook.keepInSync);
+    };
+
     return (
         <button
             className={clsx(
@@ -151,6 +250,23 @@ function PackHeader({ pack, isExpanded, onToggle, onViewPack, itemCount }) {
                     )}
                 </span>
             </div>
+            {lorebook && (
+                <span
+                    className={clsx(
+                        'lumiverse-browser-pack-view-btn',
+                        'lumiverse-browser-pack-sync-btn',
+                        lorebook.keepInSync && 'lumiverse-browser-pack-sync-btn--active'
+                    )}
+                    onClick={handleSyncClick}
+                    title={lorebook.keepInSync
+                        ? `Synced with lorebook "${lorebook.bookName}" - click to stop syncing`
+                        : `Imported from lorebook "${lorebook.bookName}" - click to keep in sync`}
+                    role="button"
+                    tabIndex={0}
+                >
+                    <Link2 size={16} strokeWidth={1.5} />
+                </span>
+            )}
             {/* View pack details button */}
             <span
                 className="lumiverse-browser-pack-view-btn"
@@ -534,6 +650,7 @@ function PackBrowser() {
     const [searchQuery, setSearchQuery] = useState('');
     const [activeFilter, setActiveFilter] = useState('all');
     const [showSelectedOnly, setShowSelectedOnly] = useState(false);
+    const [showWorldInfoPicker, setShowWorldInfoPicker] = useState(false);
 
     // Calculate total selected count
     const selectedCount = useMemo(() => {
@@ -590,6 +707,20 @@ function PackBrowser() {
                 placeholder="Search packs and items..."
             />
 
+            {/* Import from installed World Info */}
+            {showWorldInfoPicker ? (
+                <WorldInfoPicker onClose={() => setShowWorldInfoPicker(false)} />
+            ) : (
+                <button
+                    className="lumiverse-browser-wi-btn"
+                    onClick={() => setShowWorldInfoPicker(true)}
+                    type="button"
+                >
+                    <BookOpen size={14} strokeWidth={1.5} />
+                    Import from SillyTavern World Info
+                </button>
+            )}
+
             {/* Filters */}
             <FilterTabs
                 activeFilter={activeFilter}
@@ -1,17 +1,21 @@
-import React, { useState, useMemo, useSyncExternalStore, useCallback } from 'react';
+import React, { useState, useMemo, useSyncExternalStore, useCallback, useRef } from 'react';
 import clsx from 'clsx';
-import { Bookmark, Trash2, RefreshCw, Plus, Check, X, Clock, FileText, Zap, Heart, Users } from 'lucide-react';
+import { Bookmark, Trash2, RefreshCw, Plus, Check, X, Clock, FileText, Zap, Heart, Users, Download, Upload } from 'lucide-react';
 import { useLumiverseStore, useLumiverseActions, saveToExtension } from '../../store/LumiverseContext';
 
+/* global LumiverseBridge */
+
 // Get store for direct state access
 const store = useLumiverseStore;
 
 // Stable fallback constants for useSyncExternalStore
 const EMPTY_OBJECT = {};
+const EMPTY_ARRAY = [];
 
 // Stable selector functions
 const selectPresets = () => store.getState().presets || EMPTY_OBJECT;
 const selectActivePresetName = () => store.getState().activePresetName;
+const selectCustomRules = () => store.getState().contextFilters?.customRules || EMPTY_ARRAY;
 
 /**
  * Format a timestamp to a relative time string
@@ -29,10 +33,14 @@ function formatRelativeTime(timestamp) {
     return new Date(timestamp).toLocaleDateString();
 }
 
+function getBridgeCallbacks() {
+    return typeof LumiverseBridge !== 'undefined' ? LumiverseBridge.getCallbacks() : null;
+}
+
 /**
  * Preset card component
  */
-function PresetCard({ preset, isActive, onLoad, onUpdate, onDelete }) {
+function PresetCard({ preset, isActive, onLoad, onUpdate, onExport, onDelete }) {
     const [isConfirmingDelete, setIsConfirmingDelete] = useState(false);
 
     const handleDelete = () => {
@@ -128,6 +136,11 @@ function PresetCard({ preset, isActive, onLoad, onUpdate, onDelete }) {
                 {preset.councilMode && (
                     <span className="lumiverse-preset-card-mode">Council</span>
                 )}
+                {preset.filterRules && (
+                    <span className="lumiverse-preset-card-mode" title="Loading this preset replaces the custom filter rules">
+                        {preset.filterRules.length} filter rule{preset.filterRules.length !== 1 ? 's' : ''}
+                    </span>
+                )}
                 <span className="lumiverse-preset-card-time">
                     <Clock size={12} strokeWidth={1.5} />
                     {formatRelativeTime(preset.updatedAt || preset.createdAt)}
@@ -151,6 +164,14 @@ function PresetCard({ preset, isActive, onLoad, onUpdate, onDelete }) {
                 >
                     <RefreshCw size={14} strokeWidth={1.5} />
                 </button>
+                <button
+                    className="lumiverse-preset-btn"
+                    onClick={() => onExport(preset.name)}
+                    title="Export preset as a file"
+                    type="button"
+                >
+                    <Download size={14} strokeWidth={1.5} />
+                </button>
                 <button
                     className={clsx(
                         'lumiverse-preset-btn lumiverse-preset-btn--danger',
@@ -189,6 +210,8 @@ function PresetManager() {
     const actions = useLumiverseActions();
     const [newPresetName, setNewPresetName] = useState('');
     const [isCreating, setIsCreating] = useState(false);
+    const [includeFilterRules, setIncludeFilterRules] = useState(false);
+    const fileInputRef = useRef(null);
 
     // Subscribe to presets and activePresetName
     const presets = useSyncExternalStore(
@@ -203,6 +226,12 @@ function PresetManager() {
         selectActivePresetName
     );
 
+    const customRules = useSyncExternalStore(
+        store.subscribe,
+        selectCustomRules,
+        selectCustomRules
+    );
+
     // Convert presets object to sorted array
     const presetList = useMemo(() => {
         return Object.values(presets).sort((a, b) => {
@@ -228,6 +257,17 @@ function PresetManager() {
         saveToExtension();
     }, [actions]);
 
+    const handleExport = useCallback((presetName) => {
+        getBridgeCallbacks()?.exportPreset?.(presetName);
+    }, []);
+
+    // The extension validates the file, including its filter rules, and syncs the new preset back
+    const handleImport = useCallback((event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (file) getBridgeCallbacks()?.importPreset?.(file);
+    }, []);
+
     const handleCreate = useCallback(() => {
         const trimmedName = newPresetName.trim();
         if (!trimmedName) return;
@@ -238,11 +278,11 @@ function PresetManager() {
             return;
         }
 
-        actions.savePreset(trimmedName);
+        actions.savePreset(trimmedName, { includeFilterRules: includeFilterRules && customRules.length > 0 });
         saveToExtension();
         setNewPresetName('');
         setIsCreating(false);
-    }, [newPresetName, presets, actions]);
+    }, [newPresetName, presets, actions, includeFilterRules, customRules]);
 
     const handleKeyDown = (e) => {
         if (e.key === 'Enter') {
@@ -258,16 +298,33 @@ function PresetManager() {
             {/* Header with create button */}
             <div className="lumiverse-preset-header">
                 <h3 className="lumiverse-preset-title">Lumia Presets</h3>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    style={{ display: 'none' }}
+                    onChange={handleImport}
+                />
                 {!isCreating ? (
-                    <button
-                        className="lumiverse-preset-create-btn"
-                        onClick={() => setIsCreating(true)}
-                        title="Save current configuration as preset"
-                        type="button"
-                    >
-                        <Plus size={16} strokeWidth={2} />
-                        <span>New Preset</span>
-                    </button>
+                    <>
+                        <button
+                            className="lumiverse-preset-btn"
+                            onClick={() => fileInputRef.current?.click()}
+                            title="Import a preset file"
+                            type="button"
+                        >
+                            <Upload size={14} strokeWidth={1.5} />
+                        </button>
+                        <button
+                            className="lumiverse-preset-create-btn"
+                            onClick={() => setIsCreating(true)}
+                            title="Save current configuration as preset"
+                            type="button"
+                        >
+                            <Plus size={16} strokeWidth={2} />
+                            <span>New Preset</span>
+                        </button>
+                    </>
                 ) : (
                     <div className="lumiverse-preset-create-form">
                         <input
@@ -301,6 +358,17 @@ function PresetManager() {
                 )}
             </div>
 
+            {isCreating && customRules.length > 0 && (
+                <label className="lumiverse-preset-option">
+                    <input
+                        type="checkbox"
+                        checked={includeFilterRules}
+                        onChange={(e) => setIncludeFilterRules(e.target.checked)}
+                    />
+                    Include custom filter rules ({customRules.length})
+                </label>
+            )}
+
             {/* Preset list */}
             <div className="lumiverse-preset-list">
                 {presetList.length === 0 ? (
@@ -313,6 +381,7 @@ function PresetManager() {
                             isActive={activePresetName === preset.name}
                             onLoad={handleLoad}
                             onUpdate={handleUpdate}
+                            onExport={handleExport}
                             onDelete={handleDelete}
                         />
                     ))
@@ -322,7 +391,7 @@ function PresetManager() {
             {/* Help text */}
             {presetList.length > 0 && (
                 <div className="lumiverse-preset-help">
-                    <p>Presets save your Lumia selections (definition, behaviors, personalities) and mode settings.</p>
+                    <p>Presets save your Lumia selections (definition, behaviors, personalities) and mode settings, and optionally your custom filter rules. Export a preset to share it as a file.</p>
                 </div>
             )}
         </div>
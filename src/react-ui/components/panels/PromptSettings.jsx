@@ -1,8 +1,10 @@
-import React, { useState, useCallback, useSyncExternalStore } from 'react';
+/* global LumiverseBridge, toastr */
+import React, { useState, useCallback, useEffect, useMemo, useSyncExternalStore } from 'react';
 import { CollapsibleContent } from '../Collapsible';
 import clsx from 'clsx';
-import { Hand, Filter, ChevronDown, Info, Layers, Users } from 'lucide-react';
+import { Hand, Filter, ChevronDown, Info, Layers, Users, Dices, FileText, RotateCcw, Upload, Scissors, RefreshCw, Regex } from 'lucide-react';
 import { useLumiverseStore, useLumiverseActions, saveToExtension } from '../../store/LumiverseContext';
+import FilterRulesEditor from './FilterRulesEditor';
 
 // Get the store for direct access (old code uses root-level settings)
 const store = useLumiverseStore;
@@ -10,14 +12,28 @@ const store = useLumiverseStore;
 // Stable fallback constants for useSyncExternalStore
 const EMPTY_OBJECT = {};
 const DEFAULT_SOVEREIGN_HAND = { enabled: false, excludeLastMessage: true, includeMessageInPrompt: true };
+const DEFAULT_RANDOM_LUMIA = { scope: 'generation', rerollInterval: 5, seeded: false };
+
+const RANDOM_SCOPE_OPTIONS = [
+    { value: 'generation', label: 'Every generation' },
+    { value: 'messages', label: 'Every N messages' },
+    { value: 'chat', label: 'Once per chat' },
+];
 
 // Stable selector functions
 const selectSovereignHand = () => store.getState().sovereignHand || DEFAULT_SOVEREIGN_HAND;
 const selectContextFilters = () => store.getState().contextFilters || EMPTY_OBJECT;
+const selectRandomLumia = () => store.getState().randomLumia || DEFAULT_RANDOM_LUMIA;
 const selectChimeraMode = () => store.getState().chimeraMode || false;
 const selectCouncilMode = () => store.getState().councilMode || false;
 const selectSelectedDefinitionsCount = () => store.getState().selectedDefinitions?.length || 0;
 const selectCouncilMembersCount = () => store.getState().councilMembers?.length || 0;
+const selectScaffoldTemplates = () => store.getState().scaffoldTemplates || EMPTY_OBJECT;
+const selectPacks = () => store.getState().packs || EMPTY_OBJECT;
+const selectMessageTruncation = () => store.getState().messageTruncation || EMPTY_OBJECT;
+
+// packExtras entry type for shared scaffold templates (matches scaffoldTemplates.js)
+const TEMPLATE_EXTRA_TYPE = 'template';
 
 /**
  * Toggle switch component
@@ -73,6 +89,28 @@ function NumberField({ id, label, hint, value, onChange, min = 0, max = 100 }) {
     );
 }
 
+/**
+ * Select field component
+ */
+function SelectField({ id, label, hint, value, onChange, options }) {
+    return (
+        <div className="lumiverse-vp-field">
+            <label className="lumiverse-vp-field-label" htmlFor={id}>{label}</label>
+            <select
+                id={id}
+                className="lumiverse-vp-field-select"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+            >
+                {options.map(opt => (
+                    <option key={opt.value} value={opt.value}>{opt.label}</option>
+                ))}
+            </select>
+            {hint && <span className="lumiverse-vp-field-hint">{hint}</span>}
+        </div>
+    );
+}
+
 /**
  * Collapsible section - uses CSS grid for smooth, performant animation
  */
@@ -162,13 +200,213 @@ function FilterItem({ id, label, hint, enabled, onToggle, depthValue, onDepthCha
     );
 }
 
+/**
+ * Template definitions and pack-shared templates from the extension
+ */
+function getScaffoldData() {
+    if (typeof LumiverseBridge === 'undefined') return null;
+    return LumiverseBridge.getCallbacks()?.getScaffoldTemplates?.() || null;
+}
+
+/**
+ * Editor for the Chimera/Council scaffold templates
+ * Overrides are stored in settings.scaffoldTemplates; removing one restores the default
+ */
+function ScaffoldTemplateEditor() {
+    const overrides = useSyncExternalStore(store.subscribe, selectScaffoldTemplates, selectScaffoldTemplates);
+    const packs = useSyncExternalStore(store.subscribe, selectPacks, selectPacks);
+    const [templateKey, setTemplateKey] = useState('council');
+    const [targetPack, setTargetPack] = useState('');
+
+    // Pack-shared templates change with the installed packs
+    const data = useMemo(() => getScaffoldData(), [packs]);
+
+    // Packs the template can be saved into (custom or local, with content loaded)
+    const editablePacks = useMemo(() => Object.entries(packs)
+        .filter(([, pack]) => (pack.isCustom || !pack.url) && !pack.contentStored)
+        .map(([key, pack]) => ({ value: key, label: pack.packName || pack.name || key })),
+    [packs]);
+
+    const setOverride = useCallback((text) => {
+        const next = { ...(store.getState().scaffoldTemplates || {}) };
+        if (text === null) {
+            delete next[templateKey];
+        } else {
+            next[templateKey] = text;
+        }
+        store.setState({ scaffoldTemplates: next });
+        saveToExtension();
+    }, [templateKey]);
+
+    const template = data?.templates[templateKey];
+    const isCustomized = typeof overrides[templateKey] === 'string';
+    const text = isCustomized ? overrides[templateKey] : template?.default || '';
+
+    const handleSaveToPack = useCallback(() => {
+        const pack = store.getState().packs?.[targetPack];
+        if (!pack) return;
+
+        // One shared template per target in a pack - replace an existing one
+        const extras = (pack.packExtras || []).filter(
+            (extra) => !(extra?.type === TEMPLATE_EXTRA_TYPE && extra.target === templateKey)
+        );
+        extras.push({ type: TEMPLATE_EXTRA_TYPE, target: templateKey, name: template.label, content: text });
+
+        store.setState({ packs: { ...store.getState().packs, [targetPack]: { ...pack, packExtras: extras } } });
+        saveToExtension();
+        if (typeof toastr !== 'undefined') {
+            toastr.success(`Saved the ${template.label} template to "${pack.packName || targetPack}"`);
+        }
+    }, [targetPack, templateKey, template, text]);
+
+    if (!data || !template) return null;
+
+    const templateOptions = Object.entries(data.templates).map(([value, t]) => ({ value, label: t.label }));
+    const packTemplates = data.packTemplates.filter((t) => t.target === templateKey);
+
+    return (
+        <div className="lumiverse-vp-template-editor">
+            <SelectField
+                id="scaffold-template-key"
+                label="Template"
+                value={templateKey}
+                onChange={setTemplateKey}
+                options={templateOptions}
+            />
+            <textarea
+                className="lumiverse-vp-summary-textarea lumiverse-vp-template-textarea"
+                value={text}
+                onChange={(e) => setOverride(e.target.value)}
+                spellCheck={false}
+            />
+            <ul className="lumiverse-vp-template-placeholders">
+                {Object.entries(template.placeholders).map(([name, description]) => (
+                    <li key={name}><code>%{name}%</code> {description}</li>
+                ))}
+            </ul>
+            <div className="lumiverse-vp-template-actions">
+                <button
+                    type="button"
+                    className={clsx('lumiverse-vp-action-btn lumiverse-vp-action-btn--secondary', !isCustomized && 'lumiverse-vp-action-btn--disabled')}
+                    onClick={() => setOverride(null)}
+                    disabled={!isCustomized}
+                >
+                    <RotateCcw size={14} strokeWidth={2} />
+                    <span>Reset to Default</span>
+                </button>
+            </div>
+            {packTemplates.length > 0 && (
+                <SelectField
+                    id="scaffold-template-pack-load"
+                    label="Use from pack"
+                    hint="Copies a template shared by an installed pack"
+                    value=""
+                    onChange={(index) => index !== '' && setOverride(packTemplates[Number(index)].content)}
+                    options={[
+                        { value: '', label: 'Choose a template...' },
+                        ...packTemplates.map((t, i) => ({ value: String(i), label: `${t.name} (${t.packName})` })),
+                    ]}
+                />
+            )}
+            {editablePacks.length > 0 && (
+                <div className="lumiverse-vp-template-actions">
+                    <select
+                        className="lumiverse-vp-field-select"
+                        value={targetPack}
+                        onChange={(e) => setTargetPack(e.target.value)}
+                    >
+                        <option value="">Share in pack...</option>
+                        {editablePacks.map((p) => (
+                            <option key={p.value} value={p.value}>{p.label}</option>
+                        ))}
+                    </select>
+                    <button
+                        type="button"
+                        className={clsx('lumiverse-vp-action-btn lumiverse-vp-action-btn--secondary', !targetPack && 'lumiverse-vp-action-btn--disabled')}
+                        onClick={handleSaveToPack}
+                        disabled={!targetPack}
+                    >
+                        <Upload size={14} strokeWidth={2} />
+                        <span>Save to Pack</span>
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
 /**
  * Prompt Settings Panel
- * Controls for Sovereign Hand and Context Filters
+ * Controls for Lumia modes, mode templates, Sovereign Hand, Random Lumia and Context Filters
  * Uses global store for settings sync between ViewportApp and settings panel
  *
  * OLD CODE: sovereignHand and contextFilters are at root level of settings
  */
+/**
+ * What message truncation removed from the last generation's context
+ */
+function TruncationReport() {
+    const [report, setReport] = useState(null);
+
+    const loadReport = useCallback(() => {
+        if (typeof LumiverseBridge === 'undefined') return;
+        setReport(LumiverseBridge.getCallbacks()?.getTruncationReport?.() || null);
+    }, []);
+
+    useEffect(() => {
+        loadReport();
+    }, [loadReport]);
+
+    let summary = 'Nothing truncated yet - the report fills in on the next generation.';
+    if (report) {
+        const limit = {
+            count: `last ${report.limit} messages`,
+            tokens: `${report.keptTokens}${report.estimated ? ' (estimated)' : ''} of ${report.limit} budget tokens`,
+            summary: report.coveredCount > 0
+                ? `summary covers ${report.coveredCount} messages, ${report.limit} kept as margin`
+                : 'no summary to compact with yet',
+        }[report.mode];
+        summary = report.removedCount > 0
+            ? `Removed ${report.removedCount} message${report.removedCount !== 1 ? 's' : ''} (~${report.removedTokens} tokens), kept ${report.keptCount} - ${limit}.`
+            : `Nothing removed, kept ${report.keptCount} messages - ${limit}.`;
+        if (report.summaryInPrompt === false) {
+            summary += ' The summary was not in the prompt - add {{loomSummary}} to your preset, or the removed messages are lost.';
+        }
+    }
+
+    return (
+        <>
+            <div className="lumiverse-vp-truncation-summary">
+                <p className="lumiverse-vp-settings-desc">{summary}</p>
+                <button
+                    type="button"
+                    className="lumiverse-vp-action-btn lumiverse-vp-action-btn--secondary"
+                    onClick={loadReport}
+                    title="Reload the report"
+                >
+                    <RefreshCw size={14} strokeWidth={2} />
+                </button>
+            </div>
+            {report?.removed.length > 0 && (
+                <ul className="lumiverse-vp-truncation-list">
+                    {report.removedCount > report.removed.length && (
+                        <li className="lumiverse-vp-truncation-more">
+                            ...and {report.removedCount - report.removed.length} older
+                        </li>
+                    )}
+                    {report.removed.map((message, index) => (
+                        <li key={index}>
+                            <span className="lumiverse-vp-truncation-name">{message.name}</span>
+                            <span className="lumiverse-vp-truncation-tokens">~{message.tokens} tok</span>
+                            <span className="lumiverse-vp-truncation-preview">{message.preview}</span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </>
+    );
+}
+
 function PromptSettings() {
     const actions = useLumiverseActions();
 
@@ -183,6 +421,16 @@ function PromptSettings() {
         selectContextFilters,
         selectContextFilters
     );
+    const randomLumia = useSyncExternalStore(
+        store.subscribe,
+        selectRandomLumia,
+        selectRandomLumia
+    );
+    const messageTruncation = useSyncExternalStore(
+        store.subscribe,
+        selectMessageTruncation,
+        selectMessageTruncation
+    );
 
     // Chimera and Council mode states
     const chimeraMode = useSyncExternalStore(
@@ -224,6 +472,10 @@ function PromptSettings() {
             store.setState({
                 sovereignHand: { ...state.sovereignHand, [parts[1]]: value }
             });
+        } else if (parts[0] === 'randomLumia') {
+            store.setState({
+                randomLumia: { ...DEFAULT_RANDOM_LUMIA, ...state.randomLumia, [parts[1]]: value }
+            });
         } else if (parts[0] === 'contextFilters') {
             const filterType = parts[1]; // e.g., 'htmlTags', 'detailsBlocks', 'loomItems'
             const filterKey = parts[2];  // e.g., 'enabled', 'keepDepth'
@@ -241,6 +493,7 @@ function PromptSettings() {
     }, []);
 
     const filtersActive = htmlTagsEnabled || detailsEnabled || loomEnabled;
+    const customRulesActive = (contextFilters.customRules || []).some((rule) => rule.enabled);
 
     // Handlers for Chimera/Council modes
     const handleChimeraModeChange = useCallback((enabled) => {
@@ -321,6 +574,17 @@ function PromptSettings() {
                 </div>
             </CollapsibleSection>
 
+            {/* Scaffold Templates Section */}
+            <CollapsibleSection
+                Icon={FileText}
+                title="Mode Templates"
+            >
+                <p className="lumiverse-vp-settings-desc">
+                    Edit the text wrapped around Chimera and Council content and returned by <code>{'{{lumiaCouncilInst}}'}</code>. Templates may use <code>{'{{loomIf}}'}</code> blocks.
+                </p>
+                <ScaffoldTemplateEditor />
+            </CollapsibleSection>
+
             {/* Sovereign Hand Section */}
             <CollapsibleSection
                 Icon={Hand}
@@ -365,6 +629,45 @@ function PromptSettings() {
                 />
             </CollapsibleSection>
 
+            {/* Random Lumia Section */}
+            <CollapsibleSection
+                Icon={Dices}
+                title="Random Lumia"
+            >
+                <p className="lumiverse-vp-settings-desc">
+                    Control how long a <code>{'{{randomLumia}}'}</code> pick lasts before a new Lumia is rolled.
+                </p>
+                <SelectField
+                    id="random-lumia-scope"
+                    label="Re-roll"
+                    hint="Chat and message scopes remember the pick in the chat's metadata"
+                    value={randomLumia.scope ?? 'generation'}
+                    onChange={(v) => updateSetting('randomLumia.scope', v)}
+                    options={RANDOM_SCOPE_OPTIONS}
+                />
+                <CollapsibleContent
+                    isOpen={randomLumia.scope === 'messages'}
+                    className="lumiverse-vp-filter-options"
+                    duration={150}
+                >
+                    <NumberField
+                        id="random-lumia-interval"
+                        label="Messages between re-rolls"
+                        value={randomLumia.rerollInterval ?? 5}
+                        onChange={(v) => updateSetting('randomLumia.rerollInterval', Math.max(1, v))}
+                        min={1}
+                        max={1000}
+                    />
+                </CollapsibleContent>
+                <Toggle
+                    id="random-lumia-seeded-toggle"
+                    checked={randomLumia.seeded ?? false}
+                    onChange={(v) => updateSetting('randomLumia.seeded', v)}
+                    label="Seeded per Chat"
+                    hint="Each chat gets its own seed, so the same point in a chat always rolls the same Lumia"
+                />
+            </CollapsibleSection>
+
             {/* Context Filters Section */}
             <CollapsibleSection
                 Icon={Filter}
@@ -427,6 +730,27 @@ function PromptSettings() {
                     depthHint="Loom tags in older messages will be stripped"
                 />
             </CollapsibleSection>
+
+            {/* Custom Filter Rules Section */}
+            <CollapsibleSection
+                Icon={Regex}
+                title="Custom Filter Rules"
+                status={customRulesActive}
+            >
+                <FilterRulesEditor />
+            </CollapsibleSection>
+
+            {/* Context Truncation Report Section */}
+            <CollapsibleSection
+                Icon={Scissors}
+                title="Context Truncation"
+                status={messageTruncation.enabled ?? false}
+            >
+                <p className="lumiverse-vp-settings-desc">
+                    Older messages dropped from the last generation. Set the message limit or token budget under Summary → Message Limit.
+                </p>
+                <TruncationReport />
+            </CollapsibleSection>
         </div>
     );
 }
@@ -1,9 +1,9 @@
-import React, { useState, useCallback, useEffect, useRef, useSyncExternalStore } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
 import { CollapsibleContent } from '../Collapsible';
 import clsx from 'clsx';
 import {
     FileText, Check, AlertCircle, Trash2, Save, RefreshCw,
-    Settings, Clock, Cloud, Cpu, ChevronDown, Play, MessageSquare, Scissors, RefreshCcw
+    Settings, Clock, Cloud, Cpu, ChevronDown, Play, MessageSquare, Scissors, RefreshCcw, Variable, Plus
 } from 'lucide-react';
 import { useLumiverseStore, saveToExtension } from '../../store/LumiverseContext';
 import { motion, AnimatePresence } from 'motion/react';
@@ -15,7 +15,13 @@ const store = useLumiverseStore;
 
 // Stable fallback constants for useSyncExternalStore
 const EMPTY_OBJECT = {};
-const DEFAULT_TRUNCATION = { enabled: false, keepCount: 50 };
+const DEFAULT_TRUNCATION = { enabled: false, mode: 'count', keepCount: 50, tokenBudget: 8000, summaryMargin: 4 };
+
+const TRUNCATION_MODE_OPTIONS = [
+    { value: 'count', label: 'Message count' },
+    { value: 'tokens', label: 'Token budget' },
+    { value: 'summary', label: 'Summary compaction' },
+];
 
 // Stable selector functions
 const selectSummarization = () => store.getState().summarization || EMPTY_OBJECT;
@@ -24,6 +30,9 @@ const selectChatChangeCounter = () => store.getState().chatChangeCounter || 0;
 
 const LOOM_SUMMARY_KEY = 'loom_summary';
 
+// Same rule as loomVariables.js - names must work as loomGet.<name> in expressions
+const VARIABLE_NAME_REGEX = /^[A-Za-z_]\w*$/;
+
 const PLACEHOLDER_TEXT = `Write or paste your Loom summary here...
 
 Use the structured format:
@@ -36,16 +45,16 @@ Use the structured format:
 **Foreshadowing Beats**
 - ...
 
-**Character States**
+**Character Developments**
 - ...
 
-**World State**
+**Memorable Actions**
 - ...
 
-**Tone & Atmosphere**
+**Memorable Dialogues**
 - ...
 
-**Threads to Weave**
+**Relationships**
 - ...`;
 
 // Provider configurations matching old code
@@ -57,17 +66,106 @@ const PROVIDER_CONFIG = {
     custom: { name: 'Custom', placeholder: 'your-model-name' },
 };
 
+function getBridgeCallbacks() {
+    return typeof LumiverseBridge !== 'undefined' ? LumiverseBridge.getCallbacks() : null;
+}
+
+function formatMessageRange(start, end) {
+    return start === end ? `#${start}` : `#${start}–#${end}`;
+}
+
+/**
+ * Which messages the stored summary covers and which are sent as live context.
+ * Message numbers are the chat's message ids.
+ */
+function SummaryCoverage({ refreshKey }) {
+    const messageTruncation = useSyncExternalStore(
+        store.subscribe,
+        selectMessageTruncation,
+        selectMessageTruncation
+    );
+    const chatChangeCounter = useSyncExternalStore(
+        store.subscribe,
+        selectChatChangeCounter,
+        () => 0
+    );
+    const [coverage, setCoverage] = useState(null);
+
+    const compacting = messageTruncation.enabled && messageTruncation.mode === 'summary';
+    const margin = messageTruncation.summaryMargin ?? 4;
+
+    const loadCoverage = useCallback(() => {
+        setCoverage(getBridgeCallbacks()?.getSummaryCoverage?.(margin) || null);
+    }, [margin]);
+
+    useEffect(() => {
+        loadCoverage();
+    }, [loadCoverage, chatChangeCounter, refreshKey]);
+
+    if (!coverage || coverage.messageCount === 0) return null;
+
+    const { messageCount, coveredFrom, coveredCount, liveStart } = coverage;
+    // Messages older than the summary's range are never dropped
+    const droppedCount = compacting ? liveStart - coveredFrom : 0;
+    const sentFrom = coveredFrom + droppedCount;
+    const width = (count) => `${(count / messageCount) * 100}%`;
+
+    let liveText = `${formatMessageRange(sentFrom, messageCount - 1)} (${messageCount - droppedCount} messages)`;
+    if (droppedCount > 0 && coveredFrom > 0) {
+        liveText = `${formatMessageRange(0, coveredFrom - 1)} and ${liveText}`;
+    }
+    if (!compacting && coveredCount > 0) {
+        liveText += ' - compaction is off, so summarized messages are sent too';
+    }
+
+    return (
+        <div className="lumiverse-vp-coverage">
+            <div className="lumiverse-vp-coverage-bar">
+                <span className="lumiverse-vp-coverage-segment lumiverse-vp-coverage-segment--live" style={{ width: width(coveredFrom) }} />
+                <span className="lumiverse-vp-coverage-segment lumiverse-vp-coverage-segment--dropped" style={{ width: width(droppedCount) }} />
+                <span className="lumiverse-vp-coverage-segment lumiverse-vp-coverage-segment--overlap" style={{ width: width(coveredCount - sentFrom) }} />
+                <span className="lumiverse-vp-coverage-segment lumiverse-vp-coverage-segment--live" style={{ width: width(messageCount - coveredCount) }} />
+            </div>
+            <div className="lumiverse-vp-coverage-legend">
+                <span>
+                    <strong>Covered by summary:</strong>{' '}
+                    {coveredCount > coveredFrom
+                        ? `${formatMessageRange(coveredFrom, coveredCount - 1)} (${coveredCount - coveredFrom} messages)`
+                        : coverage.hasSummary ? 'unknown - generate a summary to record it' : 'nothing yet'}
+                </span>
+                <span><strong>Live context:</strong> {liveText}</span>
+                {droppedCount > 0 && (
+                    <span><strong>Left out:</strong> {formatMessageRange(coveredFrom, sentFrom - 1)}, replaced by {'{{loomSummary}}'}</span>
+                )}
+            </div>
+            <button
+                type="button"
+                className="lumiverse-vp-action-btn lumiverse-vp-action-btn--secondary lumiverse-vp-coverage-refresh"
+                onClick={loadCoverage}
+                title="Reload coverage"
+            >
+                <RefreshCw size={14} strokeWidth={2} />
+            </button>
+        </div>
+    );
+}
+
 /**
  * Collapsible section component - uses CSS grid for smooth, performant animation
  */
-function CollapsibleSection({ Icon, title, children, defaultOpen = false, status }) {
+function CollapsibleSection({ Icon, title, children, defaultOpen = false, status, onOpen }) {
     const [isOpen, setIsOpen] = useState(defaultOpen);
 
+    const toggle = () => {
+        if (!isOpen) onOpen?.();
+        setIsOpen(!isOpen);
+    };
+
     return (
         <div className={clsx('lumiverse-vp-collapsible', isOpen && 'lumiverse-vp-collapsible--open')}>
             <button
                 className="lumiverse-vp-collapsible-header"
-                onClick={() => setIsOpen(!isOpen)}
+                onClick={toggle}
                 type="button"
             >
                 <span className={clsx('lumiverse-vp-collapsible-chevron', isOpen && 'lumiverse-vp-collapsible-chevron--open')}>
@@ -532,22 +630,59 @@ function SummarizationConfig() {
                     checked={messageTruncation.enabled}
                     onChange={(v) => updateTruncation({ enabled: v })}
                     label="Limit Context Messages"
-                    hint="Only send the last N messages to the AI"
+                    hint="Only send the most recent messages to the AI"
                 />
                 {/* Uses CSS grid for smooth animation */}
                 <CollapsibleContent isOpen={messageTruncation.enabled} duration={200}>
-                    <NumberField
-                        id="trunc-count"
-                        label="Messages to keep"
-                        hint="Number of recent messages to include"
-                        value={messageTruncation.keepCount ?? 50}
-                        onChange={(v) => updateTruncation({ keepCount: v })}
-                        min={5}
-                        max={500}
+                    <SelectField
+                        id="trunc-mode"
+                        label="Limit by"
+                        value={messageTruncation.mode || 'count'}
+                        onChange={(v) => updateTruncation({ mode: v })}
+                        options={TRUNCATION_MODE_OPTIONS}
                     />
+                    {messageTruncation.mode === 'tokens' ? (
+                        <NumberField
+                            id="trunc-budget"
+                            label="Token budget"
+                            hint="Oldest messages are dropped until the chat fits. Uses the current model's tokenizer when available."
+                            value={messageTruncation.tokenBudget ?? 8000}
+                            onChange={(v) => updateTruncation({ tokenBudget: v })}
+                            min={500}
+                            max={1000000}
+                            step={500}
+                        />
+                    ) : messageTruncation.mode === 'summary' ? (
+                        <>
+                            <NumberField
+                                id="trunc-margin"
+                                label="Safety margin"
+                                hint="Summarized messages still sent before the live context, so the reply doesn't start cold"
+                                value={messageTruncation.summaryMargin ?? 4}
+                                onChange={(v) => updateTruncation({ summaryMargin: v })}
+                                min={0}
+                                max={100}
+                            />
+                            <SummaryCoverage />
+                        </>
+                    ) : (
+                        <NumberField
+                            id="trunc-count"
+                            label="Messages to keep"
+                            hint="Number of recent messages to include"
+                            value={messageTruncation.keepCount ?? 50}
+                            onChange={(v) => updateTruncation({ keepCount: v })}
+                            min={5}
+                            max={500}
+                        />
+                    )}
                     <div className="lumiverse-vp-warning-box">
                         <AlertCircle size={14} strokeWidth={2} />
-                        <span>Older messages will be excluded. Consider using summarization to preserve memories.</span>
+                        <span>
+                            {messageTruncation.mode === 'summary'
+                                ? 'Messages the summary covers are excluded once a summary exists. Your preset needs {{loomSummary}} to stand in for them. What was removed last is shown under Prompt Settings.'
+                                : 'Older messages will be excluded. Consider using summarization to preserve memories. What was removed last is shown under Prompt Settings.'}
+                        </span>
                     </div>
                 </CollapsibleContent>
             </CollapsibleSection>
@@ -564,8 +699,13 @@ function SummaryTextEditor() {
     const [hasChat, setHasChat] = useState(false);
     const [isSaving, setIsSaving] = useState(false);
     const [isGenerating, setIsGenerating] = useState(false);
+    // Section being edited ('' = whole summary) and its text as typed
+    const [section, setSection] = useState('');
+    const [sectionDraft, setSectionDraft] = useState('');
     const textareaRef = useRef(null);
 
+    const summarySections = useMemo(() => getBridgeCallbacks()?.getSummarySections?.() || [], []);
+
     // Subscribe to chat change counter to reload when chat changes
     const chatChangeCounter = useSyncExternalStore(
         store.subscribe,
@@ -578,6 +718,7 @@ function SummaryTextEditor() {
 
     // Load summary from chat metadata
     const loadSummary = useCallback(() => {
+        setSection('');
         try {
             if (typeof SillyTavern !== 'undefined') {
                 const context = SillyTavern.getContext();
@@ -609,10 +750,23 @@ function SummaryTextEditor() {
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [chatChangeCounter]); // Reload when chat changes
 
-    // Handle text changes
+    // Handle text changes - a section edit is merged back into the whole summary
     const handleTextChange = useCallback((e) => {
-        setSummary(e.target.value);
-    }, []);
+        const value = e.target.value;
+        if (!section) {
+            setSummary(value);
+            return;
+        }
+        setSectionDraft(value);
+        setSummary((prev) => getBridgeCallbacks()?.replaceSummarySection?.(prev, section, value) ?? prev);
+    }, [section]);
+
+    const handleSectionChange = useCallback((key) => {
+        setSection(key);
+        if (key) {
+            setSectionDraft(getBridgeCallbacks()?.parseSummarySections?.(summary)?.[key] || '');
+        }
+    }, [summary]);
 
     // Save summary to chat metadata
     const handleSave = useCallback(() => {
@@ -651,6 +805,7 @@ function SummaryTextEditor() {
     const handleClear = useCallback(() => {
         if (confirm('Are you sure you want to clear the summary?')) {
             setSummary('');
+            setSection('');
 
             try {
                 if (typeof SillyTavern !== 'undefined') {
@@ -714,6 +869,7 @@ function SummaryTextEditor() {
             console.log('[SummaryEditor] generateSummary returned:', result ? 'success' : 'no result');
 
             if (result) {
+                setSection('');
                 setSummary(result);
                 setOriginalSummary(result); // Also update original to reflect saved state
                 if (typeof toastr !== 'undefined') {
@@ -738,15 +894,31 @@ function SummaryTextEditor() {
         <CollapsibleSection Icon={FileText} title="Summary Text" defaultOpen={true}>
             {/* Status */}
             <StatusIndicator hasContent={originalSummary.length > 0} hasChat={hasChat} />
+            <SummaryCoverage refreshKey={originalSummary} />
+
+            {/* Section picker */}
+            {summarySections.length > 0 && (
+                <SelectField
+                    id="sum-section"
+                    label="Edit"
+                    value={section}
+                    onChange={handleSectionChange}
+                    options={[
+                        { value: '', label: 'Whole summary' },
+                        ...summarySections.map(({ key, header }) => ({ value: key, label: header })),
+                    ]}
+                    hint={section ? `Use {{loomSummary .${section}}} to inject just this section` : undefined}
+                />
+            )}
 
             {/* Textarea */}
             <div className="lumiverse-vp-summary-textarea-wrapper">
                 <textarea
                     ref={textareaRef}
                     className="lumiverse-vp-summary-textarea"
-                    value={summary}
+                    value={section ? sectionDraft : summary}
                     onChange={handleTextChange}
-                    placeholder={PLACEHOLDER_TEXT}
+                    placeholder={section ? '- None at present' : PLACEHOLDER_TEXT}
                     disabled={!hasChat}
                 />
             </div>
@@ -804,9 +976,166 @@ function SummaryTextEditor() {
     );
 }
 
+/**
+ * Chat Variables Section
+ * View and edit the {{loomSet}}/{{loomGet}} variables of the current chat
+ */
+function ChatVariablesEditor() {
+    const [rows, setRows] = useState([]);
+    const [originalRows, setOriginalRows] = useState([]);
+    const [hasChat, setHasChat] = useState(false);
+
+    const chatChangeCounter = useSyncExternalStore(
+        store.subscribe,
+        selectChatChangeCounter,
+        () => 0
+    );
+
+    const loadVariables = useCallback(() => {
+        try {
+            const context = typeof SillyTavern !== 'undefined' ? SillyTavern.getContext() : null;
+            const chatExists = !!(context?.chat && context.chat.length > 0);
+            setHasChat(chatExists);
+
+            const stored = (chatExists && getBridgeCallbacks()?.getLoomVariables?.()) || {};
+            const loaded = Object.entries(stored).map(([name, value]) => ({ name, value: String(value) }));
+            setRows(loaded);
+            setOriginalRows(loaded);
+        } catch (e) {
+            console.warn('[SummaryEditor] Error loading chat variables:', e);
+        }
+    }, []);
+
+    const hasChanges = JSON.stringify(rows) !== JSON.stringify(originalRows);
+    const invalidNames = rows.filter((row) => !VARIABLE_NAME_REGEX.test(row.name)).map((row) => row.name || '(empty)');
+
+    // Generations bump the counter too. Unsaved edits are kept then - Save only
+    // writes what was edited, so values set by the generation survive it.
+    const hasChangesRef = useRef(hasChanges);
+    hasChangesRef.current = hasChanges;
+    const lastChatRef = useRef(null);
+
+    useEffect(() => {
+        const context = typeof SillyTavern !== 'undefined' ? SillyTavern.getContext() : null;
+        const chatId = context?.getCurrentChatId?.() ?? null;
+        const chatSwitched = chatId !== lastChatRef.current;
+        lastChatRef.current = chatId;
+        if (chatSwitched || !hasChangesRef.current) loadVariables();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [chatChangeCounter]);
+
+    const updateRow = useCallback((index, updates) => {
+        setRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...updates } : row)));
+    }, []);
+
+    const handleSave = useCallback(async () => {
+        if (invalidNames.length > 0) {
+            if (typeof toastr !== 'undefined') {
+                toastr.warning(`Invalid variable names: ${invalidNames.join(', ')}. Use letters, digits and _, not starting with a digit.`);
+            }
+            return;
+        }
+
+        const callbacks = getBridgeCallbacks();
+        if (!callbacks?.getLoomVariables || !callbacks?.setLoomVariables) return;
+
+        // Apply the edits on top of the stored variables, which may have changed since loading
+        const original = Object.fromEntries(originalRows.map((row) => [row.name, row.value]));
+        const edited = Object.fromEntries(rows.map((row) => [row.name, row.value]));
+        const variables = callbacks.getLoomVariables();
+        Object.keys(original).forEach((name) => {
+            if (!(name in edited)) delete variables[name];
+        });
+        Object.entries(edited).forEach(([name, value]) => {
+            if (original[name] !== value) variables[name] = value;
+        });
+
+        try {
+            const saved = await callbacks.setLoomVariables(variables);
+            if (!saved && typeof toastr !== 'undefined') {
+                toastr.warning('Open a chat to save its variables.');
+            }
+            loadVariables();
+        } catch (e) {
+            console.error('[SummaryEditor] Error saving chat variables:', e);
+            if (typeof toastr !== 'undefined') {
+                toastr.error(`Could not save chat variables: ${e.message}`);
+            }
+        }
+    }, [rows, originalRows, invalidNames, loadVariables]);
+
+    return (
+        <CollapsibleSection Icon={Variable} title="Chat Variables" onOpen={loadVariables}>
+            <p className="lumiverse-vp-settings-desc">
+                Set by <code>{'{{loomSet name=value}}'}</code> and <code>{'{{loomInc name}}'}</code>, read with <code>{'{{loomGet name}}'}</code>. They belong to this chat only.
+            </p>
+
+            {hasChat && rows.length === 0 && (
+                <p className="lumiverse-vp-settings-desc">No variables in this chat yet.</p>
+            )}
+            {!hasChat && (
+                <p className="lumiverse-vp-settings-desc">Open a chat to see its variables.</p>
+            )}
+
+            {rows.map((row, index) => (
+                <div key={index} className="lumiverse-vp-chat-variable">
+                    <input
+                        type="text"
+                        className={clsx('lumiverse-vp-field-input', !VARIABLE_NAME_REGEX.test(row.name) && 'lumiverse-vp-field-input--invalid')}
+                        value={row.name}
+                        onChange={(e) => updateRow(index, { name: e.target.value.trim() })}
+                        placeholder="name"
+                        aria-label="Variable name"
+                    />
+                    <input
+                        type="text"
+                        className="lumiverse-vp-field-input"
+                        value={row.value}
+                        onChange={(e) => updateRow(index, { value: e.target.value })}
+                        placeholder="value"
+                        aria-label="Variable value"
+                    />
+                    <ActionButton
+                        Icon={Trash2}
+                        label="Remove"
+                        onClick={() => setRows((prev) => prev.filter((_, i) => i !== index))}
+                        variant="danger"
+                        iconOnly
+                    />
+                </div>
+            ))}
+
+            <div className="lumiverse-vp-summary-actions">
+                <ActionButton
+                    Icon={Plus}
+                    label="Add Variable"
+                    onClick={() => setRows((prev) => [...prev, { name: '', value: '' }])}
+                    disabled={!hasChat}
+                    iconOnly
+                />
+                <ActionButton
+                    Icon={RefreshCw}
+                    label="Reload"
+                    onClick={loadVariables}
+                    disabled={!hasChat}
+                    iconOnly
+                />
+                <ActionButton
+                    Icon={Save}
+                    label="Save"
+                    onClick={handleSave}
+                    disabled={!hasChat || !hasChanges}
+                    variant="primary"
+                    iconOnly
+                />
+            </div>
+        </CollapsibleSection>
+    );
+}
+
 /**
  * Summary Editor Panel
- * View and edit the Loom summary for the current chat + configuration
+ * View and edit the Loom summary and chat variables for the current chat + configuration
  */
 function SummaryEditor() {
     return (
@@ -814,6 +1143,9 @@ function SummaryEditor() {
             {/* Summary Text Editor */}
             <SummaryTextEditor />
 
+            {/* Chat Variables */}
+            <ChatVariablesEditor />
+
             {/* Summarization Configuration */}
             <SummarizationConfig />
         </div>
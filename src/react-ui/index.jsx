@@ -227,6 +227,18 @@ function getStore() {
     return useLumiverseStore;
 }
 
+/**
+ * Open a React modal from the extension side
+ * @param {string} name - Modal name (key of MODAL_CONFIG)
+ * @param {Object} props - Props passed to the modal component
+ */
+function openModal(name, props = {}) {
+    const state = useLumiverseStore.getState();
+    useLumiverseStore.setState({
+        ui: { ...state.ui, activeModal: { name, props } },
+    });
+}
+
 /**
  * Mount the viewport panel (dockable sidebar with profile, browser, analytics)
  * Following the BunnyMo/Loom Summary button pattern for reliable fixed positioning
@@ -298,6 +310,7 @@ const LumiverseUI = {
     getState,
     subscribe,
     getStore,
+    openModal,
 
     // SillyTavern integration
     getSTContext,
@@ -79,16 +79,27 @@ const initialState = {
     // OOC settings
     oocEnabled: true,
     lumiaOOCStyle: 'social',
+    oocPrompts: {
+        normalTemplate: null,
+        councilTemplate: null,
+        maxSentences: 4,
+        councilMaxSentences: 3,
+        tagName: 'lumiaooc',
+        color: '#9370DB',
+    },
     lumiaOOCInterval: null,
 
     // Message truncation
     messageTruncation: {
         enabled: false,
+        mode: 'count',
         keepCount: 50,
+        tokenBudget: 8000,
+        summaryMargin: 4,
     },
 
     // Context filters
-    contextFilters: {},
+    contextFilters: { customRules: [] },
 
     // Sovereign hand
     sovereignHand: { enabled: false, excludeLastMessage: true, includeMessageInPrompt: true },
@@ -96,6 +107,11 @@ const initialState = {
     // Summarization
     summarization: {},
 
+    // {{randomLumia}} selection
+    randomLumia: { scope: 'generation', rerollInterval: 5, seeded: false },
+    // Chimera/Council scaffold template overrides
+    scaffoldTemplates: {},
+
     // UI preferences
     showLumiverseDrawer: true,  // Whether to show the viewport drawer
     lumiaButtonPosition: {
@@ -689,8 +705,10 @@ const actions = {
     /**
      * Save current Lumia selections as a named preset
      * @param {string} presetName - Name for the preset
+     * @param {Object} [options]
+     * @param {boolean} [options.includeFilterRules] - Also store the custom context filter rules
      */
-    savePreset: (presetName) => {
+    savePreset: (presetName, { includeFilterRules = false } = {}) => {
         const state = store.getState();
         const now = Date.now();
 
@@ -710,6 +728,9 @@ const actions = {
             councilMode: state.councilMode || false,
             councilMembers: JSON.parse(JSON.stringify(state.councilMembers || [])),
         };
+        if (includeFilterRules) {
+            preset.filterRules = JSON.parse(JSON.stringify(state.contextFilters?.customRules || []));
+        }
 
         store.setState({
             presets: { ...state.presets, [presetName]: preset },
@@ -744,6 +765,13 @@ const actions = {
             updates.councilMode = preset.councilMode;
             updates.councilMembers = preset.councilMembers || [];
         }
+        // Presets saved with filter rules replace the current ones
+        if (Array.isArray(preset.filterRules)) {
+            updates.contextFilters = {
+                ...state.contextFilters,
+                customRules: JSON.parse(JSON.stringify(preset.filterRules)),
+            };
+        }
 
         store.setState(updates);
     },
@@ -787,6 +815,9 @@ const actions = {
             councilMode: state.councilMode || false,
             councilMembers: JSON.parse(JSON.stringify(state.councilMembers || [])),
         };
+        if (Array.isArray(existing.filterRules)) {
+            preset.filterRules = JSON.parse(JSON.stringify(state.contextFilters?.customRules || []));
+        }
 
         store.setState({
             presets: { ...state.presets, [presetName]: preset },
@@ -317,3 +317,12 @@ export function getChat() {
   return ctx?.chat || [];
 }
 
+
+/**
+ * Get ST's macro substitution function.
+ * @returns {Function} Replaces macros in a string (identity if unavailable)
+ */
+export function getSubstituteParams() {
+  const ctx = getContext();
+  return ctx?.substituteParams || ((text) => text);
+}